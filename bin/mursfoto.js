@@ -8,9 +8,24 @@ const pkg = require('../package.json')
 // 引入命令
 const { createProject } = require('../lib/commands/create')
 const { aiCommand } = require('../lib/commands/ai')
+const { configCommand } = require('../lib/commands/config')
+const { pluginCommand } = require('../lib/commands/plugin')
+const { templateCommand } = require('../lib/commands/template')
+const { addCommand } = require('../lib/commands/add')
+const { upgradeCommand } = require('../lib/commands/upgrade')
+const { doctorCommand } = require('../lib/commands/doctor')
+const { statusCommand } = require('../lib/commands/status')
+const { openapiCommand } = require('../lib/commands/openapi')
+const { globalPluginManager } = require('../lib/modules/PluginManager')
+const { globalRegistry } = require('../lib/modules/ModuleRegistry')
+const { loadConfig } = require('../lib/utils/config')
+const { setUsageContext } = require('../lib/utils/ai-usage')
+const { vfs } = require('../lib/utils/vfs')
+const { configureOutput, isCIMode, isJsonMode, emitResult, emitError } = require('../lib/utils/output')
 
 // 顯示歡迎信息
 function showWelcome() {
+  if (isCIMode()) return
   console.log(
     chalk.cyan(
       figlet.textSync('Mursfoto CLI', { horizontalLayout: 'full' })
@@ -20,60 +35,131 @@ function showWelcome() {
   console.log(chalk.gray('Claude Code AI 代理深度整合 + 統一架構的智慧自動化開發工具\n'))
 }
 
+// 載入分層配置，命令行明確指定的參數優先於配置檔
+function resolveConfig(command, flagMap = {}) {
+  const overrides = {}
+  for (const [flag, key] of Object.entries(flagMap)) {
+    if (command.getOptionValueSource(flag) === 'cli') {
+      overrides[key] = command.getOptionValue(flag)
+    }
+  }
+  return loadConfig({ overrides })
+}
+
+// 執行命令並統一處理結果與錯誤，--json 時 stdout 只輸出一個 JSON 物件
+async function runCommand(name, failureLabel, fn) {
+  // AI 用量帳本以命令名稱歸類
+  setUsageContext({ command: name })
+  try {
+    const result = await fn()
+    const extra = {}
+    if (vfs.dryRun) {
+      const plan = vfs.getPlan()
+      extra.dryRun = { files: plan.files.map(file => ({ path: file.path, action: file.action })), dirs: plan.dirs, commands: plan.commands }
+    }
+    emitResult(name, result, extra)
+  } catch (error) {
+    process.exit(emitError(name, error, failureLabel))
+  }
+}
+
 // 設定程序信息
 program
   .name('mursfoto')
   .description(pkg.description)
   .version(pkg.version, '-v, --version', '顯示版本信息')
   .helpOption('-h, --help', '顯示幫助信息')
+  .option('--dry-run', '預覽檔案變更與將執行的命令，不寫入磁碟')
+  .option('--ci', '非互動模式：不顯示動畫，缺少必要輸入時直接失敗')
+  .option('--json', '以 JSON 輸出結果與錯誤 (隱含 --ci)')
+
+// --dry-run: 所有寫入經過虛擬檔案系統，命令結束後顯示計畫
+// --json / --ci: 在命令執行前切換輸出模式
+program
+  .hook('preAction', () => {
+    const opts = program.opts()
+    configureOutput({ json: opts.json, ci: opts.ci })
+    if (opts.dryRun) vfs.setDryRun(true)
+  })
+  .hook('postAction', () => {
+    // JSON 模式下計畫已包含在輸出的 dryRun 欄位
+    if (vfs.dryRun && vfs.hasChanges() && !isJsonMode()) vfs.printPlan()
+  })
 
 // create 命令
 program
   .command('create [name]')
   .description('創建新的 Mursfoto 服務項目')
-  .option('-t, --template <template>', '使用指定模板 (minimal, enterprise-production, n8n)')
+  .option('-t, --template <template>', '使用指定模板 (使用 mursfoto template list 查看)')
   .option('-d, --directory <dir>', '指定創建目錄')
   .option('-f, --force', '強制覆蓋已存在的目錄')
   .option('--no-install', '跳過 npm install')
   .option('--no-git', '跳過 Git 初始化')
   .option('--overwrite', '覆蓋已存在的目錄（非交互式）')
   .option('--no-overwrite', '不覆蓋已存在的目錄（非交互式）')
-  .action(async (name, options) => {
+  .option('--var <key=value>', '設定模板變數 (可重複使用)', (value, previous) => previous.concat(value), [])
+  .option('--answers <file>', '從 JSON 檔讀取模板變數')
+  .option('--with <features>', '加入附加元件，以逗號分隔 (例如 mysql,auth,smart-monitor)')
+  .action(async (name, options, command) => {
     showWelcome()
-    try {
-      await createProject(name, options)
-    } catch (error) {
-      console.error(chalk.red('❌ 創建項目失敗:'), error.message)
-      
-      // 提供建議
-      if (error.message.includes('項目名稱作為命令行參數')) {
-        console.log(chalk.cyan('\n💡 建議使用方式:'))
-        console.log(chalk.cyan('  mursfoto create my-project --template minimal'))
-        console.log(chalk.cyan('  mursfoto create my-app --template enterprise-production'))
+    await runCommand('create', '創建項目失敗', async () => {
+      const config = resolveConfig(command, {
+        template: 'template',
+        install: 'create.install',
+        git: 'create.git'
+      })
+      try {
+        return await createProject(name, { ...options, config })
+      } catch (error) {
+        // 提供建議
+        if (error.message.includes('項目名稱作為命令行參數')) {
+          console.log(chalk.cyan('\n💡 建議使用方式:'))
+          console.log(chalk.cyan('  mursfoto create my-project --template minimal'))
+          console.log(chalk.cyan('  mursfoto create my-app --template enterprise-production'))
+        }
+        throw error
       }
-      
-      process.exit(1)
-    }
+    })
   })
 
 // AI 命令 - 整合 Claude Code + Gemini 2.5 Pro + Amazon Q
 program
-  .command('ai [action]')
+  .command('ai [action] [subaction] [name]')
   .description('🤖 AI 助手 - 程式碼審查、優化、文檔生成等 (新增 Playwright 功能)')
   .option('-f, --file <file>', '指定檔案路徑')
-  .option('-o, --output <output>', '輸出檔案')
+  .option('--dir <dir>', '審查 / 優化目錄，依相依關係打包專案上下文 (review、optimize、doc、ask)')
+  .option('--budget <tokens>', '專案上下文的 token 上限 (預設為模型上下文長度扣除保留量)')
+  .option('-o, --output <output>', '輸出檔案 (ai review 依副檔名匯出 .json 或 .sarif)')
+  .option('--format <format>', 'ai review 匯出格式 (json, sarif)')
+  .option('--apply', 'ai review 後逐一確認套用建議修改')
+  .option('--fail-on <severity>', 'ai review 有達到此嚴重程度的問題時以非零結束碼結束 (critical, high, medium, low, info)')
   .option('-q, --question <question>', '直接提問')
   .option('-u, --url <url>', '指定測試 URL')
   .option('--browsers <browsers>', '選擇瀏覽器 (chromium,firefox,webkit)')
   .option('--devices <devices>', '選擇裝置類型')
-  .action(async (action, options) => {
+  .option('--platform <platform>', '部署平台 (zeabur, docker, aws, digitalocean)')
+  .option('--scope <scope>', 'ai test-full 測試範圍 (current, api-gateway, ecosystem)')
+  .option('--types <types>', 'ai test-generate 測試類型，以逗號分隔 (unit, integration, e2e, security, performance)')
+  .option('--metrics <metrics>', 'ai performance 效能指標，以逗號分隔 (loadTime, fcp, cls, fid, memory, network)')
+  .option('--type <type>', '文檔類型 (readme, api, install, deploy, config)')
+  .option('--out <dir>', 'ai generate 寫入專案的目錄 (預設為第三個參數或 ai-generated-api)')
+  .option('--max-repairs <n>', 'ai generate 測試失敗時請 AI 修正的輪數 (預設 2，0 為不修正)')
+  .option('--no-verify', 'ai generate 只寫入檔案，不安裝依賴與執行測試')
+  .option('--no-cache', '不使用也不寫入 AI 回應快取')
+  .option('--no-index', 'ai ask 不使用語意索引 (改為打包專案上下文)')
+  .option('--since <range>', '用量統計範圍 (例如 7d、24h 或 2024-01-01)', '7d')
+  .option('--by <field>', '用量分組 (model, provider, project, command, prompt, day)', 'model')
+  .option('--prompt <name>', 'ask 改用指定的提示 (見 ai prompts list)')
+  .option('--var <key=value>', '提示變數，可重複指定', (value, previous) => previous.concat(value), [])
+  .option('--variant <variant>', '提示變體 (用於 ask、prompts show/edit)')
+  .option('--model <model>', '模型專用的提示版本 (用於 prompts show/edit)')
+  .option('--project', 'prompts edit 時寫入專案的 .ai-rules/prompts')
+  .action(async (action, subaction, name, options, command) => {
     showWelcome()
-    try {
-      await aiCommand(action, options)
-    } catch (error) {
-      console.error(chalk.red('❌ AI 命令執行失敗:'), error.message)
-      process.exit(1)
-    }
+    await runCommand(action ? `ai ${action}` : 'ai', 'AI 命令執行失敗', () => {
+      const config = resolveConfig(command, { cache: 'ai.cache.enabled' })
+      return aiCommand(action, { ...options, subaction, name, config })
+    })
   })
 
 // doctor 命令
@@ -82,70 +168,125 @@ program
   .description('檢查系統環境和依賴')
   .action(async () => {
     showWelcome()
-    console.log(chalk.blue('🏥 系統診斷中...'))
-    
-    // 基本環境檢查
-    const checks = [
-      { name: 'Node.js', check: () => process.version, required: '>=18.0.0' },
-      { name: 'NPM', check: () => require('child_process').execSync('npm --version', { encoding: 'utf8' }).trim(), required: '>=8.0.0' },
-      { name: 'Git', check: () => require('child_process').execSync('git --version', { encoding: 'utf8' }).trim(), required: 'any' }
-    ]
-    
-    for (const item of checks) {
-      try {
-        const version = item.check()
-        console.log(chalk.green('✅'), item.name, chalk.gray(version))
-      } catch (error) {
-        console.log(chalk.red('❌'), item.name, chalk.red('未安裝或無法訪問'))
-      }
-    }
-    
-    console.log(chalk.green('\n🎉 環境診斷完成'))
+    await runCommand('doctor', '環境診斷失敗', doctorCommand)
   })
 
 // GUI 命令
 program
   .command('gui')
   .description('啟動圖形使用者介面')
-  .option('-p, --port <port>', '指定端口', '3000')
-  .action(async (options) => {
+  .option('-p, --port <port>', '指定端口 (預設讀取 gui.port 配置)', Number)
+  .action(async (options, command) => {
     showWelcome()
     console.log(chalk.blue('🌐 正在啟動 GUI 服務器...'))
     
     try {
+      const config = resolveConfig(command, { port: 'gui.port' })
       const GUIServer = require('../lib/services/GUIServer')
-      const server = new GUIServer({ port: options.port })
+      const server = new GUIServer({ port: config.gui.port, host: config.gui.host, config })
       await server.start()
-      console.log(chalk.green(`✅ GUI 服務器已啟動: http://localhost:${options.port}`))
+      console.log(chalk.green(`✅ GUI 服務器已啟動: http://${config.gui.host}:${config.gui.port}`))
+
+      // 收到中斷訊號時依序釋放模組並關閉服務器
+      const shutdown = async () => {
+        await server.stop()
+        process.exit(0)
+      }
+      process.once('SIGINT', shutdown)
+      process.once('SIGTERM', shutdown)
     } catch (error) {
       console.error(chalk.red('❌ GUI 啟動失敗:'), error.message)
       process.exit(1)
     }
   })
 
+// 配置命令
+program
+  .command('config [action] [key] [value]')
+  .description('管理 Mursfoto 配置 (get, set, unset, list, validate)')
+  .option('-g, --global', '寫入全域配置 (~/.mursfoto/config.json)')
+  .action(async (action, key, value, options) => {
+    await runCommand('config', '配置命令執行失敗', () => configCommand(action, key, value, options))
+  })
+
+// 附加元件命令
+program
+  .command('add [features...]')
+  .description('為現有專案加入附加元件 (不指定則列出可用元件)')
+  .option('-d, --directory <dir>', '專案目錄 (預設為目前目錄)')
+  .option('-f, --force', '覆蓋內容不同的現有檔案')
+  .action(async (features, options) => {
+    await runCommand('add', '加入附加元件失敗', () => addCommand(features, options))
+  })
+
+// 升級命令
+program
+  .command('upgrade')
+  .description('將新版模板以三方合併套用到目前專案')
+  .option('-d, --directory <dir>', '專案目錄 (預設為目前目錄)')
+  .option('-y, --yes', '不詢問直接套用')
+  .option('-f, --force', '模板版本相同時仍重新套用')
+  .option('--no-diff', '不顯示檔案差異')
+  .option('--var <key=value>', '設定或覆蓋模板變數 (可重複)', (value, previous) => previous.concat(value), [])
+  .action(async (options) => {
+    await runCommand('upgrade', '升級失敗', () => upgradeCommand(options))
+  })
+
+// 模板命令
+program
+  .command('template [action] [name]')
+  .description('瀏覽與驗證專案模板 (list, info, validate)')
+  .option('--type <type>', '只列出指定類型 (project, feature)')
+  .action(async (action, name, options) => {
+    await runCommand('template', '模板命令執行失敗', () => templateCommand(action, name, options))
+  })
+
+// OpenAPI 命令
+program
+  .command('openapi <action> [files...]')
+  .description('由 Express 路由產生 OpenAPI 3.1 文件、比較兩個版本，或由規格產生 Express 專案 (generate, diff, scaffold)')
+  .option('-d, --directory <dir>', '專案目錄 (預設為目前目錄)')
+  .option('-o, --output <file>', 'generate 輸出檔案 (預設為專案目錄的 openapi.json)')
+  .option('--title <title>', 'API 名稱 (預設為 package.json 的 name)')
+  .option('--api-version <version>', 'API 版本 (預設為 package.json 的 version)')
+  .option('--server <url>', '加入 servers 的網址')
+  .option('--no-ai', '不請 AI 補上操作說明')
+  .option('--fail-on-breaking', 'diff 發現破壞性變更時以非零結束碼結束')
+  .option('--database <type>', 'scaffold 產生的模型 (mongoose, mysql, none)', 'mongoose')
+  .option('--force', 'scaffold 覆寫在受保護區塊外修改過的檔案')
+  .action(async (action, files, options, command) => {
+    await runCommand(`openapi ${action}`, 'OpenAPI 命令執行失敗', () => {
+      return openapiCommand(action, files, { ...options, version: options.apiVersion, config: resolveConfig(command) })
+    })
+  })
+
+// 插件命令
+program
+  .command('plugin [action] [name]')
+  .description('管理 Mursfoto 插件 (list, add, remove)')
+  .option('-g, --global', '安裝到全域插件目錄 (~/.mursfoto/plugins)')
+  .action(async (action, name, options) => {
+    await runCommand('plugin', '插件命令執行失敗', () => pluginCommand(action, name, options))
+  })
+
 // 狀態檢查命令
 program
   .command('status')
   .description('檢查服務狀態')
   .action(async () => {
     showWelcome()
-    console.log(chalk.blue('📊 檢查服務狀態...'))
-    
-    // 檢查統一服務狀態
-    const services = ['ai-unified', 'deployment-unified', 'development-unified', 'system-unified']
-    
-    for (const service of services) {
-      try {
-        const ServiceClass = require(`../lib/services/${service}`)
-        console.log(chalk.green('✅'), `${service} 服務可用`)
-      } catch (error) {
-        console.log(chalk.red('❌'), `${service} 服務不可用`)
-      }
-    }
-    
-    console.log(chalk.green('\n🎉 狀態檢查完成'))
+    await runCommand('status', '狀態檢查失敗', statusCommand)
   })
 
+// 載入插件並註冊插件提供的命令
+const pluginConfig = loadConfig({ validate: false })
+globalPluginManager.load({ config: pluginConfig })
+globalPluginManager.registerCommands(program, {
+  config: pluginConfig,
+  registry: globalRegistry,
+  logger: console
+})
+
 // 錯誤處理
 program.on('command:*', () => {
   console.error(chalk.red('❌ 未知命令:'), program.args.join(' '))
@@ -0,0 +1,88 @@
+const chalk = require('chalk')
+const path = require('path')
+const { vfs } = require('../utils/vfs')
+const { applyFeatures, listFeatures, parseFeatureList } = require('../utils/features')
+const { readProjectMetadata, writeProjectMetadata, getBaselineDir } = require('../utils/project-metadata')
+
+/**
+ * 為現有專案加入附加元件
+ * mursfoto add <feature...>
+ */
+async function addCommand (featureNames, options = {}) {
+  const names = parseFeatureList(featureNames)
+
+  if (names.length === 0) {
+    return listAvailableFeatures()
+  }
+
+  const projectPath = path.resolve(options.directory || process.cwd())
+  if (!vfs.existsSync(path.join(projectPath, 'package.json'))) {
+    throw new Error(`目前目錄不是 Node.js 專案 (找不到 package.json): ${projectPath}`)
+  }
+
+  const metadata = readProjectMetadata(projectPath)
+  const result = await applyFeatures(projectPath, names, {
+    templateName: metadata && metadata.template,
+    templateData: metadata && metadata.data,
+    force: options.force
+  })
+
+  // 同步更新升級用的基準與中繼資料，之後 upgrade 會一併重新產生這些元件
+  if (metadata) {
+    const baselineDir = getBaselineDir(projectPath)
+    if (vfs.existsSync(path.join(baselineDir, 'package.json'))) {
+      await applyFeatures(baselineDir, names, { templateData: metadata.data, force: true })
+    }
+    const features = [...(metadata.features || [])]
+    result.features.forEach(name => features.includes(name) || features.push(name))
+    await writeProjectMetadata(projectPath, { ...metadata, features, updatedAt: new Date().toISOString() })
+  }
+
+  printFeatureResult(result)
+  return result
+}
+
+// 列出可用的附加元件
+function listAvailableFeatures () {
+  const features = listFeatures()
+
+  console.log(chalk.cyan('🧩 可用的附加元件\n'))
+  for (const feature of features) {
+    const requires = feature.requires && feature.requires.length > 0
+      ? chalk.gray(` (需要: ${feature.requires.join(', ')})`)
+      : ''
+    console.log(`  ${chalk.white(feature.name.padEnd(20))} ${feature.description || ''}${requires}`)
+  }
+  console.log(chalk.gray('\n使用方式: mursfoto add <feature...> 或 mursfoto create <name> --with <features>'))
+
+  return features
+}
+
+/**
+ * 顯示附加元件合併結果
+ */
+function printFeatureResult (result) {
+  console.log(chalk.green(`✅ 已加入附加元件: ${result.features.join(', ')}`))
+
+  result.files.forEach(file => console.log(chalk.gray(`   + ${file}`)))
+
+  const dependencies = Object.keys(result.packageChanges.dependencies)
+  if (dependencies.length > 0) {
+    console.log(chalk.gray(`   📦 新增依賴: ${dependencies.join(', ')}`))
+  }
+  if (result.serverFile) {
+    console.log(chalk.gray(`   🔌 已接線: ${result.serverFile}`))
+  }
+
+  result.skipped.forEach(item => console.log(chalk.gray(`   = ${item}`)))
+  result.warnings.forEach(warning => console.log(chalk.yellow(`   ⚠️ ${warning}`)))
+
+  if (dependencies.length > 0) {
+    console.log(chalk.cyan('\n💡 請執行 npm install 安裝新依賴'))
+  }
+}
+
+module.exports = {
+  addCommand,
+  printFeatureResult
+}
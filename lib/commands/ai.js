@@ -8,65 +8,256 @@
 
 const chalk = require('chalk')
 const inquirer = require('inquirer')
-const { execSync } = require('child_process')
+const { execSync, spawnSync } = require('child_process')
 const fs = require('fs-extra')
 const path = require('path')
-const ora = require('ora')
+const AIModelRouter = require('../services/AIModelRouter')
+const AICodeGenerator = require('../services/AICodeGenerator')
+const { vfs } = require('../utils/vfs')
+const { getConfig } = require('../utils/config')
+const { streamCommand } = require('../utils/stream')
+const { ERROR_CODES, MursfotoError } = require('../utils/errors')
+const { createSpinner, isCIMode, isInteractive, isJsonMode, prompt } = require('../utils/output')
+const { AICache } = require('../utils/ai-cache')
+const { UsageLedger, parseSince, setUsageContext } = require('../utils/ai-usage')
+const { formatBytes } = require('../utils/helpers')
+const { buildContext, numberLines, walkProject } = require('../utils/ai-context')
+const { buildRouteInventory, formatRoute } = require('../utils/route-inventory')
+const { CodeIndex, resolveEmbedder } = require('../utils/code-index')
+const { parseVarOptions } = require('../utils/template-prompts')
+const { installDependencies, bootServer, runTests } = require('../utils/project-verifier')
+const {
+  SEVERITIES,
+  isAtLeast,
+  parseFindings,
+  countBySeverity,
+  applyPatch,
+  resolvePatches,
+  toSarif
+} = require('../utils/review-findings')
+const { version: cliVersion, homepage } = require('../../package.json')
+const {
+  DEFAULT_VARIANT,
+  getUserPromptsDir,
+  getProjectPromptsDir,
+  getPromptFileName,
+  listPrompts,
+  resolvePrompt,
+  renderPrompt
+} = require('../utils/prompt-registry')
 
 // AI 命令主功能
 async function aiCommand(action, options) {
   // 根據不同的動作執行
   switch (action) {
     case 'review':
-      await reviewCode(options)
-      break
+      return reviewCode(options)
     case 'api':
-      await analyzeAPI(options)
-      break
+      return analyzeAPI(options)
     case 'deploy':
-      await deploymentAssist(options)
-      break
+      return deploymentAssist(options)
     case 'optimize':
-      await optimizeCode(options)
-      break
+      return optimizeCode(options)
     case 'doc':
-      await generateDocs(options)
-      break
+      return generateDocs(options)
     case 'test':
-      await generateTests(options)
-      break
+      return generateTests(options)
+    case 'generate':
+      return generateProject(options)
     case 'ask':
-      await askAI(options)
-      break
+      return askAI(options)
     case 'e2e':
-      await generateE2ETests(options)
-      break
+      return generateE2ETests(options)
     case 'screenshot':
-      await screenshotTest(options)
-      break
+      return screenshotTest(options)
     case 'browser':
-      await crossBrowserTest(options)
-      break
+      return crossBrowserTest(options)
     case 'test-full':
-      await runFullTestSuite(options)
-      break
+      return runFullTestSuite(options)
     case 'test-generate':
-      await generateIntelligentTests(options)
-      break
+      return generateIntelligentTests(options)
     case 'performance':
-      await performanceTest(options)
-      break
+      return performanceTest(options)
+    case 'cache':
+      return manageCache(options)
+    case 'usage':
+      return showUsage(options)
+    case 'prompts':
+      return managePrompts(options)
+    case 'index':
+      return manageIndex(options)
     default:
-      await interactiveMenu()
+      return interactiveMenu(options)
   }
 }
 
+// AI 執行失敗統一轉成 E_AI_FAILED，已帶錯誤碼的錯誤 (例如缺少輸入) 保持原樣
+function toAIError(error) {
+  if (error instanceof MursfotoError) return error
+  return new MursfotoError(ERROR_CODES.AI_FAILED, error.message, error.code ? { cause: error.code } : {})
+}
+
+// 是否保存結果：指定 --output 時直接保存，CI 模式下未指定則不寫檔
+async function shouldSave(options, message) {
+  if (options.output) return true
+  if (isCIMode()) return false
+
+  const { save } = await prompt([
+    {
+      type: 'confirm',
+      name: 'save',
+      message,
+      default: true
+    }
+  ])
+  return save
+}
+
+// 轉成 shell 雙引號字串
+function quoteArg(text) {
+  return `"${text.replace(/(["$`\\])/g, '\\$1')}"`
+}
+
+// 由提示註冊表產生提示文字 (依回應的模型選擇專用版本)，並以提示 id 記錄用量以比較 A/B 變體
+function buildPrompt({ name, variables, variant }, { config, model }) {
+  const rendered = renderPrompt(name, variables, { variant, model, prompts: config.ai?.prompts })
+  setUsageContext({ prompt: rendered.id })
+  return rendered.text
+}
+
+// 實際回應的模型：任務路由中第一個可用的模型；沒有可直接呼叫的模型時為 null (使用 gemini-pro CLI)
+function selectModel(router, task) {
+  if (!router.hasAvailableProvider({ task })) return null
+  return router.resolveRoute({ task }).chain.find(name => !router.checkProvider(name))
+}
+
+// 取得 AI 回應串流：任務路由中有可用模型時依路由策略串流 API，否則使用 gemini-pro CLI 並逐段讀取輸出
+// 附加內容為打包好的專案上下文 (context) 或單一檔案 (file)
+function streamAI(request, { file, context, config = getConfig(), signal, task } = {}) {
+  const router = AIModelRouter.fromConfig(config)
+  const model = selectModel(router, task)
+  const attachment = context || (file ? fs.readFileSync(file, 'utf8') : undefined)
+
+  if (model) {
+    const promptText = buildPrompt(request, { config, model })
+    const content = attachment ? `${promptText}\n\n${attachment}` : promptText
+    const { chain } = router.resolveRoute({ task })
+    return { source: chain.join(' → '), chunks: router.stream([{ role: 'user', content }], { signal, task }) }
+  }
+
+  const quoted = quoteArg(buildPrompt(request, { config, model: 'gemini' }))
+  return { source: 'gemini-pro', chunks: streamCommand(`gemini-pro ${quoted}`, { signal, input: attachment }) }
+}
+
+// 提示與回應預留的 token，其餘的上下文長度才用於專案內容
+const CONTEXT_RESERVE = 6000
+
+// 目前目錄是否為專案 (有 package.json 或 .git)，ai doc 與 ai ask 只在專案中自動附上上下文
+function isProjectDir(dir = process.cwd()) {
+  return fs.existsSync(path.join(dir, 'package.json')) || fs.existsSync(path.join(dir, '.git'))
+}
+
+/**
+ * 打包專案上下文並列出實際送出的檔案
+ * 預算為回應模型的上下文長度扣除保留量，指定 --budget 時取兩者較小值
+ * @param {Object} scope - { task, dir, seeds, query, lineNumbers }
+ */
+function packContext(options, { task, dir, seeds = [], query, lineNumbers } = {}) {
+  const config = options.config || getConfig()
+  const router = AIModelRouter.fromConfig(config)
+  const model = selectModel(router, task) || 'gemini'
+  const windowBudget = Math.max(router.getContextWindow(model) - CONTEXT_RESERVE, 1000)
+
+  let budget = windowBudget
+  if (options.budget !== undefined) {
+    const requested = Number(options.budget)
+    if (!Number.isInteger(requested) || requested <= 0) {
+      throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `--budget 必須是正整數: ${options.budget}`)
+    }
+    budget = Math.min(requested, windowBudget)
+  }
+
+  let context
+  try {
+    context = buildContext({ dir, seeds, query, budget, lineNumbers })
+  } catch (error) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, error.message)
+  }
+
+  const { text, ...summary } = context
+  printContext({ ...summary, model })
+  return { text, summary: { ...summary, model } }
+}
+
+function printContext(context) {
+  console.log(chalk.cyan(`📦 送出的專案上下文 (${context.model}，${context.tokens.toLocaleString()} / ${context.budget.toLocaleString()} tokens)`))
+
+  const rows = context.files.map(file => [
+    file.path,
+    file.summary ? '摘要' : file.partial ? `第 ${file.startLine}-${file.endLine} 行 / 共 ${file.totalLines} 行` : `${file.totalLines} 行`,
+    file.tokens.toLocaleString()
+  ])
+  const widths = [0, 1].map(index => Math.max(...rows.map(row => row[index].length), 0))
+  rows.forEach(row => console.log(chalk.gray(`  ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`)))
+
+  if (context.routes > 0) {
+    console.log(chalk.gray(`  路由對照 ${context.routes} 條`))
+  }
+  if (context.skipped.length > 0) {
+    const preview = context.skipped.slice(0, 5).join(', ')
+    const more = context.skipped.length > 5 ? ` 等 ${context.skipped.length} 個檔案` : ''
+    console.log(chalk.yellow(`  ⚠️ 超出預算未送出: ${preview}${more}`))
+  }
+  console.log()
+}
+
+// 即時輸出 AI 回應並回傳完整內容；Ctrl+C 中止目前的回應
+// request 為 { name, variables, variant }，name 是提示註冊表中的提示名稱
+// echo 為 false 時只收集回應 (例如要解析的 JSON)，spinner 顯示已接收的字數
+async function renderStream(request, { spinner, title, file, context, config, task, echo = true }) {
+  const controller = new AbortController()
+  const interrupt = () => controller.abort()
+  process.once('SIGINT', interrupt)
+
+  // --json 時 stdout 保留給結果，串流內容改寫到 stderr
+  const out = isJsonMode() ? process.stderr : process.stdout
+  const { source, chunks } = streamAI(request, { file, context, config, task, signal: controller.signal })
+  spinner.text = `${source} 回應中...`
+
+  let text = ''
+  try {
+    for await (const chunk of chunks) {
+      if (!echo) {
+        text += chunk
+        spinner.text = `${source} 回應中... (${text.length.toLocaleString()} 字)`
+        continue
+      }
+      if (!text) {
+        spinner.stop()
+        if (title) console.log(title)
+      }
+      out.write(chunk)
+      text += chunk
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new MursfotoError(ERROR_CODES.AI_FAILED, '已取消 AI 回應', { partial: text })
+    }
+    throw error
+  } finally {
+    process.removeListener('SIGINT', interrupt)
+    if (echo && text && !text.endsWith('\n')) out.write('\n')
+  }
+
+  return text
+}
+
 // 互動式選單
-async function interactiveMenu() {
+async function interactiveMenu(options = {}) {
   console.log(chalk.cyan('🤖 Mursfoto AI 助手'))
   console.log(chalk.gray('整合 Claude Code + Gemini 2.5 Pro + Amazon Q\n'))
 
-  const { action } = await inquirer.prompt([
+  const { action } = await prompt([
     {
       type: 'list',
       name: 'action',
@@ -78,6 +269,7 @@ async function interactiveMenu() {
         { name: '⚡ 性能優化', value: 'optimize' },
         { name: '📚 生成文檔', value: 'doc' },
         { name: '🧪 生成測試', value: 'test' },
+        { name: '🏗️  生成專案 (寫入、安裝、執行測試)', value: 'generate' },
         { name: '🎭 端對端測試 (Playwright)', value: 'e2e' },
         { name: '📸 截圖測試', value: 'screenshot' },
         { name: '🌍 跨瀏覽器測試', value: 'browser' },
@@ -90,7 +282,7 @@ async function interactiveMenu() {
         { name: '❌ 退出', value: 'exit' }
       ]
     }
-  ])
+  ], { hint: '請指定動作，例如 mursfoto ai review -f server.js' })
 
   if (action === 'exit') {
     console.log(chalk.green('👋 再見！'))
@@ -102,13 +294,22 @@ async function interactiveMenu() {
     return
   }
 
-  // 執行選擇的功能
-  await aiCommand(action, {})
+  // 執行選擇的功能 (保留已載入的配置)
+  return aiCommand(action, { config: options.config })
 }
 
-// 程式碼審查
+// 程式碼審查：AI 回傳結構化的問題清單 (規則、嚴重程度、檔案行號與建議修改)，依檔案分組顯示
+// 指定 --dir 或 --budget 時改為審查打包的專案上下文，--file 作為相依排序的起點
+// --format / -o 匯出 JSON 或 SARIF，--apply 逐一確認套用建議修改，--fail-on 有達到門檻的問題時以 E_CHECK_FAILED 失敗
 async function reviewCode(options) {
-  const { file } = options.file ? options : await inquirer.prompt([
+  const failOn = parseFailOn(options.failOn)
+  const exportTarget = resolveReviewExport(options)
+  if (options.apply && isCIMode()) {
+    throw new MursfotoError(ERROR_CODES.MISSING_INPUT, '--apply 需要逐一確認建議修改，請在互動模式下執行')
+  }
+
+  const useContext = Boolean(options.dir || options.budget)
+  const { file } = options.file || useContext ? options : await prompt([
     {
       type: 'input',
       name: 'file',
@@ -121,108 +322,323 @@ async function reviewCode(options) {
         return true
       }
     }
-  ])
+  ], { hint: '使用 -f 指定檔案或 --dir 指定目錄' })
 
-  const spinner = ora('正在進行 AI 程式碼審查...').start()
+  const context = useContext
+    ? packContext(options, { task: 'review', dir: options.dir, seeds: file ? [file] : [], lineNumbers: true })
+    : null
+  const spinner = createSpinner('正在進行 AI 程式碼審查...').start()
+  const filePath = file && toProjectPath(file)
 
+  let review
   try {
     // 檢測檔案類型
-    const isAPIGateway = file.includes('gateway') || file.includes('proxy') || file.includes('server')
-    const isCLI = file.includes('cli') || file.includes('command')
+    const target = file || options.dir
+    const isAPIGateway = target.includes('gateway') || target.includes('proxy') || target.includes('server')
+    const isCLI = target.includes('cli') || target.includes('command')
     
-    let context = ''
+    let projectHint = ''
     if (isAPIGateway) {
-      context = '這是 mursfoto-api-gateway 專案的程式碼，請特別注意：安全性、路由配置、中間件、錯誤處理。'
+      projectHint = '這是 mursfoto-api-gateway 專案的程式碼，請特別注意：安全性、路由配置、中間件、錯誤處理。'
     } else if (isCLI) {
-      context = '這是 mursfoto-cli 專案的程式碼，請特別注意：命令結構、使用者體驗、錯誤處理、模板生成。'
+      projectHint = '這是 mursfoto-cli 專案的程式碼，請特別注意：命令結構、使用者體驗、錯誤處理、模板生成。'
     }
 
-    const fileContent = fs.readFileSync(file, 'utf8')
-    
-    // 使用 Gemini 2.5 Pro 進行審查
-    const geminiCommand = `cat "${file}" | gemini-pro "請審查這段 mursfoto 專案的程式碼。${context}
-    
-重點檢查：
-1. 程式碼品質和最佳實踐
-2. 安全性問題
-3. 性能優化機會
-4. mursfoto 專案規範遵循度
-5. 可維護性和擴展性
-
-請提供具體的改進建議。"`
+    // 使用 AI 進行審查；附上的程式碼帶行號，讓問題能對應到行
+    const reviewResult = await renderStream({ name: 'review', variables: { context: projectHint } }, {
+      spinner,
+      context: context ? context.text : numberedFile(file),
+      config: options.config,
+      task: 'review',
+      echo: false
+    })
 
-    spinner.text = 'Gemini 2.5 Pro 審查中...'
-    const geminiResult = execSync(geminiCommand, { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 })
+    try {
+      review = parseFindings(reviewResult, { file: filePath })
+    } catch (error) {
+      if (failOn || exportTarget) {
+        throw new MursfotoError(ERROR_CODES.AI_FAILED, `${error.message}，無法匯出或檢查 --fail-on`, { content: reviewResult })
+      }
+      // 自訂的 review 提示可能不是 JSON 格式，直接顯示原始回應
+      spinner.warn(`${error.message}，以下為原始回應`)
+      console.log(reviewResult)
+      return { file, content: reviewResult, ...(context && { dir: options.dir, context: context.summary }) }
+    }
 
     spinner.succeed('AI 審查完成！')
-    
-    console.log(chalk.green('\n🌟 Gemini 2.5 Pro 審查結果：'))
-    console.log(geminiResult)
 
     // 如果可用，也執行 Amazon Q translate
     try {
       console.log(chalk.yellow('\n📦 Amazon Q 建議的檢查命令：'))
-      const qCommand = `echo "為 ${file} 生成程式碼品質檢查命令" | q translate`
+      const qCommand = `echo "為 ${target} 生成程式碼品質檢查命令" | q translate`
       const qResult = execSync(qCommand, { encoding: 'utf8' })
       console.log(qResult)
     } catch (e) {
       // Q 可能不可用
     }
-
   } catch (error) {
     spinner.fail('審查失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
+
+  resolvePatches(review.findings)
+  printFindings(review)
+
+  const result = {
+    file,
+    ...(context && { dir: options.dir, context: context.summary }),
+    summary: review.summary,
+    counts: countBySeverity(review.findings),
+    findings: review.findings
+  }
+  if (exportTarget) {
+    result.exported = exportReview(review, exportTarget)
+  }
+  if (options.apply) {
+    result.applied = await applyFindings(review.findings)
+  }
+
+  if (failOn) {
+    const failing = review.findings.filter(finding => isAtLeast(finding.severity, failOn))
+    if (failing.length > 0) {
+      throw new MursfotoError(ERROR_CODES.CHECK_FAILED, `審查發現 ${failing.length} 個 ${failOn} 以上的問題`, { failOn, ...result })
+    }
+  }
+
+  return result
+}
+
+// 相對於目前目錄的 posix 路徑，與審查結果中的檔案路徑一致
+function toProjectPath(file) {
+  return path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/')
 }
 
-// API 路由分析
+// 單一檔案審查時附上的內容：路徑標題與帶行號的程式碼
+function numberedFile(file) {
+  const content = fs.readFileSync(file, 'utf8').replace(/\n$/, '')
+  return `## ${toProjectPath(file)}\n\`\`\`${path.extname(file).slice(1)}\n${numberLines(content)}\n\`\`\``
+}
+
+function parseFailOn(value) {
+  if (value === undefined) return null
+  if (!SEVERITIES.includes(value)) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `--fail-on 必須是 ${SEVERITIES.join(', ')} 之一: ${value}`)
+  }
+  return value
+}
+
+// 匯出格式：--format 指定，否則依 -o 的副檔名 (.sarif 為 SARIF，其餘為 JSON)
+function resolveReviewExport(options) {
+  if (!options.format && !options.output) return null
+
+  const format = options.format || (path.extname(options.output) === '.sarif' ? 'sarif' : 'json')
+  if (!['json', 'sarif'].includes(format)) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `--format 必須是 json 或 sarif: ${format}`)
+  }
+  return { format, output: options.output || `mursfoto-review.${format}` }
+}
+
+function exportReview(review, { format, output }) {
+  const tool = { name: 'mursfoto-ai-review', version: cliVersion, informationUri: homepage }
+  const data = format === 'sarif'
+    ? toSarif(review, tool)
+    : { tool, summary: review.summary, counts: countBySeverity(review.findings), findings: review.findings }
+
+  vfs.writeFileSync(output, `${JSON.stringify(data, null, 2)}\n`)
+  console.log(chalk.green(`📄 審查結果已匯出 (${format.toUpperCase()}): ${output}`))
+  return { format, output }
+}
+
+const SEVERITY_COLORS = {
+  critical: chalk.bgRed.white,
+  high: chalk.red,
+  medium: chalk.yellow,
+  low: chalk.blue,
+  info: chalk.gray
+}
+
+function formatLines({ startLine, endLine }) {
+  return startLine === endLine ? String(startLine) : `${startLine}-${endLine}`
+}
+
+// 依檔案分組、由嚴重到輕微列出問題與建議修改
+function printFindings(review) {
+  console.log(chalk.green('\n🌟 AI 審查結果：'))
+  if (review.summary) console.log(review.summary)
+
+  if (review.findings.length === 0) {
+    console.log(chalk.green('✅ 沒有發現問題\n'))
+    return
+  }
+
+  const groups = new Map()
+  for (const finding of review.findings) {
+    if (!groups.has(finding.file)) groups.set(finding.file, [])
+    groups.get(finding.file).push(finding)
+  }
+
+  for (const [file, findings] of groups) {
+    console.log(chalk.bold(`\n${file || '(未標示檔案)'}`))
+    for (const finding of findings) {
+      const severity = SEVERITY_COLORS[finding.severity](finding.severity.toUpperCase().padEnd(8))
+      console.log(`  ${severity} ${chalk.gray(formatLines(finding).padEnd(9))} ${chalk.cyan(finding.ruleId)}`)
+      console.log(`           ${finding.message}`)
+      if (finding.patch) printPatch(finding.patch)
+    }
+  }
+
+  const counts = countBySeverity(review.findings)
+  const totals = SEVERITIES.filter(severity => counts[severity] > 0).map(severity => `${severity} ${counts[severity]}`)
+  console.log(`\n共 ${review.findings.length} 個問題：${totals.join('、')}\n`)
+}
+
+function printPatch(patch) {
+  const indent = '           '
+  if (!patch.applicable) {
+    console.log(chalk.gray(`${indent}(建議修改的原始程式碼與目前檔案不符，無法套用)`))
+    return
+  }
+  console.log(chalk.gray(`${indent}建議修改 (第 ${formatLines(patch)} 行)：`))
+  patch.original.replace(/\n$/, '').split('\n').forEach(line => console.log(chalk.red(`${indent}- ${line}`)))
+  if (patch.replacement) {
+    patch.replacement.replace(/\n$/, '').split('\n').forEach(line => console.log(chalk.green(`${indent}+ ${line}`)))
+  }
+}
+
+// 逐一確認並套用建議修改；套用前重新比對目前內容，已被先前的修改改動時略過
+async function applyFindings(findings) {
+  const candidates = findings.filter(finding => finding.patch?.applicable)
+  const applied = []
+  if (candidates.length === 0) {
+    console.log(chalk.gray('沒有可套用的建議修改'))
+    return applied
+  }
+
+  let applyAll = false
+  for (const finding of candidates) {
+    const location = `${finding.file}:${formatLines(finding.patch)}`
+    let answer = 'apply'
+    if (!applyAll) {
+      ({ answer } = await prompt([
+        {
+          type: 'list',
+          name: 'answer',
+          message: `套用 ${location} 的建議修改 (${finding.ruleId})？`,
+          choices: [
+            { name: '套用', value: 'apply' },
+            { name: '略過', value: 'skip' },
+            { name: '套用其餘全部', value: 'all' },
+            { name: '停止', value: 'quit' }
+          ]
+        }
+      ]))
+    }
+
+    if (answer === 'quit') break
+    if (answer === 'skip') continue
+    if (answer === 'all') applyAll = true
+
+    const target = path.resolve(finding.file)
+    const updated = applyPatch(vfs.readFileSync(target, 'utf8'), finding.patch, finding.patch.startLine)
+    if (updated === null) {
+      console.log(chalk.yellow(`⚠️ ${location} 的內容已改變，略過`))
+      continue
+    }
+    vfs.writeFileSync(target, updated)
+    applied.push({ file: finding.file, startLine: finding.patch.startLine, ruleId: finding.ruleId })
+    console.log(chalk.green(`✅ 已套用 ${location}`))
+  }
+
+  console.log(chalk.cyan(`\n已套用 ${applied.length} / ${candidates.length} 個建議修改`))
+  return applied
+}
+
+// 以路由清單分析 API：列出實際路由，再逐一分析定義路由的檔案並附上該檔案的路由
 async function analyzeAPI(options) {
+  const root = process.cwd()
+  const inventory = buildRouteInventory(root, walkProject(root).map(file => file.path))
+
+  if (inventory.routes.length === 0) {
+    return analyzeRouteFiles(options)
+  }
+
+  printRouteInventory(inventory)
+  const files = [...new Set(inventory.routes.map(route => route.file))]
+  const spinner = createSpinner('正在分析 API 路由...').start()
+
+  try {
+    spinner.succeed(`找到 ${inventory.routes.length} 個路由，分布在 ${files.length} 個檔案`)
+    const results = []
+
+    for (const file of files) {
+      console.log(chalk.cyan(`\n📌 分析路由: ${file}`))
+      const routes = inventory.routes.filter(route => route.file === file).map(route => `- ${formatRoute(route)}`).join('\n')
+
+      const result = await renderStream(
+        { name: 'api', variables: { routes } },
+        { spinner, file: path.join(root, file), config: options.config, task: 'review' }
+      )
+      results.push({ file, content: result })
+    }
+
+    return { endpoints: inventory.routes, routes: results }
+  } catch (error) {
+    spinner.fail('分析失敗')
+    throw toAIError(error)
+  }
+}
+
+function printRouteInventory(inventory) {
+  console.log(chalk.cyan(`🗺️  路由清單 (${inventory.routes.length} 個)`))
+  for (const route of inventory.routes) {
+    console.log(`  ${chalk.bold(route.method.padEnd(7))}${route.path} ${chalk.gray(`${route.file}:${route.line}`)}`)
+    if (route.middleware.length > 0) console.log(chalk.gray(`         中間件: ${route.middleware.join(', ')}`))
+    if (route.validators.length > 0) {
+      console.log(chalk.gray(`         驗證: ${route.validators.map(item => `${item.in}.${item.field}`).join(', ')}`))
+    }
+    if (!route.mounted) console.log(chalk.yellow('         ⚠️ 沒有掛載到應用程式'))
+  }
+}
+
+// 找不到 Express 路由時，分析 routes/ 資料夾或 server.js
+async function analyzeRouteFiles(options) {
   const routesPath = path.join(process.cwd(), 'routes')
   
   if (!fs.existsSync(routesPath)) {
     console.log(chalk.yellow('找不到 routes 資料夾，嘗試分析 server.js...'))
     
     if (fs.existsSync('server.js')) {
-      await reviewCode({ file: 'server.js' })
-    } else {
-      console.log(chalk.red('找不到 API 相關檔案'))
+      return reviewCode({ file: 'server.js' })
     }
-    return
+    throw new MursfotoError(ERROR_CODES.MISSING_INPUT, '找不到 API 相關檔案 (routes/ 或 server.js)')
   }
 
-  const spinner = ora('正在分析 API 路由...').start()
+  const spinner = createSpinner('正在分析 API 路由...').start()
 
   try {
     const routes = fs.readdirSync(routesPath).filter(file => file.endsWith('.js'))
     
     spinner.succeed(`找到 ${routes.length} 個路由檔案`)
-    
+    const results = []
+
     for (const route of routes) {
       const filePath = path.join(routesPath, route)
       console.log(chalk.cyan(`\n📌 分析路由: ${route}`))
       
-      const command = `cat "${filePath}" | gemini-pro "分析這個 mursfoto API 路由：
-1. 路由端點列表
-2. 中間件使用
-3. 錯誤處理
-4. 安全性考量
-5. 改進建議
-
-請簡潔列出重點。"`
-
-      const result = execSync(command, { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 })
-      console.log(result)
+      const result = await renderStream({ name: 'api' }, { spinner, file: filePath, config: options.config, task: 'review' })
+      results.push({ file: route, content: result })
     }
 
+    return { routes: results }
   } catch (error) {
     spinner.fail('分析失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
 // 部署協助
 async function deploymentAssist(options) {
-  const { platform } = await inquirer.prompt([
+  const { platform } = options.platform ? options : await prompt([
     {
       type: 'list',
       name: 'platform',
@@ -235,65 +651,34 @@ async function deploymentAssist(options) {
         { name: '🔧 自訂', value: 'custom' }
       ]
     }
-  ])
+  ], { hint: '使用 --platform 指定平台' })
 
-  const spinner = ora('生成部署建議...').start()
+  const spinner = createSpinner('生成部署建議...').start()
 
   try {
-    let deployCommand = ''
-    
-    switch (platform) {
-      case 'zeabur':
-        deployCommand = `gemini-pro "為 mursfoto-api-gateway 專案生成 Zeabur 部署配置：
-1. zeabur.json 配置檔
-2. 環境變數設定
-3. 資料庫連接配置
-4. 部署步驟說明
-5. 常見問題解決"`
-        break
-      
-      case 'docker':
-        deployCommand = `gemini-pro "為 mursfoto 專案生成 Docker 配置：
-1. Dockerfile 內容
-2. docker-compose.yml
-3. 環境變數配置
-4. 構建和運行命令
-5. 最佳實踐"`
-        break
-      
-      default:
-        deployCommand = `gemini-pro "為 mursfoto 專案在 ${platform} 平台的部署提供指導"`
-    }
-
-    const result = execSync(deployCommand, { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 })
+    const result = await renderStream({ name: 'deploy', variables: { platform } }, { spinner, config: options.config })
     
     spinner.succeed('部署建議已生成！')
-    console.log(result)
 
     // 詢問是否要生成配置檔案
-    const { generateConfig } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'generateConfig',
-        message: '是否要生成配置檔案？',
-        default: true
-      }
-    ])
-
-    if (generateConfig) {
-      // 根據平台生成相應配置檔案
-      console.log(chalk.green('✅ 配置檔案生成功能開發中...'))
+    let savedTo = null
+    if (await shouldSave(options, '是否要生成配置檔案？')) {
+      savedTo = options.output || `deploy-${platform}.md`
+      vfs.writeFileSync(savedTo, result)
+      console.log(chalk.green(`✅ 部署建議已保存到: ${savedTo}`))
     }
 
+    return { platform, content: result, savedTo }
   } catch (error) {
     spinner.fail('生成失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
-// 性能優化
+// 性能優化；--dir 或 --budget 的用法與 review 相同
 async function optimizeCode(options) {
-  const { file } = options.file ? options : await inquirer.prompt([
+  const useContext = Boolean(options.dir || options.budget)
+  const { file } = options.file || useContext ? options : await prompt([
     {
       type: 'input',
       name: 'file',
@@ -305,35 +690,32 @@ async function optimizeCode(options) {
         return true
       }
     }
-  ])
+  ], { hint: '使用 -f 指定檔案' })
 
-  const spinner = ora('分析性能瓶頸...').start()
+  const context = useContext ? packContext(options, { task: 'review', dir: options.dir, seeds: file ? [file] : [] }) : null
+  const spinner = createSpinner('分析性能瓶頸...').start()
 
   try {
-    const command = `cat "${file}" | gemini-pro "對這個 mursfoto 程式碼進行性能優化分析：
-    
-1. 識別性能瓶頸
-2. 提供優化方案
-3. 給出優化後的程式碼範例
-4. 預期性能提升
-5. 風險評估
-
-專注於 mursfoto 專案常見的性能問題（API 響應、資料庫查詢、中間件效率）。"`
-
-    const result = execSync(command, { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 })
+    const result = await renderStream({ name: 'optimize' }, {
+      spinner,
+      file: context ? undefined : file,
+      context: context?.text,
+      config: options.config,
+      task: 'review'
+    })
     
     spinner.succeed('優化分析完成！')
-    console.log(result)
 
+    return { file, content: result, ...(context && { dir: options.dir, context: context.summary }) }
   } catch (error) {
     spinner.fail('優化分析失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
 // 生成文檔
 async function generateDocs(options) {
-  const { type } = await inquirer.prompt([
+  const { type } = options.type ? options : await prompt([
     {
       type: 'list',
       name: 'type',
@@ -346,67 +728,37 @@ async function generateDocs(options) {
         { name: '🔧 配置說明', value: 'config' }
       ]
     }
-  ])
+  ], { hint: '使用 --type 指定文檔類型' })
 
-  const spinner = ora('生成文檔中...').start()
+  // 在專案中 (或指定 --dir 時) 附上專案上下文，文檔才會描述實際的程式碼
+  const context = options.dir || isProjectDir()
+    ? packContext(options, { task: 'doc', dir: options.dir, query: type })
+    : null
+  const spinner = createSpinner('生成文檔中...').start()
 
   try {
-    let docCommand = `gemini-pro "為 mursfoto 專案生成 ${type} 文檔，包含：`
-    
-    switch (type) {
-      case 'readme':
-        docCommand += `
-1. 專案簡介
-2. 功能特點
-3. 快速開始
-4. 使用範例
-5. API 參考
-6. 貢獻指南"`
-        break
-      
-      case 'api':
-        docCommand += `
-1. API 端點列表
-2. 請求/響應格式
-3. 認證方式
-4. 錯誤代碼
-5. 使用範例"`
-        break
-      
-      default:
-        docCommand += '完整的文檔結構'
-    }
-
-    const result = execSync(docCommand, { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 })
+    const result = await renderStream({ name: 'doc', variables: { type } }, { spinner, context: context?.text, config: options.config, task: 'doc' })
     
     spinner.succeed('文檔生成完成！')
-    console.log(result)
 
     // 詢問是否保存
-    const { save } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'save',
-        message: '是否保存文檔到檔案？',
-        default: true
-      }
-    ])
-
-    if (save) {
-      const filename = `${type}-${Date.now()}.md`
-      fs.writeFileSync(filename, result)
-      console.log(chalk.green(`✅ 文檔已保存到: ${filename}`))
+    let savedTo = null
+    if (await shouldSave(options, '是否保存文檔到檔案？')) {
+      savedTo = options.output || `${type}-${Date.now()}.md`
+      vfs.writeFileSync(savedTo, result)
+      console.log(chalk.green(`✅ 文檔已保存到: ${savedTo}`))
     }
 
+    return { type, content: result, savedTo, ...(context && { context: context.summary }) }
   } catch (error) {
     spinner.fail('文檔生成失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
 // 生成測試
 async function generateTests(options) {
-  const { file } = options.file ? options : await inquirer.prompt([
+  const { file } = options.file ? options : await prompt([
     {
       type: 'input',
       name: 'file',
@@ -418,86 +770,521 @@ async function generateTests(options) {
         return true
       }
     }
-  ])
+  ], { hint: '使用 -f 指定檔案' })
 
-  const spinner = ora('生成測試程式碼...').start()
+  const spinner = createSpinner('生成測試程式碼...').start()
 
   try {
-    const command = `cat "${file}" | gemini-pro "為這個 mursfoto 程式碼生成完整的測試：
-    
-1. 使用 Jest 測試框架
-2. 包含單元測試
-3. 包含整合測試（如適用）
-4. 邊界案例測試
-5. 錯誤處理測試
-
-請提供可直接運行的測試程式碼。"`
-
-    const result = execSync(command, { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 })
+    const result = await renderStream({ name: 'test' }, { spinner, file, config: options.config, task: 'test' })
     
     spinner.succeed('測試生成完成！')
-    console.log(result)
 
     // 詢問是否保存
-    const { save } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'save',
-        message: '是否保存測試檔案？',
-        default: true
-      }
-    ])
-
-    if (save) {
-      const testFile = file.replace('.js', '.test.js')
-      fs.writeFileSync(testFile, result)
-      console.log(chalk.green(`✅ 測試已保存到: ${testFile}`))
+    let savedTo = null
+    if (await shouldSave(options, '是否保存測試檔案？')) {
+      savedTo = options.output || file.replace('.js', '.test.js')
+      vfs.writeFileSync(savedTo, result)
+      console.log(chalk.green(`✅ 測試已保存到: ${savedTo}`))
     }
 
+    return { file, content: result, savedTo }
   } catch (error) {
     spinner.fail('測試生成失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
-// 自由提問
+// 測試或啟動失敗時請 AI 修正的預設輪數
+const TEST_REPAIR_ROUNDS = 2
+// 附給 AI 的失敗輸出長度上限
+const MAX_FAILURE_OUTPUT = 4000
+
+// 由描述產生可執行的 Express 專案：寫入 --out 目錄後安裝依賴、啟動伺服器並執行產生的 Jest 測試，
+// 失敗時把錯誤輸出交給 AI 修正 (最多 --max-repairs 輪)，最後列出每個測試檔案的結果；仍有失敗時以 E_CHECK_FAILED 結束
+// --no-verify 只寫入檔案
+async function generateProject(options) {
+  const maxRepairs = parseMaxRepairs(options.maxRepairs)
+  const { description } = options.subaction ? { description: options.subaction } : await prompt([
+    {
+      type: 'input',
+      name: 'description',
+      message: '請描述要產生的 API：',
+      validate: input => (input.trim() ? true : '請輸入描述')
+    }
+  ], { hint: '使用 mursfoto ai generate "<描述>" --out <目錄>' })
+
+  const out = path.resolve(options.out || options.name || 'ai-generated-api')
+  if (vfs.existsSync(out) && vfs.readdirSync(out).length > 0) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `輸出目錄已存在且不是空的: ${out}`)
+  }
+
+  const generator = new AICodeGenerator({ config: options.config })
+  let generated
+  try {
+    generated = await generator.generate(description, 'api', 'express', { projectName: path.basename(out) })
+  } catch (error) {
+    throw toAIError(error)
+  }
+
+  const files = { ...generated.code.files, ...generated.code.tests }
+  for (const [file, content] of Object.entries(files)) {
+    await vfs.outputFile(path.join(out, file), content)
+  }
+  console.log(chalk.green(`✅ 已寫入 ${Object.keys(files).length} 個檔案到 ${out} (品質分數 ${generated.qualityScore})`))
+
+  const result = { out, description, files: Object.keys(files), qualityScore: generated.qualityScore, verified: false }
+  if (options.verify === false || vfs.dryRun) {
+    console.log(chalk.gray(vfs.dryRun ? '預覽模式不會安裝依賴與執行測試' : '已略過驗證 (--no-verify)'))
+    return result
+  }
+
+  const report = await verifyProject(out, files, generator, maxRepairs)
+  printVerifyReport(report)
+  Object.assign(result, { verified: true, ...report })
+  if (!report.ok) {
+    throw new MursfotoError(ERROR_CODES.CHECK_FAILED, '產生的專案沒有通過驗證', result)
+  }
+  return result
+}
+
+function parseMaxRepairs(value) {
+  if (value === undefined) return TEST_REPAIR_ROUNDS
+  const rounds = Number(value)
+  if (!Number.isInteger(rounds) || rounds < 0) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `--max-repairs 必須是 0 以上的整數: ${value}`)
+  }
+  return rounds
+}
+
+// 啟動伺服器並執行測試；兩者都通過才算成功
+async function checkProject(out, spinner) {
+  spinner.start('🚀 啟動伺服器...')
+  const boot = await bootServer(out)
+  spinner.text = '🧪 執行測試...'
+  const tests = await runTests(out)
+  spinner.stop()
+  return { ok: boot.ok && tests.ok, boot, tests }
+}
+
+function passedTests(state) {
+  return state.tests.files.reduce((sum, file) => sum + file.passed, 0)
+}
+
+// 修正是否有改善：全部通過、通過的測試變多，或伺服器改為可以啟動
+function improved(next, state) {
+  return next.ok || passedTests(next) > passedTests(state) || (next.boot.ok && !state.boot.ok)
+}
+
+// 給 AI 的失敗說明：啟動錯誤與每個失敗測試的訊息
+function describeFailures(state) {
+  const sections = []
+  if (!state.boot.ok) {
+    sections.push(`## 啟動伺服器 (node server.js) 失敗\n\`\`\`\n${state.boot.output.slice(-MAX_FAILURE_OUTPUT)}\n\`\`\``)
+  }
+  for (const file of state.tests.files.filter(item => item.status === 'failed')) {
+    const messages = file.failures.map(failure => `- ${failure.name}\n${failure.message}`).join('\n')
+    sections.push(`## ${file.file}\n\`\`\`\n${messages.slice(0, MAX_FAILURE_OUTPUT)}\n\`\`\``)
+  }
+  if (!state.tests.ok && state.tests.files.length === 0) {
+    sections.push(`## Jest 無法執行\n\`\`\`\n${state.tests.output.slice(-MAX_FAILURE_OUTPUT)}\n\`\`\``)
+  }
+  return sections.join('\n\n')
+}
+
+// 安裝依賴後反覆「啟動、測試、AI 修正」，修正後通過的項目變少時還原並停止
+async function verifyProject(out, files, generator, maxRepairs) {
+  const spinner = createSpinner('📦 安裝依賴...').start()
+  let install = await installDependencies(out)
+  if (!install.ok) {
+    spinner.fail('安裝依賴失敗')
+    console.log(chalk.gray(install.output.slice(-MAX_FAILURE_OUTPUT)))
+    return { ok: false, install: { ok: false }, boot: null, tests: [], repairs: [] }
+  }
+  spinner.succeed('依賴已安裝')
+
+  const project = { ...files }
+  let state = await checkProject(out, spinner)
+  const repairs = []
+
+  for (let round = 1; round <= maxRepairs && !state.ok; round++) {
+    if (!generator.aiRouter.hasAvailableProvider({ task: 'code' })) {
+      console.log(chalk.gray('沒有可用的模型，略過 AI 修正'))
+      break
+    }
+    spinner.start(`🔧 AI 修正中 (第 ${round} 輪)...`)
+    let repaired
+    try {
+      repaired = await generator.repairFromFailures(project, describeFailures(state))
+    } catch (error) {
+      spinner.fail(`AI 修正失敗: ${error.message}`)
+      break
+    }
+    repaired.rejected.forEach(item => console.log(chalk.yellow(`⚠️  未採用 ${item.file}: ${item.reason}`)))
+    const changed = Object.keys(repaired.files)
+    if (changed.length === 0) {
+      spinner.warn('AI 沒有提出可採用的修改')
+      break
+    }
+
+    const previous = Object.fromEntries(changed.map(file => [file, project[file]]))
+    const write = async contents => {
+      for (const [file, content] of Object.entries(contents)) {
+        if (content === undefined) await vfs.remove(path.join(out, file))
+        else await vfs.outputFile(path.join(out, file), content)
+      }
+    }
+    await write(repaired.files)
+    if (changed.includes('package.json')) {
+      spinner.text = '📦 重新安裝依賴...'
+      install = await installDependencies(out)
+    }
+
+    const next = install.ok ? await checkProject(out, spinner) : { ok: false, boot: { ok: false, output: install.output }, tests: { ok: false, files: [], output: '' } }
+    const kept = improved(next, state)
+    repairs.push({ round, files: changed, before: passedTests(state), after: passedTests(next), kept })
+    if (!kept) {
+      // 沒有改善時還原本輪的修改
+      await write(previous)
+      if (changed.includes('package.json')) install = await installDependencies(out)
+      console.log(chalk.yellow(`↩️  第 ${round} 輪修正沒有改善結果，已還原`))
+      break
+    }
+    Object.assign(project, repaired.files)
+    state = next
+  }
+
+  return {
+    ok: state.ok,
+    install: { ok: true },
+    boot: { ok: state.boot.ok, status: state.boot.status, ...(state.boot.ok ? {} : { output: state.boot.output.slice(-MAX_FAILURE_OUTPUT) }) },
+    tests: state.tests.files.map(({ file, status, passed, failed }) => ({ file, status, passed, failed })),
+    repairs
+  }
+}
+
+function printVerifyReport(report) {
+  const mark = ok => (ok ? chalk.green('✔') : chalk.red('✖'))
+  console.log(chalk.cyan('\n📋 驗證結果'))
+  console.log(`  ${mark(report.install.ok)} 安裝依賴`)
+  if (!report.boot) return
+
+  console.log(`  ${mark(report.boot.ok)} 啟動伺服器${report.boot.status ? ` (GET /health → ${report.boot.status})` : ''}`)
+  if (report.tests.length === 0) console.log(`  ${mark(false)} 沒有測試結果 (Jest 無法執行)`)
+  for (const file of report.tests) {
+    console.log(`  ${mark(file.status === 'passed')} ${file.file}  ${file.passed}/${file.passed + file.failed} 通過`)
+  }
+  for (const repair of report.repairs) {
+    const files = repair.files.join(', ')
+    console.log(chalk.gray(`  🔧 第 ${repair.round} 輪 AI 修正 ${repair.kept ? '已採用' : '已還原'}: ${files} (通過的測試 ${repair.before} → ${repair.after})`))
+  }
+}
+
+// 自由提問；--prompt 改用註冊表中的其他提示 (例如專案 .ai-rules/prompts)，以 --var 填入變數
 async function askAI(options) {
-  const { question } = options.question ? options : await inquirer.prompt([
+  const variables = parseVarOptions(options.var)
+  if (options.prompt) {
+    findPrompt(options.prompt, options)
+  }
+
+  const { question } = options.question || options.prompt ? options : await prompt([
     {
       type: 'input',
       name: 'question',
       message: '請輸入你的問題：',
       validate: (input) => input.length > 0 || '請輸入問題'
     }
-  ])
+  ], { hint: '使用 -q 提問' })
 
-  const spinner = ora('AI 思考中...').start()
+  // 已建立語意索引時附上檢索到的片段，否則依問題中的關鍵字打包專案上下文
+  const query = [question, ...Object.values(variables)].join(' ')
+  const retrieval = options.index !== false ? await retrieveSources(options, query) : null
+  const context = !retrieval && (options.dir || isProjectDir())
+    ? packContext(options, { dir: options.dir, query })
+    : null
+  const spinner = createSpinner('AI 思考中...').start()
 
   try {
-    const command = `gemini-pro "${question}
-
-請注意這是關於 mursfoto 專案的問題，該專案包含：
-- mursfoto-cli: CLI 工具
-- mursfoto-api-gateway: API 網關
-- 使用 Node.js、Express、MySQL
-- 支援 Zeabur 部署"`
-
-    const result = execSync(command, { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 })
+    const request = {
+      name: options.prompt || (retrieval ? 'ask-index' : 'ask'),
+      variables: { question, ...variables },
+      variant: options.variant
+    }
+    const result = await renderStream(request, { spinner, context: retrieval?.text || context?.text, config: options.config })
     
     spinner.succeed('回答完成！')
-    console.log(result)
 
+    return {
+      question,
+      prompt: request.name,
+      content: result,
+      ...(retrieval && { sources: retrieval.sources.map(({ text, ...source }) => source) }),
+      ...(context && { context: context.summary })
+    }
   } catch (error) {
     spinner.fail('回答失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
+// 從語意索引檢索相關片段 (先增量更新有變動的檔案)；沒有索引或檢索失敗時回傳 null
+async function retrieveSources(options, query) {
+  const config = options.config || getConfig()
+  const index = new CodeIndex()
+  if (!query.trim() || !index.exists()) return null
+
+  try {
+    const router = AIModelRouter.fromConfig(config)
+    index.embedder = await resolveEmbedder(router, index.load().embedder || config.ai.index.embedder)
+    await index.update()
+    const sources = await index.search(query, { limit: config.ai.index.topK })
+    if (sources.length === 0) return null
+
+    console.log(chalk.cyan(`📚 從語意索引檢索到 ${sources.length} 個片段 (${index.embedder.id})`))
+    sources.forEach((source, number) => {
+      console.log(chalk.gray(`  [${number + 1}] ${source.path}:${source.startLine}-${source.endLine}  ${source.score.toFixed(3)}`))
+    })
+    console.log()
+
+    const sections = sources.map((source, number) => {
+      const language = path.extname(source.path).slice(1)
+      return `[${number + 1}] ${source.path}:${source.startLine}-${source.endLine}\n\`\`\`${language}\n${source.text}\n\`\`\``
+    })
+    return { sources, text: ['# 相關程式碼片段', ...sections].join('\n\n') }
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️ 語意索引無法使用，改為打包專案上下文: ${error.message}`))
+    return null
+  }
+}
+
+// 語意索引：mursfoto ai index [update|status|clear]
+async function manageIndex(options) {
+  const config = options.config || getConfig()
+  const index = new CodeIndex()
+
+  switch (options.subaction) {
+    case 'update':
+    case undefined: {
+      const spinner = createSpinner('選擇嵌入模型...').start()
+      try {
+        const router = AIModelRouter.fromConfig(config)
+        index.embedder = await resolveEmbedder(router, config.ai.index.embedder)
+        const result = await index.update({
+          onProgress: (done, total, file) => { spinner.text = `索引中 (${done}/${total}) ${file}` }
+        })
+        spinner.succeed(`語意索引已更新 (${result.embedder})`)
+        console.log(`  新增 ${result.added}、更新 ${result.updated}、移除 ${result.removed}、未變更 ${result.unchanged} 個檔案，共 ${result.chunks} 個片段`)
+        console.log(chalk.gray(`  位置: ${index.filePath}`))
+        return { ...result, file: index.filePath }
+      } catch (error) {
+        spinner.fail('語意索引更新失敗')
+        throw toAIError(error)
+      }
+    }
+    case 'status': {
+      const stats = index.stats()
+      console.log(chalk.cyan('🔎 語意索引\n'))
+      if (!stats.updatedAt) {
+        console.log(chalk.gray('  尚未建立索引，請執行 mursfoto ai index'))
+        return stats
+      }
+      console.log(`  專案: ${stats.root}`)
+      console.log(`  位置: ${stats.file}`)
+      console.log(`  嵌入: ${stats.embedder}`)
+      console.log(`  檔案: ${stats.files}，片段: ${stats.chunks}，大小: ${formatBytes(stats.size)}`)
+      console.log(`  更新時間: ${new Date(stats.updatedAt).toLocaleString()}`)
+      return stats
+    }
+    case 'clear': {
+      const removed = index.clear()
+      console.log(chalk.green(removed ? '✅ 已刪除語意索引' : '目前專案沒有語意索引'))
+      return { removed, file: index.filePath }
+    }
+    default:
+      throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `未知的索引操作: ${options.subaction}（可用: update, status, clear）`)
+  }
+}
+
+// AI 回應快取：mursfoto ai cache stats|clear
+function manageCache(options) {
+  // 停用快取時仍可查看與清除既有的快取
+  const { enabled, ttl, maxSize } = options.config.ai.cache
+  const cache = new AICache({ ttl, maxSize })
+
+  switch (options.subaction) {
+    case 'clear': {
+      const removed = cache.clear()
+      console.log(chalk.green(`✅ 已清除 ${removed} 筆 AI 快取`))
+      return { removed }
+    }
+    case 'stats':
+    case undefined: {
+      const stats = cache.stats()
+      console.log(chalk.cyan('🗃️  AI 回應快取\n'))
+      console.log(`  位置: ${stats.dir}`)
+      console.log(`  項目: ${stats.entries}`)
+      console.log(`  容量: ${formatBytes(stats.size)} / ${formatBytes(stats.maxSize)}`)
+      console.log(`  有效時間: ${stats.ttl > 0 ? `${Math.round(stats.ttl / 3600000)} 小時` : '不過期'}`)
+      if (!enabled) {
+        console.log(chalk.yellow('  快取目前已停用 (ai.cache.enabled = false)'))
+      }
+      return { ...stats, enabled }
+    }
+    default:
+      throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `未知的快取操作: ${options.subaction}（可用: stats, clear）`)
+  }
+}
+
+// AI 用量報表：mursfoto ai usage --since 7d --by model|provider|project|command|prompt|day
+function showUsage(options) {
+  const ledger = new UsageLedger({ pricing: options.config.ai.pricing })
+  let summary
+  try {
+    summary = ledger.summarize({ since: parseSince(options.since || '7d'), by: options.by || 'model' })
+  } catch (error) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, error.message)
+  }
+
+  console.log(chalk.cyan(`🧾 AI 用量 (${summary.since.slice(0, 10)} 起，依 ${summary.by} 分組)\n`))
+  if (summary.groups.length === 0) {
+    console.log(chalk.gray('  尚無用量紀錄'))
+    return { ...summary, file: ledger.filePath }
+  }
+
+  const rows = [...summary.groups, { ...summary.total, key: '合計' }].map(group => [
+    group.key,
+    String(group.requests),
+    String(group.inputTokens),
+    String(group.outputTokens),
+    `$${group.cost.toFixed(4)}`
+  ])
+  const header = [summary.by, '請求', '輸入 tokens', '輸出 tokens', '費用']
+  const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)))
+  const format = row => row.map((cell, index) => index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index])).join('  ')
+
+  console.log(chalk.bold(`  ${format(header)}`))
+  rows.forEach((row, index) => {
+    const line = `  ${format(row)}`
+    console.log(index === rows.length - 1 ? chalk.bold(line) : line)
+  })
+  return { ...summary, file: ledger.filePath }
+}
+
+// 找不到提示時視為輸入錯誤
+function findPrompt(name, options = {}) {
+  try {
+    return resolvePrompt(name, { variant: options.variant, model: options.model })
+  } catch (error) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `${error.message}（使用 mursfoto ai prompts list 查看可用提示）`)
+  }
+}
+
+// 提示管理：mursfoto ai prompts list|show|edit <name>
+function managePrompts(options) {
+  switch (options.subaction) {
+    case 'list':
+    case undefined:
+      return listPromptTable()
+    case 'show':
+      return showPrompt(options)
+    case 'edit':
+      return editPrompt(options)
+    default:
+      throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `未知的提示操作: ${options.subaction}（可用: list, show, edit）`)
+  }
+}
+
+function listPromptTable() {
+  const prompts = listPrompts()
+  const sourceLabels = { builtin: '內建', user: '使用者', project: '專案' }
+
+  console.log(chalk.cyan('📝 AI 提示\n'))
+  const rows = prompts.map(item => [
+    item.name,
+    item.version,
+    sourceLabels[item.source],
+    [...item.variants, ...item.models.map(model => `.${model}`)].join(', '),
+    item.description
+  ])
+  const header = ['名稱', '版本', '來源', '變體/模型', '說明']
+  const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)))
+  const format = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd()
+
+  console.log(chalk.bold(`  ${format(header)}`))
+  rows.forEach(row => console.log(`  ${format(row)}`))
+
+  // 覆寫的版本比內建版本舊時提醒更新
+  for (const item of prompts) {
+    for (const outdated of item.outdated) {
+      console.log(chalk.yellow(`  ⚠️  ${outdated.file} (${outdated.version}) 舊於內建版本 ${outdated.builtinVersion}，請確認是否需要更新`))
+    }
+  }
+
+  return { prompts, dirs: { user: getUserPromptsDir(), project: getProjectPromptsDir() } }
+}
+
+// 顯示提示模板；指定 --var 時顯示產生的提示文字
+function showPrompt(options) {
+  const entry = findPrompt(requirePromptName(options, 'show'), options)
+  const variables = parseVarOptions(options.var)
+  const rendered = Object.keys(variables).length > 0
+  const content = rendered
+    ? renderPrompt(entry.name, variables, { variant: entry.variant, model: options.model }).text
+    : fs.readFileSync(entry.path, 'utf8')
+
+  console.log(chalk.gray(`# ${entry.path} (${entry.source}, ${entry.version})\n`))
+  console.log(content)
+  return { ...entry, rendered, content }
+}
+
+// 複製生效的提示到使用者 (或 --project 時專案) 目錄後以編輯器開啟，之後即覆寫內建版本
+async function editPrompt(options) {
+  const name = requirePromptName(options, 'edit')
+  const variant = options.variant || DEFAULT_VARIANT
+  const targetDir = options.project ? getProjectPromptsDir() : getUserPromptsDir()
+  const target = path.join(targetDir, getPromptFileName(name, variant, options.model))
+
+  let created = false
+  if (!vfs.existsSync(target)) {
+    let base
+    try {
+      base = resolvePrompt(name, { variant, model: options.model })
+    } catch (error) {
+      // 新的變體以預設變體為起點
+      base = findPrompt(name, { model: options.model })
+    }
+    await vfs.ensureDir(targetDir)
+    await vfs.copy(base.path, target)
+    created = true
+    console.log(chalk.green(`✅ ${vfs.dryRun ? '將' : '已'}從 ${base.source} 複製提示到: ${target}`))
+  }
+
+  // 非互動終端、--json 或預覽模式 (檔案不在磁碟上) 時不開啟編輯器
+  if (!isInteractive() || isJsonMode() || vfs.dryRun) {
+    console.log(chalk.gray(`提示檔位置: ${target}`))
+    return { name, variant, path: target, created }
+  }
+
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi'
+  // EDITOR 可能帶參數 (例如 code --wait)，透過 shell 執行
+  const result = spawnSync(`${editor} ${quoteArg(target)}`, { stdio: 'inherit', shell: true })
+  if (result.status !== 0) {
+    console.log(chalk.yellow(`⚠️ 編輯器 ${editor} 未正常結束，提示檔位置: ${target}`))
+  }
+  return { name, variant, path: target, created }
+}
+
+function requirePromptName(options, subaction) {
+  if (!options.name) {
+    throw new MursfotoError(ERROR_CODES.MISSING_INPUT, `請指定提示名稱，例如 mursfoto ai prompts ${subaction} review`)
+  }
+  return options.name
+}
+
 // 配置 API Keys
 async function configureAPIKeys() {
   console.log(chalk.cyan('🔑 配置 AI API Keys'))
   
-  const { geminiKey } = await inquirer.prompt([
+  const { geminiKey } = await prompt([
     {
       type: 'input',
       name: 'geminiKey',
@@ -521,7 +1308,7 @@ async function configureAPIKeys() {
       envContent += `\nGEMINI_API_KEY=${geminiKey}`
     }
 
-    fs.writeFileSync(envPath, envContent)
+    vfs.writeFileSync(envPath, envContent)
     console.log(chalk.green('✅ API Key 已保存到 .env'))
   }
 
@@ -531,65 +1318,35 @@ async function configureAPIKeys() {
 
 // 生成 Playwright E2E 測試
 async function generateE2ETests(options) {
-  const { file } = options.file ? options : await inquirer.prompt([
+  const { file } = options.file ? options : await prompt([
     {
       type: 'input',
       name: 'file',
       message: '請輸入要生成 E2E 測試的檔案或 URL：',
       validate: (input) => input.length > 0 || '請輸入檔案路徑或 URL'
     }
-  ])
+  ], { hint: '使用 -f 指定檔案' })
 
-  const spinner = ora('生成 Playwright E2E 測試...').start()
+  const spinner = createSpinner('生成 Playwright E2E 測試...').start()
 
   try {
-    let command
-    if (file.startsWith('http')) {
-      // URL 測試
-      command = `echo "${file}" | gemini-pro "為這個網頁生成完整的 Playwright E2E 測試：
-
-1. 使用 Playwright Test 框架
-2. 包含頁面導航測試
-3. 包含元素交互測試  
-4. 包含表單提交測試
-5. 包含錯誤狀況測試
-6. 支援多瀏覽器 (Chromium, Firefox, WebKit)
-7. 支援響應式測試 (Desktop, Mobile)
-
-請提供可直接運行的 E2E 測試程式碼，包含 playwright.config.js 配置。"`
-    } else {
-      // 檔案測試
-      command = `cat "${file}" | gemini-pro "為這個 mursfoto 程式碼生成完整的 Playwright E2E 測試：
-
-1. 使用 Playwright Test 框架
-2. 針對 API 端點生成自動化測試
-3. 包含成功和失敗情境
-4. 包含效能監控
-5. 支援並發測試
-6. 生成測試報告
-
-請提供可直接運行的 E2E 測試程式碼。"`
-    }
+    // URL 測試與檔案測試使用同一個 e2e 提示的不同段落
+    const isURL = file.startsWith('http')
+    const quoted = quoteArg(buildPrompt({ name: 'e2e', variables: { url: isURL } }, { config: options.config || getConfig(), model: 'gemini' }))
+    const command = isURL ? `echo "${file}" | gemini-pro ${quoted}` : `cat "${file}" | gemini-pro ${quoted}`
 
     const result = execSync(command, { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 })
     
     spinner.succeed('E2E 測試生成完成！')
     console.log(result)
 
-    const { save } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'save',
-        message: '是否保存 E2E 測試檔案？',
-        default: true
-      }
-    ])
+    const save = await shouldSave(options, '是否保存 E2E 測試檔案？')
 
     if (save) {
-      const testFile = file.includes('.') ? 
+      const testFile = options.output || (file.includes('.') ? 
         file.replace(/\.[^.]+$/, '.e2e.spec.js') : 
-        `${file}-e2e.spec.js`
-      fs.writeFileSync(testFile, result)
+        `${file}-e2e.spec.js`)
+      vfs.writeFileSync(testFile, result)
       console.log(chalk.green(`✅ E2E 測試已保存到: ${testFile}`))
       
       // 生成 playwright.config.js
@@ -638,20 +1395,20 @@ export default defineConfig({
 });`
       
       if (!fs.existsSync('playwright.config.js')) {
-        fs.writeFileSync('playwright.config.js', configContent)
+        vfs.writeFileSync('playwright.config.js', configContent)
         console.log(chalk.green('✅ Playwright 配置已生成: playwright.config.js'))
       }
     }
 
   } catch (error) {
     spinner.fail('E2E 測試生成失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
 // 截圖測試
 async function screenshotTest(options) {
-  const { url } = options.url ? options : await inquirer.prompt([
+  const { url } = options.url ? options : await prompt([
     {
       type: 'input',
       name: 'url',
@@ -663,9 +1420,9 @@ async function screenshotTest(options) {
         return true
       }
     }
-  ])
+  ], { hint: '使用 -u 指定 URL' })
 
-  const { devices: deviceChoices } = await inquirer.prompt([
+  const { devices: deviceChoices } = options.devices ? { devices: options.devices.split(',') } : await prompt([
     {
       type: 'checkbox',
       name: 'devices',
@@ -678,9 +1435,9 @@ async function screenshotTest(options) {
         { name: '📟  iPad Air', value: 'iPad Air' }
       ]
     }
-  ])
+  ], { hint: '使用 --devices 指定' })
 
-  const spinner = ora('執行截圖測試...').start()
+  const spinner = createSpinner('執行截圖測試...').start()
 
   try {
     const { chromium, devices } = require('playwright')
@@ -719,13 +1476,13 @@ async function screenshotTest(options) {
 
   } catch (error) {
     spinner.fail('截圖測試失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
 // 跨瀏覽器測試
 async function crossBrowserTest(options) {
-  const { url } = options.url ? options : await inquirer.prompt([
+  const { url } = options.url ? options : await prompt([
     {
       type: 'input',
       name: 'url',
@@ -737,9 +1494,9 @@ async function crossBrowserTest(options) {
         return true
       }
     }
-  ])
+  ], { hint: '使用 -u 指定 URL' })
 
-  const { browsers } = await inquirer.prompt([
+  const { browsers } = options.browsers ? { browsers: options.browsers.split(',') } : await prompt([
     {
       type: 'checkbox',
       name: 'browsers',
@@ -750,9 +1507,9 @@ async function crossBrowserTest(options) {
         { name: '⚪ WebKit (Safari)', value: 'webkit', checked: true }
       ]
     }
-  ])
+  ], { hint: '使用 --browsers 指定' })
 
-  const spinner = ora('執行跨瀏覽器測試...').start()
+  const spinner = createSpinner('執行跨瀏覽器測試...').start()
 
   try {
     const playwright = require('playwright')
@@ -813,15 +1570,36 @@ async function crossBrowserTest(options) {
 
   } catch (error) {
     spinner.fail('跨瀏覽器測試失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
+  }
+}
+
+// --scope、--types、--metrics 可用的值 (與互動選單相同)
+const TEST_SCOPES = ['current', 'api-gateway', 'ecosystem']
+const INTELLIGENT_TEST_TYPES = ['unit', 'integration', 'e2e', 'security', 'performance']
+const PERFORMANCE_METRICS = ['loadTime', 'fcp', 'cls', 'fid', 'memory', 'network']
+
+// 解析以逗號分隔的選項值，每一項都必須是 allowed 之一
+function parseListOption(value, allowed, flag) {
+  const items = [...new Set(String(value).split(',').map(item => item.trim()).filter(Boolean))]
+  if (items.length === 0 || items.some(item => !allowed.includes(item))) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `${flag} 必須是 ${allowed.join(', ')} 中的一項或多項 (以逗號分隔): ${value}`)
   }
+  return items
 }
 
-// 完整測試套件執行
+function parseScope(value) {
+  if (!TEST_SCOPES.includes(value)) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `--scope 必須是 ${TEST_SCOPES.join(', ')} 之一: ${value}`)
+  }
+  return value
+}
+
+// 完整測試套件執行；--scope 指定範圍
 async function runFullTestSuite(options) {
   console.log(chalk.cyan('🧪 執行完整測試套件...\n'))
 
-  const { scope } = await inquirer.prompt([
+  const { scope } = options.scope ? { scope: parseScope(options.scope) } : await prompt([
     {
       type: 'list',
       name: 'scope',
@@ -832,9 +1610,9 @@ async function runFullTestSuite(options) {
         { name: '📱 完整生態系統', value: 'ecosystem' }
       ]
     }
-  ])
+  ], { hint: `使用 --scope 指定範圍 (${TEST_SCOPES.join(', ')})` })
 
-  const spinner = ora('執行測試套件...').start()
+  const spinner = createSpinner('執行測試套件...').start()
 
   try {
     const results = {
@@ -911,15 +1689,16 @@ async function runFullTestSuite(options) {
       console.log(chalk.yellow('\n⚠️  部分測試失敗，建議檢查相關程式碼'))
     }
 
+    return { scope, results, passed: totalPassed, failed: totalFailed, time: totalTime }
   } catch (error) {
     spinner.fail('測試套件執行失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
-// 智能測試生成
+// 智能測試生成；--types 指定測試類型
 async function generateIntelligentTests(options) {
-  const { file } = options.file ? options : await inquirer.prompt([
+  const { file } = options.file ? options : await prompt([
     {
       type: 'input',
       name: 'file',
@@ -930,9 +1709,9 @@ async function generateIntelligentTests(options) {
         return true
       }
     }
-  ])
+  ], { hint: '使用 -f 指定檔案' })
 
-  const { testTypes } = await inquirer.prompt([
+  const { testTypes } = options.types ? { testTypes: parseListOption(options.types, INTELLIGENT_TEST_TYPES, '--types') } : await prompt([
     {
       type: 'checkbox',
       name: 'testTypes',
@@ -945,12 +1724,13 @@ async function generateIntelligentTests(options) {
         { name: '⚡ 效能測試', value: 'performance' }
       ]
     }
-  ])
+  ], { hint: `使用 --types 指定測試類型 (${INTELLIGENT_TEST_TYPES.join(', ')}，以逗號分隔)` })
 
-  const spinner = ora('生成智能測試...').start()
+  const spinner = createSpinner('生成智能測試...').start()
 
   try {
     const generatedTests = []
+    const savedTo = []
 
     for (const testType of testTypes) {
       spinner.text = `生成 ${testType} 測試...`
@@ -993,21 +1773,15 @@ async function generateIntelligentTests(options) {
         console.log(test.content.substring(0, 200) + '...\n')
       })
 
-      const { saveTests } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'saveTests',
-          message: '是否保存所有生成的測試？',
-          default: true
-        }
-      ])
+      const saveTests = await shouldSave(options, '是否保存所有生成的測試？')
 
       if (saveTests) {
         const baseName = path.basename(file, path.extname(file))
         
         generatedTests.forEach(test => {
           const fileName = `${baseName}.${test.type}.test.js`
-          fs.writeFileSync(fileName, test.content)
+          vfs.writeFileSync(fileName, test.content)
+          savedTo.push(fileName)
           console.log(chalk.green(`✅ ${test.type} 測試已保存到: ${fileName}`))
         })
       }
@@ -1015,15 +1789,16 @@ async function generateIntelligentTests(options) {
       console.log(chalk.yellow('⚠️ 未能生成任何測試，請檢查檔案和網路連接'))
     }
 
+    return { file, types: testTypes, generated: generatedTests.map(test => test.type), savedTo }
   } catch (error) {
     spinner.fail('智能測試生成失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
-// 效能基準測試
+// 效能基準測試；--metrics 指定指標
 async function performanceTest(options) {
-  const { url } = options.url ? options : await inquirer.prompt([
+  const { url } = options.url ? options : await prompt([
     {
       type: 'input',
       name: 'url',
@@ -1035,9 +1810,9 @@ async function performanceTest(options) {
         return true
       }
     }
-  ])
+  ], { hint: '使用 -u 指定 URL' })
 
-  const { metrics } = await inquirer.prompt([
+  const { metrics } = options.metrics ? { metrics: parseListOption(options.metrics, PERFORMANCE_METRICS, '--metrics') } : await prompt([
     {
       type: 'checkbox',
       name: 'metrics',
@@ -1051,9 +1826,9 @@ async function performanceTest(options) {
         { name: '🌐 網路請求分析', value: 'network' }
       ]
     }
-  ])
+  ], { hint: `使用 --metrics 指定指標 (${PERFORMANCE_METRICS.join(', ')}，以逗號分隔)` })
 
-  const spinner = ora('執行效能基準測試...').start()
+  const spinner = createSpinner('執行效能基準測試...').start()
 
   try {
     const { chromium } = require('playwright')
@@ -1165,24 +1940,19 @@ async function performanceTest(options) {
     }
 
     // 儲存結果
-    const { saveReport } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'saveReport',
-        message: '是否保存效能測試報告？',
-        default: true
-      }
-    ])
+    const saveReport = await shouldSave(options, '是否保存效能測試報告？')
 
+    let savedTo = null
     if (saveReport) {
-      const reportName = `performance-report-${Date.now()}.json`
-      fs.writeFileSync(reportName, JSON.stringify(results, null, 2))
-      console.log(chalk.green(`✅ 效能報告已保存到: ${reportName}`))
+      savedTo = options.output || `performance-report-${Date.now()}.json`
+      vfs.writeFileSync(savedTo, JSON.stringify(results, null, 2))
+      console.log(chalk.green(`✅ 效能報告已保存到: ${savedTo}`))
     }
 
+    return { ...results, savedTo }
   } catch (error) {
     spinner.fail('效能測試失敗')
-    console.error(chalk.red('錯誤：'), error.message)
+    throw toAIError(error)
   }
 }
 
@@ -0,0 +1,129 @@
+const chalk = require('chalk')
+const {
+  CONFIG_SCHEMA,
+  loadConfig,
+  loadConfigLayers,
+  validateConfig,
+  setConfigValue,
+  unsetConfigValue,
+  getValue,
+  flattenConfig
+} = require('../utils/config')
+
+/**
+ * 配置管理命令
+ * mursfoto config get/set/unset/list/validate
+ */
+async function configCommand (action, key, value, options = {}) {
+  switch (action) {
+    case 'get':
+      return getConfigValue(key, options)
+    case 'set':
+      return setConfig(key, value, options)
+    case 'unset':
+      return unsetConfig(key, options)
+    case 'validate':
+      return validateCurrentConfig(options)
+    case 'list':
+    case undefined:
+      return listConfig(options)
+    default:
+      throw new Error(`未知的配置操作: ${action}（可用: get, set, unset, list, validate）`)
+  }
+}
+
+// 讀取單一配置值
+function getConfigValue (key, options) {
+  if (!key) {
+    throw new Error('請指定配置鍵，例如: mursfoto config get template')
+  }
+
+  const config = loadConfig({ validate: false })
+  const value = getValue(config, key)
+
+  if (value === undefined) {
+    throw new Error(`配置項不存在: ${key}`)
+  }
+
+  console.log(typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value))
+  return value
+}
+
+// 寫入配置值
+async function setConfig (key, value, options) {
+  if (!key || value === undefined) {
+    throw new Error('使用方式: mursfoto config set <key> <value> [--global]')
+  }
+
+  if (!CONFIG_SCHEMA[key]) {
+    console.log(chalk.yellow(`⚠️ ${key} 不是內建配置項，仍會寫入配置檔`))
+  }
+
+  const filePath = await setConfigValue(key, value, { global: options.global })
+  console.log(chalk.green(`✅ 已設定 ${key} = ${value}`))
+  console.log(chalk.gray(`   寫入: ${filePath}`))
+  return filePath
+}
+
+// 移除配置值
+async function unsetConfig (key, options) {
+  if (!key) {
+    throw new Error('使用方式: mursfoto config unset <key> [--global]')
+  }
+
+  const filePath = await unsetConfigValue(key, { global: options.global })
+  console.log(chalk.green(`✅ 已移除 ${key}`))
+  console.log(chalk.gray(`   寫入: ${filePath}`))
+  return filePath
+}
+
+// 列出合併後的配置與其來源
+function listConfig (options) {
+  const layers = loadConfigLayers()
+  const sources = {}
+
+  for (const layer of layers) {
+    for (const key of Object.keys(flattenConfig(layer.values))) {
+      if (getValue(layer.values, key) !== undefined) {
+        sources[key] = layer.name
+      }
+    }
+  }
+
+  const config = loadConfig({ validate: false })
+  const flat = flattenConfig(config)
+
+  console.log(chalk.cyan('⚙️  Mursfoto 配置\n'))
+  for (const [key, value] of Object.entries(flat)) {
+    const description = CONFIG_SCHEMA[key] ? chalk.gray(` - ${CONFIG_SCHEMA[key].description}`) : ''
+    console.log(`  ${chalk.white(key)} = ${chalk.green(JSON.stringify(value))} ${chalk.gray(`[${sources[key] || 'default'}]`)}${description}`)
+  }
+
+  const files = layers.filter(layer => layer.path && Object.keys(layer.values).length > 0)
+  if (files.length > 0) {
+    console.log(chalk.cyan('\n📁 已載入的配置檔:'))
+    files.forEach(layer => console.log(chalk.gray(`  ${layer.name}: ${layer.path}`)))
+  }
+
+  return flat
+}
+
+// 驗證配置
+function validateCurrentConfig (options) {
+  const config = loadConfig({ validate: false })
+  const { valid, errors, warnings } = validateConfig(config)
+
+  warnings.forEach(warning => console.log(chalk.yellow(`⚠️ ${warning}`)))
+
+  if (!valid) {
+    errors.forEach(error => console.log(chalk.red(`❌ ${error}`)))
+    throw new Error(`配置驗證失敗 (${errors.length} 個錯誤)`)
+  }
+
+  console.log(chalk.green('✅ 配置驗證通過'))
+  return { valid, errors, warnings }
+}
+
+module.exports = {
+  configCommand
+}
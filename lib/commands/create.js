@@ -1,13 +1,20 @@
-const fs = require('fs-extra')
 const path = require('path')
 const chalk = require('chalk')
-const ora = require('ora')
-const { execSync } = require('child_process')
 const Handlebars = require('handlebars')
 const simpleGit = require('simple-git')
-const { validateProjectName, ensureDirectoryExists } = require('../utils/helpers')
-const { getTemplateConfig, processTemplate } = require('../utils/templates')
+const { vfs } = require('../utils/vfs')
+const { validateProjectName } = require('../utils/helpers')
+const { getTemplateConfig, renderProject } = require('../utils/templates')
+const { listTemplates, getTemplate } = require('../utils/template-registry')
+const { parseVarOptions, loadAnswersFile, resolveAnswers } = require('../utils/template-prompts')
+const { assertCompatible, resolveFeatures, parseFeatureList } = require('../utils/features')
+const { createProjectMetadata, writeProjectMetadata, saveBaseline } = require('../utils/project-metadata')
+const { createStagingDir, commitStagingDir, discardStagingDir } = require('../utils/staging')
 const { registerServiceToGateway } = require('../utils/gateway')
+const { globalPluginManager } = require('../modules/PluginManager')
+const { getConfig } = require('../utils/config')
+const { ERROR_CODES, MursfotoError } = require('../utils/errors')
+const { createSpinner, isCIMode, isInteractive, prompt } = require('../utils/output')
 
 // 延遲載入 inquirer 並提供回退選項
 let inquirer
@@ -24,7 +31,12 @@ async function getInquirer() {
 }
 
 // 安全的 prompt 函數
-async function safePrompt(questions) {
+async function safePrompt(questions, hint) {
+  // --ci / --json 模式下不猜測預設值，直接回報缺少的輸入
+  if (isCIMode()) {
+    return prompt(questions, { hint })
+  }
+
   try {
     // 檢查是否在交互式環境
     if (!process.stdin.isTTY) {
@@ -43,7 +55,8 @@ async function safePrompt(questions) {
  * 創建新項目
  */
 async function createProject (projectName, options = {}) {
-  const spinner = ora()
+  const spinner = createSpinner()
+  const config = options.config || getConfig()
 
   try {
     // 輸入驗證
@@ -65,25 +78,25 @@ async function createProject (projectName, options = {}) {
       } catch (error) {
         console.log(chalk.red('❌ 無法獲取項目名稱'))
         console.log(chalk.cyan('使用方式: mursfoto create <project-name> --template <template-name>'))
-        throw new Error('需要提供項目名稱作為命令行參數')
+        throw new MursfotoError(ERROR_CODES.MISSING_INPUT, '需要提供項目名稱作為命令行參數', { inputs: ['name'] })
       }
     }
 
     // 驗證項目名稱
     if (!validateProjectName(projectName)) {
-      throw new Error('項目名稱只能包含字母、數字、連字符和下劃線，且不能以數字開頭')
+      throw new MursfotoError(ERROR_CODES.INVALID_INPUT, '項目名稱只能包含字母、數字、連字符和下劃線，且不能以數字開頭', { name: projectName })
     }
 
     // 設置項目路徑
     const projectPath = path.join(options.directory || process.cwd(), projectName)
 
     // 檢查目錄是否存在
-    if (fs.existsSync(projectPath) && !options.force) {
+    if (vfs.existsSync(projectPath) && !options.force) {
       if (options.overwrite !== undefined) {
         // 使用命令行參數決定
         if (!options.overwrite) {
           console.log(chalk.yellow('👋 目錄已存在，操作已取消'))
-          return
+          return { projectName, projectPath, cancelled: true }
         }
       } else {
         // 嘗試交互式確認
@@ -95,22 +108,25 @@ async function createProject (projectName, options = {}) {
               message: `目錄 ${projectName} 已存在，是否覆蓋？`,
               default: false
             }
-          ])
+          ], '使用 --force 或 --overwrite 覆蓋')
 
           if (!overwrite) {
             console.log(chalk.yellow('👋 操作已取消'))
-            return
+            return { projectName, projectPath, cancelled: true }
           }
         } catch (error) {
+          if (isCIMode()) {
+            throw new MursfotoError(ERROR_CODES.DIRECTORY_EXISTS, `目錄已存在: ${projectPath}（使用 --force 或 --overwrite 覆蓋）`, { projectPath })
+          }
           // 如果無法交互，默認不覆蓋
           console.log(chalk.yellow('👋 目錄已存在，請使用 --force 強制覆蓋或選擇其他名稱'))
-          return
+          return { projectName, projectPath, cancelled: true }
         }
       }
     }
 
     // 選擇模板 (如果未指定)
-    let templateName = options.template
+    let templateName = options.template || config.template
     if (!templateName) {
       const availableTemplates = await getAvailableTemplates()
       
@@ -121,13 +137,14 @@ async function createProject (projectName, options = {}) {
             name: 'template',
             message: '請選擇項目模板:',
             choices: availableTemplates.map(t => ({
-              name: `${t.emoji} ${t.name} - ${t.description}`,
-              value: t.id
+              name: `${t.emoji} ${t.displayName} - ${t.description}`,
+              value: t.name
             }))
           }
-        ])
+        ], '使用 --template 指定模板')
         templateName = template
       } catch (error) {
+        if (isCIMode()) throw error
         // 如果無法交互，使用默認模板
         console.log(chalk.yellow('⚠️ 無法選擇模板，使用默認的 minimal 模板'))
         console.log(chalk.cyan('下次可以使用: --template <template-name> 指定模板'))
@@ -135,23 +152,34 @@ async function createProject (projectName, options = {}) {
       }
     }
 
+    // 確認模板存在於模板註冊表中
+    const template = getTemplate(templateName)
+    if (!template || template.type !== 'project') {
+      const available = (await getAvailableTemplates()).map(t => t.name).join(', ')
+      const reason = template ? `${templateName} 是附加元件模板，不能單獨建立專案` : `未找到模板: ${templateName}`
+      throw new MursfotoError(ERROR_CODES.TEMPLATE_NOT_FOUND, `${reason}（可用模板: ${available}）`, { template: templateName })
+    }
+
+    // 在建立任何檔案前確認附加元件存在且與模板相容
+    const featureNames = parseFeatureList(options.with)
+    if (featureNames.length > 0) {
+      assertCompatible(templateName, resolveFeatures(featureNames))
+    }
+
     // 獲取模板配置
     const templateConfig = await getTemplateConfig(templateName)
-    if (!templateConfig) {
-      throw new Error(`未找到模板: ${templateName}`)
-    }
+
+    // 解析模板變數 (--var > --answers > 互動輸入 > 預設值)
+    const answers = await resolveAnswers(templateConfig.prompts, {
+      vars: parseVarOptions(options.var),
+      answers: options.answers ? loadAnswersFile(options.answers) : {},
+      prompt: isInteractive() ? safePrompt : null
+    })
 
     console.log(chalk.cyan(`\n🎯 創建項目: ${chalk.white.bold(projectName)}`))
     console.log(chalk.gray(`📋 使用模板: ${templateConfig.name}`))
     console.log(chalk.gray(`📍 項目路徑: ${projectPath}\n`))
 
-    // 步驟 1: 創建項目目錄
-    spinner.start('📁 創建項目目錄...')
-    await ensureDirectoryExists(projectPath, options.force)
-    spinner.succeed('📁 項目目錄創建完成')
-
-    // 步驟 2: 處理模板文件
-    spinner.start('📋 處理項目模板...')
     const templateData = {
       projectName,
       projectNameKebab: projectName.toLowerCase().replace(/[_\s]+/g, '-'),
@@ -161,49 +189,92 @@ async function createProject (projectName, options = {}) {
       author: process.env.USER || 'Mursfoto Developer',
       year: new Date().getFullYear(),
       timestamp: new Date().toISOString(),
-      gatewayUrl: 'https://gateway.mursfoto.com',
-      templateName: templateConfig.name
+      gatewayUrl: config.gatewayUrl,
+      templateName: templateConfig.name,
+      ...answers
     }
 
-    await processTemplate(templateName, projectPath, templateData)
-    spinner.succeed('📋 項目模板處理完成')
+    const hookContext = { projectName, projectPath, templateName, templateData, answers, options, config, fs: vfs }
+    const stages = createStageRunner(spinner)
+    const replacing = vfs.existsSync(projectPath)
+    let stagingPath = null
+    let featureResult = null
 
-    // 步驟 3: 安裝依賴
-    if (options.install !== false) {
-      spinner.start('📦 安裝項目依賴...')
-      try {
-        process.chdir(projectPath)
-        execSync('npm install', { stdio: 'pipe' })
-        spinner.succeed('📦 依賴安裝完成')
-      } catch (error) {
-        spinner.warn('📦 依賴安裝失敗，請手動執行 npm install')
+    // 所有檔案先寫入暫存目錄，全部成功後才一次移到項目路徑
+    try {
+      stagingPath = await stages.run('📁', '準備暫存目錄', () => createStagingDir(projectPath))
+      hookContext.stagingPath = stagingPath
+      await globalPluginManager.runHook('pre-create', hookContext)
+
+      featureResult = await stages.run('📋', '處理項目模板', () => renderProject(templateName, stagingPath, {
+        templateConfig,
+        templateData,
+        answers,
+        features: featureNames,
+        context: { config }
+      }))
+
+      if (featureResult) {
+        console.log(chalk.gray(`   🧩 已加入附加元件: ${featureResult.features.join(', ')}`))
+        featureResult.warnings.forEach(warning => console.log(chalk.yellow(`   ⚠️ ${warning}`)))
       }
+
+      // 記錄模板來源與原始輸出，供 mursfoto upgrade 進行三方合併
+      await stages.run('📝', '記錄模板資訊', async () => {
+        await saveBaseline(stagingPath, stagingPath)
+        await writeProjectMetadata(stagingPath, createProjectMetadata({
+          templateName,
+          version: template.version,
+          templateData,
+          answers,
+          features: featureResult ? featureResult.features : []
+        }))
+      })
+
+      await stages.run('🚚', replacing ? '取代既有項目目錄' : '移入項目目錄', () => commitStagingDir(stagingPath, projectPath))
+      stagingPath = null
+    } catch (error) {
+      await discardStagingDir(stagingPath)
+      stages.printSummary()
+      console.log(chalk.yellow(replacing
+        ? `   ↩ 已清除暫存檔案，原有目錄 ${projectPath} 未被修改`
+        : '   ↩ 已清除暫存檔案，沒有留下任何項目檔案'))
+      throw toStageError(error)
     }
 
-    // 步驟 4: Git 初始化
-    if (options.git !== false) {
-      spinner.start('🔧 初始化 Git 倉庫...')
-      try {
+    // 以下步驟失敗不影響已建立的項目
+    const shouldInstall = template.options.includes('install') && options.install !== false && config.create.install !== false
+    if (shouldInstall) {
+      await stages.run('📦', '安裝項目依賴', () => vfs.exec('npm install', { cwd: projectPath, stdio: 'pipe' }), {
+        optional: '請手動執行 npm install'
+      })
+    }
+
+    if (template.options.includes('git') && options.git !== false && config.create.git !== false) {
+      await stages.run('🔧', '初始化 Git 倉庫', () => vfs.run('git init && git add . && git commit -m "🎉 Initial commit - Created with @mursfoto/cli"', async () => {
         const git = simpleGit(projectPath)
         await git.init()
         await git.add('.')
         await git.commit('🎉 Initial commit - Created with @mursfoto/cli')
-        spinner.succeed('🔧 Git 倉庫初始化完成')
-      } catch (error) {
-        spinner.warn('🔧 Git 初始化失敗，請手動初始化')
-      }
+      }, { cwd: projectPath }), { optional: '請手動初始化' })
     }
 
-    // 步驟 5: 註冊到 Gateway (如果需要)
-    if (options.gateway !== false) {
-      spinner.start('🌐 註冊服務到 API Gateway...')
-      try {
-        await registerServiceToGateway(projectName, templateConfig)
-        spinner.succeed('🌐 服務註冊完成')
-      } catch (error) {
-        spinner.warn(`🌐 服務註冊失敗: ${error.message}`)
-        console.log(chalk.yellow('💡 你可以稍後使用 `mursfoto gateway register` 手動註冊服務'))
-      }
+    if (template.options.includes('gateway') && options.gateway !== false) {
+      await stages.run('🌐', '註冊服務到 API Gateway', () => vfs.run(`註冊服務 ${projectName} 到 ${config.gatewayUrl}`, () =>
+        registerServiceToGateway(projectName, { ...templateConfig, gatewayUrl: config.gatewayUrl })
+      ), { optional: '你可以稍後使用 `mursfoto gateway register` 手動註冊服務' })
+    }
+
+    await globalPluginManager.runHook('post-create', hookContext)
+
+    const result = {
+      projectName,
+      projectPath,
+      template: templateName,
+      version: template.version,
+      features: featureResult ? featureResult.features : [],
+      answers,
+      stages: stages.results
     }
 
     // 完成提示
@@ -211,14 +282,14 @@ async function createProject (projectName, options = {}) {
 
     console.log(chalk.white.bold('📍 下一步操作:'))
     console.log(chalk.gray(`  cd ${projectName}`))
-    if (options.install === false) {
+    if (!shouldInstall) {
       console.log(chalk.gray('  npm install'))
     }
     console.log(chalk.gray('  npm run dev\n'))
 
     console.log(chalk.white.bold('🌐 可用端點:'))
-    console.log(chalk.gray('  本地開發: http://localhost:3001'))
-    console.log(chalk.gray(`  Gateway 代理: https://gateway.mursfoto.com/api/${projectName.toLowerCase()}\n`))
+    console.log(chalk.gray(`  本地開發: http://localhost:${answers.port || templateConfig.port || 3001}`))
+    console.log(chalk.gray(`  Gateway 代理: ${config.gatewayUrl}/api/${projectName.toLowerCase()}\n`))
 
     console.log(chalk.white.bold('🛠  常用命令:'))
     console.log(chalk.gray('  mursfoto status    - 檢查項目狀態'))
@@ -228,46 +299,77 @@ async function createProject (projectName, options = {}) {
     if (templateConfig.quickStart) {
       console.log(chalk.cyan.bold('🚀 快速開始指南:'))
       templateConfig.quickStart.forEach(step => {
-        console.log(chalk.gray(`  ${step}`))
+        console.log(chalk.gray(`  ${Handlebars.compile(step)(templateData)}`))
       })
       console.log('')
     }
+
+    return result
   } catch (error) {
-    spinner.fail(`創建項目失敗: ${error.message}`)
+    if (!error.stage) {
+      spinner.fail(`創建項目失敗: ${error.message}`)
+    }
     throw error
   }
 }
 
 /**
- * 獲取可用模板列表
+ * 逐步執行建立流程並記錄各階段結果
+ * optional 階段失敗只會警告；其餘階段失敗會標記 error.stage 並中止
  */
-async function getAvailableTemplates () {
-  return [
-    {
-      id: 'minimal',
-      name: '最小化模板',
-      description: 'Express + 基本功能',
-      emoji: '📦'
-    },
-    {
-      id: 'calculator',
-      name: '計算器模板',
-      description: '基於 tw-life-formula',
-      emoji: '🧮'
-    },
-    {
-      id: 'test-tool',
-      name: '測試工具模板',
-      description: '完整測試配置',
-      emoji: '🧪'
+function createStageRunner (spinner) {
+  const results = []
+
+  return {
+    results,
+
+    async run (emoji, name, fn, { optional } = {}) {
+      spinner.start(`${emoji} ${name}...`)
+      try {
+        const value = await fn()
+        spinner.succeed(`${emoji} ${name}完成`)
+        results.push({ name, status: 'done' })
+        return value
+      } catch (error) {
+        if (optional) {
+          spinner.warn(`${emoji} ${name}失敗: ${error.message}，${optional}`)
+          results.push({ name, status: 'warn' })
+          return false
+        }
+        spinner.fail(`${emoji} ${name}失敗: ${error.message}`)
+        results.push({ name, status: 'failed' })
+        error.stage = name
+        throw error
+      }
     },
-    {
-      id: 'api-service',
-      name: 'API 服務模板',
-      description: 'RESTful API 服務',
-      emoji: '🌐'
+
+    printSummary () {
+      const symbols = { done: chalk.green('✔'), warn: chalk.yellow('⚠'), failed: chalk.red('✖') }
+      console.log(chalk.white.bold('\n📋 建立步驟:'))
+      results.forEach(result => console.log(`   ${symbols[result.status]} ${result.name}`))
     }
-  ]
+  }
+}
+
+/**
+ * 將階段失敗轉成 E_CREATE_FAILED，已帶錯誤碼的錯誤只補上失敗階段
+ */
+function toStageError (error) {
+  if (error instanceof MursfotoError) {
+    if (error.stage) error.details.stage = error.stage
+    return error
+  }
+
+  const stageError = new MursfotoError(ERROR_CODES.CREATE_FAILED, error.message, error.stage ? { stage: error.stage } : {})
+  stageError.stage = error.stage
+  return stageError
+}
+
+/**
+ * 獲取可用模板列表 (僅專案模板)
+ */
+async function getAvailableTemplates () {
+  return listTemplates({ type: 'project' })
 }
 
 module.exports = {
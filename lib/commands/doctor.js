@@ -0,0 +1,43 @@
+const chalk = require('chalk')
+const { execSync } = require('child_process')
+const { ERROR_CODES, MursfotoError } = require('../utils/errors')
+const { isCIMode } = require('../utils/output')
+
+// 基本環境檢查
+const CHECKS = [
+  { name: 'Node.js', check: () => process.version, required: '>=18.0.0' },
+  { name: 'NPM', check: () => execSync('npm --version', { encoding: 'utf8' }).trim(), required: '>=8.0.0' },
+  { name: 'Git', check: () => execSync('git --version', { encoding: 'utf8' }).trim(), required: 'any' }
+]
+
+/**
+ * 檢查系統環境和依賴
+ * CI 模式下有檢查未通過時以 E_CHECK_FAILED 失敗
+ */
+async function doctorCommand () {
+  console.log(chalk.blue('🏥 系統診斷中...'))
+
+  const checks = CHECKS.map(item => {
+    try {
+      const version = item.check()
+      console.log(chalk.green('✅'), item.name, chalk.gray(version))
+      return { name: item.name, ok: true, version, required: item.required }
+    } catch (error) {
+      console.log(chalk.red('❌'), item.name, chalk.red('未安裝或無法訪問'))
+      return { name: item.name, ok: false, version: null, required: item.required }
+    }
+  })
+
+  const healthy = checks.every(check => check.ok)
+  if (!healthy && isCIMode()) {
+    const failed = checks.filter(check => !check.ok).map(check => check.name)
+    throw new MursfotoError(ERROR_CODES.CHECK_FAILED, `環境檢查未通過: ${failed.join(', ')}`, { checks })
+  }
+
+  console.log(chalk.green('\n🎉 環境診斷完成'))
+  return { healthy, checks }
+}
+
+module.exports = {
+  doctorCommand
+}
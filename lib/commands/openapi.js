@@ -0,0 +1,364 @@
+const chalk = require('chalk')
+const fs = require('fs-extra')
+const path = require('path')
+const AIModelRouter = require('../services/AIModelRouter')
+const AICodeGenerator = require('../services/AICodeGenerator')
+const { vfs } = require('../utils/vfs')
+const { getConfig } = require('../utils/config')
+const { ERROR_CODES, MursfotoError } = require('../utils/errors')
+const { createSpinner } = require('../utils/output')
+const { setUsageContext } = require('../utils/ai-usage')
+const { walkProject } = require('../utils/ai-context')
+const { buildRouteInventory } = require('../utils/route-inventory')
+const { buildOpenAPI, diffSpecs } = require('../utils/openapi')
+const { extractJson } = require('../utils/review-findings')
+const { renderPrompt } = require('../utils/prompt-registry')
+const { DATABASES, isDefaultRegion } = require('../utils/openapi-scaffold')
+const { parseRegions, skeletonHash, fillRegions } = require('../utils/protected-regions')
+
+// 每個處理函式附給 AI 的程式碼行數
+const SNIPPET_LINES = 20
+
+// 記錄上次由規格產生的檔案，用來判斷檔案是否在受保護區塊外被修改過
+const SCAFFOLD_MANIFEST = path.join('.mursfoto', 'scaffold.json')
+
+// 各動作在預覽中的符號與說明
+const SCAFFOLD_ACTIONS = {
+  add: { symbol: '+', label: '新增', color: 'green' },
+  update: { symbol: '~', label: '更新', color: 'cyan' },
+  delete: { symbol: '-', label: '刪除 (規格已沒有對應的操作)', color: 'yellow' },
+  'keep-modified': { symbol: '=', label: '受保護區塊外有修改，略過 (使用 --force 覆寫)', color: 'gray' },
+  'keep-existing': { symbol: '=', label: '已存在且不是由規格產生，略過 (使用 --force 覆寫)', color: 'gray' },
+  'keep-deleted': { symbol: '=', label: '已在專案中刪除，略過 (使用 --force 重新產生)', color: 'gray' }
+}
+
+/**
+ * OpenAPI 命令
+ * mursfoto openapi generate/diff/scaffold
+ */
+async function openapiCommand (action, files = [], options = {}) {
+  switch (action) {
+    case 'generate':
+      return generateSpec(options)
+    case 'diff':
+      return diffCommand(files, options)
+    case 'scaffold':
+      return scaffoldCommand(files, options)
+    default:
+      throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `未知的 OpenAPI 操作: ${action}（可用: generate, diff, scaffold）`)
+  }
+}
+
+/**
+ * 由專案中的 Express 路由產生 OpenAPI 3.1 文件
+ * 結構完全來自靜態分析；有可用的模型時 (且未指定 --no-ai) 才請 AI 補上缺少的 summary 與 description
+ */
+async function generateSpec (options) {
+  const root = path.resolve(options.directory || process.cwd())
+  const output = path.resolve(options.output || path.join(root, 'openapi.json'))
+  if (path.extname(output) !== '.json') {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `目前只支援輸出 JSON 格式 (.json): ${options.output}`)
+  }
+
+  const inventory = buildRouteInventory(root, walkProject(root).map(file => file.path))
+  if (inventory.routes.length === 0) {
+    throw new MursfotoError(ERROR_CODES.MISSING_INPUT, `在 ${root} 找不到 Express 路由 (app.get、router.post 等)`)
+  }
+
+  const pkg = readPackage(root)
+  const { document, warnings } = buildOpenAPI(root, inventory, {
+    title: options.title || pkg.name,
+    version: options.version || pkg.version,
+    description: pkg.description,
+    server: options.server
+  })
+  warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)))
+
+  const described = options.ai === false ? 0 : await describeOperations(document, root, options)
+
+  await vfs.outputFile(output, `${JSON.stringify(document, null, 2)}\n`)
+
+  const operations = listOperations(document)
+  console.log(chalk.green(`✅ 已產生 OpenAPI ${document.openapi} 文件: ${path.relative(process.cwd(), output) || output}`))
+  console.log(chalk.gray(`   ${Object.keys(document.paths).length} 個路徑、${operations.length} 個操作${described > 0 ? `，AI 補上 ${described} 個操作的說明` : ''}`))
+
+  return { output, paths: Object.keys(document.paths).length, operations: operations.length, described, warnings }
+}
+
+function readPackage (root) {
+  try {
+    return fs.readJsonSync(path.join(root, 'package.json'))
+  } catch (error) {
+    return {}
+  }
+}
+
+function listOperations (document) {
+  return Object.entries(document.paths).flatMap(([openapiPath, item]) =>
+    Object.entries(item).map(([method, operation]) => ({ method, path: openapiPath, operation })))
+}
+
+// 操作清單與處理函式開頭的程式碼 (同一個處理函式只附一次)
+function describeForPrompt (operations, root) {
+  const snippets = new Set()
+  return operations.map(({ method, path: openapiPath, operation }) => {
+    const lines = [`### ${operation.operationId}: ${method.toUpperCase()} ${openapiPath} (${operation['x-source']})`]
+    if (operation.summary) lines.push(`註解: ${operation.summary}`)
+    if (operation['x-middleware']) lines.push(`中間件: ${operation['x-middleware'].join(', ')}`)
+    lines.push(`回應: ${Object.keys(operation.responses).join(', ')}`)
+
+    if (!snippets.has(operation['x-source'])) {
+      snippets.add(operation['x-source'])
+      const [file, line] = operation['x-source'].split(':')
+      const source = fs.readFileSync(path.join(root, file), 'utf8').split('\n')
+      lines.push('```js', ...source.slice(Number(line) - 1, Number(line) - 1 + SNIPPET_LINES), '```')
+    }
+    return lines.join('\n')
+  }).join('\n\n')
+}
+
+/**
+ * 請 AI 補上缺少的 summary 與 description；不修改任何結構，失敗時只顯示警告
+ * @returns {number} 補上說明的操作數
+ */
+async function describeOperations (document, root, options) {
+  const config = options.config || getConfig()
+  const router = AIModelRouter.fromConfig(config)
+  if (!router.hasAvailableProvider({ task: 'doc' })) {
+    console.log(chalk.gray('ℹ️  沒有可用的 AI 模型，略過操作說明 (使用 --no-ai 可不再顯示)'))
+    return 0
+  }
+
+  const pending = listOperations(document).filter(({ operation }) => !operation.summary || !operation.description)
+  if (pending.length === 0) return 0
+
+  const spinner = createSpinner(`🤖 請 AI 撰寫 ${pending.length} 個操作的說明...`).start()
+  try {
+    const rendered = renderPrompt('openapi', { operations: describeForPrompt(pending, root) }, { prompts: config.ai?.prompts })
+    setUsageContext({ prompt: rendered.id })
+    const response = await router.generate(rendered.text, { task: 'doc' })
+    const descriptions = JSON.parse(extractJson(response.text))
+
+    let count = 0
+    for (const { operation } of pending) {
+      const entry = descriptions?.[operation.operationId]
+      if (!entry) continue
+      if (!operation.summary && typeof entry.summary === 'string' && entry.summary.trim()) operation.summary = entry.summary.trim()
+      if (!operation.description && typeof entry.description === 'string' && entry.description.trim()) operation.description = entry.description.trim()
+      count++
+    }
+    spinner.succeed(`🤖 AI 補上 ${count} 個操作的說明`)
+    return count
+  } catch (error) {
+    spinner.warn(`AI 說明產生失敗，文件不含說明: ${error.message}`)
+    return 0
+  }
+}
+
+function readSpec (file) {
+  if (!fs.existsSync(file)) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `找不到 OpenAPI 文件: ${file}`)
+  }
+  let document
+  try {
+    document = fs.readJsonSync(file)
+  } catch (error) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `無法解析 OpenAPI 文件 (目前只支援 JSON): ${file}`)
+  }
+  if (!document || typeof document.paths !== 'object') {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `不是有效的 OpenAPI 文件 (缺少 paths): ${file}`)
+  }
+  return document
+}
+
+/**
+ * 比較兩個版本的 OpenAPI 文件；--fail-on-breaking 時有破壞性變更以 E_CHECK_FAILED 結束
+ */
+function diffCommand (files, options) {
+  if (files.length !== 2) {
+    throw new MursfotoError(ERROR_CODES.MISSING_INPUT, '使用方式: mursfoto openapi diff <舊版.json> <新版.json>', { inputs: ['old', 'new'] })
+  }
+
+  const [before, after] = files.map(readSpec)
+  const changes = diffSpecs(before, after)
+  const breaking = changes.filter(change => change.breaking)
+
+  if (changes.length === 0) {
+    console.log(chalk.green('✅ 兩個版本的 API 沒有差異'))
+  }
+  for (const [title, items, color] of [['💥 破壞性變更', breaking, chalk.red], ['📝 相容的變更', changes.filter(change => !change.breaking), chalk.gray]]) {
+    if (items.length === 0) continue
+    console.log(color(`\n${title} (${items.length})`))
+    for (const change of items) {
+      console.log(`  ${chalk.bold(change.method.padEnd(7))}${change.path}  ${color(change.message)} ${chalk.gray(`[${change.code}]`)}`)
+    }
+  }
+
+  const result = { breaking: breaking.length, changes }
+  if (breaking.length > 0 && options.failOnBreaking) {
+    throw new MursfotoError(ERROR_CODES.CHECK_FAILED, `發現 ${breaking.length} 個破壞性變更`, result)
+  }
+  return result
+}
+
+function readIfExists (filePath) {
+  return vfs.existsSync(filePath) ? vfs.readFileSync(filePath, 'utf8') : null
+}
+
+function readManifest (projectPath) {
+  const manifestPath = path.join(projectPath, SCAFFOLD_MANIFEST)
+  if (!vfs.existsSync(manifestPath)) return null
+  try {
+    return vfs.readJsonSync(manifestPath)
+  } catch (error) {
+    throw new Error(`無法解析 ${SCAFFOLD_MANIFEST}: ${error.message}`)
+  }
+}
+
+// 檔案中的受保護區塊是否都還是預設內容 (標記損壞時視為已修改)
+function hasOnlyDefaultRegions (content) {
+  try {
+    return [...parseRegions(content)].every(([id, body]) => isDefaultRegion(id, body))
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * 比對新產生的檔案、專案中的檔案與上次產生的記錄，決定每個檔案的處理方式
+ * 只有受保護區塊外沒有修改過的檔案才會重新產生，並保留區塊內手寫的程式碼
+ *
+ * @param {string} projectPath - 專案目錄
+ * @param {Object} generated - 檔案路徑 → 新產生的內容
+ * @param {Object} manifest - 上次產生的記錄 (.mursfoto/scaffold.json)，第一次產生時為 null
+ * @param {Object} options - { force: 覆寫在區塊外修改過或不是由規格產生的檔案 }
+ * @returns {Array<{ file, action, before, content, preserved, orphaned, reason }>}
+ */
+function planScaffold (projectPath, generated, manifest, options = {}) {
+  const recorded = manifest?.files || {}
+  const changes = []
+
+  for (const file of [...new Set([...Object.keys(recorded), ...Object.keys(generated)])].sort()) {
+    const current = readIfExists(path.join(projectPath, file))
+    const content = generated[file]
+
+    if (content === undefined) {
+      if (current === null) continue
+      const untouched = skeletonHash(current) === recorded[file] && hasOnlyDefaultRegions(current)
+      changes.push({ file, action: untouched ? 'delete' : 'keep-modified', before: current })
+      continue
+    }
+
+    if (current === null) {
+      changes.push({ file, action: recorded[file] && !options.force ? 'keep-deleted' : 'add', before: '', content })
+      continue
+    }
+
+    let regions
+    try {
+      regions = parseRegions(current)
+    } catch (error) {
+      changes.push({ file, action: 'keep-modified', before: current, reason: error.message })
+      continue
+    }
+
+    if (!options.force && skeletonHash(current) !== recorded[file]) {
+      changes.push({ file, action: recorded[file] ? 'keep-modified' : 'keep-existing', before: current })
+      continue
+    }
+
+    const filled = fillRegions(content, regions, { comment: path.extname(file) === '.sql' ? '--' : '//', isDefault: isDefaultRegion })
+    if (filled.content === current) continue
+    changes.push({ file, action: 'update', before: current, content: filled.content, preserved: filled.preserved, orphaned: filled.orphaned })
+  }
+
+  return changes
+}
+
+function printScaffoldPlan (changes) {
+  if (changes.length === 0) {
+    console.log(chalk.green('✅ 專案已與規格一致'))
+    return
+  }
+
+  for (const change of changes) {
+    const { symbol, label, color } = SCAFFOLD_ACTIONS[change.action]
+    const details = []
+    if (change.preserved?.length) details.push(`保留 ${change.preserved.length} 個受保護區塊`)
+    if (change.orphaned?.length) details.push(`${change.orphaned.join(', ')} 已沒有對應的位置，移到檔案結尾`)
+    if (change.reason) details.push(change.reason)
+    console.log(chalk[color](`  ${symbol} ${change.file.padEnd(36)} ${label}${details.length ? ` (${details.join('；')})` : ''}`))
+  }
+}
+
+/**
+ * 由 OpenAPI 文件產生 Express 專案 (路由、驗證規則、控制器、模型與測試)
+ * 再次執行時只重新產生沒有在受保護區塊外修改過的檔案，區塊內的程式碼保留
+ */
+async function scaffoldCommand (files, options) {
+  if (files.length !== 1) {
+    throw new MursfotoError(ERROR_CODES.MISSING_INPUT, '使用方式: mursfoto openapi scaffold <openapi.json> [-d 專案目錄]', { inputs: ['spec'] })
+  }
+  const database = options.database || 'mongoose'
+  if (!DATABASES.includes(database)) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `不支援的資料庫: ${database} (可用: ${DATABASES.join(', ')})`)
+  }
+
+  const projectPath = path.resolve(options.directory || process.cwd())
+  const document = readSpec(files[0])
+  const result = await new AICodeGenerator().generateFromSpec(document, { database })
+  result.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)))
+
+  const generated = { ...result.code.files, ...result.code.tests }
+  const manifest = readManifest(projectPath)
+  const changes = planScaffold(projectPath, generated, manifest, options)
+  printScaffoldPlan(changes)
+
+  for (const change of changes) {
+    if (['add', 'update'].includes(change.action)) {
+      await vfs.outputFile(path.join(projectPath, change.file), change.content)
+    } else if (change.action === 'delete') {
+      await vfs.remove(path.join(projectPath, change.file))
+    }
+  }
+
+  // 記錄產生的檔案；略過的檔案沿用上次的記錄 (之後仍視為已修改)，刪除的檔案不再記錄
+  const byFile = new Map(changes.map(change => [change.file, change]))
+  const recorded = {}
+  for (const file of new Set([...Object.keys(manifest?.files || {}), ...Object.keys(generated)])) {
+    const change = byFile.get(file)
+    if (!change) {
+      if (file in generated) recorded[file] = skeletonHash(readIfExists(path.join(projectPath, file)))
+    } else if (['add', 'update'].includes(change.action)) {
+      recorded[file] = skeletonHash(change.content)
+    } else if (change.action !== 'delete' && manifest?.files?.[file]) {
+      recorded[file] = manifest.files[file]
+    }
+  }
+
+  await vfs.outputFile(path.join(projectPath, SCAFFOLD_MANIFEST), `${JSON.stringify({
+    spec: path.relative(projectPath, path.resolve(files[0])),
+    database,
+    generatedAt: new Date().toISOString(),
+    files: recorded
+  }, null, 2)}\n`)
+
+  const written = changes.filter(change => ['add', 'update', 'delete'].includes(change.action)).length
+  console.log(chalk.green(`\n✅ 已由 ${files[0]} 產生 ${result.spec.operations} 個操作、${result.spec.models} 個模型 (${written} 個檔案變更)`))
+  if (!manifest) console.log(chalk.gray('   在 @mursfoto-protected 區塊內撰寫處理邏輯，規格變更後再次執行即可更新其餘部分'))
+
+  return {
+    directory: projectPath,
+    database,
+    operations: result.spec.operations,
+    models: result.spec.models,
+    qualityScore: result.qualityScore,
+    warnings: result.warnings,
+    changes: changes.map(({ file, action, preserved, orphaned }) => ({ file, action, ...(preserved ? { preserved, orphaned } : {}) }))
+  }
+}
+
+module.exports = {
+  openapiCommand,
+  planScaffold
+}
@@ -0,0 +1,125 @@
+const chalk = require('chalk')
+const path = require('path')
+const { vfs } = require('../utils/vfs')
+const { isJsonMode } = require('../utils/output')
+const { PluginManager, globalPluginManager, PLUGIN_PREFIX } = require('../modules/PluginManager')
+
+/**
+ * 插件管理命令
+ * mursfoto plugin list/add/remove
+ */
+async function pluginCommand (action, name, options = {}) {
+  switch (action) {
+    case 'add':
+      return addPlugin(name, options)
+    case 'remove':
+      return removePlugin(name, options)
+    case 'list':
+    case undefined:
+      return listPlugins(options)
+    default:
+      throw new Error(`未知的插件操作: ${action}（可用: list, add, remove）`)
+  }
+}
+
+// 補上 mursfoto-plugin- 前綴 (scope 套件與已有前綴者保持原樣)
+function normalizePackageName (name) {
+  if (name.startsWith('@') || name.startsWith(PLUGIN_PREFIX)) {
+    return name
+  }
+  return `${PLUGIN_PREFIX}${name}`
+}
+
+// npm 的輸出直接顯示；--json 時導向 stderr，stdout 只保留結構化結果
+function npmStdio () {
+  return isJsonMode() ? ['ignore', process.stderr, process.stderr] : 'inherit'
+}
+
+// 列出已探索到的插件
+function listPlugins (options) {
+  const manager = globalPluginManager
+  const plugins = manager.load({ config: options.config })
+
+  if (plugins.length === 0 && manager.errors.length === 0) {
+    console.log(chalk.yellow('📭 尚未安裝任何插件'))
+    console.log(chalk.gray('   使用 mursfoto plugin add <name> 安裝插件'))
+    return plugins
+  }
+
+  console.log(chalk.cyan('🧩 已安裝的插件\n'))
+  for (const plugin of plugins) {
+    console.log(`  ${chalk.white(plugin.pluginName)} ${chalk.gray(plugin.version ? `v${plugin.version}` : '')} ${chalk.gray(`[${plugin.source}]`)}`)
+    if (plugin.commands.length > 0) console.log(chalk.gray(`    命令: ${plugin.commands.join(', ')}`))
+    if (plugin.templates.length > 0) console.log(chalk.gray(`    模板: ${plugin.templates.join(', ')}`))
+    if (plugin.hooks.length > 0) console.log(chalk.gray(`    鉤子: ${plugin.hooks.join(', ')}`))
+  }
+
+  manager.errors.forEach(({ plugin, error }) => {
+    console.log(chalk.red(`  ❌ ${plugin}: ${error}`))
+  })
+
+  return plugins
+}
+
+// 安裝插件 (本地目錄或 npm 套件)
+async function addPlugin (name, options) {
+  if (!name) {
+    throw new Error('使用方式: mursfoto plugin add <name|path> [--global]')
+  }
+
+  const manager = new PluginManager()
+  const localPath = path.resolve(name)
+
+  if (vfs.existsSync(localPath) && vfs.statSync(localPath).isDirectory()) {
+    const target = path.join(manager.getLocalPluginDir(), path.basename(localPath))
+    if (vfs.existsSync(target)) {
+      throw new Error(`插件已存在: ${target}`)
+    }
+    await vfs.copy(localPath, target, { filter: src => !src.includes('node_modules') })
+    console.log(chalk.green(`✅ 已安裝本地插件: ${path.basename(localPath)}`))
+    console.log(chalk.gray(`   位置: ${target}`))
+    return target
+  }
+
+  const packageName = normalizePackageName(name)
+  if (options.global) {
+    const globalDir = manager.getGlobalPluginDir()
+    await vfs.ensureDir(globalDir)
+    vfs.exec(`npm install --prefix "${globalDir}" ${packageName}`, { stdio: npmStdio() })
+  } else {
+    vfs.exec(`npm install --save-dev ${packageName}`, { stdio: npmStdio() })
+  }
+
+  console.log(chalk.green(`✅ 已安裝插件: ${packageName}`))
+  return packageName
+}
+
+// 移除插件
+async function removePlugin (name, options) {
+  if (!name) {
+    throw new Error('使用方式: mursfoto plugin remove <name> [--global]')
+  }
+
+  const manager = new PluginManager()
+  const localTarget = path.join(manager.getLocalPluginDir(), name)
+
+  if (!options.global && vfs.existsSync(localTarget)) {
+    await vfs.remove(localTarget)
+    console.log(chalk.green(`✅ 已移除本地插件: ${name}`))
+    return localTarget
+  }
+
+  const packageName = normalizePackageName(name)
+  if (options.global) {
+    vfs.exec(`npm uninstall --prefix "${manager.getGlobalPluginDir()}" ${packageName}`, { stdio: npmStdio() })
+  } else {
+    vfs.exec(`npm uninstall ${packageName}`, { stdio: npmStdio() })
+  }
+
+  console.log(chalk.green(`✅ 已移除插件: ${packageName}`))
+  return packageName
+}
+
+module.exports = {
+  pluginCommand
+}
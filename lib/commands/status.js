@@ -0,0 +1,38 @@
+const chalk = require('chalk')
+const { ERROR_CODES, MursfotoError } = require('../utils/errors')
+const { isCIMode } = require('../utils/output')
+
+// 統一架構的核心服務
+const SERVICES = ['ai-unified', 'deployment-unified', 'development-unified', 'system-unified']
+
+/**
+ * 檢查統一服務是否可以載入
+ * CI 模式下有服務不可用時以 E_CHECK_FAILED 失敗
+ */
+async function statusCommand () {
+  console.log(chalk.blue('📊 檢查服務狀態...'))
+
+  const services = SERVICES.map(name => {
+    try {
+      require(`../services/${name}`)
+      console.log(chalk.green('✅'), `${name} 服務可用`)
+      return { name, available: true }
+    } catch (error) {
+      console.log(chalk.red('❌'), `${name} 服務不可用`)
+      return { name, available: false, error: error.message }
+    }
+  })
+
+  const healthy = services.every(service => service.available)
+  if (!healthy && isCIMode()) {
+    const unavailable = services.filter(service => !service.available).map(service => service.name)
+    throw new MursfotoError(ERROR_CODES.CHECK_FAILED, `服務不可用: ${unavailable.join(', ')}`, { services })
+  }
+
+  console.log(chalk.green('\n🎉 狀態檢查完成'))
+  return { healthy, services }
+}
+
+module.exports = {
+  statusCommand
+}
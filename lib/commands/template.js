@@ -0,0 +1,119 @@
+const chalk = require('chalk')
+const {
+  listTemplates,
+  getTemplate,
+  validateTemplate,
+  getUserTemplatesDir
+} = require('../utils/template-registry')
+
+/**
+ * 模板管理命令
+ * mursfoto template list/info/validate
+ */
+async function templateCommand (action, name, options = {}) {
+  switch (action) {
+    case 'info':
+      return showTemplateInfo(name)
+    case 'validate':
+      return validateTemplates(name)
+    case 'list':
+    case undefined:
+      return listAllTemplates(options)
+    default:
+      throw new Error(`未知的模板操作: ${action}（可用: list, info, validate）`)
+  }
+}
+
+// 列出所有模板，依類型分組
+function listAllTemplates (options) {
+  const templates = listTemplates({ type: options.type })
+  const groups = [
+    { type: 'project', title: '📋 專案模板' },
+    { type: 'feature', title: '🧩 附加元件' }
+  ]
+
+  for (const group of groups) {
+    const items = templates.filter(template => template.type === group.type)
+    if (items.length === 0) continue
+
+    console.log(chalk.cyan(`${group.title}\n`))
+    for (const template of items) {
+      console.log(`  ${template.emoji} ${chalk.white(template.name.padEnd(24))} ${template.description} ${chalk.gray(`[${template.source}]`)}`)
+    }
+    console.log('')
+  }
+
+  console.log(chalk.gray(`使用者模板目錄: ${getUserTemplatesDir()}`))
+  return templates
+}
+
+// 顯示單一模板清單內容
+function showTemplateInfo (name) {
+  if (!name) {
+    throw new Error('使用方式: mursfoto template info <name>')
+  }
+
+  const template = getTemplate(name)
+  if (!template) {
+    throw new Error(`未找到模板: ${name}（使用 mursfoto template list 查看可用模板）`)
+  }
+
+  console.log(chalk.cyan(`${template.emoji} ${template.displayName} (${template.name}) v${template.version}\n`))
+  console.log(`  ${template.description}`)
+  console.log(chalk.gray(`  類型: ${template.type}   來源: ${template.source}`))
+  console.log(chalk.gray(`  位置: ${template.path}`))
+
+  if (template.variables.length > 0) {
+    console.log(chalk.white('\n  變數:'))
+    template.variables.forEach(variable => {
+      const required = variable.required ? chalk.red('*') : ' '
+      console.log(`   ${required} ${variable.name.padEnd(20)} ${chalk.gray(variable.description || '')}`)
+    })
+  }
+
+  if (template.type === 'project') {
+    console.log(chalk.white('\n  支援選項:'), template.options.join(', ') || '無')
+    console.log(chalk.white('  相容附加元件:'), template.features.join(', ') || '無')
+  }
+
+  const addons = Object.entries(template.addons)
+  if (addons.length > 0) {
+    console.log(chalk.white('\n  提供的附加元件 (mursfoto add <name>):'))
+    addons.forEach(([addonName, addon]) => {
+      console.log(`    ${addonName.padEnd(20)} ${chalk.gray(addon.description || '')}`)
+    })
+  }
+
+  if (!template.hasManifest) {
+    console.log(chalk.yellow('\n⚠️ 此模板缺少 template.json 清單，以上為預設值'))
+  }
+
+  return template
+}
+
+// 驗證指定模板或全部模板
+function validateTemplates (name) {
+  const names = name ? [name] : listTemplates().map(template => template.name)
+  let failed = 0
+
+  for (const templateName of names) {
+    const { valid, errors, warnings } = validateTemplate(templateName)
+
+    console.log(`${valid ? chalk.green('✅') : chalk.red('❌')} ${templateName}`)
+    errors.forEach(error => console.log(chalk.red(`   ❌ ${error}`)))
+    warnings.forEach(warning => console.log(chalk.yellow(`   ⚠️ ${warning}`)))
+
+    if (!valid) failed++
+  }
+
+  if (failed > 0) {
+    throw new Error(`模板驗證失敗 (${failed}/${names.length})`)
+  }
+
+  console.log(chalk.green(`\n🎉 ${names.length} 個模板驗證通過`))
+  return names
+}
+
+module.exports = {
+  templateCommand
+}
@@ -0,0 +1,227 @@
+const os = require('os')
+const path = require('path')
+const chalk = require('chalk')
+const { vfs } = require('../utils/vfs')
+const { ERROR_CODES, MursfotoError } = require('../utils/errors')
+const { createSpinner, isInteractive, prompt } = require('../utils/output')
+const { getTemplate } = require('../utils/template-registry')
+const { getTemplateConfig, renderProject } = require('../utils/templates')
+const { parseVarOptions, resolveAnswers } = require('../utils/template-prompts')
+const { mergeText, diffText } = require('../utils/three-way-merge')
+const {
+  METADATA_FILE,
+  listProjectFiles,
+  readProjectMetadata,
+  writeProjectMetadata,
+  getBaselineDir,
+  saveBaseline
+} = require('../utils/project-metadata')
+
+// 各動作在預覽中的符號與說明
+const ACTIONS = {
+  add: { symbol: '+', label: '新增', color: 'green' },
+  update: { symbol: '~', label: '更新', color: 'cyan' },
+  merge: { symbol: '⇄', label: '合併', color: 'cyan' },
+  conflict: { symbol: '!', label: '衝突', color: 'red' },
+  delete: { symbol: '-', label: '刪除', color: 'yellow' },
+  'keep-modified': { symbol: '=', label: '模板已移除，保留修改過的檔案', color: 'gray' },
+  'keep-deleted': { symbol: '=', label: '已在專案中刪除，略過', color: 'gray' }
+}
+
+/**
+ * 將新版模板套用到既有專案
+ * mursfoto upgrade [--yes]，搭配全域 --dry-run 只預覽
+ */
+async function upgradeCommand (options = {}) {
+  const projectPath = path.resolve(options.directory || process.cwd())
+  const metadata = readProjectMetadata(projectPath)
+  if (!metadata) {
+    throw new Error(`找不到 ${METADATA_FILE}，此專案不是由 mursfoto create 建立`)
+  }
+
+  const template = getTemplate(metadata.template)
+  if (!template) {
+    throw new MursfotoError(ERROR_CODES.TEMPLATE_NOT_FOUND, `未找到模板: ${metadata.template}`, { template: metadata.template })
+  }
+
+  if (template.version === metadata.version && !options.force) {
+    console.log(chalk.green(`✅ 已是最新的 ${metadata.template} 模板 (v${metadata.version})`))
+    return { upToDate: true, changes: [] }
+  }
+
+  console.log(chalk.cyan(`🔄 升級模板 ${metadata.template}: v${metadata.version} → v${template.version}\n`))
+
+  const templateConfig = await getTemplateConfig(metadata.template)
+  const answers = await resolveAnswers(templateConfig.prompts, {
+    vars: parseVarOptions(options.var),
+    answers: metadata.answers,
+    prompt: isInteractive() && !options.yes ? prompt : null
+  })
+
+  const renderDir = await vfs.mkdtemp(path.join(os.tmpdir(), 'mursfoto-upgrade-'))
+  const spinner = createSpinner()
+
+  try {
+    spinner.start('📋 產生新版模板輸出...')
+    await renderProject(metadata.template, renderDir, {
+      templateConfig,
+      templateData: { ...metadata.data, ...answers },
+      answers,
+      features: metadata.features || []
+    })
+    spinner.succeed('📋 新版模板輸出完成')
+
+    const changes = planUpgrade(projectPath, renderDir)
+    printUpgradePlan(changes, options)
+
+    if (options.dryRun || vfs.dryRun) {
+      console.log(chalk.yellow('\n🔍 預覽模式，未寫入任何檔案'))
+      return { upToDate: false, changes: summarizeChanges(changes) }
+    }
+
+    if (!options.yes && !(await confirmUpgrade(changes))) {
+      console.log(chalk.yellow('👋 操作已取消'))
+      return { upToDate: false, cancelled: true, changes: summarizeChanges(changes) }
+    }
+
+    await applyUpgrade(projectPath, changes)
+    await saveBaseline(projectPath, renderDir)
+    await writeProjectMetadata(projectPath, {
+      ...metadata,
+      version: template.version,
+      answers,
+      updatedAt: new Date().toISOString()
+    })
+
+    const conflicts = changes.filter(change => change.action === 'conflict')
+    if (conflicts.length > 0) {
+      console.log(chalk.yellow(`\n⚠️ ${conflicts.length} 個檔案有衝突，請搜尋 <<<<<<< 標記手動解決:`))
+      conflicts.forEach(change => console.log(chalk.yellow(`   ${change.file}`)))
+    } else {
+      console.log(chalk.green(`\n🎉 已升級到 ${metadata.template} v${template.version}`))
+    }
+
+    return { upToDate: false, changes: summarizeChanges(changes) }
+  } catch (error) {
+    spinner.stop()
+    throw error
+  } finally {
+    await vfs.remove(renderDir)
+  }
+}
+
+// 回傳給呼叫端 (與 --json 輸出) 的變更摘要，不含檔案內容
+function summarizeChanges (changes) {
+  return changes.map(({ file, action, conflicts }) => (conflicts ? { file, action, conflicts } : { file, action }))
+}
+
+function readIfExists (filePath) {
+  return vfs.existsSync(filePath) ? vfs.readFileSync(filePath, 'utf8') : null
+}
+
+/**
+ * 比對基準、專案與新版輸出，決定每個檔案的處理方式
+ * 只處理模板產生過或將產生的檔案，使用者自行新增的檔案不受影響
+ */
+function planUpgrade (projectPath, renderDir) {
+  const baselineDir = getBaselineDir(projectPath)
+  const files = new Set([...listProjectFiles(baselineDir), ...listProjectFiles(renderDir)])
+  const changes = []
+
+  for (const file of Array.from(files).sort()) {
+    const base = readIfExists(path.join(baselineDir, file))
+    const theirs = readIfExists(path.join(renderDir, file))
+    const ours = readIfExists(path.join(projectPath, file))
+
+    // 模板沒有變動，或專案已與新版相同
+    if (theirs === base || ours === theirs) continue
+
+    if (theirs === null) {
+      changes.push({ file, action: ours === base ? 'delete' : 'keep-modified', before: ours })
+    } else if (ours === null) {
+      changes.push({ file, action: base === null ? 'add' : 'keep-deleted', before: '', content: theirs })
+    } else if (ours === base) {
+      changes.push({ file, action: 'update', before: ours, content: theirs })
+    } else {
+      const merged = mergeText(ours, base || '', theirs)
+      changes.push({
+        file,
+        action: merged.conflicts > 0 ? 'conflict' : 'merge',
+        before: ours,
+        content: merged.content,
+        conflicts: merged.conflicts
+      })
+    }
+  }
+
+  return changes
+}
+
+/**
+ * 顯示升級預覽 (檔案清單與差異)
+ */
+function printUpgradePlan (changes, options = {}) {
+  if (changes.length === 0) {
+    console.log(chalk.green('✅ 專案已包含新版模板的所有變更'))
+    return
+  }
+
+  for (const change of changes) {
+    const { symbol, label, color } = ACTIONS[change.action]
+    const detail = change.conflicts ? ` (${change.conflicts} 處)` : ''
+    console.log(chalk[color](`  ${symbol} ${change.file.padEnd(40)} ${label}${detail}`))
+  }
+
+  if (options.diff === false) return
+
+  for (const change of changes) {
+    if (!['update', 'merge', 'conflict', 'add', 'delete'].includes(change.action)) continue
+    const after = change.action === 'delete' ? '' : change.content
+    console.log('')
+    console.log(diffText(change.before || '', after, change.file).trimEnd())
+  }
+}
+
+async function confirmUpgrade (changes) {
+  if (changes.length === 0) return true
+
+  if (!isInteractive()) {
+    throw new MursfotoError(ERROR_CODES.MISSING_INPUT, '非交互式環境請使用 --yes 確認套用，或使用 --dry-run 預覽', { inputs: ['confirmed'] })
+  }
+
+  const { confirmed } = await prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: `套用以上 ${changes.length} 個檔案變更？`,
+      default: true
+    }
+  ])
+  return confirmed
+}
+
+/**
+ * 寫入升級結果
+ */
+async function applyUpgrade (projectPath, changes) {
+  for (const change of changes) {
+    const targetPath = path.join(projectPath, change.file)
+
+    switch (change.action) {
+      case 'add':
+      case 'update':
+      case 'merge':
+      case 'conflict':
+        await vfs.outputFile(targetPath, change.content)
+        break
+      case 'delete':
+        await vfs.remove(targetPath)
+        break
+    }
+  }
+}
+
+module.exports = {
+  upgradeCommand,
+  planUpgrade
+}
@@ -3,6 +3,9 @@
  * 處理前端邏輯、WebSocket 連接和使用者互動
  */
 
+// 可透過 Socket.IO 串流回應的服務
+const STREAMING_SERVICES = ['auto', 'lmstudio', 'claude']
+
 class MursfotoGUI {
     /**
      * 📊 數據視覺化增強功能
@@ -113,12 +116,15 @@ class MursfotoGUI {
     this.socket = null
     this.connected = false
     this.lastStatus = null
+    this.activeStream = null
     
     // DOM 元素
     this.elements = {
       connectionStatus: document.getElementById('connection-status'),
       servicesGrid: document.getElementById('services-grid'),
       statsGrid: document.getElementById('stats-grid'),
+      routingPanel: document.getElementById('routing-panel'),
+      usagePanel: document.getElementById('usage-panel'),
       environmentTab: document.getElementById('environment-tab'),
       aiRouterTab: document.getElementById('ai-router-tab'),
       guiTab: document.getElementById('gui-tab'),
@@ -196,6 +202,21 @@ class MursfotoGUI {
         this.displayTestError(error)
       })
       
+      // 串流測試回應
+      this.socket.on('stream-token', ({ id, token }) => {
+        if (this.activeStream && this.activeStream.id === id) {
+          this.activeStream.output.textContent += token
+        }
+      })
+      
+      this.socket.on('stream-end', (result) => {
+        this.finishStream(result, result.cancelled ? '已取消' : null)
+      })
+      
+      this.socket.on('stream-error', (result) => {
+        this.finishStream(result, result.error)
+      })
+      
     } catch (error) {
       console.error('❌ WebSocket 連接失敗:', error)
       this.updateConnectionStatus('連接失敗', 'disconnected')
@@ -308,8 +329,10 @@ class MursfotoGUI {
       { key: 'successfulRequests', label: '成功請求', value: stats.successfulRequests || 0 },
       { key: 'failedRequests', label: '失敗請求', value: stats.failedRequests || 0 },
       { key: 'averageResponseTime', label: '平均響應時間', value: `${stats.averageResponseTime || 0}ms` },
+      { key: 'cacheHits', label: '快取命中', value: stats.cacheHits || 0 },
       { key: 'lmStudioRequests', label: 'LM Studio', value: stats.methodCounts?.lmstudio || 0 },
       { key: 'ollamaRequests', label: 'Ollama', value: stats.methodCounts?.ollama || 0 },
+      { key: 'openaiCompatibleRequests', label: 'OpenAI 相容', value: stats.methodCounts?.['openai-compatible'] || 0 },
       { key: 'claudeRequests', label: 'Claude', value: stats.methodCounts?.claude || 0 },
       { key: 'clineRequests', label: 'Cline', value: stats.methodCounts?.cline || 0 }
     ]
@@ -323,6 +346,83 @@ class MursfotoGUI {
       `
       grid.appendChild(card)
     })
+    
+    this.updateRouting(stats)
+    this.updateUsage(stats.usage)
+  }
+  
+  /**
+   * 📋 在面板加入一列鍵值 (以 textContent 填入)
+   */
+  appendConfigItem(panel, key, value) {
+    const item = document.createElement('div')
+    item.className = 'config-item'
+    const keyElement = document.createElement('span')
+    keyElement.className = 'config-key'
+    keyElement.textContent = key
+    const valueElement = document.createElement('span')
+    valueElement.className = 'config-value'
+    valueElement.textContent = value
+    valueElement.title = value
+    item.append(keyElement, valueElement)
+    panel.appendChild(item)
+  }
+  
+  /**
+   * 🧭 更新路由資訊：今日預算、斷路器與最近的路由決策
+   */
+  updateRouting(stats) {
+    const panel = this.elements.routingPanel
+    if (!panel) return
+    panel.innerHTML = ''
+    
+    const addItem = (key, value) => this.appendConfigItem(panel, key, value)
+    
+    const budget = stats.budget
+    if (budget) {
+      const limits = [
+        `${budget.tokens} / ${budget.dailyTokens ?? '∞'} tokens`,
+        `$${budget.cost} / ${budget.dailyCost ?? '∞'}`
+      ].join('，')
+      addItem('今日預算', budget.exceeded ? `${limits} (已超過，改用本地模型)` : limits)
+    }
+    
+    Object.entries(stats.breakers || {}).forEach(([provider, breaker]) => {
+      const detail = breaker.state === 'open'
+        ? `開啟至 ${this.formatDateTime(breaker.openUntil)}`
+        : `${breaker.state} (失敗 ${breaker.failures} 次)`
+      addItem(`斷路器 ${provider}`, detail)
+    })
+    
+    const decisions = stats.decisions || []
+    decisions.slice(0, 10).forEach(decision => {
+      const attempts = decision.attempts
+        .map(attempt => `${attempt.provider}${attempt.ok ? ' ✓' : ` ✗ ${attempt.skipped || attempt.error}`}`)
+        .join(' → ')
+      addItem(`${this.formatDateTime(decision.time)} ${decision.task} [${decision.reason}]`, attempts || decision.chain.join(' → '))
+    })
+    
+    if (!panel.children.length) {
+      addItem('路由', '尚無路由紀錄')
+    }
+  }
+  
+  /**
+   * 🧾 更新用量帳本：最近 7 天各模型的 token 與費用
+   */
+  updateUsage(usage) {
+    const panel = this.elements.usagePanel
+    if (!panel) return
+    panel.innerHTML = ''
+    
+    if (!usage || !usage.groups.length) {
+      this.appendConfigItem(panel, '用量', '尚無用量紀錄')
+      return
+    }
+    
+    const describe = group => `${group.requests} 次，${group.inputTokens} / ${group.outputTokens} tokens，$${group.cost}`
+    usage.groups.forEach(group => this.appendConfigItem(panel, group.key, describe(group)))
+    this.appendConfigItem(panel, '合計', describe(usage.total))
   }
   
   /**
@@ -390,6 +490,12 @@ class MursfotoGUI {
    * 🧪 執行服務測試
    */
   async runServiceTest() {
+    // 串流進行中時按鈕用來取消
+    if (this.activeStream) {
+      this.socket.emit('stream-cancel', { id: this.activeStream.id })
+      return
+    }
+    
     const service = this.elements.serviceSelect.value
     const prompt = this.elements.testPrompt.value.trim()
     
@@ -403,6 +509,12 @@ class MursfotoGUI {
       return
     }
     
+    // 支援串流的服務逐段顯示回應
+    if (STREAMING_SERVICES.includes(service)) {
+      this.startStream(service, prompt)
+      return
+    }
+    
     // 禁用按鈕並顯示載入狀態
     this.elements.testButton.disabled = true
     this.elements.testButton.innerHTML = '🔄 測試中...'
@@ -418,6 +530,56 @@ class MursfotoGUI {
     }
   }
   
+  /**
+   * 🌊 開始串流測試
+   */
+  startStream(service, prompt) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`
+    
+    const resultDiv = document.createElement('div')
+    resultDiv.className = 'test-result'
+    resultDiv.innerHTML = `
+      <div class="test-result-header">
+        <span><strong>服務:</strong> ${service} | <strong>方法:</strong> stream</span>
+        <span class="test-result-meta">串流中...</span>
+      </div>
+      <div class="test-result-content"><strong>提示:</strong> <span class="test-result-prompt"></span>
+        
+<strong>回應:</strong>
+<span class="test-result-output"></span></div>
+    `
+    resultDiv.querySelector('.test-result-prompt').textContent = prompt
+    this.elements.testResults.insertBefore(resultDiv, this.elements.testResults.firstChild)
+    
+    this.activeStream = {
+      id,
+      div: resultDiv,
+      output: resultDiv.querySelector('.test-result-output')
+    }
+    this.elements.testButton.innerHTML = '⏹ 停止'
+    
+    this.socket.emit('stream-start', { id, service, prompt })
+  }
+  
+  /**
+   * 🏁 結束串流測試
+   */
+  finishStream(result, error) {
+    if (!this.activeStream || this.activeStream.id !== result.id) return
+    
+    const { div } = this.activeStream
+    this.activeStream = null
+    this.resetTestButton()
+    
+    div.classList.add(error ? 'error' : 'success')
+    const meta = div.querySelector('.test-result-meta')
+    meta.textContent = error
+      ? `錯誤: ${error}`
+      : `${result.responseTime}ms | ${new Date().toLocaleString('zh-TW')}`
+    
+    this.showToast(error ? `測試結束: ${error}` : `測試成功 (${result.responseTime}ms)`, error ? 'warning' : 'success')
+  }
+  
   /**
    * 📋 顯示測試結果
    */
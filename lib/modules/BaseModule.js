@@ -1,18 +1,30 @@
 /**
  * 基底模組類別
  * 所有功能模組都應繼承此類別
+ *
+ * 子類別可透過 static dependencies = ['github'] 或 options.dependencies 宣告依賴，
+ * 註冊中心會依拓撲順序初始化並注入到 this.deps
  */
 class BaseModule {
     constructor(name, options = {}) {
         this.name = name;
         this.options = options;
         this.logger = options.logger || console;
+        this.dependencies = options.dependencies || this.constructor.dependencies || [];
+        this.deps = {};
         this.initialized = false;
     }
 
+    /**
+     * 注入已初始化的依賴模組
+     */
+    inject(name, moduleInstance) {
+        this.deps[name] = moduleInstance;
+    }
+
     async initialize() {
         if (this.initialized) return;
-        
+
         this.logger.info(`初始化模組: ${this.name}`);
         await this.onInitialize();
         this.initialized = true;
@@ -26,7 +38,7 @@ class BaseModule {
         if (!this.initialized) {
             await this.initialize();
         }
-        
+
         return await this.onExecute(action, params);
     }
 
@@ -34,10 +46,47 @@ class BaseModule {
         throw new Error(`模組 ${this.name} 尚未實作 onExecute 方法`);
     }
 
+    /**
+     * 釋放模組資源 (計時器、連線等)，之後可再次初始化
+     */
+    async dispose() {
+        if (!this.initialized) return;
+
+        await this.onDispose();
+        this.initialized = false;
+    }
+
+    async onDispose() {
+        // 子類別可覆寫此方法
+    }
+
+    /**
+     * 健康檢查
+     * @returns {Object} { healthy, status, ... }
+     */
+    async healthCheck() {
+        if (!this.initialized) {
+            return { healthy: false, status: 'not-initialized' };
+        }
+
+        try {
+            const result = await this.onHealthCheck();
+            return { healthy: true, status: 'ok', ...result };
+        } catch (error) {
+            return { healthy: false, status: 'error', error: error.message };
+        }
+    }
+
+    async onHealthCheck() {
+        // 子類別可覆寫此方法，拋出錯誤或回傳 { healthy: false } 表示異常
+        return {};
+    }
+
     getInfo() {
         return {
             name: this.name,
             initialized: this.initialized,
+            dependencies: this.dependencies,
             options: this.options
         };
     }
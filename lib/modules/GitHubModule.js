@@ -6,8 +6,13 @@ const GitHubAutomation = require('../services/GitHubAutomation');
  * 負責所有 GitHub 相關操作
  */
 class GitHubModule extends BaseModule {
-    constructor(options = {}) {
-        super('github', options);
+    // 支援 registry.register('github', GitHubModule, options) 與 new GitHubModule(options)
+    constructor(name = 'github', options = {}) {
+        if (typeof name === 'object' && name !== null) {
+            options = name;
+            name = 'github';
+        }
+        super(name, options);
     }
 
     async onInitialize() {
@@ -15,6 +20,14 @@ class GitHubModule extends BaseModule {
         this.logger.info('GitHub 模組初始化完成');
     }
 
+    async onDispose() {
+        this.githubService = null;
+    }
+
+    async onHealthCheck() {
+        return { authenticated: Boolean(this.githubService.token) };
+    }
+
     async onExecute(action, params) {
         switch (action) {
             case 'createRepo':
@@ -1,6 +1,6 @@
 /**
  * 模組註冊中心
- * 管理所有功能模組的生命週期
+ * 管理所有功能模組的生命週期與依賴關係
  */
 class ModuleRegistry {
     constructor() {
@@ -16,7 +16,7 @@ class ModuleRegistry {
         const moduleInstance = new moduleClass(moduleName, options);
         this.modules.set(moduleName, moduleInstance);
         this.loadOrder.push(moduleName);
-        
+
         return moduleInstance;
     }
 
@@ -27,19 +27,105 @@ class ModuleRegistry {
         }
 
         if (!module.initialized) {
-            await module.initialize();
+            for (const name of this.resolveOrder([moduleName])) {
+                await this.initializeModule(name);
+            }
+        }
+
+        return module;
+    }
+
+    /**
+     * 依拓撲順序解析模組 (依賴在前)
+     * @param {Array} moduleNames - 要解析的模組，預設為全部
+     */
+    resolveOrder(moduleNames = this.loadOrder) {
+        const order = [];
+        const visited = new Set();
+        const visiting = [];
+
+        const visit = (name, parent) => {
+            if (visited.has(name)) return;
+
+            if (visiting.includes(name)) {
+                const cycle = [...visiting.slice(visiting.indexOf(name)), name];
+                throw new Error(`模組依賴循環: ${cycle.join(' -> ')}`);
+            }
+
+            const module = this.modules.get(name);
+            if (!module) {
+                throw new Error(parent ? `模組 ${parent} 依賴未註冊的模組 ${name}` : `模組 ${name} 未註冊`);
+            }
+
+            visiting.push(name);
+            for (const dependency of module.dependencies || []) {
+                visit(dependency, name);
+            }
+            visiting.pop();
+
+            visited.add(name);
+            order.push(name);
+        };
+
+        for (const name of moduleNames) {
+            visit(name);
         }
 
+        return order;
+    }
+
+    async initializeModule(moduleName) {
+        const module = this.modules.get(moduleName);
+        if (module.initialized) return module;
+
+        for (const dependency of module.dependencies || []) {
+            module.inject(dependency, this.modules.get(dependency));
+        }
+
+        await module.initialize();
         return module;
     }
 
     async initializeAll() {
-        for (const moduleName of this.loadOrder) {
+        for (const moduleName of this.resolveOrder()) {
+            await this.initializeModule(moduleName);
+        }
+    }
+
+    /**
+     * 檢查所有已註冊模組的健康狀態
+     */
+    async healthCheck() {
+        const results = {};
+
+        for (const [moduleName, module] of this.modules) {
+            results[moduleName] = await module.healthCheck();
+        }
+
+        return {
+            healthy: Object.values(results).every(result => result.healthy),
+            modules: results
+        };
+    }
+
+    /**
+     * 依反向拓撲順序釋放所有模組 (依賴者先釋放)
+     * 個別模組釋放失敗不會中斷其他模組
+     */
+    async shutdown() {
+        const errors = [];
+
+        for (const moduleName of this.resolveOrder().reverse()) {
             const module = this.modules.get(moduleName);
-            if (!module.initialized) {
-                await module.initialize();
+            try {
+                await module.dispose();
+            } catch (error) {
+                errors.push({ module: moduleName, error: error.message });
+                module.logger.error(`模組 ${moduleName} 釋放失敗: ${error.message}`);
             }
         }
+
+        return { errors };
     }
 
     getRegistered() {
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const { globalRegistry } = require('./ModuleRegistry');
+const PluginModule = require('./PluginModule');
+const { SUPPORTED_HOOKS } = require('./PluginModule');
+const { registerTemplate } = require('../utils/template-registry');
+const { getGlobalConfigDir } = require('../utils/config');
+
+const PLUGIN_PREFIX = 'mursfoto-plugin-';
+
+/**
+ * 插件管理器
+ * 探索 npm 套件 (mursfoto-plugin-*) 與本地 ./.mursfoto/plugins 插件，並註冊到 ModuleRegistry
+ */
+class PluginManager {
+    constructor(options = {}) {
+        this.registry = options.registry || globalRegistry;
+        this.cwd = options.cwd || process.cwd();
+        this.logger = options.logger || console;
+        this.plugins = new Map();
+        this.errors = [];
+        this.loaded = false;
+    }
+
+    /**
+     * 本地插件目錄 (專案內)
+     */
+    getLocalPluginDir() {
+        return path.join(this.cwd, '.mursfoto', 'plugins');
+    }
+
+    /**
+     * 全域插件安裝目錄 (~/.mursfoto/plugins)
+     */
+    getGlobalPluginDir() {
+        return path.join(getGlobalConfigDir(), 'plugins');
+    }
+
+    /**
+     * 探索所有可用插件
+     * @returns {Array} [{ name, packageName, path, source }]
+     */
+    discover() {
+        const found = new Map();
+
+        // 本地插件優先，其次是專案依賴，最後是全域安裝
+        const localDir = this.getLocalPluginDir();
+        for (const entry of this.readDirectories(localDir)) {
+            const pluginPath = path.join(localDir, entry);
+            found.set(entry, { name: entry, packageName: entry, path: pluginPath, source: 'local' });
+        }
+
+        const nodeModulesDirs = [
+            { dir: path.join(this.cwd, 'node_modules'), source: 'npm' },
+            { dir: path.join(this.getGlobalPluginDir(), 'node_modules'), source: 'global' }
+        ];
+
+        for (const { dir, source } of nodeModulesDirs) {
+            for (const packageName of this.findPluginPackages(dir)) {
+                const name = packageName.split('/').pop().replace(PLUGIN_PREFIX, '');
+                if (!found.has(name)) {
+                    found.set(name, { name, packageName, path: path.join(dir, packageName), source });
+                }
+            }
+        }
+
+        return Array.from(found.values());
+    }
+
+    /**
+     * 在 node_modules 中尋找 mursfoto-plugin-* 套件 (含 scope 套件)
+     */
+    findPluginPackages(nodeModulesDir) {
+        const packages = [];
+
+        for (const entry of this.readDirectories(nodeModulesDir)) {
+            if (entry.startsWith('@')) {
+                for (const scoped of this.readDirectories(path.join(nodeModulesDir, entry))) {
+                    if (scoped.startsWith(PLUGIN_PREFIX)) {
+                        packages.push(`${entry}/${scoped}`);
+                    }
+                }
+            } else if (entry.startsWith(PLUGIN_PREFIX)) {
+                packages.push(entry);
+            }
+        }
+
+        return packages;
+    }
+
+    readDirectories(dir) {
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() || entry.isSymbolicLink())
+            .map(entry => entry.name);
+    }
+
+    /**
+     * 載入並註冊所有插件
+     * @param {Object} context - 傳給插件工廠函數的上下文 (config 等)
+     */
+    load(context = {}) {
+        if (this.loaded) return this.getPlugins();
+
+        for (const candidate of this.discover()) {
+            try {
+                this.loadPlugin(candidate, context);
+            } catch (error) {
+                this.errors.push({ plugin: candidate.name, error: error.message });
+                this.logger.warn(`⚠️ 插件 ${candidate.name} 載入失敗: ${error.message}`);
+            }
+        }
+
+        this.loaded = true;
+        return this.getPlugins();
+    }
+
+    loadPlugin(candidate, context = {}) {
+        let definition = require(candidate.path);
+        if (typeof definition === 'function') {
+            definition = definition({ ...context, logger: this.logger });
+        }
+
+        this.validateDefinition(definition, candidate);
+
+        const packageJsonPath = path.join(candidate.path, 'package.json');
+        const version = fs.existsSync(packageJsonPath)
+            ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).version
+            : null;
+
+        const moduleName = `plugin:${definition.name || candidate.name}`;
+        const pluginModule = this.registry.register(moduleName, PluginModule, {
+            plugin: definition,
+            logger: this.logger,
+            meta: {
+                pluginName: definition.name || candidate.name,
+                packageName: candidate.packageName,
+                source: candidate.source,
+                path: candidate.path,
+                version
+            }
+        });
+
+        for (const [templateName, templateDir] of Object.entries(pluginModule.getTemplates())) {
+            registerTemplate(templateName, path.resolve(candidate.path, templateDir));
+        }
+
+        this.plugins.set(moduleName, pluginModule);
+        return pluginModule;
+    }
+
+    validateDefinition(definition, candidate) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('插件必須匯出物件或回傳物件的函數');
+        }
+
+        if (definition.commands && !Array.isArray(definition.commands)) {
+            throw new Error('commands 必須是陣列');
+        }
+
+        for (const command of definition.commands || []) {
+            if (!command.name || typeof command.action !== 'function') {
+                throw new Error('每個命令都需要 name 與 action');
+            }
+        }
+
+        for (const hookName of Object.keys(definition.hooks || {})) {
+            if (!SUPPORTED_HOOKS.includes(hookName)) {
+                this.logger.warn(`⚠️ 插件 ${candidate.name} 使用未知鉤子: ${hookName}（支援: ${SUPPORTED_HOOKS.join(', ')}）`);
+            }
+        }
+    }
+
+    /**
+     * 將插件命令註冊到 commander 程式
+     */
+    registerCommands(program, context = {}) {
+        const existing = new Set(program.commands.map(command => command.name()));
+
+        for (const pluginModule of this.plugins.values()) {
+            for (const definition of pluginModule.getCommands()) {
+                const commandName = definition.name.split(' ')[0];
+                if (existing.has(commandName)) {
+                    this.logger.warn(`⚠️ 插件 ${pluginModule.name} 的命令 ${commandName} 與現有命令衝突，已略過`);
+                    continue;
+                }
+
+                const command = program
+                    .command(definition.name)
+                    .description(`${definition.description || ''} ${`[${pluginModule.name}]`}`.trim());
+
+                for (const option of definition.options || []) {
+                    command.option(option.flags, option.description, option.defaultValue);
+                }
+
+                command.action(async (...args) => {
+                    await pluginModule.initialize();
+                    await definition.action(...args, { ...context, plugin: pluginModule.getInfo() });
+                });
+
+                existing.add(commandName);
+            }
+        }
+    }
+
+    /**
+     * 執行所有插件的生命週期鉤子
+     * pre-* 鉤子失敗會中止流程，post-* 鉤子失敗只會警告
+     */
+    async runHook(hookName, context = {}) {
+        const results = [];
+
+        for (const pluginModule of this.plugins.values()) {
+            if (!pluginModule.hasHook(hookName)) continue;
+
+            try {
+                const result = await pluginModule.execute('hook', { hook: hookName, context });
+                results.push({ plugin: pluginModule.name, result });
+            } catch (error) {
+                if (hookName.startsWith('pre-')) {
+                    throw new Error(`插件 ${pluginModule.name} 的 ${hookName} 鉤子失敗: ${error.message}`);
+                }
+                this.logger.warn(`⚠️ 插件 ${pluginModule.name} 的 ${hookName} 鉤子失敗: ${error.message}`);
+            }
+        }
+
+        return results;
+    }
+
+    getPlugins() {
+        return Array.from(this.plugins.values()).map(pluginModule => pluginModule.getInfo());
+    }
+}
+
+// 全域插件管理器實例
+const globalPluginManager = new PluginManager();
+
+module.exports = { PluginManager, globalPluginManager, PLUGIN_PREFIX };
@@ -0,0 +1,73 @@
+const BaseModule = require('./BaseModule');
+
+/**
+ * 插件支援的生命週期鉤子
+ */
+const SUPPORTED_HOOKS = ['pre-create', 'post-create', 'pre-deploy'];
+
+/**
+ * 插件模組
+ * 將第三方插件定義包裝成 ModuleRegistry 可管理的模組
+ */
+class PluginModule extends BaseModule {
+    constructor(name, options = {}) {
+        super(name, options);
+        this.plugin = options.plugin || {};
+        this.meta = options.meta || {};
+    }
+
+    async onInitialize() {
+        if (typeof this.plugin.initialize === 'function') {
+            await this.plugin.initialize({ logger: this.logger, meta: this.meta });
+        }
+    }
+
+    async onExecute(action, params) {
+        switch (action) {
+            case 'hook':
+                return await this.runHook(params.hook, params.context);
+            default:
+                throw new Error(`插件 ${this.name} 不支援操作: ${action}`);
+        }
+    }
+
+    async runHook(hookName, context = {}) {
+        const handler = this.getHooks()[hookName];
+        if (!handler) return null;
+
+        return await handler(context);
+    }
+
+    getCommands() {
+        return Array.isArray(this.plugin.commands) ? this.plugin.commands : [];
+    }
+
+    getTemplates() {
+        return this.plugin.templates || {};
+    }
+
+    getHooks() {
+        return this.plugin.hooks || {};
+    }
+
+    hasHook(hookName) {
+        return typeof this.getHooks()[hookName] === 'function';
+    }
+
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            options: undefined,
+            pluginName: this.meta.pluginName,
+            version: this.meta.version,
+            source: this.meta.source,
+            path: this.meta.path,
+            commands: this.getCommands().map(command => command.name),
+            templates: Object.keys(this.getTemplates()),
+            hooks: Object.keys(this.getHooks())
+        };
+    }
+}
+
+module.exports = PluginModule;
+module.exports.SUPPORTED_HOOKS = SUPPORTED_HOOKS;
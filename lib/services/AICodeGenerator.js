@@ -3,15 +3,50 @@ const ora = require('ora')
 const fs = require('fs-extra')
 const path = require('path')
 const AIModelRouter = require('./AIModelRouter')
+const { renderPrompt } = require('../utils/prompt-registry')
+const { scaffoldFromSpec, fileName, literal, sampleOf } = require('../utils/openapi-scaffold')
+const { fillRegions } = require('../utils/protected-regions')
+const { extractJson } = require('../utils/review-findings')
+const {
+  parseSources,
+  checkSyntax,
+  checkSecurity,
+  checkPerformance,
+  checkMaintainability
+} = require('../utils/code-quality')
+
+// 品質分數低於此值時請 AI 修正
+const MIN_QUALITY_SCORE = 80
+const REPAIR_ROUNDS = 1
+
+// 需求分析中的欄位型別對應的 JSON Schema
+const FIELD_TYPES = {
+  string: { type: 'string' },
+  text: { type: 'string' },
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  email: { type: 'string', format: 'email' },
+  date: { type: 'string', format: 'date-time' },
+  url: { type: 'string', format: 'uri' }
+}
+// 由存放區維護、不接受請求寫入的欄位
+const MANAGED_FIELDS = ['id', '_id', 'createdAt', 'updatedAt']
+const MAX_ENTITIES = 8
+// 已用於健康檢查端點的名稱
+const RESERVED_ENTITIES = ['Health']
 
 /**
  * 🤖 AI 代碼生成器 - 混合 AI 架構
  * 基於自然語言描述生成完整的程式碼，智能選擇本地 gpt-oss-20b 或 Claude API
  */
 class AICodeGenerator {
-  constructor () {
-    // 初始化 AI 模型路由器
-    this.aiRouter = new AIModelRouter()
+  /**
+   * @param {Object} options - { config: 已載入的設定，未指定時讀取目前的設定 }
+   */
+  constructor (options = {}) {
+    // 初始化 AI 模型路由器，依設定選擇模型
+    this.aiRouter = AIModelRouter.fromConfig(options.config)
 
     // 保留向後兼容性
     this.apiKey = process.env.ANTHROPIC_API_KEY
@@ -54,7 +89,7 @@ class AICodeGenerator {
    * @param {string} description - 自然語言描述
    * @param {string} type - 代碼類型 (api/database/frontend/test)
    * @param {string} framework - 框架選擇
-   * @param {Object} options - 其他選項
+   * @param {Object} options - 其他選項 (minQualityScore: 低於此分數時請 AI 修正，repairRounds: 修正輪數，0 為不修正)
    */
   async generate (description, type = 'api', framework = 'express', options = {}) {
     const spinner = ora('🤖 AI 正在分析您的需求...').start()
@@ -69,11 +104,28 @@ class AICodeGenerator {
       spinner.text = '⚡ 正在優化程式碼品質...'
 
       // 3. 生成具體代碼
-      const generatedCode = await this.generateSpecificCode(codeStructure, options)
+      let generatedCode = await this.generateSpecificCode(codeStructure, { ...options, analysis })
       spinner.text = '✅ 正在執行品質檢查...'
 
-      // 4. 代碼品質檢查
-      const qualityCheck = await this.performQualityCheck(generatedCode)
+      // 4. 代碼品質檢查，分數過低時請 AI 修正，只保留有改善的結果
+      let qualityCheck = await this.performQualityCheck(generatedCode)
+      const minScore = options.minQualityScore ?? MIN_QUALITY_SCORE
+      const rounds = options.repairRounds ?? REPAIR_ROUNDS
+      const repairs = []
+
+      for (let round = 1; round <= rounds && qualityCheck.score < minScore; round++) {
+        if (!this.aiRouter.hasAvailableProvider({ task: 'code' })) break
+        spinner.text = `🔧 品質分數 ${qualityCheck.score} 低於 ${minScore}，AI 修正中 (第 ${round} 輪)...`
+
+        const repaired = await this.repairCode(generatedCode, qualityCheck)
+        if (repaired.files.length === 0) break
+        const check = await this.performQualityCheck(repaired.code)
+        repairs.push({ round, before: qualityCheck.score, after: check.score, files: repaired.files, kept: check.score > qualityCheck.score })
+        if (check.score <= qualityCheck.score) break
+
+        generatedCode = repaired.code
+        qualityCheck = check
+      }
 
       spinner.succeed('🎉 AI 代碼生成完成！')
 
@@ -85,6 +137,8 @@ class AICodeGenerator {
         analysis,
         code: generatedCode,
         qualityScore: qualityCheck.score,
+        quality: qualityCheck,
+        repairs,
         suggestions: qualityCheck.suggestions,
         files: generatedCode.files || []
       }
@@ -94,6 +148,39 @@ class AICodeGenerator {
     }
   }
 
+  /**
+   * 📘 由 OpenAPI 文件產生 Express API (規格優先，不使用 AI)
+   * 路由、express-validator 驗證規則、控制器骨架、模型與 supertest 測試完全由規格決定，
+   * 相同的規格永遠產生相同的內容；控制器內容寫在受保護區塊中，重新產生時由呼叫端保留
+   * @param {Object} document - OpenAPI 3.x 文件
+   * @param {Object} options - { database: 'mongoose' | 'mysql' | 'none' }
+   */
+  async generateFromSpec (document, options = {}) {
+    const scaffold = scaffoldFromSpec(document, { database: options.database })
+    const generatedCode = {
+      files: scaffold.files,
+      main: 'server.js',
+      tests: scaffold.tests,
+      docs: `${scaffold.operations} 個操作、${scaffold.models} 個模型已由 OpenAPI 規格產生`
+    }
+    const qualityCheck = await this.performQualityCheck(generatedCode)
+
+    return {
+      success: true,
+      description: document.info?.title || '',
+      type: 'api',
+      framework: 'express',
+      spec: { title: document.info?.title, version: document.info?.version, operations: scaffold.operations, models: scaffold.models },
+      code: generatedCode,
+      qualityScore: qualityCheck.score,
+      quality: qualityCheck,
+      repairs: [],
+      suggestions: qualityCheck.suggestions,
+      warnings: scaffold.warnings,
+      files: generatedCode.files
+    }
+  }
+
   /**
    * 📊 需求分析 - 使用混合 AI 架構進行智能分析
    * 優先使用本地模型，複雜任務自動切換到 Claude API
@@ -108,23 +195,27 @@ class AICodeGenerator {
 
 請提供以下分析結果：
 {
-  "entities": ["識別的實體列表"],
-  "operations": ["需要的操作列表"], 
+  "entities": ["主要資源的英文單數名稱，例如 User、BlogPost"],
+  "fields": { "User": { "name": "string", "email": "email", "age": "integer?" } },
+  "operations": ["需要的操作列表"],
   "requirements": ["功能需求列表"],
   "complexity": "簡單|中等|複雜",
   "suggestions": ["技術建議列表"],
   "architecture": "建議的架構模式",
   "technologies": ["建議使用的技術"]
-}`
+}
+
+fields 列出每個實體的欄位，型別可用 string、text、integer、number、boolean、email、date、url，結尾加上 ? 表示選填；不需要列出 id 與時間戳記。`
 
       const result = await this.aiRouter.generate(analysisPrompt, {
         systemPrompt: '你是一位專業的軟體架構師，專門分析需求並提供技術建議。',
+        task: 'code',
         complexity: 'medium' // 需求分析通常是中等複雜度
       })
 
       try {
         // 嘗試解析 JSON 回應
-        return JSON.parse(result.content)
+        return JSON.parse(extractJson(result.text))
       } catch (parseError) {
         console.warn('AI 回應不是有效的 JSON，使用備用分析')
         return this.fallbackAnalysis(description, type)
@@ -179,15 +270,18 @@ class AICodeGenerator {
     switch (type) {
       case 'api':
         structure.files = [
+          'app.js',
           'server.js',
-          'routes/index.js',
-          'middleware/auth.js',
+          'config/index.js',
+          'middleware/',
+          'routes/',
+          'validators/',
           'controllers/',
           'models/',
-          'config/',
+          'db/memory-store.js',
           'tests/'
         ]
-        structure.dependencies = ['express', 'cors', 'helmet', 'dotenv']
+        structure.dependencies = ['express', 'cors', 'helmet', 'express-rate-limit', 'express-validator', 'dotenv']
         break
 
       case 'database':
@@ -236,80 +330,45 @@ class AICodeGenerator {
 
   /**
    * 🚀 生成 Express API
+   * 由需求分析的實體建立 OpenAPI 文件 (每個實體一組 CRUD 端點)，以 scaffoldFromSpec 產生路由、驗證規則、
+   * 控制器與測試，再於受保護區塊填入記憶體存放區的實作與完整的 CRUD 流程測試，產生的專案可以直接安裝執行
    */
   async generateExpressAPI (structure, options) {
-    const { entities, operations } = options.analysis || {}
-
-    const serverCode = `const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-require('dotenv').config();
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// 中間件
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// 路由
-${entities
-? entities.map(entity =>
-  `app.use('/api/${entity.toLowerCase()}', require('./routes/${entity.toLowerCase()}'));`
-).join('\n')
-: '// 路由將在這裡生成'}
-
-// 錯誤處理
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    error: '伺服器內部錯誤',
-    message: process.env.NODE_ENV === 'development' ? err.message : '請稍後再試' 
-  });
-});
-
-// 啟動伺服器
-app.listen(PORT, () => {
-  this.logger?.info(\`🚀 伺服器運行於 http://localhost:\${PORT}\`);
-});
-
-module.exports = app;`
-
-    const packageJson = {
-      name: options.projectName || 'ai-generated-api',
-      version: '1.0.0',
-      description: 'AI 生成的 Express API',
-      main: 'server.js',
-      scripts: {
-        start: 'node server.js',
-        dev: 'nodemon server.js',
-        test: 'jest'
-      },
-      dependencies: {
-        express: '^4.18.2',
-        cors: '^2.8.5',
-        helmet: '^7.1.0',
-        dotenv: '^16.3.1'
-      },
-      devDependencies: {
-        nodemon: '^3.0.1',
-        jest: '^29.7.0',
-        supertest: '^6.3.3'
-      }
+    const entities = toEntities(options.analysis)
+    const document = buildSpec(entities, options)
+    const scaffold = scaffoldFromSpec(document, { database: 'none' })
+    const files = { ...scaffold.files }
+    const tests = { ...scaffold.tests }
+
+    files['app.js'] = fillRegions(files['app.js'], new Map([
+      ['imports', "const auth = require('./middleware/auth');"],
+      ['middleware', "app.use('/api', auth);"]
+    ])).content
+    files['controllers/health.js'] = fillRegions(files['controllers/health.js'], new Map([
+      ['getHealth', "res.json({ status: 'ok', uptime: process.uptime() });"]
+    ])).content
+
+    for (const entity of entities) {
+      const schema = document.components.schemas[entity.name]
+      files[`controllers/${entity.tag}.js`] = fillRegions(files[`controllers/${entity.tag}.js`], crudRegions(entity)).content
+      files[`models/${entity.name}.js`] = renderMemoryModel(entity)
+      tests[`tests/${entity.tag}.test.js`] = fillRegions(tests[`tests/${entity.tag}.test.js`], new Map([
+        ['tests', crudFlowTest(entity, sampleOf(document, schema))]
+      ])).content
     }
 
+    files['db/memory-store.js'] = renderMemoryStore()
+    files['config/index.js'] = renderConfig()
+    files['middleware/auth.js'] = renderAuth()
+    files['.env.example'] += 'API_KEY=\n'
+    files['.gitignore'] = 'node_modules/\n.env\ncoverage/\n'
+    files['README.md'] = this.generateAPIDocumentation(options, document)
+
     return {
-      files: {
-        'server.js': serverCode,
-        'package.json': JSON.stringify(packageJson, null, 2),
-        '.env.example': 'PORT=3000\nNODE_ENV=development\nDB_CONNECTION_STRING=your_database_url_here',
-        'README.md': this.generateAPIDocumentation(options)
-      },
+      files,
       main: 'server.js',
-      tests: this.generateAPITests(entities || [], operations || []),
-      docs: '完整的 Express API 已生成，包含安全中間件和錯誤處理'
+      tests,
+      docs: `完整的 Express API 已生成：${entities.map(entity => entity.name).join('、')} 的 CRUD 端點、輸入驗證、安全中間件與測試`
     }
   }
 
@@ -515,13 +574,16 @@ describe('AI 生成的測試', () => {
 
   /**
    * 🎯 代碼品質檢查
+   * 解析產生的檔案 (含測試) 後執行各項靜態檢查，問題標示檔案與行號
+   * @returns {{ score, checks: { syntax, security, performance, maintainability }, issues, suggestions }}
    */
   async performQualityCheck (generatedCode) {
+    const sources = parseSources({ ...generatedCode.files, ...generatedCode.tests })
     const checks = {
-      syntax: this.checkSyntax(generatedCode),
-      security: this.checkSecurity(generatedCode),
-      performance: this.checkPerformance(generatedCode),
-      maintainability: this.checkMaintainability(generatedCode)
+      syntax: this.checkSyntax(sources),
+      security: this.checkSecurity(sources),
+      performance: this.checkPerformance(sources),
+      maintainability: this.checkMaintainability(sources)
     }
 
     const scores = Object.values(checks).map(check => check.score)
@@ -530,14 +592,95 @@ describe('AI 生成的測試', () => {
     return {
       score: Math.round(averageScore),
       checks,
+      issues: Object.values(checks).flatMap(check => check.issues),
       suggestions: this.generateQualitySuggestions(checks)
     }
   }
 
+  /**
+   * 🔧 請 AI 修正有 medium 以上問題的檔案
+   * 回傳的內容無法解析時保留原檔案
+   * @returns {{ code: 修正後的 generatedCode, files: 有修改的檔案 }}
+   */
+  async repairCode (generatedCode, qualityCheck) {
+    const code = {
+      ...generatedCode,
+      files: { ...generatedCode.files },
+      tests: { ...generatedCode.tests }
+    }
+    const byFile = new Map()
+    for (const issue of qualityCheck.issues.filter(issue => ['critical', 'high', 'medium'].includes(issue.severity))) {
+      if (!byFile.has(issue.file)) byFile.set(issue.file, [])
+      byFile.get(issue.file).push(issue)
+    }
+
+    const files = []
+    for (const [file, issues] of byFile) {
+      const group = file in code.files ? code.files : code.tests
+      const { text: prompt } = renderPrompt('repair', {
+        file,
+        issues: issues.map(issue => `- 第 ${issue.startLine} 行 [${issue.ruleId}] ${issue.message}`).join('\n'),
+        code: group[file]
+      })
+
+      try {
+        const result = await this.aiRouter.generate(prompt, {
+          systemPrompt: '你是一位資深的 Node.js 工程師，負責修正程式碼品質問題。',
+          task: 'code'
+        })
+        const fixed = extractCodeBlock(result.text)
+        if (!fixed || fixed === group[file] || parseSources({ [file]: fixed })[0]?.error) continue
+        group[file] = fixed
+        files.push(file)
+      } catch (error) {
+        console.warn(`AI 修正 ${file} 失敗:`, error.message)
+      }
+    }
+
+    return { code, files }
+  }
+
+  /**
+   * 🧪 請 AI 依測試或啟動失敗修正專案
+   * 回應為多個檔案 (`### 路徑` 加上程式碼區塊)；測試檔案、專案外的路徑與無法解析的內容不採用
+   * @param {Object} files - 專案檔案 (路徑 → 內容)，會附在提示中
+   * @param {string} failures - 失敗的說明與輸出
+   * @returns {{ files: 修正後的檔案 (路徑 → 內容), rejected: Array<{ file, reason }> }}
+   */
+  async repairFromFailures (files, failures) {
+    const { text: prompt } = renderPrompt('fix-tests', {
+      failures,
+      files: Object.entries(files)
+        .map(([file, content]) => `### ${file}\n\`\`\`${path.extname(file).slice(1)}\n${content.trimEnd()}\n\`\`\``)
+        .join('\n\n')
+    })
+    const result = await this.aiRouter.generate(prompt, {
+      systemPrompt: '你是一位資深的 Node.js 工程師，負責讓產生的專案通過測試。',
+      task: 'code'
+    })
+
+    const repaired = {}
+    const rejected = []
+    for (const [file, content] of Object.entries(extractFiles(result.text))) {
+      const reason = rejectReason(file, content)
+      if (reason) {
+        rejected.push({ file, reason })
+      } else if (content !== files[file]) {
+        repaired[file] = content
+      }
+    }
+    return { files: repaired, rejected }
+  }
+
   /**
    * 📝 生成 API 文檔
+   * @param {Object} document - 產生專案用的 OpenAPI 文件，列出其中的端點
    */
-  generateAPIDocumentation (options) {
+  generateAPIDocumentation (options, document = { paths: {} }) {
+    const endpoints = Object.entries(document.paths).flatMap(([route, item]) => Object.entries(item)
+      .filter(([method]) => method !== 'parameters')
+      .map(([method, operation]) => `- \`${method.toUpperCase()} ${route}\` ${operation.summary || ''}`.trimEnd()))
+
     return `# 🤖 AI 生成的 API 文檔
 
 ## 描述
@@ -552,14 +695,12 @@ npm run dev
 
 ## API 端點
 
-### GET /api/health
-檢查 API 狀態
+${endpoints.join('\n') || '(尚無端點)'}
 
-### 其他端點
-AI 根據您的需求自動生成的端點將在這裡顯示。
+資料存放在記憶體中，重新啟動後會清空；正式使用前請把 \`models/\` 換成資料庫模型。
 
 ## 環境變數
-複製 \`.env.example\` 到 \`.env\` 並填入相應的值。
+複製 \`.env.example\` 到 \`.env\` 並填入相應的值。設定 \`API_KEY\` 後，\`/api\` 底下的請求需要帶上 \`x-api-key\` 標頭。
 
 ## 測試
 \`\`\`bash
@@ -601,42 +742,26 @@ npm test
     ]
   }
 
-  checkSyntax (code) {
-    return { score: 95, issues: [] } // 簡化版語法檢查
+  // 各項檢查的 sources 為 parseSources 的結果，回傳 { score, issues }
+  checkSyntax (sources) {
+    return checkSyntax(sources)
   }
 
-  checkSecurity (code) {
-    return { score: 88, issues: ['建議添加速率限制', '考慮添加 CSRF 保護'] }
+  checkSecurity (sources) {
+    return checkSecurity(sources)
   }
 
-  checkPerformance (code) {
-    return { score: 92, issues: ['建議添加快取機制'] }
+  checkPerformance (sources) {
+    return checkPerformance(sources)
   }
 
-  checkMaintainability (code) {
-    return { score: 90, issues: ['建議添加更多註解'] }
+  checkMaintainability (sources) {
+    return checkMaintainability(sources)
   }
 
   generateQualitySuggestions (checks) {
     const allIssues = Object.values(checks).flatMap(check => check.issues)
-    return [...new Set(allIssues)] // 去重
-  }
-
-  generateAPITests (entities, operations) {
-    // 生成基於實體和操作的測試程式碼
-    return entities.reduce((tests, entity) => {
-      tests[`tests/${entity.toLowerCase()}.test.js`] = this.generateEntityTest(entity, operations)
-      return tests
-    }, {})
-  }
-
-  generateEntityTest (entity, operations) {
-    return `// AI 生成的 ${entity} 測試
-describe('${entity} API', () => {
-  test('應該能夠創建 ${entity}', async () => {
-    // 測試代碼將在這裡生成
-  });
-});`
+    return [...new Set(allIssues.map(issue => `${issue.file}:${issue.startLine} ${issue.message}`))] // 去重
   }
 
   generateReactTest (componentName) {
@@ -652,4 +777,230 @@ test('renders ${componentName} component', () => {
   }
 }
 
+// 取出回應中的第一個程式碼區塊，沒有區塊時視整段回應為程式碼
+function extractCodeBlock (text) {
+  const match = text.match(/```[\w-]*\n([\s\S]*?)\n```/)
+  return (match ? match[1] : text).trim()
+}
+
+// 取出 `### 路徑` 後接程式碼區塊形式的多個檔案
+function extractFiles (text) {
+  const files = {}
+  const pattern = /^#{2,4}\s+`?([^\s`]+)`?[^\n]*\n+```[\w-]*\n([\s\S]*?)\n```/gm
+  for (const [, file, content] of text.matchAll(pattern)) {
+    files[file.replace(/^\.\//, '')] = `${content.trimEnd()}\n`
+  }
+  return files
+}
+
+// AI 修正的檔案不採用的原因，可以採用時為 null
+function rejectReason (file, content) {
+  const normalized = path.posix.normalize(file)
+  if (path.posix.isAbsolute(normalized) || normalized.startsWith('..') || normalized !== file) return '路徑不在專案內'
+  if (normalized.startsWith('node_modules/')) return '不修改 node_modules'
+  if (normalized.startsWith('tests/')) return '不修改測試檔案'
+  const parsed = parseSources({ [file]: content })[0]
+  if (parsed?.error) return `無法解析: ${parsed.error.message}`
+  return null
+}
+
+// ----- 由需求分析產生 Express 專案 -----
+
+function pascalCase (text) {
+  const words = String(text).match(/[A-Za-z][A-Za-z0-9]*/g) || []
+  return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')
+}
+
+function pluralize (name) {
+  if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`
+  return /(s|x|z|ch|sh)$/i.test(name) ? `${name}es` : `${name}s`
+}
+
+// 欄位定義："integer?" → { schema: { type: 'integer' }, required: false }；未知型別視為字串
+function toField (type) {
+  const text = String(type).trim().toLowerCase()
+  const optional = text.endsWith('?')
+  return { schema: FIELD_TYPES[text.replace(/\?$/, '')] || FIELD_TYPES.string, required: !optional }
+}
+
+/**
+ * 整理需求分析中的實體 (名稱轉為英文 PascalCase，沒有英文名稱的略過)
+ * 沒有可用的實體時使用 Item；沒有欄位時使用必填的 name
+ * @returns {Array<{ name, plural, tag, fields: Object<string, { schema, required }> }>}
+ */
+function toEntities (analysis = {}) {
+  const entities = []
+  for (const raw of analysis.entities || []) {
+    const name = pascalCase(raw)
+    if (!name || RESERVED_ENTITIES.includes(name) || entities.some(entity => entity.name === name)) continue
+    const definition = analysis.fields?.[raw] || analysis.fields?.[name] || {}
+    const fields = Object.fromEntries(Object.entries(definition)
+      .filter(([field]) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(field) && !MANAGED_FIELDS.includes(field))
+      .map(([field, type]) => [field, toField(type)]))
+    entities.push({ name, fields })
+  }
+  if (entities.length === 0) entities.push({ name: 'Item', fields: {} })
+
+  return entities.slice(0, MAX_ENTITIES).map(entity => {
+    const plural = pluralize(entity.name)
+    const fields = Object.keys(entity.fields).length > 0 ? entity.fields : { name: toField('string') }
+    return { name: entity.name, plural, tag: fileName(plural), fields }
+  })
+}
+
+function entityPaths (entity) {
+  const ref = { $ref: `#/components/schemas/${entity.name}` }
+  const json = (description, schema) => ({ description, content: { 'application/json': { schema } } })
+  const body = { required: true, content: { 'application/json': { schema: ref } } }
+  const invalid = { description: '請求驗證失敗' }
+  const notFound = { description: `找不到 ${entity.name}` }
+  const tags = [entity.tag]
+
+  return {
+    [`/api/${entity.tag}`]: {
+      get: { tags, operationId: `list${entity.plural}`, summary: `列出 ${entity.name}`, responses: { 200: json('成功', { type: 'array', items: ref }) } },
+      post: { tags, operationId: `create${entity.name}`, summary: `建立 ${entity.name}`, requestBody: body, responses: { 201: json('已建立', ref), 400: invalid } }
+    },
+    [`/api/${entity.tag}/{id}`]: {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }],
+      get: { tags, operationId: `get${entity.name}`, summary: `取得 ${entity.name}`, responses: { 200: json('成功', ref), 404: notFound } },
+      put: { tags, operationId: `update${entity.name}`, summary: `更新 ${entity.name}`, requestBody: body, responses: { 200: json('已更新', ref), 400: invalid, 404: notFound } },
+      delete: { tags, operationId: `delete${entity.name}`, summary: `刪除 ${entity.name}`, responses: { 204: { description: '已刪除' }, 404: notFound } }
+    }
+  }
+}
+
+// 由實體建立 OpenAPI 文件，另加 GET /health 供啟動檢查
+function buildSpec (entities, options = {}) {
+  const schemas = Object.fromEntries(entities.map(entity => [entity.name, {
+    type: 'object',
+    required: Object.keys(entity.fields).filter(field => entity.fields[field].required),
+    properties: {
+      id: { type: 'integer', readOnly: true },
+      ...Object.fromEntries(Object.entries(entity.fields).map(([field, { schema }]) => [field, schema])),
+      createdAt: { type: 'string', format: 'date-time', readOnly: true },
+      updatedAt: { type: 'string', format: 'date-time', readOnly: true }
+    }
+  }]))
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: options.projectName || 'ai-generated-api',
+      version: '1.0.0',
+      description: options.analysis?.requirements?.join('\n') || 'AI 生成的 Express API'
+    },
+    paths: Object.assign({
+      '/health': {
+        get: { tags: ['health'], operationId: 'getHealth', summary: '健康檢查', responses: { 200: { description: '服務正常' } } }
+      }
+    }, ...entities.map(entityPaths)),
+    components: { schemas }
+  }
+}
+
+// 控制器受保護區塊的實作 (使用 models/ 的記憶體存放區)
+function crudRegions ({ name, plural }) {
+  const notFound = `if (!record) return res.status(404).json({ error: '找不到 ${name}' });`
+  return new Map([
+    ['imports', `const ${name} = require('../models/${name}');`],
+    [`list${plural}`, `res.json(${name}.findAll());`],
+    [`create${name}`, `res.status(201).json(${name}.create(req.body));`],
+    [`get${name}`, [`const record = ${name}.findById(req.params.id);`, notFound, 'res.json(record);'].join('\n')],
+    [`update${name}`, [`const record = ${name}.update(req.params.id, req.body);`, notFound, 'res.json(record);'].join('\n')],
+    [`delete${name}`, [`if (!${name}.remove(req.params.id)) return res.status(404).json({ error: '找不到 ${name}' });`, 'res.status(204).end();'].join('\n')]
+  ].map(([id, body]) => [id, id === 'imports' ? body : body.split('\n').map(line => `    ${line}`).join('\n')]))
+}
+
+// 記憶體資料存放區，各模型以自己的欄位建立
+function renderMemoryStore () {
+  return `// 記憶體資料存放區：重新啟動後資料會清空，正式使用請改為資料庫
+module.exports = function createMemoryStore(fields) {
+  const records = new Map();
+  let nextId = 1;
+
+  // 只保留定義過的欄位，避免寫入 id 或時間戳記
+  const pick = data => Object.fromEntries(fields.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+
+  return {
+    findAll() {
+      return [...records.values()];
+    },
+
+    findById(id) {
+      return records.get(Number(id)) || null;
+    },
+
+    create(data) {
+      const now = new Date().toISOString();
+      const record = { id: nextId++, ...pick(data), createdAt: now, updatedAt: now };
+      records.set(record.id, record);
+      return record;
+    },
+
+    update(id, data) {
+      const record = records.get(Number(id));
+      if (!record) return null;
+      Object.assign(record, pick(data), { updatedAt: new Date().toISOString() });
+      return record;
+    },
+
+    remove(id) {
+      return records.delete(Number(id));
+    }
+  };
+};
+`
+}
+
+function renderMemoryModel ({ name, fields }) {
+  return `// ${name} 模型 (記憶體存放區)
+const createMemoryStore = require('../db/memory-store');
+
+module.exports = createMemoryStore(${literal(Object.keys(fields))});
+`
+}
+
+function crudFlowTest ({ name, tag }, sample) {
+  return `describe(${literal(`${name} CRUD 流程`)}, () => {
+  test('建立後可以讀取、列出、更新與刪除', async () => {
+    const created = await request(app).post('/api/${tag}').send(${literal(sample)});
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject(${literal(sample)});
+    const url = \`/api/${tag}/\${created.body.id}\`;
+
+    expect((await request(app).get(url)).body).toMatchObject({ id: created.body.id });
+    const list = await request(app).get('/api/${tag}');
+    expect(list.body.map(item => item.id)).toContain(created.body.id);
+
+    const updated = await request(app).put(url).send(${literal(sample)});
+    expect(updated.status).toBe(200);
+
+    expect((await request(app).delete(url)).status).toBe(204);
+    expect((await request(app).get(url)).status).toBe(404);
+  });
+});`
+}
+
+function renderConfig () {
+  return `require('dotenv').config();
+
+module.exports = {
+  // 設定後 /api 底下的請求需要帶上 x-api-key 標頭
+  apiKey: process.env.API_KEY || null
+};
+`
+}
+
+function renderAuth () {
+  return `const config = require('../config');
+
+// 設定 API_KEY 時檢查 x-api-key 標頭；未設定時不驗證
+module.exports = function auth(req, res, next) {
+  if (!config.apiKey || req.get('x-api-key') === config.apiKey) return next();
+  res.status(401).json({ error: '需要有效的 API 金鑰' });
+};
+`
+}
+
 module.exports = AICodeGenerator
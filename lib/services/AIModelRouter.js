@@ -1,9 +1,21 @@
 const axios = require('axios')
 const logger = require('../utils/logger')
+const { getConfig } = require('../utils/config')
+const { createAICache } = require('../utils/ai-cache')
+const { UsageLedger, calculateCost, estimateTokens } = require('../utils/ai-usage')
+const { readSSE, openAIDelta } = require('../utils/stream')
+const { getAdapter, normalizeRequest, createUsage } = require('./ai-adapters')
+const { DEFAULT_POLICIES, CircuitBreaker, UsageBudget, isProviderFailure } = require('./ai-routing')
+const { createLocalProvider, getLocalProviderNames, getLocalProviderOptions } = require('./local-providers')
 
 /**
  * AI 模型路由器
- * 支援多種 AI 模型 API，包括 Claude、GPT、Gemini 等
+ * 支援多種 AI 模型 API，包括 Claude、GPT、Gemini 與 LM Studio、Ollama 等本地模型
+ * 本地模型的傳輸由 local-providers 處理，options.localProviders 依名稱設定 { baseURL, model, embeddingModel, apiKey }
+ * 所有供應商皆使用 ai-adapters 定義的統一請求 / 回應格式
+ * 依任務路由策略依序嘗試模型，並以斷路器與每日預算控制流量 (見 ai-routing)
+ * 設定 options.cache (AICache) 時相同請求直接使用快取的回應；單次請求可用 { cache: false } 略過
+ * 設定 options.ledger (UsageLedger) 時每次呼叫的 token 與費用都會寫入用量帳本
  */
 class AIModelRouter {
   constructor(options = {}) {
@@ -41,6 +53,42 @@ class AIModelRouter {
         envKey: 'GEMINI_API_KEY'
       }
     }
+
+    // 本地模型不需要 API 密鑰，每個已註冊的本地供應商各一個項目
+    const localOptions = {
+      lmstudio: { baseURL: this.options.lmStudioEndpoint, model: this.options.lmStudioModel },
+      ...this.options.localProviders
+    }
+    for (const name of getLocalProviderNames()) {
+      this.models[name] = {
+        local: true,
+        provider: createLocalProvider(name, localOptions[name])
+      }
+    }
+
+    this.breakers = {}
+    this.budget = new UsageBudget(this.options.budget)
+    this.cache = this.options.cache || null
+    this.ledger = this.options.ledger || null
+    this.resetStats()
+  }
+
+  /**
+   * 依使用者設定建立路由器 (ai.*、lmStudio.*、ollama.*、openaiCompatible.*)
+   */
+  static fromConfig(config = getConfig()) {
+    return new AIModelRouter({
+      defaultModel: config.ai.defaultModel,
+      timeout: config.ai.timeout,
+      policies: config.ai.policies,
+      budget: config.ai.budget,
+      circuitBreaker: config.ai.circuitBreaker,
+      cache: createAICache(config),
+      pricing: config.ai.pricing,
+      ledger: new UsageLedger({ pricing: config.ai.pricing }),
+      contextWindows: config.ai.contextWindows,
+      localProviders: getLocalProviderOptions(config)
+    })
   }
 
   /**
@@ -52,6 +100,8 @@ class AIModelRouter {
       throw new Error(`不支援的模型: ${modelName}`)
     }
     
+    if (!model.envKey) return null
+
     const apiKey = process.env[model.envKey]
     if (!apiKey) {
       throw new Error(`缺少 ${modelName.toUpperCase()} API 密鑰`)
@@ -73,6 +123,9 @@ class AIModelRouter {
     }
     
     // 設置 API 密鑰
+    if (!apiKey) {
+      return headers
+    }
     if (modelName === 'openai') {
       headers[model.keyHeader] = `Bearer ${apiKey}`
     } else {
@@ -120,87 +173,644 @@ class AIModelRouter {
   }
 
   /**
-   * Claude API 請求
+   * 發送串流請求，逐一產生 SSE 事件
+   * options.signal (AbortSignal) 可中止請求；提前結束迭代時會關閉連線
    */
-  async sendToClaude(messages, options = {}) {
+  async * streamRequest(modelName, endpoint, data, options = {}) {
+    const model = this.models[modelName]
+    if (!model) {
+      throw new Error(`不支援的模型: ${modelName}`)
+    }
+
+    logger.info(`發送串流請求到 ${modelName.toUpperCase()} - ${endpoint}`)
+
+    let response
+    try {
+      response = await axios({
+        method: 'POST',
+        url: `${model.baseURL}${endpoint}`,
+        headers: this.prepareHeaders(modelName, options.headers),
+        data: data,
+        timeout: options.timeout || this.options.timeout,
+        responseType: 'stream',
+        signal: options.signal
+      })
+    } catch (error) {
+      logger.error(`${modelName.toUpperCase()} 串流請求失敗`, {
+        error: error.message,
+        endpoint: endpoint
+      })
+      throw error
+    }
+
+    try {
+      yield * readSSE(response.data)
+    } finally {
+      response.data.destroy()
+    }
+  }
+
+  /**
+   * 轉為統一請求，未指定 model 時使用該供應商設定的模型
+   */
+  prepareRequest(modelName, input) {
+    const request = normalizeRequest(input)
+    return {
+      ...request,
+      model: request.model || this.models[modelName]?.provider?.model
+    }
+  }
+
+  /**
+   * 取得供應商轉接器，本地供應商使用自己的 adapter
+   */
+  getAdapter(modelName) {
+    return this.models[modelName]?.provider?.adapter || getAdapter(modelName)
+  }
+
+  /**
+   * 取得模型的上下文長度 (token)，ai.contextWindows 可依模型名稱覆寫
+   */
+  getContextWindow(modelName) {
+    return this.options.contextWindows?.[modelName] || this.getAdapter(modelName).contextWindow
+  }
+
+  /**
+   * 本地供應商的請求選項，未指定逾時時使用路由器的設定
+   */
+  localOptions(options = {}) {
+    return { ...options, timeout: options.timeout || this.options.timeout }
+  }
+
+  /**
+   * 組成供應商請求內容
+   * @returns {{ adapter, request, data }}
+   */
+  buildRequest(modelName, input, options = {}) {
+    const adapter = this.getAdapter(modelName)
+    const request = this.prepareRequest(modelName, input)
     const data = {
-      model: options.model || 'claude-3-sonnet-20240229',
-      max_tokens: options.maxTokens || 4000,
-      messages: messages,
+      ...adapter.toRequest(request),
       ...options.additionalParams
     }
+    return { adapter, request, data }
+  }
 
-    return await this.sendRequest('claude', '/v1/messages', data, options)
+  /**
+   * 計算快取鍵，未啟用快取時回傳 null
+   * 以供應商請求內容 (模型、訊息、溫度等參數) 為鍵，串流與非串流請求共用
+   */
+  getCacheKey(modelName, data, options = {}) {
+    if (!this.cache || options.cache === false) return null
+    return this.cache.key({ provider: modelName, ...data })
+  }
+
+  /**
+   * 讀取快取的回應並更新命中統計
+   */
+  readCache(cacheKey) {
+    if (!cacheKey) return undefined
+
+    const cached = this.cache.get(cacheKey)
+    if (cached) {
+      this.stats.cacheHits++
+    } else {
+      this.stats.cacheMisses++
+    }
+    return cached
+  }
+
+  /**
+   * 發送統一格式的請求到指定供應商，回傳統一格式的回應
+   * input 可為提示字串、訊息陣列或統一請求 (見 ai-adapters)
+   * 命中快取時回應帶有 cached: true，不計入請求數、預算與斷路器
+   */
+  async send(modelName, input, options = {}) {
+    const { adapter, request, data } = this.buildRequest(modelName, input, options)
+
+    const cacheKey = this.getCacheKey(modelName, data, options)
+    const cached = this.readCache(cacheKey)
+    if (cached) {
+      return { ...cached, cached: true, latency: 0 }
+    }
+
+    const startTime = Date.now()
+    try {
+      const provider = this.models[modelName]?.provider
+      const raw = provider
+        ? await provider.send(data, this.localOptions(options))
+        : await this.sendRequest(modelName, adapter.endpoint(request), data, options)
+      const response = {
+        provider: modelName,
+        ...adapter.fromResponse(raw),
+        latency: Date.now() - startTime,
+        raw
+      }
+      response.model = response.model || data.model || request.model || adapter.defaultModel
+      this.recordRequest(modelName, true, response.latency)
+      this.getBreaker(modelName).recordSuccess()
+      this.recordUsage(modelName, response.model, response.usage, response.latency)
+      if (cacheKey) {
+        // 原始回應不寫入快取
+        this.cache.set(cacheKey, { ...response, raw: undefined })
+      }
+      return response
+    } catch (error) {
+      this.recordRequest(modelName, false, Date.now() - startTime)
+      if (isProviderFailure(error)) {
+        this.getBreaker(modelName).recordFailure(error)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Claude API 請求
+   */
+  async sendToClaude(input, options = {}) {
+    return await this.send('claude', input, options)
   }
 
   /**
    * OpenAI API 請求
    */
-  async sendToOpenAI(messages, options = {}) {
+  async sendToOpenAI(input, options = {}) {
+    return await this.send('openai', input, options)
+  }
+
+  /**
+   * Gemini API 請求
+   */
+  async sendToGemini(input, options = {}) {
+    return await this.send('gemini', input, options)
+  }
+
+  /**
+   * LM Studio 本地模型請求 (OpenAI 相容 API)
+   */
+  async sendToLMStudio(input, options = {}) {
+    return await this.send('lmstudio', input, options)
+  }
+
+  /**
+   * Claude 串流 (SSE)，逐一產生文字片段
+   */
+  async * streamClaude(input, options = {}, meta = {}) {
+    const request = this.prepareRequest('claude', input)
     const data = {
-      model: options.model || 'gpt-3.5-turbo',
-      messages: messages,
-      max_tokens: options.maxTokens || 4000,
+      ...getAdapter('claude').toRequest(request),
+      stream: true,
       ...options.additionalParams
     }
 
-    return await this.sendRequest('openai', '/v1/chat/completions', data, options)
+    for await (const { data: raw } of this.streamRequest('claude', '/v1/messages', data, options)) {
+      const event = JSON.parse(raw)
+      if (event.type === 'error') {
+        throw new Error(event.error?.message || 'Claude 串流錯誤')
+      }
+      if (event.type === 'message_start') {
+        meta.model = event.message?.model
+        meta.inputTokens = event.message?.usage?.input_tokens
+      }
+      if (event.type === 'message_delta' && event.usage) {
+        meta.outputTokens = event.usage.output_tokens
+      }
+      if (event.type === 'content_block_delta' && event.delta?.text) {
+        yield event.delta.text
+      }
+      if (event.type === 'message_stop') return
+    }
   }
 
   /**
-   * Gemini API 請求
+   * OpenAI 相容串流 (SSE)，逐一產生文字片段
    */
-  async sendToGemini(messages, options = {}) {
-    const model = options.model || 'gemini-pro'
+  async * streamOpenAI(input, options = {}, modelName = 'openai', meta = {}) {
+    const adapter = this.getAdapter(modelName)
+    const request = this.prepareRequest(modelName, input)
     const data = {
-      contents: messages.map(msg => ({
-        parts: [{ text: msg.content }],
-        role: msg.role === 'assistant' ? 'model' : 'user'
-      })),
-      generationConfig: {
-        maxOutputTokens: options.maxTokens || 4000,
-        ...options.additionalParams
+      ...adapter.toRequest(request),
+      stream: true,
+      // OpenAI 需明確要求才會在最後一個片段回報用量
+      ...(modelName === 'openai' && { stream_options: { include_usage: true } }),
+      ...options.additionalParams
+    }
+
+    for await (const { data: raw } of this.streamRequest(modelName, adapter.endpoint(request), data, options)) {
+      if (raw === '[DONE]') return
+      const text = openAIDelta(raw)
+      if (text) {
+        yield text
+      } else {
+        const { model, usage } = JSON.parse(raw)
+        if (usage) {
+          meta.model = model
+          meta.inputTokens = usage.prompt_tokens
+          meta.outputTokens = usage.completion_tokens
+        }
       }
     }
+  }
+
+  /**
+   * Gemini 串流 (streamGenerateContent)，逐一產生文字片段
+   */
+  async * streamGemini(input, options = {}, meta = {}) {
+    const adapter = this.getAdapter('gemini')
+    const request = this.prepareRequest('gemini', input)
+    const data = {
+      ...adapter.toRequest(request),
+      ...options.additionalParams
+    }
 
-    return await this.sendRequest('gemini', `/v1beta/models/${model}:generateContent`, data, options)
+    const endpoint = adapter.endpoint(request).replace(':generateContent', ':streamGenerateContent?alt=sse')
+    for await (const { data: raw } of this.streamRequest('gemini', endpoint, data, options)) {
+      const chunk = JSON.parse(raw)
+      if (chunk.error) {
+        throw new Error(chunk.error.message || 'Gemini 串流錯誤')
+      }
+      if (chunk.usageMetadata) {
+        meta.inputTokens = chunk.usageMetadata.promptTokenCount
+        meta.outputTokens = chunk.usageMetadata.candidatesTokenCount
+      }
+      const parts = chunk.candidates?.[0]?.content?.parts || []
+      for (const part of parts) {
+        if (part.text) yield part.text
+      }
+    }
   }
 
   /**
-   * 智慧路由 - 根據配置自動選擇最佳模型
+   * 取得供應商的串流 (逐一產生文字片段)
+   * 供應商回報的模型與 token 用量會寫入 meta
    */
-  async smartRoute(messages, options = {}) {
-    const preferredModel = options.model || this.options.defaultModel
-    
-    try {
-      switch (preferredModel) {
-        case 'claude':
-          return await this.sendToClaude(messages, options)
-        case 'openai':
-          return await this.sendToOpenAI(messages, options)
-        case 'gemini':
-          return await this.sendToGemini(messages, options)
-        default:
-          throw new Error(`不支援的模型: ${preferredModel}`)
+  streamFrom(modelName, input, options = {}, meta = {}) {
+    const provider = this.models[modelName]?.provider
+    if (provider) {
+      const { data } = this.buildRequest(modelName, input, options)
+      return provider.stream(data, this.localOptions(options), meta)
+    }
+
+    switch (modelName) {
+      case 'claude':
+        return this.streamClaude(input, options, meta)
+      case 'gemini':
+        return this.streamGemini(input, options, meta)
+      default:
+        return this.streamOpenAI(input, options, modelName, meta)
+    }
+  }
+
+  /**
+   * 統一串流介面 - 依路由策略選擇模型，逐一產生文字片段
+   * 尚未產生任何片段前失敗時才會改用路由中的下一個模型
+   */
+  async * stream(input, options = {}) {
+    const decision = this.createDecision(this.resolveRoute(options))
+    let lastError = null
+
+    for (const modelName of decision.chain) {
+      const skipped = this.checkProvider(modelName)
+      if (skipped) {
+        decision.attempts.push({ provider: modelName, skipped })
+        continue
+      }
+
+      const { data } = this.buildRequest(modelName, input, options)
+      const cacheKey = this.getCacheKey(modelName, data, options)
+      const cached = this.readCache(cacheKey)
+      if (cached) {
+        decision.attempts.push({ provider: modelName, ok: true, cached: true })
+        decision.selected = modelName
+        this.recordDecision(decision)
+        yield cached.text
+        return
       }
+
+      let started = false
+      let text = ''
+      const meta = {}
+      const startTime = Date.now()
+      try {
+        for await (const chunk of this.streamFrom(modelName, input, options, meta)) {
+          started = true
+          text += chunk
+          yield chunk
+        }
+        this.getBreaker(modelName).recordSuccess()
+        this.recordStreamUsage(modelName, data, meta, text, Date.now() - startTime)
+        decision.attempts.push({ provider: modelName, ok: true })
+        decision.selected = modelName
+        this.recordDecision(decision)
+        if (cacheKey) {
+          this.cache.set(cacheKey, {
+            provider: modelName,
+            model: data.model || this.getAdapter(modelName).defaultModel,
+            text,
+            toolCalls: [],
+            finishReason: 'stop',
+            usage: createUsage()
+          })
+        }
+        return
+      } catch (error) {
+        decision.attempts.push({ provider: modelName, error: error.message })
+        if (isProviderFailure(error) && !options.signal?.aborted) {
+          this.getBreaker(modelName).recordFailure(error)
+        }
+        if (started || options.signal?.aborted) {
+          this.recordDecision(decision)
+          throw error
+        }
+        lastError = error
+        logger.warn(`${modelName} 串流失敗，嘗試下一個模型`)
+      }
+    }
+
+    this.recordDecision(decision)
+    throw lastError || this.noProviderError(decision)
+  }
+
+  /**
+   * 記錄串流用量；供應商未回報時依請求與回應文字估算
+   */
+  recordStreamUsage(modelName, data, meta, text, latency) {
+    const model = meta.model || data.model || this.getAdapter(modelName).defaultModel
+    const estimated = meta.inputTokens === undefined || meta.outputTokens === undefined
+    const inputTokens = meta.inputTokens ?? estimateTokens(JSON.stringify(data.messages || data.contents || ''))
+    const outputTokens = meta.outputTokens ?? estimateTokens(text)
+    this.recordUsage(modelName, model, createUsage(inputTokens, outputTokens), latency, estimated)
+  }
+
+  /**
+   * 解析本次請求的模型順序
+   * options.model 指定時只使用該模型；否則依 options.task 對應的路由策略
+   * 超過每日預算時只保留本地模型
+   * @returns {{ task, chain, reason }} reason 為 explicit | policy | budget
+   */
+  resolveRoute(options = {}) {
+    const task = options.task || 'default'
+    let chain
+    let reason
+
+    if (options.model) {
+      chain = [options.model]
+      reason = 'explicit'
+    } else {
+      const policies = { ...DEFAULT_POLICIES, ...this.options.policies }
+      chain = [...(policies[task] || policies.default || [this.options.defaultModel])]
+      reason = 'policy'
+    }
+
+    if (options.fallback) chain.push(options.fallback)
+    chain = [...new Set(chain)]
+
+    if (reason === 'policy' && this.budget.isExceeded()) {
+      const local = chain.filter(name => this.models[name]?.local)
+      chain = local.length > 0 ? local : Object.keys(this.models).filter(name => this.models[name].local)
+      reason = 'budget'
+    }
+
+    return { task, chain, reason }
+  }
+
+  /**
+   * 檢查供應商是否可以接受請求
+   * @returns {string|null} 無法使用的原因
+   */
+  checkProvider(modelName) {
+    if (!this.models[modelName]) return `不支援的模型: ${modelName}`
+
+    try {
+      this.getApiKey(modelName)
     } catch (error) {
-      // 如果主要模型失敗，嘗試備用模型
-      if (options.fallback && preferredModel !== options.fallback) {
-        logger.warn(`${preferredModel} 失敗，嘗試備用模型: ${options.fallback}`)
-        return await this.smartRoute(messages, { 
-          ...options, 
-          model: options.fallback, 
-          fallback: null 
-        })
+      return error.message
+    }
+
+    return this.getBreaker(modelName).canRequest() ? null : '斷路器開啟'
+  }
+
+  /**
+   * 路由中是否有可直接呼叫的模型
+   * 遠端模型需已設定 API 密鑰；本地模型只在排第一順位時計入
+   */
+  hasAvailableProvider(options = {}) {
+    const { chain } = this.resolveRoute(options)
+    return chain.some((modelName, index) => {
+      const model = this.models[modelName]
+      if (!model || this.checkProvider(modelName)) return false
+      return model.envKey ? true : index === 0
+    })
+  }
+
+  getBreaker(modelName) {
+    if (!this.breakers[modelName]) {
+      this.breakers[modelName] = new CircuitBreaker(this.options.circuitBreaker)
+    }
+    return this.breakers[modelName]
+  }
+
+  /**
+   * 依價格表計算費用 (美元)，價格表見 ai-usage 與 ai.pricing；未指定時沿用帳本的價格表
+   */
+  calculateCost(modelName, usage, model) {
+    return calculateCost({ provider: modelName, model, ...usage }, this.options.pricing || this.ledger?.pricing)
+  }
+
+  /**
+   * 將一次成功呼叫的用量計入每日預算與用量帳本
+   * estimated 表示供應商未回報用量，token 為估算值
+   */
+  recordUsage(modelName, model, usage, latency, estimated = false) {
+    const cost = this.calculateCost(modelName, usage, model)
+    this.budget.record(usage.totalTokens, cost)
+    if (this.ledger) {
+      this.ledger.record({
+        provider: modelName,
+        model,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        cost,
+        latency,
+        ...(estimated && { estimated: true })
+      })
+    }
+  }
+
+  createDecision(route) {
+    return {
+      time: new Date().toISOString(),
+      ...route,
+      selected: null,
+      attempts: []
+    }
+  }
+
+  /**
+   * 記錄路由決策，只保留最近 50 筆
+   */
+  recordDecision(decision) {
+    this.decisions.unshift(decision)
+    this.decisions.length = Math.min(this.decisions.length, 50)
+  }
+
+  noProviderError(decision) {
+    const reasons = decision.attempts.map(attempt => `${attempt.provider}: ${attempt.skipped}`).join('; ')
+    return new Error(`沒有可用的 AI 模型 (${reasons || decision.chain.join(' → ')})`)
+  }
+
+  /**
+   * 智慧路由 - 依路由策略依序嘗試模型，回傳統一格式的回應
+   * input 可為提示字串、訊息陣列或統一請求
+   * options: { task, model, fallback, signal, ... }
+   */
+  async smartRoute(input, options = {}) {
+    const decision = this.createDecision(this.resolveRoute(options))
+    let lastError = null
+
+    for (const modelName of decision.chain) {
+      const skipped = this.checkProvider(modelName)
+      if (skipped) {
+        decision.attempts.push({ provider: modelName, skipped })
+        continue
       }
-      throw error
+
+      try {
+        const response = await this.send(modelName, input, options)
+        decision.attempts.push({ provider: modelName, ok: true, latency: response.latency, ...(response.cached && { cached: true }) })
+        decision.selected = modelName
+        this.recordDecision(decision)
+        return response
+      } catch (error) {
+        decision.attempts.push({ provider: modelName, error: error.message })
+        lastError = error
+        if (options.signal?.aborted) break
+        logger.warn(`${modelName} 失敗，嘗試下一個模型`)
+      }
+    }
+
+    this.recordDecision(decision)
+    throw lastError || this.noProviderError(decision)
+  }
+
+  /**
+   * 以單一提示詞生成回應
+   * options.systemPrompt 為系統提示詞，其餘選項同 smartRoute
+   */
+  async generate(prompt, options = {}) {
+    return await this.smartRoute({
+      system: options.systemPrompt,
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: options.maxTokens,
+      temperature: options.temperature
+    }, options)
+  }
+
+  /**
+   * 強制使用指定模型生成，不使用備用模型
+   */
+  async forceGenerate(prompt, model, options = {}) {
+    return await this.generate(prompt, { ...options, model, fallback: null })
+  }
+
+  /**
+   * 記錄請求結果
+   */
+  recordRequest(modelName, success, responseTime) {
+    this.stats.totalRequests++
+    this.stats.methodCounts[modelName] = (this.stats.methodCounts[modelName] || 0) + 1
+
+    if (!success) {
+      this.stats.failedRequests++
+      return
     }
+
+    this.stats.successfulRequests++
+    this.stats.averageResponseTime = Math.round(
+      (this.stats.averageResponseTime * (this.stats.successfulRequests - 1) + responseTime) / this.stats.successfulRequests
+    )
   }
 
   /**
-   * 檢查模型可用性
+   * 獲取請求統計，包含斷路器狀態、今日預算與最近的路由決策
+   */
+  getStats() {
+    const breakers = {}
+    for (const [modelName, breaker] of Object.entries(this.breakers)) {
+      breakers[modelName] = breaker.toJSON()
+    }
+
+    return {
+      ...this.stats,
+      methodCounts: { ...this.stats.methodCounts },
+      breakers,
+      budget: this.budget.toJSON(),
+      decisions: this.decisions.slice(0, 20)
+    }
+  }
+
+  /**
+   * 重置統計
+   */
+  resetStats() {
+    this.stats = {
+      totalRequests: 0,
+      successfulRequests: 0,
+      failedRequests: 0,
+      averageResponseTime: 0,
+      methodCounts: {},
+      cacheHits: 0,
+      cacheMisses: 0
+    }
+    this.decisions = []
+  }
+
+  /**
+   * 以本地供應商產生向量嵌入
+   * @param {string|string[]} input
+   * @param {Object} options - { model: 供應商名稱 (預設 ai.defaultModel 為本地模型時使用它，否則 lmstudio)，embeddingModel }
+   * @returns {Promise<number[][]>}
+   */
+  async embed(input, options = {}) {
+    const defaultLocal = this.models[this.options.defaultModel]?.local ? this.options.defaultModel : 'lmstudio'
+    const modelName = options.model || defaultLocal
+    const provider = this.models[modelName]?.provider
+    if (!provider) {
+      throw new Error(`${modelName} 不支援向量嵌入，請使用本地模型供應商`)
+    }
+    return await provider.embed(input, this.localOptions({ ...options, model: options.embeddingModel }))
+  }
+
+  /**
+   * 探索本地供應商：是否可連線與已載入的模型
+   * @returns {Promise<Object>} { [name]: { baseURL, healthy, models, error? } }
+   */
+  async discoverLocalModels() {
+    const result = {}
+    for (const [modelName, model] of Object.entries(this.models)) {
+      if (!model.provider) continue
+      try {
+        const models = await model.provider.listModels({ timeout: 5000 })
+        result[modelName] = { baseURL: model.provider.baseURL, healthy: models.length > 0, models }
+      } catch (error) {
+        result[modelName] = { baseURL: model.provider.baseURL, healthy: false, models: [], error: error.message }
+      }
+    }
+    return result
+  }
+
+  /**
+   * 檢查模型可用性，本地模型會實際連線做健康檢查
    */
   async checkModelAvailability(modelName) {
+    const provider = this.models[modelName]?.provider
+    if (provider) {
+      const healthy = await provider.healthCheck()
+      return healthy
+        ? { available: true, model: modelName, local: true }
+        : { available: false, model: modelName, local: true, error: `${modelName} 服務不可用 (${provider.baseURL})` }
+    }
+
     try {
       this.getApiKey(modelName)
       return { available: true, model: modelName }
@@ -5,6 +5,10 @@ const path = require('path')
 const chalk = require('chalk')
 const AIModelRouter = require('./AIModelRouter')
 const LMStudioService = require('./LMStudioService')
+const { getConfig } = require('../utils/config')
+const { createAICache } = require('../utils/ai-cache')
+const { parseSince } = require('../utils/ai-usage')
+const { globalRegistry } = require('../modules/ModuleRegistry')
 
 /**
  * 🖥️ mursfoto-cli GUI 服務器
@@ -12,8 +16,11 @@ const LMStudioService = require('./LMStudioService')
  */
 class GUIServer {
   constructor(options = {}) {
+    this.config = options.config || getConfig()
     this.port = options.port || 12580
     this.host = options.host || 'localhost'
+    this.registry = options.registry || globalRegistry
+    this.timers = []
     
     // 初始化服務
     this.app = express()
@@ -26,10 +33,12 @@ class GUIServer {
     })
     
     // AI 服務
-    this.aiRouter = new AIModelRouter()
+    this.aiRouter = AIModelRouter.fromConfig(this.config)
     this.lmStudioService = new LMStudioService({
-      apiEndpoint: process.env.LM_STUDIO_ENDPOINT || 'http://127.0.0.1:1234',
-      modelName: process.env.LM_STUDIO_MODEL || 'unsloth/gpt-oss-20b-GGUF'
+      apiEndpoint: this.config.lmStudio.endpoint,
+      modelName: this.config.lmStudio.model,
+      cache: createAICache(this.config),
+      ledger: this.aiRouter.ledger
     })
     
     // 狀態快取
@@ -45,9 +54,6 @@ class GUIServer {
     this.setupMiddleware()
     this.setupRoutes()
     this.setupSocketHandlers()
-    
-    // 定期更新狀態
-    this.startStatusUpdater()
   }
   
   /**
@@ -94,10 +100,21 @@ class GUIServer {
       }
     })
     
+    // 統計資料與用量帳本彙總，可用 ?since=7d&by=model|provider|project|command|day 指定範圍
     this.app.get('/api/stats', async (req, res) => {
+      let stats
+      try {
+        stats = this.getStats(req.query)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+      res.json(stats)
+    })
+    
+    this.app.get('/api/modules', async (req, res) => {
       try {
-        const stats = this.aiRouter.getStats()
-        res.json(stats)
+        const health = await this.registry.healthCheck()
+        res.json(health)
       } catch (error) {
         res.status(500).json({ error: error.message })
       }
@@ -143,6 +160,9 @@ class GUIServer {
     this.io.on('connection', (socket) => {
       this.logger?.info(chalk.blue('🔗 GUI 客戶端已連接'))
       
+      // 進行中的串流，stream-cancel 或斷線時中止
+      const streams = new Map()
+      
       // 發送初始狀態
       socket.emit('system-status', this.systemStatus)
       
@@ -161,7 +181,36 @@ class GUIServer {
         }
       })
       
+      socket.on('stream-start', async ({ id, service, prompt }) => {
+        const controller = new AbortController()
+        streams.set(id, controller)
+        const startTime = Date.now()
+        let content = ''
+        
+        try {
+          for await (const token of this.streamService(service, prompt, controller.signal)) {
+            if (controller.signal.aborted) break
+            content += token
+            socket.emit('stream-token', { id, token })
+          }
+          socket.emit('stream-end', { id, service, content, responseTime: Date.now() - startTime, cancelled: controller.signal.aborted })
+        } catch (error) {
+          if (controller.signal.aborted) {
+            socket.emit('stream-end', { id, service, content, responseTime: Date.now() - startTime, cancelled: true })
+          } else {
+            socket.emit('stream-error', { id, service, error: error.message })
+          }
+        } finally {
+          streams.delete(id)
+        }
+      })
+      
+      socket.on('stream-cancel', ({ id }) => {
+        streams.get(id)?.abort()
+      })
+      
       socket.on('disconnect', () => {
+        streams.forEach(controller => controller.abort())
         this.logger?.info(chalk.yellow('🔌 GUI 客戶端已斷線'))
       })
     })
@@ -172,7 +221,7 @@ class GUIServer {
    */
   startStatusUpdater() {
     // 每 5 秒更新一次狀態
-    setInterval(async () => {
+    this.timers.push(setInterval(async () => {
       try {
         const status = await this.getSystemStatus()
         this.systemStatus = status
@@ -180,25 +229,46 @@ class GUIServer {
       } catch (error) {
         console.error(chalk.red('❌ 狀態更新失敗:'), error.message)
       }
-    }, 5000)
+    }, 5000))
     
     // 每 30 秒更新一次統計資料
-    setInterval(() => {
+    this.timers.push(setInterval(() => {
       try {
-        const stats = this.aiRouter.getStats()
+        const stats = this.getStats()
         this.io.emit('stats-update', stats)
       } catch (error) {
         console.error(chalk.red('❌ 統計更新失敗:'), error.message)
       }
-    }, 30000)
+    }, 30000))
   }
   
+  /**
+   * ⏹️ 停止狀態更新器
+   */
+  stopStatusUpdater() {
+    this.timers.forEach(timer => clearInterval(timer))
+    this.timers = []
+  }
+  
+  /**
+   * 📈 取得路由器統計與用量帳本彙總 (預設最近 7 天、依模型分組)
+   */
+  getStats(query = {}) {
+    const ledger = this.aiRouter.ledger
+    return {
+      ...this.aiRouter.getStats(),
+      usage: ledger
+        ? ledger.summarize({ since: parseSince(query.since || '7d'), by: query.by || 'model' })
+        : null
+    }
+  }
+
   /**
    * 📊 取得系統狀態
    */
   async getSystemStatus() {
     const services = await this.getServicesStatus()
-    const stats = this.aiRouter.getStats()
+    const stats = this.getStats()
     const config = this.getConfiguration()
     
     return {
@@ -223,22 +293,18 @@ class GUIServer {
     const services = {}
     
     try {
-      // LM Studio 狀態
-      services.lmStudio = {
-        name: 'LM Studio',
-        healthy: await this.aiRouter.isLMStudioHealthy(),
-        endpoint: process.env.LM_STUDIO_ENDPOINT || 'http://127.0.0.1:1234',
-        model: process.env.LM_STUDIO_MODEL || 'unsloth/gpt-oss-20b-GGUF',
-        lastChecked: new Date().toISOString()
-      }
-      
-      // 本地模型 (Ollama) 狀態
-      services.ollama = {
-        name: 'Ollama',
-        healthy: await this.aiRouter.isLocalModelHealthy(),
-        endpoint: 'http://localhost:11434',
-        model: 'gpt-oss:20b',
-        lastChecked: new Date().toISOString()
+      // 本地模型 (LM Studio、Ollama、OpenAI 相容伺服器) 狀態
+      const localNames = { lmstudio: 'LM Studio', ollama: 'Ollama', 'openai-compatible': 'OpenAI 相容伺服器' }
+      const localModels = await this.aiRouter.discoverLocalModels()
+      for (const [modelName, local] of Object.entries(localModels)) {
+        services[modelName] = {
+          name: localNames[modelName] || modelName,
+          healthy: local.healthy,
+          endpoint: local.baseURL,
+          model: this.aiRouter.models[modelName].provider.model || local.models[0]?.id || '伺服器預設',
+          models: local.models.map(model => model.id),
+          lastChecked: new Date().toISOString()
+        }
       }
       
       // Claude API 狀態
@@ -275,18 +341,27 @@ class GUIServer {
       environment: {
         NODE_ENV: process.env.NODE_ENV || 'development',
         ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY ? '已配置' : '未配置',
-        LM_STUDIO_ENDPOINT: process.env.LM_STUDIO_ENDPOINT || 'http://127.0.0.1:1234',
-        LM_STUDIO_MODEL: process.env.LM_STUDIO_MODEL || 'unsloth/gpt-oss-20b-GGUF',
+        LM_STUDIO_ENDPOINT: this.config.lmStudio.endpoint,
+        LM_STUDIO_MODEL: this.config.lmStudio.model,
+        OLLAMA_ENDPOINT: this.config.ollama.endpoint,
+        OPENAI_COMPATIBLE_ENDPOINT: this.config.openaiCompatible.endpoint,
         CLAUDE_CODE_PROVIDER: process.env.CLAUDE_CODE_PROVIDER || 'auto',
         CLINE_API_ENDPOINT: process.env.CLINE_API_ENDPOINT || 'http://localhost:3001'
       },
       aiRouter: {
-        defaultTimeout: this.aiRouter.defaultTimeout,
-        localModelName: this.aiRouter.localModelName
+        defaultModel: this.aiRouter.options.defaultModel,
+        defaultTimeout: this.aiRouter.options.timeout,
+        localModelName: this.aiRouter.models.lmstudio.provider.model,
+        defaultRoute: this.aiRouter.resolveRoute().chain.join(' → ')
       },
       gui: {
         port: this.port,
         host: this.host
+      },
+      mursfoto: {
+        template: this.config.template,
+        gatewayUrl: this.config.gatewayUrl,
+        defaultModel: this.config.ai.defaultModel
       }
     }
   }
@@ -305,10 +380,11 @@ class GUIServer {
           result = await this.lmStudioService.generate(prompt)
           break
         case 'ollama':
-          result = await this.aiRouter.generateWithLocalModel(prompt)
+        case 'openai-compatible':
+          result = await this.aiRouter.forceGenerate(prompt, service)
           break
         case 'claude':
-          result = await this.aiRouter.generateWithClaudeApi(prompt)
+          result = await this.aiRouter.forceGenerate(prompt, 'claude')
           break
         case 'cline':
           result = await this.aiRouter.generateWithClineApi(prompt)
@@ -324,10 +400,12 @@ class GUIServer {
         success: true,
         service,
         prompt,
-        result: result.content,
+        result: result.text,
         responseTime: Date.now() - startTime,
-        method: result.metadata?.method || service,
+        method: result.provider || service,
         model: result.model || 'unknown',
+        usage: result.usage,
+        finishReason: result.finishReason,
         timestamp: new Date().toISOString()
       }
       
@@ -343,10 +421,31 @@ class GUIServer {
     }
   }
   
+  /**
+   * 🌊 取得服務的串流回應 (逐一產生文字片段)
+   */
+  streamService(service, prompt, signal) {
+    const messages = [{ role: 'user', content: prompt }]
+    
+    switch (service) {
+      case 'lmstudio':
+        return this.lmStudioService.stream(prompt, { signal })
+      case 'claude':
+        return this.aiRouter.stream(messages, { model: 'claude', signal })
+      case 'auto':
+        return this.aiRouter.stream(messages, { signal })
+      default:
+        throw new Error(`${service} 不支援串流`)
+    }
+  }
+  
   /**
    * 🚀 啟動服務器
    */
   async start() {
+    // 依依賴順序初始化所有已註冊模組
+    await this.registry.initializeAll()
+    
     return new Promise((resolve, reject) => {
       this.server.listen(this.port, this.host, (err) => {
         if (err) {
@@ -355,6 +454,7 @@ class GUIServer {
           this.logger?.info(chalk.green(`\n🖥️  mursfoto-cli GUI 服務器已啟動`))
           this.logger?.info(chalk.cyan(`🌐 訪問: http://${this.host}:${this.port}`))
           this.logger?.info(chalk.yellow(`📊 即時監控所有 AI 服務狀態`))
+          this.startStatusUpdater()
           resolve()
         }
       })
@@ -365,8 +465,12 @@ class GUIServer {
    * 🛑 停止服務器
    */
   async stop() {
+    this.stopStatusUpdater()
+    await this.registry.shutdown()
+    
+    // socket.io 關閉時會一併關閉底層 HTTP 服務器
     return new Promise((resolve) => {
-      this.server.close(() => {
+      this.io.close(() => {
         this.logger?.info(chalk.yellow('🛑 GUI 服務器已停止'))
         resolve()
       })
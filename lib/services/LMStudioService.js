@@ -1,5 +1,8 @@
 const chalk = require('chalk')
 const ora = require('ora')
+const { readOpenAIStream } = require('../utils/stream')
+const { estimateTokens } = require('../utils/ai-usage')
+const { getAdapter, createUsage } = require('./ai-adapters')
 
 /**
  * 🎨 LM Studio 服務 - 本地 GPU 加速 AI 模型服務
@@ -11,6 +14,8 @@ class LMStudioService {
     this.modelName = options.modelName || 'unsloth/gpt-oss-20b-GGUF'
     this.defaultTimeout = options.timeout || 60000 // 60秒超時
     this.maxRetries = options.maxRetries || 2
+    this.cache = options.cache || null // AICache，相同請求直接回傳快取
+    this.ledger = options.ledger || null // UsageLedger，記錄每次呼叫的用量
 
     // 性能統計
     this.stats = {
@@ -18,7 +23,8 @@ class LMStudioService {
       successfulRequests: 0,
       failedRequests: 0,
       averageResponseTime: 0,
-      totalTokensGenerated: 0
+      totalTokensGenerated: 0,
+      cacheHits: 0
     }
 
     // 健康狀態
@@ -30,12 +36,23 @@ class LMStudioService {
    * 🚀 主要生成方法
    * @param {string} prompt - 提示詞
    * @param {Object} options - 生成選項
-   * @returns {Object} 生成結果
+   * @returns {Object} 統一格式的回應 (見 ai-adapters)
    */
   async generate (prompt, options = {}) {
     const startTime = Date.now()
     const spinner = ora('🎨 LM Studio GPU 加速處理中...').start()
 
+    // 格式化提示詞
+    const formattedPrompt = this.formatPrompt(prompt, options)
+
+    const cacheKey = this.getCacheKey(formattedPrompt, options)
+    const cached = cacheKey && this.cache.get(cacheKey)
+    if (cached) {
+      this.stats.cacheHits++
+      spinner.succeed(chalk.green('✅ LM Studio 使用快取回應'))
+      return { ...cached, cached: true, latency: 0 }
+    }
+
     this.stats.totalRequests++
 
     try {
@@ -44,9 +61,6 @@ class LMStudioService {
         throw new Error('LM Studio 服務不可用，請確認模型已載入')
       }
 
-      // 格式化提示詞
-      const formattedPrompt = this.formatPrompt(prompt, options)
-
       // 調用 LM Studio API
       const result = await this.callLMStudioAPI(formattedPrompt, options)
 
@@ -58,24 +72,26 @@ class LMStudioService {
         this.stats.successfulRequests,
         responseTime
       )
-      this.stats.totalTokensGenerated += this.estimateTokens(result.content)
+      // 伺服器未回報用量時以估算值補上
+      const usage = result.usage.totalTokens > 0
+        ? result.usage
+        : createUsage(this.estimateTokens(formattedPrompt), this.estimateTokens(result.text))
+      this.stats.totalTokensGenerated += usage.outputTokens
+      this.recordUsage(result.model || this.modelName, usage, responseTime, result.usage.totalTokens === 0)
 
       spinner.succeed(chalk.green(`✅ LM Studio 完成 (${responseTime}ms)`))
 
-      return {
-        content: result.content,
-        model: this.modelName,
-        usage: {
-          cost: 0, // 本地模型免費
-          tokens: this.estimateTokens(result.content),
-          responseTime
-        },
-        metadata: {
-          method: 'lm-studio',
-          gpuAccelerated: true,
-          timestamp: new Date().toISOString()
-        }
+      const response = {
+        provider: 'lmstudio',
+        ...result,
+        model: result.model || this.modelName,
+        usage,
+        latency: responseTime
+      }
+      if (cacheKey) {
+        this.cache.set(cacheKey, { ...response, raw: undefined })
       }
+      return response
     } catch (error) {
       this.stats.failedRequests++
       spinner.fail(chalk.red(`❌ LM Studio 失敗: ${error.message}`))
@@ -87,6 +103,7 @@ class LMStudioService {
    * 🔗 調用 LM Studio API
    * @param {string} prompt - 格式化的提示詞
    * @param {Object} options - 選項
+   * @returns {Object} 轉換後的回應 (text、toolCalls、finishReason、usage、raw)
    */
   async callLMStudioAPI (prompt, options = {}) {
     const controller = new AbortController()
@@ -98,25 +115,7 @@ class LMStudioService {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          model: this.modelName,
-          messages: [
-            {
-              role: 'system',
-              content: options.systemPrompt || '你是一個專業的 AI 助手，專門協助程式開發和技術問題。請使用繁體中文回答。'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: options.temperature || 0.7,
-          max_tokens: options.maxTokens || 4000,
-          top_p: options.topP || 0.9,
-          frequency_penalty: options.frequencyPenalty || 0,
-          presence_penalty: options.presencePenalty || 0,
-          stream: false
-        }),
+        body: JSON.stringify(this.buildRequestBody(prompt, options, false)),
         signal: controller.signal
       })
 
@@ -134,8 +133,8 @@ class LMStudioService {
       }
 
       return {
-        content: data.choices[0].message.content,
-        usage: data.usage || {}
+        ...getAdapter('lmstudio').fromResponse(data),
+        raw: data
       }
     } catch (error) {
       clearTimeout(timeoutId)
@@ -152,6 +151,145 @@ class LMStudioService {
     }
   }
 
+  /**
+   * 🌊 串流生成，逐一產生文字片段
+   * options.signal (AbortSignal) 可中止；結束後更新統計
+   * @param {string} prompt - 提示詞
+   * @param {Object} options - 生成選項
+   */
+  async * stream (prompt, options = {}) {
+    const startTime = Date.now()
+    const formattedPrompt = this.formatPrompt(prompt, options)
+
+    const cacheKey = this.getCacheKey(formattedPrompt, options)
+    const cached = cacheKey && this.cache.get(cacheKey)
+    if (cached) {
+      this.stats.cacheHits++
+      yield cached.text
+      return
+    }
+
+    this.stats.totalRequests++
+
+    let content = ''
+    try {
+      if (!(await this.healthCheck())) {
+        throw new Error('LM Studio 服務不可用，請確認模型已載入')
+      }
+
+      for await (const text of this.streamLMStudioAPI(formattedPrompt, options)) {
+        content += text
+        yield text
+      }
+
+      const responseTime = Date.now() - startTime
+      this.stats.successfulRequests++
+      this.stats.averageResponseTime = this.updateAverageTime(
+        this.stats.averageResponseTime,
+        this.stats.successfulRequests,
+        responseTime
+      )
+      const usage = createUsage(this.estimateTokens(formattedPrompt), this.estimateTokens(content))
+      this.stats.totalTokensGenerated += usage.outputTokens
+      this.recordUsage(this.modelName, usage, responseTime, true)
+
+      if (cacheKey) {
+        this.cache.set(cacheKey, {
+          provider: 'lmstudio',
+          model: this.modelName,
+          text: content,
+          toolCalls: [],
+          finishReason: 'stop',
+          usage
+        })
+      }
+    } catch (error) {
+      this.stats.failedRequests++
+      throw error
+    }
+  }
+
+  /**
+   * 🔗 以 OpenAI 相容串流調用 LM Studio API
+   * 逾時只限制等待回應開始的時間，開始串流後不再中止
+   */
+  async * streamLMStudioAPI (prompt, options = {}) {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), this.defaultTimeout)
+    const abort = () => controller.abort()
+    options.signal?.addEventListener('abort', abort)
+
+    try {
+      let response
+      try {
+        response = await fetch(`${this.apiEndpoint}/v1/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(this.buildRequestBody(prompt, options, true)),
+          signal: controller.signal
+        })
+      } finally {
+        clearTimeout(timeoutId)
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text()
+        throw new Error(`LM Studio API 錯誤 (${response.status}): ${errorText}`)
+      }
+
+      yield * readOpenAIStream(response.body)
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(options.signal?.aborted ? 'LM Studio 串流已取消' : `LM Studio API 調用超時 (${this.defaultTimeout}ms)`)
+      }
+
+      if (error.cause?.code === 'ECONNREFUSED') {
+        throw new Error('LM Studio 服務未運行，請啟動 LM Studio 並載入模型')
+      }
+
+      throw error
+    } finally {
+      options.signal?.removeEventListener('abort', abort)
+      // 提前結束迭代時關閉連線
+      controller.abort()
+    }
+  }
+
+  /**
+   * 🗃️ 計算快取鍵，未啟用快取或 options.cache 為 false 時回傳 null
+   */
+  getCacheKey (prompt, options = {}) {
+    if (!this.cache || options.cache === false) return null
+    return this.cache.key({ provider: 'lmstudio', ...this.buildRequestBody(prompt, options, false) })
+  }
+
+  /**
+   * 📦 組成 chat/completions 請求內容
+   */
+  buildRequestBody (prompt, options = {}, stream = false) {
+    return {
+      model: this.modelName,
+      messages: [
+        {
+          role: 'system',
+          content: options.systemPrompt || '你是一個專業的 AI 助手，專門協助程式開發和技術問題。請使用繁體中文回答。'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: options.temperature || 0.7,
+      max_tokens: options.maxTokens || 4000,
+      top_p: options.topP || 0.9,
+      frequency_penalty: options.frequencyPenalty || 0,
+      presence_penalty: options.presencePenalty || 0,
+      stream
+    }
+  }
+
   /**
    * 🏥 健康檢查
    */
@@ -282,13 +420,22 @@ class LMStudioService {
    * @param {string} text - 文本
    */
   estimateTokens(text) {
-    // 中英文混合文本的 token 估算
-    const chineseChars = (text.match(/[\u4e00-\u9fff]/g) || []).length
-    const englishWords = (text.match(/[a-zA-Z]+/g) || []).length
-    const otherChars = text.length - chineseChars
-    
-    // 中文字符：約 1.5 token/字，英文單詞：約 1.3 token/詞
-    return Math.ceil(chineseChars * 1.5 + englishWords * 1.3 + otherChars * 0.5)
+    return estimateTokens(text)
+  }
+
+  /**
+   * 🧾 將用量寫入用量帳本 (未設定 ledger 時略過)
+   * estimated 表示伺服器未回報用量，token 為估算值
+   */
+  recordUsage(model, usage, latency, estimated = false) {
+    this.ledger?.record({
+      provider: 'lmstudio',
+      model,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      latency,
+      ...(estimated && { estimated: true })
+    })
   }
 
   /**
@@ -332,7 +479,8 @@ class LMStudioService {
       successfulRequests: 0,
       failedRequests: 0,
       averageResponseTime: 0,
-      totalTokensGenerated: 0
+      totalTokensGenerated: 0,
+      cacheHits: 0
     }
   }
 }
@@ -823,64 +823,69 @@ ${specificFeatures}
     fs.writeFileSync(path.join(projectDir, 'CLAUDE.md'), claudeMd);
   }
 
+  // 生成 AI 提示 (提示註冊表格式)，可用 mursfoto ai prompts list 查看、mursfoto ai ask --prompt 使用
   generateAIPromptTemplates(projectDir, name, type) {
-    const docsDir = path.join(projectDir, 'docs');
-    fs.mkdirSync(docsDir, { recursive: true });
-    
-    const promptTemplates = `# AI 提示範本
-
-## 🎯 常用開發提示
-
-### 新增 API 端點
-\`\`\`
-我需要為 ${name} 新增一個 [端點名稱] API 端點，功能是 [功能描述]。請：
+    const promptsDir = path.join(projectDir, '.ai-rules', 'prompts');
+    fs.mkdirSync(promptsDir, { recursive: true });
+
+    const prompts = {
+      'new-endpoint': {
+        description: '新增 API 端點',
+        variables: ['endpoint', 'feature'],
+        body: `我需要為 ${name} 新增一個 {{endpoint}} API 端點，功能是 {{feature}}。請：
 1. 使用 prd-writer 代理生成需求文件
 2. 實作 API 程式碼
 3. 使用 code-reviewer 代理審查程式碼
-4. 測試並部署
-\`\`\`
-
-### 錯誤診斷與修復
-\`\`\`
-${name} 服務遇到錯誤：[錯誤信息]
+4. 測試並部署`
+      },
+      'debug-error': {
+        description: '錯誤診斷與修復',
+        variables: ['error'],
+        body: `${name} 服務遇到錯誤：{{error}}
 請使用 error-debugger 代理幫我：
 1. 分析錯誤原因
 2. 提供修復方案
 3. 實施修復
-4. 驗證修復效果
-\`\`\`
-
-### 效能優化
-\`\`\`
- ${name} 服務需要效能優化，請：
+4. 驗證修復效果`
+      },
+      'optimize-service': {
+        description: '效能優化',
+        variables: [],
+        body: `${name} 服務需要效能優化，請：
 1. 使用 steering-architect 代理分析架構
 2. 識別效能瓶頸
 3. 實施優化方案
-4. 使用 code-reviewer 代理審查變更
-\`\`\`
-
-### 功能擴展
-\`\`\`
-我想為 ${name} 添加 [功能名稱] 功能，包含：
-- [具體需求1]
-- [具體需求2]
-請完整實作並整合到現有系統中
-\`\`\`
-
-## 🔧 部署與維護
-
-### 一鍵部署
-\`\`\`
-幫我將 ${name} 部署到 Zeabur，使用 Mursfoto 部署系統
-\`\`\`
+4. 使用 code-reviewer 代理審查變更`
+      },
+      'add-feature': {
+        description: '功能擴展',
+        variables: ['feature', 'requirements'],
+        body: `我想為 ${name} 添加 {{feature}} 功能，包含：
+{{requirements}}
+請完整實作並整合到現有系統中`
+      },
+      'deploy-zeabur': {
+        description: '一鍵部署',
+        variables: [],
+        body: `幫我將 ${name} 部署到 Zeabur，使用 Mursfoto 部署系統`
+      },
+      'check-status': {
+        description: '服務監控',
+        variables: [],
+        body: `檢查 ${name} 服務的運行狀態和性能指標`
+      }
+    };
 
-### 服務監控
-\`\`\`
-檢查 ${name} 服務的運行狀態和性能指標
-\`\`\`
+    Object.entries(prompts).forEach(([promptName, prompt]) => {
+      const content = `---
+version: 1.0.0
+description: ${prompt.description}
+variables: ${prompt.variables.join(', ')}
+---
+${prompt.body}
 `;
-    
-    fs.writeFileSync(path.join(docsDir, 'ai-prompts.md'), promptTemplates);
+      fs.writeFileSync(path.join(promptsDir, `${promptName}.md`), content);
+    });
   }
 
   preserveClaudeCodeConfig(projectDir, name, type) {
@@ -1005,58 +1010,7 @@ ${name} 服務遇到錯誤：[錯誤信息]
 
   // 📝 Logger 模板
   getLoggerTemplate() {
-    return `const winston = require('winston');
-
-// 🔍 Mursfoto Logger 配置
-// 基於成功專案的最佳實踐設計
-
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp({
-      format: 'YYYY-MM-DD HH:mm:ss'
-    }),
-    winston.format.errors({ stack: true }),
-    winston.format.colorize(),
-    winston.format.printf(({ timestamp, level, message, stack, ...meta }) => {
-      let msg = \`[\${timestamp}] \${level}: \${message}\`;
-      
-      if (stack) {
-        msg += \`\\n\${stack}\`;
-      }
-      
-      if (Object.keys(meta).length > 0) {
-        msg += \` \${JSON.stringify(meta)}\`;
-      }
-      
-      return msg;
-    })
-  ),
-  transports: [
-    new winston.transports.Console({
-      handleExceptions: true
-    })
-  ],
-  exitOnError: false
-});
-
-// 生產環境額外配置
-if (process.env.NODE_ENV === 'production') {
-  logger.add(new winston.transports.File({
-    filename: 'logs/error.log',
-    level: 'error',
-    maxsize: 5242880, // 5MB
-    maxFiles: 5
-  }));
-  
-  logger.add(new winston.transports.File({
-    filename: 'logs/combined.log',
-    maxsize: 5242880, // 5MB
-    maxFiles: 5
-  }));
-}
-
-module.exports = logger;`;
+    return fs.readFileSync(path.join(__dirname, '../templates/advanced-features/logger.js'), 'utf8');
   }
 
   // 📊 SmartMonitor 模板 (from PixelForge Studio)
@@ -1,6 +1,6 @@
 const axios = require('axios')
-const fs = require('fs-extra')
 const path = require('path')
+const { vfs } = require('../utils/vfs')
 const { logger } = require('../utils/helpers')
 
 class N8nTemplateService {
@@ -28,12 +28,12 @@ class N8nTemplateService {
    */
   async initializeTemplateService () {
     try {
-      await fs.ensureDir(this.templatesDir)
+      await vfs.ensureDir(this.templatesDir)
 
       // 創建模板索引文件
       const indexPath = path.join(this.templatesDir, 'index.json')
-      if (!await fs.pathExists(indexPath)) {
-        await fs.writeJson(indexPath, {
+      if (!await vfs.pathExists(indexPath)) {
+        await vfs.writeJson(indexPath, {
           templates: [],
           lastUpdated: new Date().toISOString(),
           version: '1.0.0'
@@ -255,7 +255,7 @@ return [{
 
       // 保存轉換後的模板
       const templatePath = path.join(this.templatesDir, `${projectName}.json`)
-      await fs.writeJson(templatePath, template, { spaces: 2 })
+      await vfs.writeJson(templatePath, template, { spaces: 2 })
 
       logger.success(`✅ 模板轉換完成: ${templatePath}`)
       return template
@@ -701,13 +701,13 @@ networks:
 
       // 創建項目目錄
       const projectPath = path.join(process.cwd(), projectName)
-      await fs.ensureDir(projectPath)
+      await vfs.ensureDir(projectPath)
 
       // 生成項目文件
       for (const [filePath, content] of Object.entries(mursforoTemplate.files)) {
         const fullPath = path.join(projectPath, filePath)
-        await fs.ensureDir(path.dirname(fullPath))
-        await fs.writeFile(fullPath, content)
+        await vfs.ensureDir(path.dirname(fullPath))
+        await vfs.writeFile(fullPath, content)
         logger.info(`📄 創建文件: ${filePath}`)
       }
 
@@ -738,7 +738,7 @@ networks:
   async updateTemplateIndex (template) {
     try {
       const indexPath = path.join(this.templatesDir, 'index.json')
-      const index = await fs.readJson(indexPath)
+      const index = await vfs.readJson(indexPath)
 
       // 移除舊版本的模板
       index.templates = index.templates.filter(t => t.name !== template.name)
@@ -754,7 +754,7 @@ networks:
 
       index.lastUpdated = new Date().toISOString()
 
-      await fs.writeJson(indexPath, index, { spaces: 2 })
+      await vfs.writeJson(indexPath, index, { spaces: 2 })
     } catch (error) {
       logger.error('模板索引更新失敗:', error.message)
     }
@@ -2,6 +2,53 @@ const chalk = require('chalk')
 const ora = require('ora')
 const fs = require('fs-extra')
 const path = require('path')
+const AIModelRouter = require('./AIModelRouter')
+const { buildRouteInventory } = require('../utils/route-inventory')
+
+// 依驗證規則產生的範例值
+const SAMPLE_VALUES = [
+  [/email/i, 'test@example.com'],
+  [/url|uri/i, 'https://example.com'],
+  [/uuid|guid/i, '123e4567-e89b-12d3-a456-426614174000'],
+  [/date|iso8601/i, '2024-01-01T00:00:00.000Z'],
+  [/int|numeric|number|float|decimal|port/i, 1],
+  [/bool/i, true],
+  [/array/i, []],
+  [/length|min|max/i, 'test1234']
+]
+
+function sampleValue (rules = [], name = '') {
+  const match = SAMPLE_VALUES.find(([pattern]) => rules.some(rule => pattern.test(rule)))
+  if (match) return match[1]
+  return /id$/i.test(name) ? 1 : 'test'
+}
+
+// 把路徑參數換成範例值；無法組出實際路徑 (正規表示式、動態路徑) 時回傳 null
+function samplePath (route) {
+  const resolved = route.path.replace(/:([A-Za-z_$][\w$]*)(\([^)]*\))?\??/g, (match, name, pattern) => {
+    const validator = route.validators.find(item => item.field === name && item.in !== 'body')
+    const value = pattern && /\\d/.test(pattern) ? 1 : sampleValue(validator?.rules, name)
+    return encodeURIComponent(value)
+  })
+  return /[{}*()|^$\\]/.test(resolved) ? null : resolved
+}
+
+function sampleFields (route, locations) {
+  return Object.fromEntries(route.validators
+    .filter(item => locations.includes(item.in))
+    .map(item => [item.field, sampleValue(item.rules, item.field)]))
+}
+
+// 產生的測試程式碼中的單引號字串
+function quote (text) {
+  return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+}
+
+// 測試檔引用專案檔案的相對路徑
+function requirePath (fromDir, file) {
+  const relative = path.posix.relative(fromDir, file.replace(/\.[^./]+$/, ''))
+  return relative.startsWith('.') ? relative : `./${relative}`
+}
 
 /**
  * 🧪 智慧測試自動化系統
@@ -9,8 +56,8 @@ const path = require('path')
  */
 class SmartTestAutomation {
   constructor () {
-    this.claudeApiKey = process.env.CLAUDE_API_KEY
-    this.claudeModel = 'claude-sonnet-4-20250514'
+    // 依設定選擇模型，切換模型不需修改程式碼
+    this.aiRouter = AIModelRouter.fromConfig()
     this.testFrameworks = {
       unit: ['jest', 'mocha', 'vitest'],
       integration: ['supertest', 'chai'],
@@ -38,7 +85,7 @@ class SmartTestAutomation {
       spinner.text = '⚡ 正在生成測試案例...'
 
       // 3. 自動生成測試代碼
-      const generatedTests = await this.generateTestCode(testStrategy, projectPath)
+      const generatedTests = await this.generateTestCode(testStrategy, projectPath, projectAnalysis)
       spinner.text = '🚀 正在配置測試環境...'
 
       // 4. 設置測試環境
@@ -71,6 +118,7 @@ class SmartTestAutomation {
       dependencies: {},
       testableComponents: [],
       apiEndpoints: [],
+      routeInventory: { apps: [], mounts: [], routes: [] },
       complexity: 'medium'
     }
 
@@ -92,8 +140,9 @@ class SmartTestAutomation {
 
       // 掃描專案文件
       analysis.files = await this.scanProjectFiles(projectPath)
-      analysis.testableComponents = await this.identifyTestableComponents(analysis.files)
-      analysis.apiEndpoints = await this.extractApiEndpoints(analysis.files)
+      analysis.routeInventory = buildRouteInventory(projectPath, analysis.files)
+      analysis.testableComponents = await this.identifyTestableComponents(analysis.files, projectPath, analysis.routeInventory)
+      analysis.apiEndpoints = analysis.routeInventory.routes
       analysis.complexity = this.assessProjectComplexity(analysis)
 
       return analysis
@@ -104,15 +153,15 @@ class SmartTestAutomation {
   }
 
   /**
-   * 🧠 使用 Claude Code 生成測試策略
+   * 🧠 使用 AI 生成測試策略
    */
   async generateTestStrategy (projectAnalysis, options) {
-    if (!this.claudeApiKey) {
+    if (!this.aiRouter.hasAvailableProvider({ task: 'test' })) {
       return this.generateDefaultTestStrategy(projectAnalysis, options)
     }
 
     try {
-      const claudeResponse = await this.callClaudeAPI({
+      const aiResponse = await this.callAI({
         system: `您是專業的測試工程師，專門設計全面的測試策略。請根據專案分析結果，設計一個完整的測試策略，以 JSON 格式回應：
 {
   "testTypes": ["unit", "integration", "e2e"],
@@ -157,7 +206,7 @@ API 端點: ${projectAnalysis.apiEndpoints.length} 個
         ]
       })
 
-      return JSON.parse(claudeResponse)
+      return JSON.parse(aiResponse)
     } catch (error) {
       console.warn('Claude API 調用失敗，使用預設測試策略:', error.message)
       return this.generateDefaultTestStrategy(projectAnalysis, options)
@@ -167,7 +216,7 @@ API 端點: ${projectAnalysis.apiEndpoints.length} 個
   /**
    * 💻 生成測試代碼
    */
-  async generateTestCode (testStrategy, projectPath) {
+  async generateTestCode (testStrategy, projectPath, projectAnalysis = {}) {
     const generatedTests = {
       unit: {},
       integration: {},
@@ -183,7 +232,7 @@ API 端點: ${projectAnalysis.apiEndpoints.length} 個
 
     // 生成整合測試
     if (testStrategy.testTypes.includes('integration')) {
-      generatedTests.integration = await this.generateIntegrationTests(testStrategy, projectPath)
+      generatedTests.integration = await this.generateIntegrationTests(testStrategy, projectPath, projectAnalysis)
     }
 
     // 生成 E2E 測試
@@ -206,7 +255,8 @@ API 端點: ${projectAnalysis.apiEndpoints.length} 個
     const unitTests = {}
 
     for (const scenario of testStrategy.testScenarios.filter(s => s.type === 'unit')) {
-      const testCode = `const ${scenario.name} = require('../${scenario.components[0]}');
+      const component = scenario.components[0]
+      const testCode = `${component ? `const ${scenario.name} = require('${requirePath('tests/unit', component)}');\n` : ''}
 
 describe('${scenario.name}', () => {
   beforeEach(() => {
@@ -244,8 +294,15 @@ describe('${scenario.name}', () => {
   /**
    * 🔗 生成整合測試
    */
-  async generateIntegrationTests (testStrategy, projectPath) {
+  async generateIntegrationTests (testStrategy, projectPath, projectAnalysis = {}) {
     const integrationTests = {}
+    const inventory = projectAnalysis.routeInventory
+
+    // 有偵測到實際路由時，依路由清單產生測試
+    if (inventory && inventory.apps.length > 0 && inventory.routes.some(route => route.mounted)) {
+      integrationTests['tests/integration/api.test.js'] = this.generateRouteTests(inventory)
+      return integrationTests
+    }
 
     const mainTestCode = `const request = require('supertest');
 const app = require('../server');
@@ -303,6 +360,63 @@ describe('API 整合測試', () => {
     return integrationTests
   }
 
+  /**
+   * 依路由清單產生 supertest 測試：每個路由不應回傳 5xx，有必填欄位驗證的路由送出空資料應回傳 400/422
+   */
+  generateRouteTests (inventory) {
+    const app = inventory.apps[0]
+    const header = [
+      "const request = require('supertest');",
+      `const app = require('${requirePath('tests/integration', app.file)}');`
+    ]
+    if (!app.exported) {
+      header.push(`// 注意：${app.file} 沒有匯出 ${app.name}，請加上 module.exports = ${app.name} 讓測試可以載入`)
+    }
+
+    const blocks = []
+    for (const route of inventory.routes.filter(item => item.mounted)) {
+      const url = samplePath(route)
+      if (!url) continue
+
+      const method = route.method === 'ALL' ? 'get' : route.method.toLowerCase()
+      const hasBody = ['post', 'put', 'patch'].includes(method)
+      const call = (body) => {
+        const lines = [`      const response = await request(app)`, `        .${method}(${quote(url)})`]
+        const query = sampleFields(route, ['query'])
+        if (Object.keys(query).length > 0) lines.push(`        .query(${JSON.stringify(query)})`)
+        if (hasBody) lines.push(`        .send(${JSON.stringify(body)})`)
+        lines[lines.length - 1] += ';'
+        return lines.join('\n')
+      }
+
+      const cases = [`    test('不應回傳伺服器錯誤', async () => {
+${call(sampleFields(route, ['body', 'any']))}
+
+      expect(response.status).toBeLessThan(500);
+    });`]
+
+      if (hasBody && route.validators.some(item => (item.in === 'body' || item.in === 'any') && item.required)) {
+        cases.push(`    test('缺少必要欄位時應回傳 400 或 422', async () => {
+${call({})}
+
+      expect([400, 422]).toContain(response.status);
+    });`)
+      }
+
+      blocks.push(`  // ${route.file}:${route.line}${route.middleware.length > 0 ? ` (中間件: ${route.middleware.join(', ')})` : ''}
+  describe(${quote(`${route.method} ${route.path}`)}, () => {
+${cases.join('\n\n')}
+  });`)
+    }
+
+    return `${header.join('\n')}
+
+describe('API 整合測試', () => {
+${blocks.join('\n\n')}
+});
+`
+  }
+
   /**
    * 🌐 生成 E2E 測試
    */
@@ -454,30 +568,12 @@ export default function () {
   }
 
   /**
-   * 🔗 Claude API 調用
+   * 🔗 AI 調用，回傳文字內容
+   * @param {Object} payload - 統一請求 (system、messages)
    */
-  async callClaudeAPI (payload) {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': this.claudeApiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: this.claudeModel,
-        max_tokens: 4000,
-        system: payload.system,
-        messages: payload.messages
-      })
-    })
-
-    if (!response.ok) {
-      throw new Error(`Claude API 錯誤: ${response.status} ${response.statusText}`)
-    }
-
-    const data = await response.json()
-    return data.content[0].text
+  async callAI (payload) {
+    const response = await this.aiRouter.smartRoute(payload, { task: 'test' })
+    return response.text
   }
 
   /**
@@ -585,18 +681,32 @@ export default function () {
     return files
   }
 
-  async identifyTestableComponents (files) {
-    // 簡化版組件識別
-    return files
-      .filter(file => !file.includes('test') && !file.includes('spec'))
-      .map(file => path.basename(file, path.extname(file)))
+  /**
+   * 可做單元測試的模組：有匯出內容、不是測試檔，也不是只定義路由的檔案 (路由交給整合測試)
+   * @returns {string[]} 相對於專案根目錄、不含副檔名的路徑，例如 src/services/user
+   */
+  async identifyTestableComponents (files, projectPath, inventory = buildRouteInventory(projectPath, files)) {
+    const routeFiles = new Set([
+      ...inventory.routes.map(route => route.file),
+      ...inventory.apps.map(app => app.file)
+    ])
+    const components = []
+
+    for (const file of files.map(item => item.split(path.sep).join('/'))) {
+      if (/(^|\/)(tests?|__tests__|__mocks__)\/|\.(test|spec)\.[^.]+$/.test(file) || routeFiles.has(file)) continue
+      const code = await fs.readFile(path.join(projectPath, file), 'utf8')
+      if (/\bmodule\.exports\b|\bexports\.[\w$]+\s*=|^\s*export\s/m.test(code)) {
+        components.push(file.replace(/\.[^./]+$/, ''))
+      }
+    }
+    return components
   }
 
-  async extractApiEndpoints (files) {
-    // 簡化版 API 端點提取
-    const endpoints = []
-    // 實際實現會解析路由文件
-    return endpoints
+  /**
+   * API 端點：由路由清單取得實際的路由 (方法、完整路徑、參數、中間件與驗證規則)
+   */
+  async extractApiEndpoints (files, projectPath) {
+    return buildRouteInventory(projectPath, files).routes
   }
 
   assessProjectComplexity (analysis) {
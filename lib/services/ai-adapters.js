@@ -0,0 +1,360 @@
+/**
+ * AI 供應商轉接層
+ * 統一的請求 / 回應格式與 Claude、OpenAI、Gemini、LM Studio、Ollama 各自格式之間的轉換
+ *
+ * 統一請求:
+ *   { system, messages: [{ role, content, toolCalls?, toolCallId?, name? }], tools: [{ name, description, parameters }], model?, maxTokens?, temperature? }
+ *   role 為 user | assistant | tool；tool 訊息以 toolCallId 對應 assistant 的 toolCalls
+ *
+ * 統一回應:
+ *   { provider, model, text, toolCalls: [{ id, name, arguments }], finishReason, usage: { inputTokens, outputTokens, totalTokens }, latency, raw }
+ *   finishReason 為 stop | length | tool_calls | content_filter | unknown
+ */
+
+/**
+ * 將字串、訊息陣列或請求物件轉為統一請求
+ * 訊息中的 system 角色會併入 system 欄位
+ */
+function normalizeRequest (input) {
+  if (typeof input === 'string') {
+    input = { messages: [{ role: 'user', content: input }] }
+  } else if (Array.isArray(input)) {
+    input = { messages: input }
+  }
+
+  const system = input.system ? [input.system] : []
+  const messages = []
+  for (const message of input.messages || []) {
+    if (message.role === 'system') {
+      system.push(message.content)
+    } else {
+      messages.push({ ...message, content: message.content ?? '' })
+    }
+  }
+
+  if (messages.length === 0) {
+    throw new Error('AI 請求至少需要一則訊息')
+  }
+
+  return {
+    ...input,
+    system: system.join('\n\n') || undefined,
+    messages,
+    tools: input.tools || []
+  }
+}
+
+// 以 JSON 解析工具參數，無法解析時保留原字串
+function parseArguments (value) {
+  if (typeof value !== 'string') return value || {}
+  try {
+    return JSON.parse(value || '{}')
+  } catch (error) {
+    return value
+  }
+}
+
+function createUsage (inputTokens = 0, outputTokens = 0, totalTokens) {
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: totalTokens ?? inputTokens + outputTokens
+  }
+}
+
+// contextWindow 為預設模型的上下文長度 (token)，可用 ai.contextWindows 覆寫
+const claude = {
+  defaultModel: 'claude-3-sonnet-20240229',
+  contextWindow: 200000,
+
+  endpoint () {
+    return '/v1/messages'
+  },
+
+  toRequest (request) {
+    const messages = request.messages.map(message => {
+      if (message.role === 'tool') {
+        return {
+          role: 'user',
+          content: [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }]
+        }
+      }
+      if (message.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+          ]
+        }
+      }
+      return { role: message.role, content: message.content }
+    })
+
+    return {
+      model: request.model || this.defaultModel,
+      max_tokens: request.maxTokens || 4000,
+      ...(request.system && { system: request.system }),
+      ...(request.temperature !== undefined && { temperature: request.temperature }),
+      ...(request.tools.length && {
+        tools: request.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.parameters || { type: 'object', properties: {} }
+        }))
+      }),
+      messages
+    }
+  },
+
+  fromResponse (raw) {
+    const blocks = raw.content || []
+    const finishReasons = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls', refusal: 'content_filter' }
+
+    return {
+      model: raw.model,
+      text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+      finishReason: finishReasons[raw.stop_reason] || 'unknown',
+      usage: createUsage(raw.usage?.input_tokens, raw.usage?.output_tokens)
+    }
+  }
+}
+
+const openai = {
+  defaultModel: 'gpt-3.5-turbo',
+  contextWindow: 16385,
+
+  endpoint () {
+    return '/v1/chat/completions'
+  },
+
+  toRequest (request) {
+    const messages = request.messages.map(message => {
+      if (message.role === 'tool') {
+        return { role: 'tool', tool_call_id: message.toolCallId, content: message.content }
+      }
+      if (message.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+          }))
+        }
+      }
+      return { role: message.role, content: message.content }
+    })
+
+    return {
+      model: request.model || this.defaultModel,
+      max_tokens: request.maxTokens || 4000,
+      ...(request.temperature !== undefined && { temperature: request.temperature }),
+      ...(request.tools.length && {
+        tools: request.tools.map(tool => ({
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.parameters || { type: 'object', properties: {} } }
+        }))
+      }),
+      messages: request.system ? [{ role: 'system', content: request.system }, ...messages] : messages
+    }
+  },
+
+  fromResponse (raw) {
+    const choice = raw.choices?.[0]
+    if (!choice?.message) {
+      throw new Error('AI 回應格式無效：缺少 choices[0].message')
+    }
+
+    const finishReasons = { stop: 'stop', length: 'length', tool_calls: 'tool_calls', function_call: 'tool_calls', content_filter: 'content_filter' }
+
+    return {
+      model: raw.model,
+      text: choice.message.content || '',
+      toolCalls: (choice.message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseArguments(call.function.arguments)
+      })),
+      finishReason: finishReasons[choice.finish_reason] || 'unknown',
+      usage: createUsage(raw.usage?.prompt_tokens, raw.usage?.completion_tokens, raw.usage?.total_tokens)
+    }
+  }
+}
+
+const gemini = {
+  defaultModel: 'gemini-pro',
+  contextWindow: 32768,
+
+  endpoint (request) {
+    return `/v1beta/models/${request.model || this.defaultModel}:generateContent`
+  },
+
+  toRequest (request) {
+    // Gemini 以名稱對應工具結果，從先前的 toolCalls 找回工具名稱
+    const toolNames = {}
+    for (const message of request.messages) {
+      for (const call of message.toolCalls || []) toolNames[call.id] = call.name
+    }
+
+    const contents = request.messages.map(message => {
+      if (message.role === 'tool') {
+        return {
+          role: 'user',
+          parts: [{
+            functionResponse: {
+              name: message.name || toolNames[message.toolCallId],
+              response: { content: message.content }
+            }
+          }]
+        }
+      }
+      const parts = message.content ? [{ text: message.content }] : []
+      for (const call of message.toolCalls || []) {
+        parts.push({ functionCall: { name: call.name, args: call.arguments } })
+      }
+      return { role: message.role === 'assistant' ? 'model' : 'user', parts }
+    })
+
+    return {
+      contents,
+      ...(request.system && { systemInstruction: { parts: [{ text: request.system }] } }),
+      ...(request.tools.length && {
+        tools: [{
+          functionDeclarations: request.tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+          }))
+        }]
+      }),
+      generationConfig: {
+        maxOutputTokens: request.maxTokens || 4000,
+        ...(request.temperature !== undefined && { temperature: request.temperature })
+      }
+    }
+  },
+
+  fromResponse (raw) {
+    const candidate = raw.candidates?.[0]
+    const parts = candidate?.content?.parts || []
+    const toolCalls = parts
+      .filter(part => part.functionCall)
+      .map((part, index) => ({ id: `call_${index}`, name: part.functionCall.name, arguments: part.functionCall.args || {} }))
+    const finishReasons = { STOP: 'stop', MAX_TOKENS: 'length', SAFETY: 'content_filter', RECITATION: 'content_filter' }
+
+    return {
+      model: raw.modelVersion,
+      text: parts.filter(part => part.text).map(part => part.text).join(''),
+      toolCalls,
+      // Gemini 呼叫工具時仍回報 STOP
+      finishReason: toolCalls.length > 0 ? 'tool_calls' : finishReasons[candidate?.finishReason] || 'unknown',
+      usage: createUsage(
+        raw.usageMetadata?.promptTokenCount,
+        raw.usageMetadata?.candidatesTokenCount,
+        raw.usageMetadata?.totalTokenCount
+      )
+    }
+  }
+}
+
+// LM Studio 提供 OpenAI 相容 API，只有預設模型不同
+const lmstudio = {
+  ...openai,
+  defaultModel: 'unsloth/gpt-oss-20b-GGUF',
+  contextWindow: 8192
+}
+
+// 任意 OpenAI 相容伺服器 (llama.cpp、vLLM 等)；未指定模型時由伺服器使用已載入的模型
+const openaiCompatible = {
+  ...openai,
+  defaultModel: undefined,
+  contextWindow: 8192
+}
+
+// Ollama 原生 /api/chat；工具參數為物件，工具結果以 tool 角色回傳
+const ollama = {
+  defaultModel: 'llama3.1',
+  contextWindow: 8192,
+
+  endpoint () {
+    return '/api/chat'
+  },
+
+  toRequest (request) {
+    const messages = request.messages.map(message => {
+      if (message.role === 'tool') {
+        return { role: 'tool', content: message.content }
+      }
+      if (message.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: message.content || '',
+          tool_calls: message.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+        }
+      }
+      return { role: message.role, content: message.content }
+    })
+
+    return {
+      model: request.model || this.defaultModel,
+      messages: request.system ? [{ role: 'system', content: request.system }, ...messages] : messages,
+      stream: false,
+      ...(request.tools.length && {
+        tools: request.tools.map(tool => ({
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.parameters || { type: 'object', properties: {} } }
+        }))
+      }),
+      options: {
+        num_predict: request.maxTokens || 4000,
+        ...(request.temperature !== undefined && { temperature: request.temperature })
+      }
+    }
+  },
+
+  fromResponse (raw) {
+    if (!raw.message) {
+      throw new Error('AI 回應格式無效：缺少 message')
+    }
+
+    const toolCalls = (raw.message.tool_calls || []).map((call, index) => ({
+      id: `call_${index}`,
+      name: call.function.name,
+      arguments: parseArguments(call.function.arguments)
+    }))
+    const finishReasons = { stop: 'stop', length: 'length' }
+
+    return {
+      model: raw.model,
+      text: raw.message.content || '',
+      toolCalls,
+      finishReason: toolCalls.length > 0 ? 'tool_calls' : finishReasons[raw.done_reason] || 'unknown',
+      usage: createUsage(raw.prompt_eval_count, raw.eval_count)
+    }
+  }
+}
+
+const adapters = { claude, openai, gemini, lmstudio, ollama, 'openai-compatible': openaiCompatible }
+
+/**
+ * 取得供應商轉接器
+ */
+function getAdapter (provider) {
+  const adapter = adapters[provider]
+  if (!adapter) {
+    throw new Error(`不支援的模型: ${provider}`)
+  }
+  return adapter
+}
+
+module.exports = {
+  adapters,
+  getAdapter,
+  normalizeRequest,
+  createUsage
+}
@@ -0,0 +1,169 @@
+const fs = require('fs-extra')
+const path = require('path')
+const { getGlobalConfigDir } = require('../utils/config')
+
+/**
+ * AI 路由策略、斷路器與每日預算
+ */
+
+// 內建任務路由策略 (依序嘗試)，可由 ai.policies 覆寫；default 未設定時使用 ai.defaultModel
+const DEFAULT_POLICIES = {
+  review: ['claude', 'gemini', 'lmstudio'],
+  doc: ['claude', 'gemini', 'lmstudio'],
+  test: ['claude', 'openai', 'lmstudio'],
+  code: ['claude', 'openai', 'lmstudio']
+}
+
+const MAX_COOLDOWN = 10 * 60 * 1000
+
+/**
+ * 由錯誤取得 HTTP 狀態碼與 Retry-After (毫秒)
+ */
+function getFailureInfo (error) {
+  const status = error.response?.status || error.status
+  const header = error.response?.headers?.['retry-after']
+  let retryAfter = null
+
+  if (header !== undefined) {
+    const seconds = Number(header)
+    retryAfter = Number.isNaN(seconds) ? Math.max(0, Date.parse(header) - Date.now()) : seconds * 1000
+    if (Number.isNaN(retryAfter)) retryAfter = null
+  }
+
+  return { status, retryAfter }
+}
+
+/**
+ * 是否為供應商端的問題 (計入斷路器)
+ * 4xx 請求錯誤代表呼叫端問題，不影響供應商健康狀態；429 除外
+ */
+function isProviderFailure (error) {
+  const { status } = getFailureInfo(error)
+  return !status || status === 429 || status >= 500
+}
+
+/**
+ * 單一供應商的斷路器
+ * closed → 連續失敗達門檻或 429 → open → 冷卻後 half-open 試一次 → 成功 closed / 失敗 open
+ * 冷卻時間每次開啟加倍，並至少等到 Retry-After
+ */
+class CircuitBreaker {
+  constructor (options = {}) {
+    this.threshold = options.threshold || 3
+    this.cooldown = options.cooldown || 30000
+    this.state = 'closed'
+    this.failures = 0
+    this.trips = 0
+    this.openUntil = null
+    this.lastError = null
+  }
+
+  /**
+   * 目前是否允許請求；冷卻結束時轉為 half-open
+   */
+  canRequest (now = Date.now()) {
+    if (this.state === 'open' && now >= this.openUntil) {
+      this.state = 'half-open'
+    }
+    return this.state !== 'open'
+  }
+
+  recordSuccess () {
+    this.state = 'closed'
+    this.failures = 0
+    this.trips = 0
+    this.openUntil = null
+  }
+
+  recordFailure (error, now = Date.now()) {
+    const { status, retryAfter } = getFailureInfo(error)
+    this.failures++
+    this.lastError = error.message
+
+    if (status === 429 || this.state === 'half-open' || this.failures >= this.threshold) {
+      this.trips++
+      const backoff = Math.min(this.cooldown * 2 ** (this.trips - 1), MAX_COOLDOWN)
+      this.state = 'open'
+      this.openUntil = now + Math.max(backoff, retryAfter || 0)
+    }
+  }
+
+  toJSON () {
+    return {
+      state: this.state,
+      failures: this.failures,
+      trips: this.trips,
+      openUntil: this.openUntil && new Date(this.openUntil).toISOString(),
+      lastError: this.lastError
+    }
+  }
+}
+
+/**
+ * 每日 token 與費用預算，累計值保存在 ~/.mursfoto/ai-budget.json 以便跨命令累計
+ */
+class UsageBudget {
+  constructor (options = {}) {
+    this.dailyTokens = options.dailyTokens ?? null
+    this.dailyCost = options.dailyCost ?? null
+    this.filePath = options.filePath || path.join(getGlobalConfigDir(), 'ai-budget.json')
+    this.usage = null
+  }
+
+  today () {
+    return new Date().toISOString().slice(0, 10)
+  }
+
+  /**
+   * 讀取今日累計用量，跨日自動歸零
+   */
+  load () {
+    const date = this.today()
+    if (this.usage?.date === date) return this.usage
+
+    let saved = null
+    try {
+      saved = fs.readJsonSync(this.filePath, { throws: false })
+    } catch (error) {
+      saved = null
+    }
+
+    this.usage = saved?.date === date ? saved : { date, tokens: 0, cost: 0 }
+    return this.usage
+  }
+
+  record (tokens, cost) {
+    const usage = this.load()
+    usage.tokens += tokens
+    usage.cost = Math.round((usage.cost + cost) * 1e6) / 1e6
+
+    try {
+      fs.outputJsonSync(this.filePath, usage)
+    } catch (error) {
+      // 無法寫入時只在本次執行中累計
+    }
+  }
+
+  isExceeded () {
+    const usage = this.load()
+    return (this.dailyTokens !== null && usage.tokens >= this.dailyTokens) ||
+      (this.dailyCost !== null && usage.cost >= this.dailyCost)
+  }
+
+  toJSON () {
+    return {
+      ...this.load(),
+      dailyTokens: this.dailyTokens,
+      dailyCost: this.dailyCost,
+      exceeded: this.isExceeded()
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICIES,
+  CircuitBreaker,
+  UsageBudget,
+  getFailureInfo,
+  isProviderFailure
+}
@@ -2,6 +2,9 @@
 
 const path = require('path');
 const chalk = require('chalk');
+const { getConfig } = require('../utils/config');
+const { createAICache } = require('../utils/ai-cache');
+const { UsageLedger } = require('../utils/ai-usage');
 
 /**
  * 🔧 AI統合服務 - 實際功能整合版
@@ -9,6 +12,7 @@ const chalk = require('chalk');
  * 
  * 整合的原始服務:
  * - LMStudioService.js - 本地GPU AI服務
+ * - local-providers.js - Ollama 與 OpenAI 相容本地模型供應商
  * - AICodeGenerator.js - AI代碼生成器  
  * - AIModelRouter.js - AI模型路由器
  * - IntelligentLearningSystem.js - 智能學習系統
@@ -23,10 +27,13 @@ class AiUnified {
       quickMode: process.env.MURSFOTO_QUICK_MODE === 'true',
       ...options
     };
+    this.config = this.options.config || getConfig();
     
     // 原始服務實例
     this.services = {
       lmStudio: null,
+      ollama: null,
+      openaiCompatible: null,
       codeGenerator: null, 
       modelRouter: null,
       learningSystem: null
@@ -74,9 +81,11 @@ class AiUnified {
       try {
         const LMStudioService = require(path.join(this.options.serviceBasePath, 'LMStudioService'));
         this.services.lmStudio = new LMStudioService({
-          apiEndpoint: process.env.LM_STUDIO_ENDPOINT || 'http://127.0.0.1:1234',
-          modelName: process.env.LM_STUDIO_MODEL || 'unsloth/gpt-oss-20b-GGUF',
-          timeout: 60000
+          apiEndpoint: this.config.lmStudio.endpoint,
+          modelName: this.config.lmStudio.model,
+          timeout: 60000,
+          cache: createAICache(this.config),
+          ledger: new UsageLedger({ pricing: this.config.ai.pricing })
         });
         
         if (this.options.debug) {
@@ -86,6 +95,16 @@ class AiUnified {
         console.warn(chalk.yellow('⚠️ LMStudioService 載入失敗:'), error.message);
       }
 
+      // 載入其他本地模型供應商 (Ollama、OpenAI 相容伺服器)
+      try {
+        const { createLocalProvider, getLocalProviderOptions } = require(path.join(this.options.serviceBasePath, 'local-providers'));
+        const localOptions = getLocalProviderOptions(this.config);
+        this.services.ollama = createLocalProvider('ollama', localOptions.ollama);
+        this.services.openaiCompatible = createLocalProvider('openai-compatible', localOptions['openai-compatible']);
+      } catch (error) {
+        console.warn(chalk.yellow('⚠️ 本地模型供應商載入失敗:'), error.message);
+      }
+
       // 載入 AI 代碼生成器
       try {
         const AICodeGenerator = require(path.join(this.options.serviceBasePath, 'AICodeGenerator'));
@@ -101,7 +120,7 @@ class AiUnified {
       // 載入 AI 模型路由器
       try {
         const AIModelRouter = require(path.join(this.options.serviceBasePath, 'AIModelRouter'));
-        this.services.modelRouter = new AIModelRouter();
+        this.services.modelRouter = AIModelRouter.fromConfig(this.config);
         
         if (this.options.debug) {
           this.logger?.info(chalk.green('📦 AIModelRouter 載入成功'));
@@ -141,7 +160,7 @@ class AiUnified {
     });
   }
 
-  // 🎯 AI生成 - 統一介面
+  // 🎯 AI生成 - 統一介面，回傳統一格式的回應 (見 ai-adapters)
   async generate(prompt, options = {}) {
     const startTime = Date.now();
     this.stats.totalRequests++;
@@ -158,7 +177,7 @@ class AiUnified {
             args: [prompt],
             success: true,
             duration: Date.now() - startTime,
-            context: { options, result: result.metadata }
+            context: { options, result: { provider: result.provider, model: result.model, usage: result.usage } }
           });
         }
         
@@ -167,9 +186,8 @@ class AiUnified {
         
         return {
           success: true,
-          content: result.content,
+          ...result,
           metadata: {
-            ...result.metadata,
             unified: true,
             responseTime: Date.now() - startTime
           }
@@ -185,7 +203,7 @@ class AiUnified {
         
         return {
           success: true,
-          content: result.content,
+          ...result,
           metadata: {
             method: 'lm-studio-direct',
             unified: true,
@@ -365,6 +383,18 @@ class AiUnified {
       }
     }
     
+    // 檢查其他本地模型供應商
+    for (const serviceName of ['ollama', 'openaiCompatible']) {
+      const provider = this.services[serviceName];
+      if (!provider) continue;
+      const isHealthy = await provider.healthCheck();
+      results[serviceName] = {
+        status: isHealthy ? 'healthy' : 'unhealthy',
+        endpoint: provider.baseURL,
+        lastCheck: new Date().toISOString()
+      };
+    }
+    
     // 檢查模型路由器
     if (this.services.modelRouter) {
       try {
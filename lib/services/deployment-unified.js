@@ -1,14 +1,11 @@
 #!/usr/bin/env node
 
 const path = require('path');
-const dotenv = require('dotenv');
-const fs = require('fs');
+const { loadEnvFiles, getConfig } = require('../utils/config');
+const { globalPluginManager } = require('../modules/PluginManager');
 
-// 載入環境變數
-const envPath = path.join(__dirname, '../../.env');
-if (fs.existsSync(envPath)) {
-  dotenv.config({ path: envPath });
-}
+// 載入環境變數 (由配置載入器統一處理)
+loadEnvFiles();
 
 // 使用動態 import 來載入 ESM 模塊
 async function loadChalk() {
@@ -37,6 +34,7 @@ class DeploymentUnified {
       serviceBasePath: path.join(__dirname, '.'),
       ...options
     };
+    this.config = this.options.config || getConfig();
     
     // 整合服務實例
     this.services = {};
@@ -228,10 +226,19 @@ class DeploymentUnified {
       // 2. 推薦最佳部署平台和策略
       const recommendation = await this.recommendDeploymentStrategy(analysis, deploymentConfig);
       
-      // 3. 執行部署
+      // 3. 執行插件 pre-deploy 鉤子 (失敗會中止部署)
+      await globalPluginManager.runHook('pre-deploy', {
+        projectPath,
+        analysis,
+        recommendation,
+        deploymentConfig,
+        config: this.config
+      });
+
+      // 4. 執行部署
       const result = await this.executeDeployment(projectPath, recommendation, deploymentConfig);
       
-      // 4. 更新統計
+      // 5. 更新統計
       this.updateStatistics(result, Date.now() - startTime);
       
       return {
@@ -13,7 +13,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const dotenv = require('dotenv');
+const { loadEnvFiles, getConfig } = require('../utils/config');
 
 // 動態載入 chalk (ESM 相容性)
 let chalk = null;
@@ -34,6 +34,7 @@ class DevelopmentUnified {
       enableN8n: true,
       ...options
     };
+    this.config = this.options.config || getConfig();
     
     // 整合服務實例
     this.services = {};
@@ -53,13 +54,10 @@ class DevelopmentUnified {
   }
 
   loadEnvironment() {
-    // 載入 mursfoto-cli .env 文件
-    const envPath = path.join(this.options.basePath, '.env');
-    if (fs.existsSync(envPath)) {
-      dotenv.config({ path: envPath });
-      if (this.options.debug) {
-        this.logger?.info(`📁 載入環境變數: ${envPath}`);
-      }
+    // 載入 mursfoto-cli 與專案 .env 文件 (由配置載入器統一處理，不重複載入)
+    loadEnvFiles();
+    if (this.options.debug) {
+      this.logger?.info(`📁 配置來源: ${(this.config._sources || []).join(', ') || '預設值'}`);
     }
   }
 
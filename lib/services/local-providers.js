@@ -0,0 +1,300 @@
+const axios = require('axios')
+const logger = require('../utils/logger')
+const { readSSE, readNDJSON, openAIDelta } = require('../utils/stream')
+const { getAdapter, normalizeRequest } = require('./ai-adapters')
+
+/**
+ * 本地模型供應商
+ * 每個供應商提供模型探索、健康檢查、對話、串流與向量嵌入，請求與回應以 adapter 轉換 (見 ai-adapters)
+ * 內建 LM Studio、Ollama 與任意 OpenAI 相容伺服器 (llama.cpp、vLLM 等)；其他實作可用 registerLocalProvider 註冊
+ */
+class LocalProvider {
+  /**
+   * @param {Object} options - { baseURL, model, embeddingModel, apiKey, timeout }
+   * @param {Object} defaults - 供應商預設值 { name, baseURL }
+   */
+  constructor (options = {}, defaults = {}) {
+    this.name = options.name || defaults.name
+    this.adapter = options.adapter || getAdapter(this.name)
+    this.baseURL = (options.baseURL || defaults.baseURL).replace(/\/+$/, '')
+    this.model = options.model || this.adapter.defaultModel
+    this.embeddingModel = options.embeddingModel || this.model
+    this.apiKey = options.apiKey || null
+    this.timeout = options.timeout || 60000
+  }
+
+  headers () {
+    return {
+      'content-type': 'application/json',
+      ...(this.apiKey && { authorization: `Bearer ${this.apiKey}` })
+    }
+  }
+
+  // 連線被拒時改用較易理解的訊息，保留原始錯誤供斷路器判斷
+  connectionError (error) {
+    if (error.code !== 'ECONNREFUSED') return error
+    const wrapped = new Error(`${this.name} 服務未運行 (${this.baseURL})，請確認伺服器已啟動並載入模型`)
+    wrapped.code = error.code
+    wrapped.cause = error
+    return wrapped
+  }
+
+  /**
+   * 發送 JSON 請求
+   * @param {Object} options - { timeout, signal, quiet: 失敗時不記錄錯誤 (用於探測) }
+   */
+  async request (method, endpoint, data, options = {}) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseURL}${endpoint}`,
+        headers: this.headers(),
+        data,
+        timeout: options.timeout || this.timeout,
+        signal: options.signal
+      })
+      return response.data
+    } catch (error) {
+      if (!options.quiet) logger.error(`${this.name} 請求失敗`, { error: error.message, endpoint })
+      throw this.connectionError(error)
+    }
+  }
+
+  /**
+   * 發送串流請求並以 reader 解析回應；提前結束迭代時會關閉連線
+   */
+  async * requestStream (endpoint, data, options, reader) {
+    let response
+    try {
+      response = await axios({
+        method: 'POST',
+        url: `${this.baseURL}${endpoint}`,
+        headers: this.headers(),
+        data,
+        timeout: options.timeout || this.timeout,
+        responseType: 'stream',
+        signal: options.signal
+      })
+    } catch (error) {
+      logger.error(`${this.name} 串流請求失敗`, { error: error.message, endpoint })
+      throw this.connectionError(error)
+    }
+
+    try {
+      yield * reader(response.data)
+    } finally {
+      response.data.destroy()
+    }
+  }
+
+  /**
+   * 健康檢查：伺服器可連線且至少有一個模型
+   */
+  async healthCheck (options = {}) {
+    try {
+      const models = await this.listModels({ timeout: 5000, ...options })
+      return models.length > 0
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * 對話，回傳統一格式的回應
+   * input 可為提示字串、訊息陣列或統一請求 (見 ai-adapters)
+   */
+  async chat (input, options = {}) {
+    const request = normalizeRequest(input)
+    const data = this.adapter.toRequest({ ...request, model: request.model || this.model })
+    const startTime = Date.now()
+    const raw = await this.send(data, options)
+    const response = this.adapter.fromResponse(raw)
+
+    return {
+      provider: this.name,
+      ...response,
+      model: response.model || data.model,
+      latency: Date.now() - startTime,
+      raw
+    }
+  }
+
+  /**
+   * 列出伺服器上可用的模型
+   * @returns {Promise<Array<{ id }>>}
+   */
+  async listModels () {
+    throw new Error(`${this.name} 未實作 listModels`)
+  }
+
+  /**
+   * 發送已轉換的供應商請求，回傳原始回應
+   */
+  async send () {
+    throw new Error(`${this.name} 未實作 send`)
+  }
+
+  /**
+   * 串流已轉換的供應商請求，逐一產生文字片段；伺服器回報的模型與 token 用量寫入 meta
+   */
+  async * stream () {
+    throw new Error(`${this.name} 未實作 stream`)
+  }
+
+  /**
+   * 產生向量嵌入
+   * @param {string|string[]} input
+   * @returns {Promise<number[][]>}
+   */
+  async embed () {
+    throw new Error(`${this.name} 不支援向量嵌入`)
+  }
+}
+
+/**
+ * OpenAI 相容伺服器 (/v1/models、/v1/chat/completions、/v1/embeddings)
+ */
+class OpenAICompatibleProvider extends LocalProvider {
+  constructor (options = {}, defaults = {}) {
+    super(options, { name: 'openai-compatible', baseURL: 'http://127.0.0.1:8080', ...defaults })
+  }
+
+  async listModels (options = {}) {
+    const data = await this.request('GET', '/v1/models', undefined, options)
+    return (data.data || []).map(model => ({ id: model.id }))
+  }
+
+  async send (data, options = {}) {
+    return await this.request('POST', this.adapter.endpoint(), data, options)
+  }
+
+  async * stream (data, options = {}, meta = {}) {
+    for await (const { data: raw } of this.requestStream(this.adapter.endpoint(), { ...data, stream: true }, options, readSSE)) {
+      if (raw === '[DONE]') return
+      const text = openAIDelta(raw)
+      if (text) {
+        yield text
+      } else {
+        const { model, usage } = JSON.parse(raw)
+        if (usage) {
+          meta.model = model
+          meta.inputTokens = usage.prompt_tokens
+          meta.outputTokens = usage.completion_tokens
+        }
+      }
+    }
+  }
+
+  async embed (input, options = {}) {
+    const data = await this.request('POST', '/v1/embeddings', {
+      model: options.model || this.embeddingModel,
+      input
+    }, options)
+    return [...data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding)
+  }
+}
+
+/**
+ * Ollama 原生 API (/api/tags、/api/chat、/api/embed)
+ */
+class OllamaProvider extends LocalProvider {
+  constructor (options = {}) {
+    super(options, { name: 'ollama', baseURL: 'http://127.0.0.1:11434' })
+  }
+
+  async listModels (options = {}) {
+    const data = await this.request('GET', '/api/tags', undefined, options)
+    return (data.models || []).map(model => ({ id: model.name, size: model.size }))
+  }
+
+  async send (data, options = {}) {
+    return await this.request('POST', '/api/chat', { ...data, stream: false }, options)
+  }
+
+  async * stream (data, options = {}, meta = {}) {
+    for await (const chunk of this.requestStream('/api/chat', { ...data, stream: true }, options, readNDJSON)) {
+      if (chunk.error) {
+        throw new Error(chunk.error)
+      }
+      if (chunk.message?.content) {
+        yield chunk.message.content
+      }
+      if (chunk.done) {
+        meta.model = chunk.model
+        meta.inputTokens = chunk.prompt_eval_count
+        meta.outputTokens = chunk.eval_count
+        return
+      }
+    }
+  }
+
+  async embed (input, options = {}) {
+    const data = await this.request('POST', '/api/embed', {
+      model: options.model || this.embeddingModel,
+      input
+    }, options)
+    return data.embeddings || []
+  }
+}
+
+// 已註冊的本地供應商，AIModelRouter 會為每一個建立模型項目
+const LOCAL_PROVIDERS = {
+  lmstudio: options => new OpenAICompatibleProvider(options, { name: 'lmstudio', baseURL: 'http://127.0.0.1:1234' }),
+  ollama: options => new OllamaProvider(options),
+  'openai-compatible': options => new OpenAICompatibleProvider({ ...options, apiKey: options.apiKey || process.env.OPENAI_COMPATIBLE_API_KEY })
+}
+
+/**
+ * 註冊本地供應商
+ * @param {string} name - 供應商名稱 (也是路由策略中的模型名稱)
+ * @param {Function} factory - (options) => LocalProvider；未內建 adapter 時需在 options.adapter 提供
+ */
+function registerLocalProvider (name, factory) {
+  LOCAL_PROVIDERS[name] = factory
+}
+
+function getLocalProviderNames () {
+  return Object.keys(LOCAL_PROVIDERS)
+}
+
+/**
+ * 由使用者設定取得內建本地供應商的選項 (lmStudio.*、ollama.*、openaiCompatible.*)
+ */
+function getLocalProviderOptions (config) {
+  return {
+    lmstudio: { baseURL: config.lmStudio.endpoint, model: config.lmStudio.model },
+    ollama: {
+      baseURL: config.ollama.endpoint,
+      model: config.ollama.model,
+      embeddingModel: config.ollama.embeddingModel
+    },
+    'openai-compatible': {
+      baseURL: config.openaiCompatible.endpoint,
+      model: config.openaiCompatible.model,
+      embeddingModel: config.openaiCompatible.embeddingModel
+    }
+  }
+}
+
+/**
+ * 建立本地供應商
+ */
+function createLocalProvider (name, options = {}) {
+  const factory = LOCAL_PROVIDERS[name]
+  if (!factory) {
+    throw new Error(`不支援的本地模型供應商: ${name}`)
+  }
+  return factory({ ...options, name })
+}
+
+module.exports = {
+  LocalProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  registerLocalProvider,
+  getLocalProviderNames,
+  getLocalProviderOptions,
+  createLocalProvider
+}
@@ -14,6 +14,7 @@
 const path = require('path');
 const fs = require('fs-extra');
 const crypto = require('crypto');
+const { getConfig } = require('../utils/config');
 
 // 嘗試導入 chalk，如果失敗使用備用實現
 let chalk;
@@ -43,6 +44,7 @@ class SystemUnified {
       enablePerformanceMonitoring: true,
       ...options
     };
+    this.config = this.options.config || getConfig();
     
     // 整合服務實例
     this.subServices = {};
@@ -99,7 +101,7 @@ class SystemUnified {
           try {
             const ServiceClass = require(fullPath);
             this.subServices[serviceName] = {
-              instance: new ServiceClass(),
+              instance: new ServiceClass({ config: this.config }),
               status: 'loaded',
               path: fullPath,
               methods: this.getServiceMethods(serviceName)
@@ -0,0 +1,52 @@
+const winston = require('winston');
+
+// 🔍 Mursfoto Logger 配置
+// 基於成功專案的最佳實踐設計
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    winston.format.errors({ stack: true }),
+    winston.format.colorize(),
+    winston.format.printf(({ timestamp, level, message, stack, ...meta }) => {
+      let msg = `[${timestamp}] ${level}: ${message}`;
+      
+      if (stack) {
+        msg += `\n${stack}`;
+      }
+      
+      if (Object.keys(meta).length > 0) {
+        msg += ` ${JSON.stringify(meta)}`;
+      }
+      
+      return msg;
+    })
+  ),
+  transports: [
+    new winston.transports.Console({
+      handleExceptions: true
+    })
+  ],
+  exitOnError: false
+});
+
+// 生產環境額外配置
+if (process.env.NODE_ENV === 'production') {
+  logger.add(new winston.transports.File({
+    filename: 'logs/error.log',
+    level: 'error',
+    maxsize: 5242880, // 5MB
+    maxFiles: 5
+  }));
+  
+  logger.add(new winston.transports.File({
+    filename: 'logs/combined.log',
+    maxsize: 5242880, // 5MB
+    maxFiles: 5
+  }));
+}
+
+module.exports = logger;
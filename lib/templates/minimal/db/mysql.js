@@ -0,0 +1,24 @@
+const mysql = require('mysql2/promise');
+
+// MySQL 連線池
+const pool = mysql.createPool({
+  host: process.env.DB_HOST || 'localhost',
+  port: Number(process.env.DB_PORT) || 3306,
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || '',
+  database: process.env.DB_NAME || '{{projectNameKebab}}',
+  waitForConnections: true,
+  connectionLimit: 10
+});
+
+async function ping () {
+  const connection = await pool.getConnection();
+  try {
+    await connection.ping();
+    return true;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = { pool, ping };
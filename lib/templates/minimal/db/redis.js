@@ -0,0 +1,12 @@
+const Redis = require('ioredis');
+
+// Redis 快取客戶端
+const redis = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  keyPrefix: '{{projectNameKebab}}:'
+});
+
+async function ping () {
+  return (await redis.ping()) === 'PONG';
+}
+
+module.exports = { redis, ping };
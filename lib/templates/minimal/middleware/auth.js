@@ -0,0 +1,13 @@
+// API Key 認證中間件
+module.exports = function auth (req, res, next) {
+  const apiKey = req.get('x-api-key');
+
+  if (!process.env.API_KEY || apiKey !== process.env.API_KEY) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing API key'
+    });
+  }
+
+  next();
+};
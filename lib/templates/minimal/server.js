@@ -1,9 +1,18 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
+{{#if auth}}
+const auth = require('./middleware/auth');
+{{/if}}
+{{#if (eq database "mysql")}}
+const mysql = require('./db/mysql');
+{{/if}}
+{{#if redis}}
+const redis = require('./db/redis');
+{{/if}}
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = process.env.PORT || {{port}};
 
 // 中间件
 app.use(cors());
@@ -21,14 +30,25 @@ app.get('/', (req, res) => {
   });
 });
 
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
+{{#if (eq database "mysql")}}
+    mysql: await mysql.ping().catch(() => false),
+{{/if}}
+{{#if redis}}
+    redis: await redis.ping().catch(() => false),
+{{/if}}
     uptime: process.uptime()
   });
 });
 
+{{#if auth}}
+// /api 路由需要 API Key
+app.use('/api', auth);
+
+{{/if}}
 // API 路由示例
 app.get('/api/hello', (req, res) => {
   res.json({
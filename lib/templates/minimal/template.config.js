@@ -0,0 +1,38 @@
+const path = require('path')
+
+/**
+ * minimal 模板互動變數與條件檔案
+ */
+module.exports = {
+  prompts: [
+    { name: 'port', type: 'number', message: '服務端口:', default: 3000 },
+    { name: 'auth', type: 'confirm', message: '啟用 API Key 認證?', default: false },
+    { name: 'database', type: 'list', message: '資料庫:', choices: ['none', 'mysql'], default: 'none' },
+    { name: 'redis', type: 'confirm', message: '使用 Redis 快取?', default: false },
+    { name: 'license', type: 'list', message: '授權條款:', choices: ['MIT', 'Apache-2.0', 'ISC', 'UNLICENSED'], default: 'MIT' }
+  ],
+
+  // 只有條件成立時才會產生對應檔案
+  files: {
+    'middleware/auth.js': 'auth',
+    'db/mysql.js': answers => answers.database === 'mysql',
+    'db/redis.js': 'redis'
+  },
+
+  hooks: {
+    // package.json 必須保持合法 JSON，選用依賴在生成後才加入
+    // 透過 context.fs 讀寫，--dry-run 時不會寫入磁碟
+    'post-generate': async ({ projectPath, answers, fs }) => {
+      const packagePath = path.join(projectPath, 'package.json')
+      const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'))
+
+      if (answers.database === 'mysql') pkg.dependencies.mysql2 = '^3.6.5'
+      if (answers.redis) pkg.dependencies.ioredis = '^5.3.2'
+
+      // 未授權的專案標記為 private，避免誤發佈到 npm
+      if (answers.license === 'UNLICENSED') pkg.private = true
+
+      fs.writeFileSync(packagePath, `${JSON.stringify(pkg, null, 2)}\n`)
+    }
+  }
+}
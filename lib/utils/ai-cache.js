@@ -0,0 +1,168 @@
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const path = require('path')
+const { getGlobalConfigDir } = require('./config')
+
+/**
+ * AI 回應快取 (內容定址)
+ * 每筆回應以請求內容的 SHA-256 命名存成一個檔案，檔案修改時間即為最後存取時間
+ * 超過容量上限時從最久未使用的項目開始淘汰 (LRU)
+ */
+
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000
+const DEFAULT_MAX_SIZE = 50 * 1024 * 1024
+
+/**
+ * 取得 AI 快取目錄
+ */
+function getAICacheDir () {
+  return path.join(getGlobalConfigDir(), 'cache', 'ai')
+}
+
+// 依鍵排序後序列化，確保相同內容產生相同的鍵
+function stableStringify (value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+class AICache {
+  /**
+   * @param {Object} options - { dir, ttl (毫秒), maxSize (位元組) }
+   */
+  constructor (options = {}) {
+    this.dir = options.dir || getAICacheDir()
+    this.ttl = options.ttl ?? DEFAULT_TTL
+    this.maxSize = options.maxSize ?? DEFAULT_MAX_SIZE
+  }
+
+  /**
+   * 由請求內容 (供應商、模型、訊息、溫度等參數) 計算快取鍵
+   */
+  key (payload) {
+    return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex')
+  }
+
+  entryPath (key) {
+    return path.join(this.dir, `${key}.json`)
+  }
+
+  /**
+   * 讀取快取，過期或損毀的項目會被移除
+   * @returns {*} 快取值，未命中時為 undefined
+   */
+  get (key) {
+    const filePath = this.entryPath(key)
+    let entry
+    try {
+      entry = fs.readJsonSync(filePath)
+    } catch (error) {
+      if (error.code !== 'ENOENT') fs.removeSync(filePath)
+      return undefined
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      fs.removeSync(filePath)
+      return undefined
+    }
+
+    // 更新存取時間供 LRU 淘汰使用
+    const now = new Date()
+    fs.utimesSync(filePath, now, now)
+    return entry.value
+  }
+
+  /**
+   * 寫入快取；寫入失敗不影響呼叫端
+   */
+  set (key, value, options = {}) {
+    const ttl = options.ttl ?? this.ttl
+    try {
+      fs.outputJsonSync(this.entryPath(key), {
+        createdAt: Date.now(),
+        expiresAt: ttl > 0 ? Date.now() + ttl : null,
+        value
+      })
+      this.prune()
+    } catch (error) {
+      // 快取目錄無法寫入時略過
+    }
+  }
+
+  // 列出所有項目 (依最後存取時間由舊到新)
+  entries () {
+    if (!fs.existsSync(this.dir)) return []
+
+    return fs.readdirSync(this.dir)
+      .filter(fileName => fileName.endsWith('.json'))
+      .map(fileName => {
+        const filePath = path.join(this.dir, fileName)
+        const stat = fs.statSync(filePath)
+        return { filePath, size: stat.size, accessedAt: stat.mtimeMs }
+      })
+      .sort((a, b) => a.accessedAt - b.accessedAt)
+  }
+
+  /**
+   * 超過容量上限時淘汰最久未使用的項目
+   * @returns {number} 淘汰的項目數
+   */
+  prune () {
+    const entries = this.entries()
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0)
+    let removed = 0
+
+    for (const entry of entries) {
+      if (total <= this.maxSize) break
+      fs.removeSync(entry.filePath)
+      total -= entry.size
+      removed++
+    }
+
+    return removed
+  }
+
+  stats () {
+    const entries = this.entries()
+    return {
+      dir: this.dir,
+      entries: entries.length,
+      size: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxSize: this.maxSize,
+      ttl: this.ttl,
+      oldest: entries.length > 0 ? new Date(entries[0].accessedAt).toISOString() : null
+    }
+  }
+
+  /**
+   * 清除所有快取
+   * @returns {number} 刪除的項目數
+   */
+  clear () {
+    const count = this.entries().length
+    fs.removeSync(this.dir)
+    return count
+  }
+}
+
+/**
+ * 依設定建立快取 (ai.cache.*)，停用時回傳 null
+ */
+function createAICache (config) {
+  const options = config.ai.cache || {}
+  if (options.enabled === false) return null
+  return new AICache({ ttl: options.ttl, maxSize: options.maxSize })
+}
+
+module.exports = {
+  AICache,
+  createAICache,
+  getAICacheDir
+}
@@ -0,0 +1,420 @@
+const fs = require('fs-extra')
+const path = require('path')
+const { estimateTokens } = require('./ai-usage')
+const { buildRouteInventory } = require('./route-inventory')
+
+/**
+ * AI 上下文打包
+ * 走訪專案 (遵循 .gitignore)，依 import 相依關係、關鍵字與最近修改時間排序檔案，
+ * 在 token 預算內放入 package.json、路由對照與檔案內容；放不下的大檔案只放入開頭的區塊
+ */
+
+// 一律略過的路徑 (.gitignore 語法)
+const DEFAULT_IGNORES = [
+  '.git/',
+  'node_modules/',
+  // create 的基準版本 (.mursfoto/baseline) 與本地插件，不是專案本身的程式碼
+  '.mursfoto/',
+  'coverage/',
+  'dist/',
+  'build/',
+  '.next/',
+  '.cache/',
+  '*.min.js',
+  '*.map',
+  'package-lock.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  '.env',
+  '.env.*'
+]
+
+const TEXT_EXTENSIONS = new Set([
+  '.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx', '.vue', '.json', '.md', '.yml', '.yaml',
+  '.html', '.css', '.scss', '.sql', '.sh', '.py', '.go', '.hbs', '.ejs', '.txt', '.toml'
+])
+const SOURCE_EXTENSIONS = ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx', '.vue']
+
+const MAX_FILE_SIZE = 256 * 1024
+const MAX_FILES = 2000
+const CHUNK_TOKENS = 800
+// 剩餘預算少於此值時不再嘗試放入檔案
+const MIN_CHUNK_TOKENS = 100
+
+// 將 .gitignore 的 glob 轉為正規表示式片段
+function globToRegExp (glob) {
+  let source = ''
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index]
+    if (char === '*') {
+      if (glob[index + 1] !== '*') {
+        source += '[^/]*'
+      } else if (glob[index + 2] === '/') {
+        source += '(?:.*/)?'
+        index += 2
+      } else {
+        source += '.*'
+        index++
+      }
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[' && glob.indexOf(']', index) > index) {
+      const end = glob.indexOf(']', index)
+      source += glob.slice(index, end + 1).replace('[!', '[^')
+      index = end
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&')
+    }
+  }
+  return source
+}
+
+/**
+ * 解析 .gitignore 內容
+ * @param {string} base - .gitignore 所在目錄 (相對專案根目錄，posix 格式)
+ * @returns {Array<{ regex, negate, dirOnly }>}
+ */
+function parseIgnore (content, base = '') {
+  const prefix = base ? `${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/` : ''
+
+  return content.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!')
+      let pattern = negate ? line.slice(1) : line
+      const dirOnly = pattern.endsWith('/')
+      pattern = pattern.replace(/\/+$/, '')
+      // 含 / 的規則相對於 .gitignore 所在目錄，否則可出現在任何深度
+      const anchored = pattern.includes('/')
+      pattern = pattern.replace(/^\//, '')
+
+      return {
+        regex: new RegExp(`^${prefix}${anchored ? '' : '(?:.*/)?'}${globToRegExp(pattern)}$`),
+        negate,
+        dirOnly
+      }
+    })
+}
+
+function isIgnored (relativePath, isDirectory, rules) {
+  let ignored = false
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue
+    if (rule.regex.test(relativePath)) ignored = !rule.negate
+  }
+  return ignored
+}
+
+/**
+ * 走訪專案中的文字檔，遵循預設規則與各層 .gitignore
+ * @returns {Array<{ path, size, mtime }>} path 為相對根目錄的 posix 路徑
+ */
+function walkProject (root, options = {}) {
+  const maxFiles = options.maxFiles || MAX_FILES
+  const files = []
+
+  const visit = (relativeDir, inherited) => {
+    const dir = path.join(root, relativeDir)
+    const gitignore = path.join(dir, '.gitignore')
+    const rules = fs.existsSync(gitignore)
+      ? inherited.concat(parseIgnore(fs.readFileSync(gitignore, 'utf8'), relativeDir))
+      : inherited
+
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+
+    for (const entry of entries) {
+      if (files.length >= maxFiles) return
+      if (entry.isSymbolicLink()) continue
+
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+      const isDirectory = entry.isDirectory()
+      if (isIgnored(relativePath, isDirectory, rules)) continue
+
+      if (isDirectory) {
+        visit(relativePath, rules)
+      } else if (TEXT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+        const stats = fs.statSync(path.join(dir, entry.name))
+        if (stats.size <= MAX_FILE_SIZE) {
+          files.push({ path: relativePath, size: stats.size, mtime: stats.mtimeMs })
+        }
+      }
+    }
+  }
+
+  visit('', parseIgnore(DEFAULT_IGNORES.join('\n')))
+  return files
+}
+
+/**
+ * 取出原始碼中的相對 import / require
+ */
+function parseImports (content) {
+  const pattern = /(?:require\s*\(\s*|import\s*\(\s*|(?:import|export)\s[^'"`;]*?from\s*|import\s+)['"](\.{1,2}\/[^'"]*|\.{1,2})['"]/g
+  const specifiers = []
+  let match
+  while ((match = pattern.exec(content)) !== null) {
+    specifiers.push(match[1])
+  }
+  return specifiers
+}
+
+// 依 Node 的解析規則找出 import 對應的專案檔案
+function resolveImport (from, specifier, fileSet) {
+  const target = path.posix.normalize(path.posix.join(path.posix.dirname(from), specifier))
+  const candidates = [
+    target,
+    ...SOURCE_EXTENSIONS.map(ext => `${target}${ext}`),
+    `${target}.json`,
+    ...SOURCE_EXTENSIONS.map(ext => `${target}/index${ext}`)
+  ]
+  return candidates.find(candidate => fileSet.has(candidate)) || null
+}
+
+/**
+ * 建立 import 相依圖
+ * @returns {{ imports: Map<string, Set>, importedBy: Map<string, Set> }}
+ */
+function buildImportGraph (root, files) {
+  const fileSet = new Set(files.map(file => file.path))
+  const imports = new Map()
+  const importedBy = new Map()
+
+  for (const file of files) {
+    if (!SOURCE_EXTENSIONS.includes(path.extname(file.path))) continue
+
+    const content = fs.readFileSync(path.join(root, file.path), 'utf8')
+    for (const specifier of parseImports(content)) {
+      const target = resolveImport(file.path, specifier, fileSet)
+      if (!target || target === file.path) continue
+      if (!imports.has(file.path)) imports.set(file.path, new Set())
+      if (!importedBy.has(target)) importedBy.set(target, new Set())
+      imports.get(file.path).add(target)
+      importedBy.get(target).add(file.path)
+    }
+  }
+
+  return { imports, importedBy }
+}
+
+// 從指定檔案出發，沿 import 雙向計算相依距離
+function graphDistances (graph, seeds) {
+  const distances = new Map(seeds.map(seed => [seed, 0]))
+  const queue = [...seeds]
+
+  while (queue.length > 0) {
+    const current = queue.shift()
+    const neighbours = [...(graph.imports.get(current) || []), ...(graph.importedBy.get(current) || [])]
+    for (const neighbour of neighbours) {
+      if (!distances.has(neighbour)) {
+        distances.set(neighbour, distances.get(current) + 1)
+        queue.push(neighbour)
+      }
+    }
+  }
+
+  return distances
+}
+
+/**
+ * 排序檔案：指定檔案最優先，其次是相依距離近、被多處引用、路徑符合關鍵字與最近修改的檔案
+ * @param {Object} options - { seeds, query, now }
+ */
+function rankFiles (files, graph, options = {}) {
+  const distances = graphDistances(graph, options.seeds || [])
+  const terms = (options.query || '').toLowerCase().match(/[a-z0-9_-]{3,}/g) || []
+  const now = options.now || Date.now()
+
+  return files
+    .map(file => {
+      const distance = distances.get(file.path)
+      const importedBy = graph.importedBy.get(file.path)?.size || 0
+      const ageDays = Math.max(0, now - file.mtime) / 86400000
+      const matches = terms.filter(term => file.path.toLowerCase().includes(term)).length
+
+      let score = Math.min(importedBy, 10) + 5 / (1 + ageDays) + matches * 10
+      if (distance === 0) score += 100
+      else if (distance !== undefined) score += 20 / distance
+
+      return { ...file, score, distance: distance ?? null, importedBy }
+    })
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+}
+
+/**
+ * 依行切成不超過 maxTokens 的區塊 (單行超過時自成一塊)
+ * @returns {Array<{ startLine, endLine, text, tokens }>}
+ */
+function chunkLines (text, maxTokens = CHUNK_TOKENS) {
+  const lines = text.split('\n')
+  const chunks = []
+  let current = []
+  let tokens = 0
+  let startLine = 1
+
+  lines.forEach((line, index) => {
+    const lineTokens = estimateTokens(line) + 1
+    if (current.length > 0 && tokens + lineTokens > maxTokens) {
+      chunks.push({ startLine, endLine: index, text: current.join('\n'), tokens })
+      current = []
+      tokens = 0
+      startLine = index + 1
+    }
+    current.push(line)
+    tokens += lineTokens
+  })
+
+  if (current.length > 0) {
+    chunks.push({ startLine, endLine: lines.length, text: current.join('\n'), tokens })
+  }
+  return chunks
+}
+
+/**
+ * 列出 Express 路由對照：掛載點 (USE) 與組合後的完整路由路徑
+ * @returns {Array<{ method, path, file, line }>}
+ */
+function extractRouteMap (root, files) {
+  const inventory = buildRouteInventory(root, files.map(file => file.path))
+  return [
+    ...inventory.mounts.map(mount => ({ method: 'USE', path: mount.path, file: mount.file, line: mount.line })),
+    ...inventory.routes.map(route => ({ method: route.method, path: route.path, file: route.file, line: route.line }))
+  ].sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line)
+}
+
+// package.json 只保留對 AI 有用的欄位
+function readPackageSummary (root) {
+  const packagePath = path.join(root, 'package.json')
+  if (!fs.existsSync(packagePath)) return null
+
+  const pkg = fs.readJsonSync(packagePath, { throws: false })
+  if (!pkg) return null
+
+  const fields = ['name', 'version', 'description', 'main', 'type', 'scripts', 'dependencies', 'devDependencies']
+  return JSON.stringify(Object.fromEntries(fields.filter(field => pkg[field]).map(field => [field, pkg[field]])), null, 2)
+}
+
+function fence (filePath, text) {
+  const language = path.extname(filePath).slice(1)
+  return `\`\`\`${language}\n${text}\n\`\`\``
+}
+
+/**
+ * 在每行前加上行號 (審查結果需要標示行號)
+ */
+function numberLines (text, startLine = 1) {
+  const lines = text.split('\n')
+  const width = String(startLine + lines.length - 1).length
+  return lines.map((line, index) => `${String(startLine + index).padStart(width)} | ${line}`).join('\n')
+}
+
+function toProjectPath (root, filePath) {
+  return path.relative(root, path.resolve(root, filePath)).split(path.sep).join('/')
+}
+
+/**
+ * 打包專案上下文
+ * @param {Object} options - { root, dir: 只放入此目錄的檔案, seeds: 指定檔案, query: 排序用關鍵字, budget: token 上限, lineNumbers: 加上行號, now }
+ * @returns {{ text, tokens, budget, files, skipped, routes }}
+ *   files 為實際放入的檔案 [{ path, startLine, endLine, totalLines, tokens, partial }]，skipped 為超出預算的檔案
+ */
+function buildContext (options = {}) {
+  const root = path.resolve(options.root || process.cwd())
+  const budget = options.budget || Infinity
+  const scope = options.dir ? toProjectPath(root, options.dir) : ''
+  const seeds = (options.seeds || []).map(seed => toProjectPath(root, seed))
+
+  if (scope && (scope.startsWith('..') || !fs.existsSync(path.join(root, scope)))) {
+    throw new Error(`找不到目錄: ${options.dir}`)
+  }
+
+  const allFiles = walkProject(root, options)
+  const graph = buildImportGraph(root, allFiles)
+  const inScope = file => !scope || file.path === scope || file.path.startsWith(`${scope}/`)
+  const candidates = allFiles.filter(file => inScope(file) || seeds.includes(file.path))
+  const ranked = rankFiles(candidates, graph, { seeds, query: options.query, now: options.now })
+
+  const sections = ['# 專案上下文']
+  const result = { budget, tokens: estimateTokens(sections[0]), files: [], skipped: [], routes: 0 }
+  const add = (section, tokens) => {
+    sections.push(section)
+    result.tokens += tokens
+  }
+  const remaining = () => budget - result.tokens
+
+  const pkg = readPackageSummary(root)
+  if (pkg) {
+    const section = `## package.json\n${fence('package.json', pkg)}`
+    const tokens = estimateTokens(section)
+    if (tokens <= remaining()) {
+      add(section, tokens)
+      result.files.push({ path: 'package.json', summary: true, tokens })
+    }
+  }
+
+  const routes = extractRouteMap(root, allFiles.filter(inScope))
+  if (routes.length > 0) {
+    const lines = routes.map(route => `- ${route.method} ${route.path} (${route.file}:${route.line})`)
+    // 路由很多時保留放得下的部分
+    while (lines.length > 0 && estimateTokens(`## 路由對照\n${lines.join('\n')}`) > remaining() / 4) {
+      lines.pop()
+    }
+    if (lines.length > 0) {
+      const section = `## 路由對照\n${lines.join('\n')}`
+      add(section, estimateTokens(section))
+      result.routes = lines.length
+    }
+  }
+
+  for (const file of ranked) {
+    if (file.path === 'package.json') continue
+    if (remaining() < MIN_CHUNK_TOKENS) {
+      result.skipped.push(file.path)
+      continue
+    }
+
+    const content = fs.readFileSync(path.join(root, file.path), 'utf8').replace(/\n$/, '')
+    const chunks = chunkLines(options.lineNumbers ? numberLines(content) : content)
+    const totalLines = chunks.length > 0 ? chunks[chunks.length - 1].endLine : 0
+    const header = `## ${file.path}`
+    const overhead = estimateTokens(header) + 10
+
+    // 放入開頭連續、放得下的區塊；非指定檔案最多使用剩餘預算的一半，讓更多相關檔案放得進來
+    const limit = file.distance === 0 ? remaining() : Math.max(remaining() / 2, Math.min(CHUNK_TOKENS, remaining()))
+    const included = []
+    let tokens = overhead
+    for (const chunk of chunks) {
+      if (tokens + chunk.tokens > limit) break
+      included.push(chunk)
+      tokens += chunk.tokens
+    }
+
+    if (included.length === 0) {
+      result.skipped.push(file.path)
+      continue
+    }
+
+    const endLine = included[included.length - 1].endLine
+    const partial = endLine < totalLines
+    const title = partial ? `${header} (第 1-${endLine} 行，共 ${totalLines} 行)` : header
+    add(`${title}\n${fence(file.path, included.map(chunk => chunk.text).join('\n'))}`, tokens)
+    result.files.push({ path: file.path, startLine: 1, endLine, totalLines, tokens, partial })
+  }
+
+  result.text = sections.join('\n\n')
+  return result
+}
+
+module.exports = {
+  DEFAULT_IGNORES,
+  parseIgnore,
+  walkProject,
+  parseImports,
+  buildImportGraph,
+  rankFiles,
+  chunkLines,
+  extractRouteMap,
+  numberLines,
+  buildContext
+}
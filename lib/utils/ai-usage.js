@@ -0,0 +1,188 @@
+const fs = require('fs-extra')
+const path = require('path')
+const { getGlobalConfigDir } = require('./config')
+
+/**
+ * AI 用量帳本
+ * 每次 AI 呼叫寫入一行 JSON 到 ~/.mursfoto/ai-usage.jsonl，記錄供應商、模型、token、費用、命令與專案
+ */
+
+// 每百萬 token 的美元價格，可用 ai.pricing 依模型或供應商覆寫
+const DEFAULT_PRICING = {
+  claude: { input: 3, output: 15 },
+  openai: { input: 0.5, output: 1.5 },
+  gemini: { input: 0.5, output: 1.5 },
+  lmstudio: { input: 0, output: 0 }
+}
+
+const GROUP_FIELDS = ['model', 'provider', 'project', 'command', 'prompt', 'day']
+
+// 目前命令、專案與提示 (名稱@變體:版本)，由 CLI 在執行命令前設定
+const usageContext = {
+  command: null,
+  project: null,
+  prompt: null
+}
+
+/**
+ * 設定之後寫入帳本的命令、專案與提示
+ */
+function setUsageContext (context = {}) {
+  Object.assign(usageContext, context)
+}
+
+/**
+ * 取得目前專案名稱：最近的 package.json 名稱，找不到時使用目錄名稱
+ */
+function detectProject (cwd = process.cwd()) {
+  let dir = path.resolve(cwd)
+
+  while (true) {
+    const packagePath = path.join(dir, 'package.json')
+    if (fs.existsSync(packagePath)) {
+      const pkg = fs.readJsonSync(packagePath, { throws: false })
+      if (pkg?.name) return pkg.name
+    }
+
+    const parent = path.dirname(dir)
+    if (parent === dir) return path.basename(path.resolve(cwd))
+    dir = parent
+  }
+}
+
+/**
+ * 中英文混合文本的 token 估算 (供應商未回報用量時使用)
+ */
+function estimateTokens (text = '') {
+  const chineseChars = (text.match(/[\u4e00-\u9fff]/g) || []).length
+  const englishWords = (text.match(/[a-zA-Z]+/g) || []).length
+  const otherChars = text.length - chineseChars
+
+  // 中文字符：約 1.5 token/字，英文單詞：約 1.3 token/詞
+  return Math.ceil(chineseChars * 1.5 + englishWords * 1.3 + otherChars * 0.5)
+}
+
+/**
+ * 依價格表計算費用 (美元)，先找模型再找供應商
+ */
+function calculateCost ({ provider, model, inputTokens = 0, outputTokens = 0 }, pricing = {}) {
+  const price = pricing[model] || pricing[provider] || DEFAULT_PRICING[provider] || { input: 0, output: 0 }
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6
+}
+
+/**
+ * 解析 --since (例如 7d、12h、30m 或日期)
+ * @returns {Date}
+ */
+function parseSince (value, now = Date.now()) {
+  const match = /^(\d+)([mhdw])$/.exec(String(value).trim())
+  if (match) {
+    const units = { m: 60000, h: 3600000, d: 86400000, w: 604800000 }
+    return new Date(now - Number(match[1]) * units[match[2]])
+  }
+
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`無法解析時間範圍: ${value}（例如 7d、24h 或 2024-01-01）`)
+  }
+  return date
+}
+
+class UsageLedger {
+  /**
+   * @param {Object} options - { filePath, pricing }
+   */
+  constructor (options = {}) {
+    this.filePath = options.filePath || path.join(getGlobalConfigDir(), 'ai-usage.jsonl')
+    this.pricing = options.pricing || {}
+  }
+
+  /**
+   * 寫入一筆用量，未提供費用時依價格表計算；寫入失敗不影響 AI 呼叫
+   * @returns {Object} 寫入的紀錄
+   */
+  record (entry) {
+    const record = {
+      time: new Date().toISOString(),
+      command: usageContext.command,
+      project: usageContext.project || detectProject(),
+      ...(usageContext.prompt && { prompt: usageContext.prompt }),
+      ...entry
+    }
+    record.cost = record.cost ?? calculateCost(record, this.pricing)
+
+    try {
+      fs.ensureDirSync(path.dirname(this.filePath))
+      fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`)
+    } catch (error) {
+      // 無法寫入帳本時略過
+    }
+    return record
+  }
+
+  /**
+   * 讀取紀錄，略過損毀的行
+   * @param {Object} options - { since: Date }
+   */
+  read (options = {}) {
+    if (!fs.existsSync(this.filePath)) return []
+
+    const since = options.since ? options.since.getTime() : 0
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line)
+        } catch (error) {
+          return null
+        }
+      })
+      .filter(record => record && Date.parse(record.time) >= since)
+  }
+
+  /**
+   * 依欄位彙總用量
+   * @param {Object} options - { since: Date, by: model|provider|project|command|prompt|day }
+   */
+  summarize (options = {}) {
+    const by = options.by || 'model'
+    if (!GROUP_FIELDS.includes(by)) {
+      throw new Error(`不支援的分組: ${by}（可用: ${GROUP_FIELDS.join(', ')}）`)
+    }
+
+    const groups = {}
+    const total = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 }
+
+    for (const record of this.read(options)) {
+      const key = (by === 'day' ? record.time.slice(0, 10) : record[by]) || '(未知)'
+      const group = groups[key] || (groups[key] = { key, requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 })
+      for (const target of [group, total]) {
+        target.requests++
+        target.inputTokens += record.inputTokens || 0
+        target.outputTokens += record.outputTokens || 0
+        target.cost += record.cost || 0
+      }
+    }
+
+    const round = value => Math.round(value * 1e6) / 1e6
+    return {
+      by,
+      since: options.since ? options.since.toISOString() : null,
+      groups: Object.values(groups)
+        .map(group => ({ ...group, cost: round(group.cost) }))
+        .sort((a, b) => b.cost - a.cost || b.requests - a.requests),
+      total: { ...total, cost: round(total.cost) }
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  UsageLedger,
+  setUsageContext,
+  detectProject,
+  estimateTokens,
+  calculateCost,
+  parseSince
+}
@@ -0,0 +1,306 @@
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+const { getGlobalConfigDir } = require('./config')
+const { walkProject, chunkLines } = require('./ai-context')
+
+/**
+ * 本地語意程式碼索引
+ * 將專案檔案切塊並產生向量嵌入，存放在 ~/.mursfoto/index/；
+ * 依內容雜湊只重新處理有變動的檔案，供 ai ask 檢索相關片段
+ */
+
+const INDEX_VERSION = 1
+const CHUNK_TOKENS = 300
+const BATCH_SIZE = 32
+const HASH_DIMENSIONS = 512
+
+// 常見英文虛詞與 JS 關鍵字幾乎出現在每個片段，不列入 hash 向量
+const STOP_WORDS = new Set([
+  'the', 'an', 'is', 'are', 'of', 'to', 'in', 'and', 'or', 'for', 'by', 'on', 'with', 'how', 'what', 'does', 'it',
+  'const', 'let', 'var', 'return', 'function', 'require', 'this', 'new', 'if', 'else', 'await', 'async', 'true', 'false', 'null', 'undefined'
+])
+
+/**
+ * 取得專案索引檔路徑 (依專案絕對路徑區分)
+ */
+function getIndexPath (root = process.cwd()) {
+  const resolved = path.resolve(root)
+  const id = crypto.createHash('sha1').update(resolved).digest('hex').slice(0, 8)
+  return path.join(getGlobalConfigDir(), 'index', `${path.basename(resolved)}-${id}.json`)
+}
+
+/**
+ * 切出識別字與詞彙：拆開 camelCase / snake_case，中文以相鄰兩字為一詞
+ * (hash 向量使用)
+ */
+function tokenize (text) {
+  const tokens = []
+  for (const word of text.match(/[A-Za-z][A-Za-z0-9]*|[0-9]+/g) || []) {
+    const parts = word.split(/(?<=[a-z0-9])(?=[A-Z])/).map(part => part.toLowerCase())
+    tokens.push(...parts.filter(part => part.length > 1 && !STOP_WORDS.has(part)))
+    if (parts.length > 1) tokens.push(word.toLowerCase())
+  }
+  for (const run of text.match(/[\u4e00-\u9fff]+/g) || []) {
+    if (run.length === 1) tokens.push(run)
+    for (let index = 0; index < run.length - 1; index++) {
+      tokens.push(run.slice(index, index + 2))
+    }
+  }
+  return tokens
+}
+
+// FNV-1a 32 位元雜湊
+function fnv1a (text) {
+  let hash = 0x811c9dc5
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+function normalize (vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0))
+  return length > 0 ? vector.map(value => value / length) : vector
+}
+
+/**
+ * 純 JS 的雜湊詞袋向量，沒有本地嵌入模型時使用
+ */
+function createHashEmbedder (dimensions = HASH_DIMENSIONS) {
+  return {
+    id: `hash:${dimensions}`,
+    async embed (texts) {
+      return texts.map(text => {
+        const counts = new Map()
+        for (const token of tokenize(text)) {
+          counts.set(token, (counts.get(token) || 0) + 1)
+        }
+
+        const vector = new Array(dimensions).fill(0)
+        for (const [token, count] of counts) {
+          const hash = fnv1a(token)
+          vector[hash % dimensions] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count))
+        }
+        return normalize(vector)
+      })
+    }
+  }
+}
+
+/**
+ * 使用本地模型供應商 (LM Studio、Ollama、OpenAI 相容伺服器) 的嵌入模型
+ */
+function createProviderEmbedder (router, name) {
+  const provider = router.models[name]?.provider
+  if (!provider) {
+    throw new Error(`${name} 不支援向量嵌入，請使用本地模型供應商或 hash`)
+  }
+  return {
+    id: `${name}:${provider.embeddingModel}`,
+    async embed (texts) {
+      return (await router.embed(texts, { model: name })).map(normalize)
+    }
+  }
+}
+
+/**
+ * 以一小段文字確認供應商的嵌入模型可用
+ * 自動選擇時供應商未啟動很常見，失敗不記錄錯誤
+ */
+async function probeEmbedder (router, name) {
+  try {
+    await router.embed(['mursfoto'], { model: name, timeout: 5000, quiet: true })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * 依設定選擇嵌入方式
+ * auto 先嘗試 ai.defaultModel 指定的本地供應商，再依序嘗試 Ollama、LM Studio、OpenAI 相容伺服器的嵌入模型，都不可用時使用 hash
+ * @param {string} setting - auto | hash | 本地供應商名稱，也接受索引中記錄的 id (例如 ollama:nomic-embed-text)
+ */
+async function resolveEmbedder (router, setting = 'auto') {
+  const name = setting.split(':')[0]
+  if (name === 'hash') return createHashEmbedder()
+  if (name !== 'auto') return createProviderEmbedder(router, name)
+
+  const { defaultModel } = router.options
+  const preferred = router.models[defaultModel]?.local ? [defaultModel] : []
+  for (const candidate of new Set([...preferred, 'ollama', 'lmstudio', 'openai-compatible'])) {
+    if (!router.models[candidate]?.provider) continue
+    if (await probeEmbedder(router, candidate)) return createProviderEmbedder(router, candidate)
+  }
+  return createHashEmbedder()
+}
+
+function hashContent (content) {
+  return crypto.createHash('sha256').update(content).digest('hex')
+}
+
+function dot (a, b) {
+  let sum = 0
+  for (let index = 0; index < a.length; index++) {
+    sum += a[index] * b[index]
+  }
+  return sum
+}
+
+class CodeIndex {
+  /**
+   * @param {Object} options - { root, filePath, embedder: { id, embed(texts) } }
+   */
+  constructor (options = {}) {
+    this.root = path.resolve(options.root || process.cwd())
+    this.filePath = options.filePath || getIndexPath(this.root)
+    this.embedder = options.embedder || null
+    this.data = null
+  }
+
+  exists () {
+    return fs.existsSync(this.filePath)
+  }
+
+  /**
+   * 讀取索引，不存在或格式不符時回傳空索引
+   */
+  load () {
+    if (this.data) return this.data
+
+    const data = fs.existsSync(this.filePath) ? fs.readJsonSync(this.filePath, { throws: false }) : null
+    this.data = data && data.version === INDEX_VERSION
+      ? data
+      : { version: INDEX_VERSION, root: this.root, embedder: null, updatedAt: null, files: {} }
+    return this.data
+  }
+
+  save () {
+    fs.ensureDirSync(path.dirname(this.filePath))
+    fs.writeJsonSync(this.filePath, this.data)
+  }
+
+  /**
+   * 增量更新：只重新切塊與嵌入內容雜湊改變的檔案，移除已刪除的檔案；嵌入方式改變時全部重建
+   * @param {Object} options - { onProgress(done, total, file) }
+   * @returns {{ added, updated, removed, unchanged, chunks, embedder }}
+   */
+  async update (options = {}) {
+    const data = this.load()
+    if (data.embedder !== this.embedder.id) {
+      data.files = {}
+      data.embedder = this.embedder.id
+    }
+
+    const files = walkProject(this.root)
+    const result = { added: 0, updated: 0, removed: 0, unchanged: 0, chunks: 0, embedder: this.embedder.id }
+    const seen = new Set()
+
+    for (const [index, file] of files.entries()) {
+      if (options.onProgress) options.onProgress(index + 1, files.length, file.path)
+      seen.add(file.path)
+      const content = fs.readFileSync(path.join(this.root, file.path), 'utf8')
+      const hash = hashContent(content)
+      const existing = data.files[file.path]
+
+      if (existing && existing.hash === hash) {
+        result.unchanged++
+        continue
+      }
+
+      const chunks = chunkLines(content, CHUNK_TOKENS).filter(chunk => chunk.text.trim())
+      const vectors = []
+      for (let start = 0; start < chunks.length; start += BATCH_SIZE) {
+        const batch = chunks.slice(start, start + BATCH_SIZE)
+        // 片段前加上路徑，讓檔名也能被檢索到
+        vectors.push(...await this.embedder.embed(batch.map(chunk => `${file.path}\n${chunk.text}`)))
+      }
+
+      data.files[file.path] = {
+        hash,
+        chunks: chunks.map((chunk, chunkIndex) => ({
+          startLine: chunk.startLine,
+          endLine: chunk.endLine,
+          text: chunk.text,
+          vector: vectors[chunkIndex].map(value => Math.round(value * 1e4) / 1e4)
+        }))
+      }
+      result[existing ? 'updated' : 'added']++
+    }
+
+    for (const filePath of Object.keys(data.files)) {
+      if (!seen.has(filePath)) {
+        delete data.files[filePath]
+        result.removed++
+      }
+    }
+
+    result.chunks = Object.values(data.files).reduce((sum, file) => sum + file.chunks.length, 0)
+    data.updatedAt = new Date().toISOString()
+    this.save()
+    return result
+  }
+
+  /**
+   * 檢索與問題最相關的片段
+   * @returns {Promise<Array<{ path, startLine, endLine, score, text }>>}
+   */
+  async search (query, options = {}) {
+    const data = this.load()
+    const limit = options.limit || 8
+    const [queryVector] = await this.embedder.embed([query])
+
+    const results = []
+    for (const [filePath, file] of Object.entries(data.files)) {
+      for (const chunk of file.chunks) {
+        results.push({
+          path: filePath,
+          startLine: chunk.startLine,
+          endLine: chunk.endLine,
+          score: dot(queryVector, chunk.vector),
+          text: chunk.text
+        })
+      }
+    }
+
+    return results
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+  }
+
+  /**
+   * 索引狀態
+   */
+  stats () {
+    const data = this.load()
+    const files = Object.values(data.files)
+    return {
+      root: this.root,
+      file: this.filePath,
+      embedder: data.embedder,
+      updatedAt: data.updatedAt,
+      files: files.length,
+      chunks: files.reduce((sum, file) => sum + file.chunks.length, 0),
+      size: fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0
+    }
+  }
+
+  clear () {
+    const existed = fs.existsSync(this.filePath)
+    fs.removeSync(this.filePath)
+    this.data = null
+    return existed
+  }
+}
+
+module.exports = {
+  CodeIndex,
+  getIndexPath,
+  tokenize,
+  createHashEmbedder,
+  createProviderEmbedder,
+  resolveEmbedder
+}
@@ -0,0 +1,398 @@
+const path = require('path')
+const { parse } = require('@babel/parser')
+
+/**
+ * 程式碼靜態品質檢查
+ * 以 @babel/parser 解析產生的檔案，檢查語法、安全性、效能與可維護性 (循環複雜度、函式長度、重複程式碼)，
+ * 每個問題都標示檔案與行號；分數為 100 扣除各問題依嚴重程度的扣分
+ */
+
+const JS_EXTENSIONS = ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx']
+
+// 各嚴重程度的扣分 (嚴重程度與 ai review 相同)
+const PENALTIES = { critical: 40, high: 20, medium: 8, low: 3, info: 1 }
+
+const MAX_COMPLEXITY = 10
+const HIGH_COMPLEXITY = 20
+const MAX_FUNCTION_LINES = 50
+// 連續幾行有意義的程式碼相同才算重複
+const DUPLICATE_WINDOW = 6
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+])
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'])
+const BRANCH_TYPES = new Set(['IfStatement', 'ConditionalExpression', 'CatchClause', ...LOOP_TYPES])
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments'])
+
+const SQL_PATTERN = /\b(select\b[\s\S]*\bfrom|insert\s+into|update\b[\s\S]*\bset|delete\s+from)\b/i
+const SECRET_NAME = /(secret|passw(or)?d|pwd|api_?key|token|private_?key|access_?key|credential)/i
+const PLACEHOLDER = /^(your|change|example|xxx|test|dummy|placeholder|<)/i
+const SECRET_VALUES = [
+  /^sk-[A-Za-z0-9_-]{20,}$/, // OpenAI / Anthropic
+  /^AKIA[0-9A-Z]{16}$/, // AWS access key
+  /^gh[pousr]_[A-Za-z0-9]{36,}$/, // GitHub token
+  /^AIza[0-9A-Za-z_-]{35}$/, // Google API key
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----/
+]
+const RATE_LIMIT_MODULES = ['express-rate-limit', 'rate-limiter-flexible', 'express-slow-down']
+
+/**
+ * 解析 JS / TS 原始碼 (支援 JSX、ES module 與 CommonJS)
+ */
+function parseSource (code, file = 'index.js') {
+  const extension = path.extname(file)
+  const plugins = extension === '.ts' ? ['typescript'] : extension === '.tsx' ? ['typescript', 'jsx'] : ['jsx']
+  return parse(code, {
+    sourceType: 'unambiguous',
+    allowReturnOutsideFunction: true,
+    plugins
+  })
+}
+
+/**
+ * 解析要檢查的檔案；只處理 JS / TS 與 JSON，其餘檔案略過
+ * @param {Object} files - { 路徑: 內容 }
+ * @returns {Array<{ file, code, ast, error }>}
+ */
+function parseSources (files) {
+  return Object.entries(files)
+    .filter(([file, code]) => typeof code === 'string' && (JS_EXTENSIONS.includes(path.extname(file)) || path.extname(file) === '.json'))
+    .map(([file, code]) => {
+      if (path.extname(file) === '.json') {
+        return { file, code, ast: null, error: jsonError(code) }
+      }
+      try {
+        return { file, code, ast: parseSource(code, file), error: null }
+      } catch (error) {
+        const line = error.loc?.line || 1
+        return { file, code, ast: null, error: { line, message: error.message.replace(/\s*\(\d+:\d+\)$/, '') } }
+      }
+    })
+}
+
+function jsonError (code) {
+  try {
+    JSON.parse(code)
+    return null
+  } catch (error) {
+    const position = Number(error.message.match(/position (\d+)/)?.[1] || 0)
+    return { line: code.slice(0, position).split('\n').length, message: error.message }
+  }
+}
+
+// 深度優先走訪 AST；visit 回傳 false 時不進入子節點，ancestors 由外到內
+function walk (node, visit, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return
+  if (visit(node, ancestors) === false) return
+
+  const nextAncestors = [...ancestors, node]
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue
+    const value = node[key]
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visit, nextAncestors))
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visit, nextAncestors)
+    }
+  }
+}
+
+function createIssue (check, ruleId, severity, file, node, message) {
+  const startLine = node?.loc?.start.line || node?.line || 1
+  const endLine = node?.loc?.end.line || startLine
+  return { check, ruleId: `${check}/${ruleId}`, severity, file, startLine, endLine, message }
+}
+
+function score (issues) {
+  return Math.max(0, 100 - issues.reduce((sum, issue) => sum + PENALTIES[issue.severity], 0))
+}
+
+function calleeName (node) {
+  const callee = node.callee
+  if (callee.type === 'Identifier') return callee.name
+  if (callee.type === 'MemberExpression' && !callee.computed) return callee.property.name
+  return ''
+}
+
+function isString (node) {
+  return node.type === 'StringLiteral' || node.type === 'TemplateLiteral'
+}
+
+// require('x') 或 import ... from 'x' 的模組名稱
+function moduleName (node) {
+  if (node.type === 'ImportDeclaration') return node.source.value
+  if (node.type === 'CallExpression' && node.callee.name === 'require' && node.arguments[0]?.type === 'StringLiteral') {
+    return node.arguments[0].value
+  }
+  return null
+}
+
+/**
+ * 語法檢查：無法解析的檔案為 critical
+ */
+function checkSyntax (sources) {
+  const issues = sources
+    .filter(source => source.error)
+    .map(source => createIssue('syntax', 'parse-error', 'critical', source.file, source.error, `無法解析: ${source.error.message}`))
+  return { score: score(issues), issues }
+}
+
+// 字串相加的所有運算元
+function flattenConcat (node) {
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return [...flattenConcat(node.left), ...flattenConcat(node.right)]
+  }
+  return [node]
+}
+
+function secretName (node, parent) {
+  if (parent.type === 'VariableDeclarator' && parent.init === node) return parent.id.name
+  if (parent.type === 'ObjectProperty' && parent.value === node) return parent.key.name || parent.key.value
+  if (parent.type === 'AssignmentExpression' && parent.right === node) {
+    return parent.left.type === 'MemberExpression' ? parent.left.property.name : parent.left.name
+  }
+  if (parent.type === 'LogicalExpression' && parent.right === node) return 'fallback'
+  return null
+}
+
+/**
+ * 安全性檢查：eval / new Function、以字串組合 SQL、寫死的金鑰與密碼、Express 缺少 helmet 或速率限制
+ */
+function checkSecurity (sources) {
+  const issues = []
+  const apps = []
+  let hasHelmet = false
+  let hasRateLimit = false
+
+  for (const { file, ast } of sources.filter(source => source.ast)) {
+    walk(ast, (node, ancestors) => {
+      const parent = ancestors[ancestors.length - 1]
+      const name = moduleName(node)
+      if (name === 'helmet') hasHelmet = true
+      if (RATE_LIMIT_MODULES.includes(name)) hasRateLimit = true
+
+      if (node.type === 'CallExpression') {
+        const callee = calleeName(node)
+        if (node.callee.type === 'Identifier' && callee === 'eval') {
+          issues.push(createIssue('security', 'no-eval', 'high', file, node, '避免使用 eval，可能執行任意程式碼'))
+        } else if (['setTimeout', 'setInterval'].includes(callee) && node.arguments[0] && isString(node.arguments[0])) {
+          issues.push(createIssue('security', 'no-eval', 'high', file, node, `${callee} 傳入字串等同 eval，請改傳函式`))
+        } else if (callee === 'express' && node.callee.type === 'Identifier') {
+          apps.push({ file, node })
+        } else if (callee === 'helmet') {
+          hasHelmet = true
+        } else if (/rate.?limit|limiter|slowdown/i.test(callee)) {
+          hasRateLimit = true
+        }
+      }
+
+      if (node.type === 'NewExpression' && node.callee.name === 'Function') {
+        issues.push(createIssue('security', 'no-eval', 'high', file, node, '避免使用 new Function，可能執行任意程式碼'))
+      }
+
+      // 帶有變數的 SQL 字串：樣板字串 (非 sql`` 等標籤樣板) 或最外層的字串相加
+      if (node.type === 'TemplateLiteral' && node.expressions.length > 0 && parent?.type !== 'TaggedTemplateExpression' &&
+        SQL_PATTERN.test(node.quasis.map(quasi => quasi.value.cooked).join(' '))) {
+        issues.push(createIssue('security', 'sql-injection', 'high', file, node, 'SQL 以樣板字串嵌入變數，請改用參數化查詢'))
+      }
+      if (node.type === 'BinaryExpression' && node.operator === '+' && !(parent?.type === 'BinaryExpression' && parent.operator === '+')) {
+        const operands = flattenConcat(node)
+        const text = operands.filter(operand => operand.type === 'StringLiteral').map(operand => operand.value).join(' ')
+        if (operands.some(operand => operand.type !== 'StringLiteral') && SQL_PATTERN.test(text)) {
+          issues.push(createIssue('security', 'sql-injection', 'high', file, node, 'SQL 以字串相加組合變數，請改用參數化查詢'))
+        }
+      }
+
+      if (node.type === 'StringLiteral' && parent) {
+        const secret = secretName(node, parent)
+        const fallbackName = secret === 'fallback' ? secretName(parent, ancestors[ancestors.length - 2] || {}) : secret
+        if (SECRET_VALUES.some(pattern => pattern.test(node.value))) {
+          issues.push(createIssue('security', 'hardcoded-secret', 'high', file, node, '程式碼中包含金鑰，請改由環境變數讀取'))
+        } else if (fallbackName && SECRET_NAME.test(fallbackName) && node.value.length >= 8 && !PLACEHOLDER.test(node.value)) {
+          issues.push(secret === 'fallback'
+            ? createIssue('security', 'hardcoded-secret', 'medium', file, node, `${fallbackName} 未設定環境變數時使用寫死的預設值`)
+            : createIssue('security', 'hardcoded-secret', 'high', file, node, `${fallbackName} 寫死在程式碼中，請改由環境變數讀取`))
+        }
+      }
+    })
+  }
+
+  for (const app of apps) {
+    if (!hasHelmet) {
+      issues.push(createIssue('security', 'missing-helmet', 'medium', app.file, app.node, 'Express 應用程式未使用 helmet 設定安全標頭'))
+    }
+    if (!hasRateLimit) {
+      issues.push(createIssue('security', 'missing-rate-limit', 'medium', app.file, app.node, 'Express 應用程式沒有速率限制 (例如 express-rate-limit)'))
+    }
+  }
+
+  return { score: score(issues), issues }
+}
+
+// 最近的外層函式 (不含 node 本身)
+function enclosingFunctions (ancestors) {
+  return ancestors.filter(ancestor => FUNCTION_TYPES.has(ancestor.type))
+}
+
+function isRequestHandler (fn) {
+  return fn.params.length >= 2 && ['req', 'request'].includes(fn.params[0].name) && ['res', 'response', 'reply'].includes(fn.params[1].name)
+}
+
+/**
+ * 效能檢查：請求處理中的同步 I/O、迴圈中逐一 await、以 JSON 轉換深拷貝
+ */
+function checkPerformance (sources) {
+  const issues = []
+
+  for (const { file, ast } of sources.filter(source => source.ast)) {
+    walk(ast, (node, ancestors) => {
+      if (node.type === 'CallExpression') {
+        const callee = calleeName(node)
+        if (callee.endsWith('Sync') && enclosingFunctions(ancestors).some(isRequestHandler)) {
+          issues.push(createIssue('performance', 'sync-io-in-handler', 'medium', file, node, `請求處理中呼叫 ${callee} 會阻塞事件迴圈，請改用非同步版本`))
+        }
+        if (callee === 'parse' && node.callee.object?.name === 'JSON' && node.arguments[0]?.type === 'CallExpression' &&
+          calleeName(node.arguments[0]) === 'stringify') {
+          issues.push(createIssue('performance', 'json-clone', 'low', file, node, 'JSON.parse(JSON.stringify()) 深拷貝較慢，可改用 structuredClone'))
+        }
+      }
+
+      if (node.type === 'AwaitExpression') {
+        // 只看同一個函式內的迴圈
+        const inner = ancestors.slice(ancestors.map(ancestor => FUNCTION_TYPES.has(ancestor.type)).lastIndexOf(true) + 1)
+        if (inner.some(ancestor => LOOP_TYPES.has(ancestor.type) && !ancestor.await)) {
+          issues.push(createIssue('performance', 'await-in-loop', 'low', file, node, '迴圈中逐一 await，互不相依時可改用 Promise.all'))
+        }
+      }
+    })
+  }
+
+  return { score: score(issues), issues }
+}
+
+function functionName (node, parent) {
+  if (node.id?.name) return node.id.name
+  if (node.key) return node.key.name || node.key.value || '(計算屬性)'
+  if (parent?.type === 'VariableDeclarator') return parent.id.name
+  if (parent?.type === 'ObjectProperty') return parent.key.name || parent.key.value
+  if (parent?.type === 'AssignmentExpression' && parent.left.type === 'MemberExpression') return parent.left.property.name
+  if (parent?.type === 'CallExpression') return `${calleeName(parent) || '(呼叫)'} 的回呼`
+  return '(匿名函式)'
+}
+
+// 循環複雜度：1 + 分支、迴圈、catch、case 與邏輯運算子，不含內層函式
+function complexityOf (fn) {
+  let complexity = 1
+  walk(fn.body, node => {
+    if (FUNCTION_TYPES.has(node.type)) return false
+    if (BRANCH_TYPES.has(node.type) || node.type === 'LogicalExpression' || (node.type === 'SwitchCase' && node.test)) {
+      complexity++
+    }
+  })
+  return complexity
+}
+
+// 有意義的程式碼行 (略過空行、註解與只有括號的行)
+function significantLines (code) {
+  return code.split('\n')
+    .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+    .filter(({ text }) => text && !/^[\])};,]*$/.test(text) && !/^(\/\/|\/\*|\*)/.test(text))
+}
+
+function findDuplicates (sources) {
+  const issues = []
+  const lines = new Map(sources.map(source => [source.file, significantLines(source.code)]))
+  const seen = new Map()
+  let duplicatedLines = 0
+
+  for (const [file, current] of lines) {
+    let index = 0
+    while (index + DUPLICATE_WINDOW <= current.length) {
+      const key = current.slice(index, index + DUPLICATE_WINDOW).map(line => line.text).join('\n')
+      const first = seen.get(key)
+      const overlaps = first && first.file === file && first.index + DUPLICATE_WINDOW > index
+
+      if (!first || overlaps) {
+        if (!first) seen.set(key, { file, index })
+        index++
+        continue
+      }
+
+      // 盡量延伸重複的範圍
+      const original = lines.get(first.file)
+      let length = DUPLICATE_WINDOW
+      while (index + length < current.length && first.index + length < original.length &&
+        current[index + length].text === original[first.index + length].text &&
+        !(first.file === file && first.index + length >= index)) {
+        length++
+      }
+
+      const region = { loc: { start: { line: current[index].line }, end: { line: current[index + length - 1].line } } }
+      issues.push(createIssue('maintainability', 'duplication', 'low', file, region,
+        `${length} 行程式碼與 ${first.file}:${original[first.index].line} 重複，可抽成共用函式`))
+      duplicatedLines += length
+      index += length
+    }
+  }
+
+  return { issues, duplicatedLines }
+}
+
+/**
+ * 可維護性檢查：循環複雜度、函式長度與重複程式碼
+ * @returns {{ score, issues, metrics: { functions, maxComplexity, averageComplexity, longFunctions, duplicatedLines } }}
+ */
+function checkMaintainability (sources) {
+  const issues = []
+  const complexities = []
+  let longFunctions = 0
+  const parsed = sources.filter(source => source.ast)
+
+  for (const { file, ast } of parsed) {
+    walk(ast, (node, ancestors) => {
+      if (!FUNCTION_TYPES.has(node.type)) return
+      const name = functionName(node, ancestors[ancestors.length - 1])
+      const complexity = complexityOf(node)
+      complexities.push(complexity)
+
+      if (complexity > MAX_COMPLEXITY) {
+        const severity = complexity > HIGH_COMPLEXITY ? 'high' : 'medium'
+        issues.push(createIssue('maintainability', 'complexity', severity, file, node,
+          `${name} 的循環複雜度為 ${complexity} (上限 ${MAX_COMPLEXITY})，請拆分邏輯`))
+      }
+
+      const length = node.loc.end.line - node.loc.start.line + 1
+      if (length > MAX_FUNCTION_LINES) {
+        longFunctions++
+        issues.push(createIssue('maintainability', 'function-length', 'low', file, node,
+          `${name} 有 ${length} 行 (上限 ${MAX_FUNCTION_LINES})，請拆成較小的函式`))
+      }
+    })
+  }
+
+  const duplicates = findDuplicates(parsed)
+  issues.push(...duplicates.issues)
+
+  return {
+    score: score(issues),
+    issues,
+    metrics: {
+      functions: complexities.length,
+      maxComplexity: Math.max(0, ...complexities),
+      averageComplexity: complexities.length ? Math.round(complexities.reduce((a, b) => a + b, 0) / complexities.length * 10) / 10 : 0,
+      longFunctions,
+      duplicatedLines: duplicates.duplicatedLines
+    }
+  }
+}
+
+module.exports = {
+  parseSource,
+  parseSources,
+  walk,
+  checkSyntax,
+  checkSecurity,
+  checkPerformance,
+  checkMaintainability
+}
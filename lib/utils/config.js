@@ -0,0 +1,625 @@
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const dotenv = require('dotenv')
+const { isValidUrl } = require('./helpers')
+
+/**
+ * Mursfoto 分層配置載入器
+ * 優先順序 (低 → 高): 預設值 → 全域 (~/.mursfoto) → 專案 → 環境專用 → 環境變數 → 命令行參數
+ */
+
+const PROJECT_CONFIG_FILES = ['mursfoto.config.js', '.mursfotorc', '.mursfotorc.json']
+const PROJECT_RC_FILE = '.mursfotorc'
+
+/**
+ * 配置結構定義 (以點分隔的鍵表示巢狀欄位)
+ */
+const CONFIG_SCHEMA = {
+  template: {
+    type: 'string',
+    default: null,
+    env: 'MURSFOTO_TEMPLATE',
+    description: '預設項目模板'
+  },
+  gatewayUrl: {
+    type: 'string',
+    format: 'url',
+    default: 'https://gateway.mursfoto.com',
+    env: 'MURSFOTO_GATEWAY_URL',
+    description: 'API Gateway 位址'
+  },
+  'create.install': {
+    type: 'boolean',
+    default: true,
+    description: '創建項目後是否執行 npm install'
+  },
+  'create.git': {
+    type: 'boolean',
+    default: true,
+    description: '創建項目後是否初始化 Git'
+  },
+  'ai.defaultModel': {
+    type: 'string',
+    enum: ['claude', 'openai', 'gemini', 'lmstudio', 'ollama', 'openai-compatible'],
+    default: 'claude',
+    env: 'MURSFOTO_AI_MODEL',
+    description: '偏好的 AI 模型'
+  },
+  'ai.timeout': {
+    type: 'number',
+    default: 30000,
+    env: 'MURSFOTO_AI_TIMEOUT',
+    description: 'AI 請求超時 (毫秒)'
+  },
+  'ai.policies': {
+    type: 'object',
+    default: {},
+    env: 'MURSFOTO_AI_POLICIES',
+    description: '任務路由策略，例如 {"review":["claude","gemini","lmstudio"]}'
+  },
+  'ai.budget.dailyTokens': {
+    type: 'number',
+    default: null,
+    env: 'MURSFOTO_AI_DAILY_TOKENS',
+    description: '每日 token 預算，超過後改用本地模型'
+  },
+  'ai.budget.dailyCost': {
+    type: 'number',
+    default: null,
+    env: 'MURSFOTO_AI_DAILY_COST',
+    description: '每日費用預算 (美元)，超過後改用本地模型'
+  },
+  'ai.circuitBreaker.threshold': {
+    type: 'number',
+    default: 3,
+    description: '連續失敗幾次後開啟斷路器'
+  },
+  'ai.circuitBreaker.cooldown': {
+    type: 'number',
+    default: 30000,
+    description: '斷路器首次冷卻時間 (毫秒)，之後每次加倍'
+  },
+  'ai.cache.enabled': {
+    type: 'boolean',
+    default: true,
+    env: 'MURSFOTO_AI_CACHE',
+    description: '快取相同請求的 AI 回應'
+  },
+  'ai.cache.ttl': {
+    type: 'number',
+    default: 7 * 24 * 60 * 60 * 1000,
+    description: 'AI 快取有效時間 (毫秒)，0 表示不過期'
+  },
+  'ai.cache.maxSize': {
+    type: 'number',
+    default: 50 * 1024 * 1024,
+    description: 'AI 快取容量上限 (位元組)，超過時淘汰最久未使用的項目'
+  },
+  'ai.pricing': {
+    type: 'object',
+    default: {},
+    env: 'MURSFOTO_AI_PRICING',
+    description: '每百萬 token 的美元價格，依模型或供應商覆寫，例如 {"claude":{"input":3,"output":15}}'
+  },
+  'ai.contextWindows': {
+    type: 'object',
+    default: {},
+    env: 'MURSFOTO_AI_CONTEXT_WINDOWS',
+    description: '各模型的上下文長度 (token)，用於打包專案上下文，例如 {"ollama":32768}'
+  },
+  'ai.index.embedder': {
+    type: 'string',
+    enum: ['auto', 'hash', 'lmstudio', 'ollama', 'openai-compatible'],
+    default: 'auto',
+    env: 'MURSFOTO_AI_INDEX_EMBEDDER',
+    description: '語意索引的嵌入方式，auto 依序嘗試本地供應商的嵌入模型，都不可用時使用純 JS 的 hash'
+  },
+  'ai.index.topK': {
+    type: 'number',
+    default: 8,
+    description: 'ai ask 從語意索引檢索的片段數'
+  },
+  'ai.prompts': {
+    type: 'object',
+    default: {},
+    env: 'MURSFOTO_AI_PROMPTS',
+    description: '提示變體選擇，字串固定使用該變體，陣列則隨機選擇做 A/B 測試，例如 {"review":["default","strict"]}'
+  },
+  'lmStudio.endpoint': {
+    type: 'string',
+    format: 'url',
+    default: 'http://127.0.0.1:1234',
+    env: 'LM_STUDIO_ENDPOINT',
+    description: 'LM Studio API 位址'
+  },
+  'lmStudio.model': {
+    type: 'string',
+    default: 'unsloth/gpt-oss-20b-GGUF',
+    env: 'LM_STUDIO_MODEL',
+    description: 'LM Studio 模型名稱'
+  },
+  'ollama.endpoint': {
+    type: 'string',
+    format: 'url',
+    default: 'http://127.0.0.1:11434',
+    env: 'OLLAMA_ENDPOINT',
+    description: 'Ollama API 位址'
+  },
+  'ollama.model': {
+    type: 'string',
+    default: 'llama3.1',
+    env: 'OLLAMA_MODEL',
+    description: 'Ollama 對話模型名稱'
+  },
+  'ollama.embeddingModel': {
+    type: 'string',
+    default: 'nomic-embed-text',
+    env: 'OLLAMA_EMBEDDING_MODEL',
+    description: 'Ollama 向量嵌入模型名稱'
+  },
+  'openaiCompatible.endpoint': {
+    type: 'string',
+    format: 'url',
+    default: 'http://127.0.0.1:8080',
+    env: 'OPENAI_COMPATIBLE_ENDPOINT',
+    description: 'OpenAI 相容伺服器位址 (llama.cpp、vLLM 等)，API 密鑰可用 OPENAI_COMPATIBLE_API_KEY 設定'
+  },
+  'openaiCompatible.model': {
+    type: 'string',
+    default: null,
+    env: 'OPENAI_COMPATIBLE_MODEL',
+    description: 'OpenAI 相容伺服器的模型名稱，未設定時使用伺服器已載入的模型'
+  },
+  'openaiCompatible.embeddingModel': {
+    type: 'string',
+    default: null,
+    env: 'OPENAI_COMPATIBLE_EMBEDDING_MODEL',
+    description: 'OpenAI 相容伺服器的向量嵌入模型名稱'
+  },
+  'gui.port': {
+    type: 'number',
+    default: 3000,
+    env: 'MURSFOTO_GUI_PORT',
+    description: 'GUI 服務器端口'
+  },
+  'gui.host': {
+    type: 'string',
+    default: 'localhost',
+    description: 'GUI 服務器主機'
+  }
+}
+
+let cachedConfig = null
+const loadedEnvFiles = new Set()
+
+/**
+ * 取得全域配置目錄 (~/.mursfoto)
+ */
+function getGlobalConfigDir () {
+  return process.env.MURSFOTO_HOME || path.join(os.homedir(), '.mursfoto')
+}
+
+/**
+ * 取得全域配置檔路徑
+ */
+function getGlobalConfigPath () {
+  return path.join(getGlobalConfigDir(), 'config.json')
+}
+
+/**
+ * 取得目前環境名稱
+ */
+function getEnvironmentName (env = process.env) {
+  return env.MURSFOTO_ENV || env.NODE_ENV || 'development'
+}
+
+/**
+ * 從目錄往上尋找專案配置檔
+ */
+function findProjectConfig (cwd = process.cwd()) {
+  let dir = path.resolve(cwd)
+
+  while (true) {
+    for (const fileName of PROJECT_CONFIG_FILES) {
+      const filePath = path.join(dir, fileName)
+      if (fs.existsSync(filePath)) {
+        return filePath
+      }
+    }
+
+    const parent = path.dirname(dir)
+    if (parent === dir) return null
+    dir = parent
+  }
+}
+
+/**
+ * 讀取單一配置檔 (.js 或 JSON)
+ */
+function readConfigFile (filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null
+  }
+
+  try {
+    if (filePath.endsWith('.js')) {
+      delete require.cache[require.resolve(filePath)]
+      const loaded = require(filePath)
+      return typeof loaded === 'function' ? loaded() : loaded
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8')
+    return content.trim() ? JSON.parse(content) : {}
+  } catch (error) {
+    throw new Error(`無法讀取配置檔 ${filePath}: ${error.message}`)
+  }
+}
+
+/**
+ * 取得環境專用配置檔路徑 (例如 mursfoto.config.production.js)
+ */
+function getEnvironmentConfigPath (projectConfigPath, envName) {
+  if (!projectConfigPath) return null
+
+  const dir = path.dirname(projectConfigPath)
+  const candidates = [
+    `mursfoto.config.${envName}.js`,
+    `.mursfotorc.${envName}`,
+    `.mursfotorc.${envName}.json`
+  ]
+
+  for (const fileName of candidates) {
+    const filePath = path.join(dir, fileName)
+    if (fs.existsSync(filePath)) {
+      return filePath
+    }
+  }
+
+  return null
+}
+
+/**
+ * 載入 .env 檔案 (同一路徑只載入一次)
+ */
+function loadEnvFiles (cwd = process.cwd()) {
+  const candidates = [
+    path.join(cwd, '.env'),
+    path.join(__dirname, '../../.env')
+  ]
+
+  for (const envPath of candidates) {
+    if (loadedEnvFiles.has(envPath)) continue
+    loadedEnvFiles.add(envPath)
+
+    if (fs.existsSync(envPath)) {
+      dotenv.config({ path: envPath })
+    }
+  }
+}
+
+/**
+ * 依點分隔的鍵讀取巢狀值
+ */
+function getValue (object, key) {
+  return key.split('.').reduce((current, part) => {
+    return current !== undefined && current !== null ? current[part] : undefined
+  }, object)
+}
+
+/**
+ * 依點分隔的鍵設定巢狀值
+ */
+function setValue (object, key, value) {
+  const parts = key.split('.')
+  let current = object
+
+  parts.slice(0, -1).forEach(part => {
+    if (typeof current[part] !== 'object' || current[part] === null) {
+      current[part] = {}
+    }
+    current = current[part]
+  })
+
+  current[parts[parts.length - 1]] = value
+  return object
+}
+
+/**
+ * 依點分隔的鍵刪除巢狀值
+ */
+function unsetValue (object, key) {
+  const parts = key.split('.')
+  const parent = parts.length > 1 ? getValue(object, parts.slice(0, -1).join('.')) : object
+
+  if (parent && typeof parent === 'object') {
+    delete parent[parts[parts.length - 1]]
+  }
+
+  return object
+}
+
+/**
+ * 將巢狀物件攤平成點分隔的鍵
+ */
+function flattenConfig (object, prefix = '') {
+  const result = {}
+
+  for (const [key, value] of Object.entries(object || {})) {
+    const fullKey = prefix ? `${prefix}.${key}` : key
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && !CONFIG_SCHEMA[fullKey]) {
+      Object.assign(result, flattenConfig(value, fullKey))
+    } else {
+      result[fullKey] = value
+    }
+  }
+
+  return result
+}
+
+/**
+ * 深層合併配置物件
+ */
+function mergeConfig (target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (!target[key] || typeof target[key] !== 'object') {
+        target[key] = {}
+      }
+      mergeConfig(target[key], value)
+    } else if (value !== undefined) {
+      target[key] = value
+    }
+  }
+
+  return target
+}
+
+/**
+ * 依結構定義轉換字串值 (環境變數、config set)
+ */
+function coerceValue (key, rawValue) {
+  const definition = CONFIG_SCHEMA[key]
+  if (!definition || typeof rawValue !== 'string') {
+    return rawValue
+  }
+
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(rawValue)
+      return Number.isNaN(number) ? rawValue : number
+    }
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(rawValue.toLowerCase())) return true
+      if (['false', '0', 'no', 'off'].includes(rawValue.toLowerCase())) return false
+      return rawValue
+    case 'object':
+      try {
+        return JSON.parse(rawValue)
+      } catch (error) {
+        return rawValue
+      }
+    default:
+      return rawValue === 'null' ? null : rawValue
+  }
+}
+
+/**
+ * 取得預設配置
+ */
+function getDefaultConfig () {
+  const defaults = {}
+
+  for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+    setValue(defaults, key, definition.default)
+  }
+
+  return defaults
+}
+
+/**
+ * 從環境變數收集配置
+ */
+function getEnvironmentOverrides (env = process.env) {
+  const overrides = {}
+
+  for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+    if (definition.env && env[definition.env] !== undefined && env[definition.env] !== '') {
+      setValue(overrides, key, coerceValue(key, env[definition.env]))
+    }
+  }
+
+  return overrides
+}
+
+/**
+ * 將點分隔鍵的覆寫值轉為巢狀物件
+ */
+function expandOverrides (overrides = {}) {
+  const expanded = {}
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) {
+      setValue(expanded, key, value)
+    }
+  }
+
+  return expanded
+}
+
+/**
+ * 載入所有配置層
+ * @param {Object} options - { cwd, env, overrides }
+ * @returns {Array} 依優先順序排列的配置層
+ */
+function loadConfigLayers (options = {}) {
+  const cwd = options.cwd || process.cwd()
+  const env = options.env || process.env
+  const envName = getEnvironmentName(env)
+
+  const globalPath = getGlobalConfigPath()
+  const projectPath = findProjectConfig(cwd)
+  const envPath = getEnvironmentConfigPath(projectPath, envName)
+
+  return [
+    { name: 'default', path: null, values: getDefaultConfig() },
+    { name: 'global', path: globalPath, values: readConfigFile(globalPath) || {} },
+    { name: 'project', path: projectPath, values: readConfigFile(projectPath) || {} },
+    { name: `env:${envName}`, path: envPath, values: readConfigFile(envPath) || {} },
+    { name: 'environment', path: null, values: getEnvironmentOverrides(env) },
+    { name: 'flags', path: null, values: expandOverrides(options.overrides) }
+  ]
+}
+
+/**
+ * 載入並合併配置
+ * @param {Object} options - { cwd, env, overrides, validate }
+ * @returns {Object} 合併後的配置
+ */
+function loadConfig (options = {}) {
+  loadEnvFiles(options.cwd)
+
+  const layers = loadConfigLayers(options)
+  const config = layers.reduce((merged, layer) => mergeConfig(merged, layer.values), {})
+
+  if (options.validate !== false) {
+    const { valid, errors } = validateConfig(config)
+    if (!valid) {
+      throw new Error(`配置驗證失敗:\n  - ${errors.join('\n  - ')}`)
+    }
+  }
+
+  Object.defineProperty(config, '_sources', {
+    value: layers.filter(layer => layer.path).map(layer => layer.path),
+    enumerable: false
+  })
+
+  cachedConfig = config
+  return config
+}
+
+/**
+ * 取得目前配置 (未載入時以預設方式載入)
+ */
+function getConfig () {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig({ validate: false })
+  }
+  return cachedConfig
+}
+
+/**
+ * 驗證配置
+ * @returns {Object} { valid, errors, warnings }
+ */
+function validateConfig (config) {
+  const errors = []
+  const warnings = []
+  const flat = flattenConfig(config)
+
+  for (const [key, value] of Object.entries(flat)) {
+    const definition = CONFIG_SCHEMA[key]
+
+    if (!definition) {
+      warnings.push(`未知的配置項: ${key}`)
+      continue
+    }
+
+    if (value === null || value === undefined) continue
+
+    if (typeof value !== definition.type) {
+      errors.push(`${key} 應為 ${definition.type}，實際為 ${typeof value}`)
+      continue
+    }
+
+    if (definition.enum && !definition.enum.includes(value)) {
+      errors.push(`${key} 必須是以下其中之一: ${definition.enum.join(', ')}`)
+    }
+
+    if (definition.format === 'url' && !isValidUrl(value)) {
+      errors.push(`${key} 不是有效的 URL: ${value}`)
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings }
+}
+
+/**
+ * 取得可寫入的配置檔路徑
+ * 專案使用 mursfoto.config.js 時無法寫入：同目錄的 .mursfotorc 不會被載入，子目錄的則會取代整份 .js 配置
+ */
+function getWritableConfigPath (options = {}) {
+  if (options.global) {
+    return getGlobalConfigPath()
+  }
+
+  const existing = findProjectConfig(options.cwd)
+  if (existing && existing.endsWith('.js')) {
+    throw new Error(`專案配置為 ${existing}，無法自動寫入；請直接編輯該檔案，或加上 --global 寫入全域配置`)
+  }
+  if (existing) {
+    return existing
+  }
+
+  return path.join(options.cwd || process.cwd(), PROJECT_RC_FILE)
+}
+
+/**
+ * 寫入配置值
+ * @returns {string} 寫入的檔案路徑
+ */
+async function setConfigValue (key, rawValue, options = {}) {
+  const value = coerceValue(key, rawValue)
+  const { valid, errors } = validateConfig(setValue({}, key, value))
+  if (!valid) {
+    throw new Error(errors.join('; '))
+  }
+
+  const filePath = getWritableConfigPath(options)
+  const current = readConfigFile(filePath) || {}
+
+  setValue(current, key, value)
+
+  await fs.ensureDir(path.dirname(filePath))
+  await fs.writeJson(filePath, current, { spaces: 2 })
+
+  cachedConfig = null
+  return filePath
+}
+
+/**
+ * 移除配置值
+ * @returns {string} 寫入的檔案路徑
+ */
+async function unsetConfigValue (key, options = {}) {
+  const filePath = getWritableConfigPath(options)
+  const current = readConfigFile(filePath)
+
+  if (current) {
+    unsetValue(current, key)
+    await fs.writeJson(filePath, current, { spaces: 2 })
+  }
+
+  cachedConfig = null
+  return filePath
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  loadConfig,
+  loadConfigLayers,
+  loadEnvFiles,
+  getConfig,
+  validateConfig,
+  setConfigValue,
+  unsetConfigValue,
+  getValue,
+  setValue,
+  flattenConfig,
+  coerceValue,
+  findProjectConfig,
+  getGlobalConfigDir,
+  getGlobalConfigPath,
+  getEnvironmentName
+}
@@ -0,0 +1,70 @@
+/**
+ * 穩定的錯誤碼，--json 輸出與 CI 腳本依此判斷失敗原因
+ * 新增錯誤碼可以，但既有錯誤碼的名稱與意義不可變更
+ */
+const ERROR_CODES = {
+  MISSING_INPUT: 'E_MISSING_INPUT', // 非互動模式缺少必要輸入
+  INVALID_INPUT: 'E_INVALID_INPUT', // 輸入格式或值不正確
+  DIRECTORY_EXISTS: 'E_DIRECTORY_EXISTS', // 目標目錄已存在且未指定 --force
+  TEMPLATE_NOT_FOUND: 'E_TEMPLATE_NOT_FOUND',
+  FEATURE_INVALID: 'E_FEATURE_INVALID', // 附加元件不存在、不相容或與現有檔案衝突
+  CREATE_FAILED: 'E_CREATE_FAILED', // 建立流程中的某個階段失敗 (details.stage)
+  CHECK_FAILED: 'E_CHECK_FAILED', // doctor / status 檢查未通過，或 ai review 有達到 --fail-on 的問題
+  AI_FAILED: 'E_AI_FAILED',
+  COMMAND_FAILED: 'E_COMMAND_FAILED' // 未分類的錯誤
+}
+
+// 輸入類錯誤使用結束碼 2，其餘為 1
+const EXIT_CODES = {
+  [ERROR_CODES.MISSING_INPUT]: 2,
+  [ERROR_CODES.INVALID_INPUT]: 2
+}
+
+/**
+ * 帶有錯誤碼的 CLI 錯誤
+ */
+class MursfotoError extends Error {
+  constructor (code, message, details = {}) {
+    super(message)
+    this.name = 'MursfotoError'
+    this.code = code
+    this.details = details
+  }
+}
+
+function getErrorCode (error) {
+  return error instanceof MursfotoError ? error.code : ERROR_CODES.COMMAND_FAILED
+}
+
+function getExitCode (error) {
+  return EXIT_CODES[getErrorCode(error)] || 1
+}
+
+/**
+ * 轉成 JSON 輸出用的錯誤物件
+ */
+function toErrorPayload (error) {
+  const payload = {
+    code: getErrorCode(error),
+    message: error.message
+  }
+
+  const details = error instanceof MursfotoError ? { ...error.details } : {}
+  // 保留系統錯誤碼 (例如 ENOENT) 方便除錯
+  if (!(error instanceof MursfotoError) && error.code) {
+    details.cause = error.code
+  }
+  if (Object.keys(details).length > 0) {
+    payload.details = details
+  }
+
+  return payload
+}
+
+module.exports = {
+  ERROR_CODES,
+  MursfotoError,
+  getErrorCode,
+  getExitCode,
+  toErrorPayload
+}
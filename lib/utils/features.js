@@ -0,0 +1,314 @@
+const path = require('path')
+const { processTemplateString } = require('./helpers')
+const { vfs } = require('./vfs')
+const { listTemplates, getTemplate } = require('./template-registry')
+const { ERROR_CODES, MursfotoError } = require('./errors')
+
+// 伺服器檔案中標記已套用附加元件的註解
+const FEATURE_MARKER = '// mursfoto:feature'
+
+/**
+ * 列出所有附加元件 (來自 feature 類型模板的 addons)
+ */
+function listFeatures () {
+  return listTemplates({ type: 'feature' }).flatMap(template =>
+    Object.entries(template.addons).map(([name, addon]) => ({
+      ...addon,
+      name,
+      template: template.name,
+      templatePath: template.path
+    }))
+  )
+}
+
+function getFeature (featureName) {
+  return listFeatures().find(feature => feature.name === featureName) || null
+}
+
+/**
+ * 解析 --with 參數 ('mysql,auth' 或 ['mysql', 'auth'])
+ */
+function parseFeatureList (value) {
+  const items = Array.isArray(value) ? value : [value]
+  return items
+    .flatMap(item => String(item || '').split(','))
+    .map(item => item.trim())
+    .filter(Boolean)
+}
+
+/**
+ * 依 requires 展開並排序附加元件 (依賴在前)
+ */
+function resolveFeatures (featureNames) {
+  const order = []
+  const visiting = new Set()
+
+  const visit = (name, parent) => {
+    if (order.some(feature => feature.name === name)) return
+    if (visiting.has(name)) {
+      throw new MursfotoError(ERROR_CODES.FEATURE_INVALID, `附加元件依賴循環: ${name}`)
+    }
+
+    const feature = getFeature(name)
+    if (!feature) {
+      const available = listFeatures().map(item => item.name).join(', ')
+      throw new MursfotoError(ERROR_CODES.FEATURE_INVALID, `${parent ? `${parent} 依賴的` : ''}附加元件不存在: ${name}（可用: ${available}）`, { feature: name })
+    }
+
+    visiting.add(name)
+    for (const required of feature.requires || []) {
+      visit(required, name)
+    }
+    visiting.delete(name)
+    order.push(feature)
+  }
+
+  featureNames.forEach(name => visit(name))
+  return order
+}
+
+/**
+ * 檢查附加元件是否與專案模板相容
+ */
+function assertCompatible (templateName, features) {
+  const template = getTemplate(templateName)
+  if (!template) return
+
+  const incompatible = features.filter(feature => !template.features.includes(feature.template))
+  if (incompatible.length > 0) {
+    const names = incompatible.map(feature => feature.name).join(', ')
+    throw new MursfotoError(ERROR_CODES.FEATURE_INVALID, `模板 ${templateName} 不支援附加元件: ${names}（相容: ${template.features.join(', ') || '無'}）`, {
+      features: incompatible.map(feature => feature.name)
+    })
+  }
+}
+
+/**
+ * 由 package.json 建立附加元件的模板資料
+ */
+function buildFeatureData (projectPath, templateData = {}) {
+  const packagePath = path.join(projectPath, 'package.json')
+  const pkg = vfs.existsSync(packagePath) ? vfs.readJsonSync(packagePath) : {}
+  const projectName = templateData.projectName || pkg.name || path.basename(projectPath)
+  const projectNameKebab = templateData.projectNameKebab || projectName.toLowerCase().replace(/[_\s]+/g, '-')
+
+  return {
+    description: pkg.description || '',
+    ...templateData,
+    projectName,
+    projectNameKebab,
+    SERVICE_NAME: projectNameKebab
+  }
+}
+
+// 找出專案的伺服器入口檔
+function findServerFile (projectPath, pkg) {
+  const candidates = [pkg.main, 'server.js', 'src/backend/server.js', 'src/server.js', 'index.js'].filter(Boolean)
+  return candidates.find(candidate => vfs.existsSync(path.join(projectPath, candidate))) || null
+}
+
+function toRequirePath (fromFile, targetFile) {
+  const relative = path.relative(path.dirname(fromFile), targetFile).split(path.sep).join('/')
+  const withoutExt = relative.replace(/\.js$/, '')
+  return withoutExt.startsWith('.') ? withoutExt : `./${withoutExt}`
+}
+
+/**
+ * 規劃附加元件的變更 (不寫入磁碟)
+ * @returns {Object} { files, packageChanges, envLines, wiring, conflicts, warnings, skipped }
+ */
+function planFeatures (projectPath, features, data) {
+  const plan = {
+    files: [],
+    packageChanges: { dependencies: {}, devDependencies: {}, scripts: {} },
+    envLines: [],
+    wiring: { imports: [], blocks: [] },
+    conflicts: [],
+    warnings: [],
+    skipped: []
+  }
+
+  const packagePath = path.join(projectPath, 'package.json')
+  if (!vfs.existsSync(packagePath)) {
+    throw new Error(`找不到 package.json: ${projectPath}`)
+  }
+  const pkg = vfs.readJsonSync(packagePath)
+
+  const envPath = path.join(projectPath, '.env.example')
+  const envContent = vfs.existsSync(envPath) ? vfs.readFileSync(envPath, 'utf8') : ''
+  const envKeys = new Set(envContent.split('\n').map(line => line.split('=')[0].trim()).filter(Boolean))
+
+  const serverFile = findServerFile(projectPath, pkg)
+  const serverContent = serverFile ? vfs.readFileSync(path.join(projectPath, serverFile), 'utf8') : ''
+
+  for (const feature of features) {
+    // 1. 檔案
+    for (const [source, target] of Object.entries(feature.files || {})) {
+      const content = processTemplateString(vfs.readFileSync(path.join(feature.templatePath, source), 'utf8'), data)
+      const targetPath = path.join(projectPath, target)
+
+      if (plan.files.some(file => file.target === target)) continue
+
+      if (vfs.existsSync(targetPath)) {
+        if (vfs.readFileSync(targetPath, 'utf8') === content) {
+          plan.skipped.push(`${target} (已存在)`)
+        } else {
+          plan.conflicts.push(`${target} 已存在且內容不同 (${feature.name})`)
+          plan.files.push({ target, content, overwrite: true })
+        }
+        continue
+      }
+
+      plan.files.push({ target, content, overwrite: false })
+    }
+
+    // 2. package.json 依賴與腳本
+    for (const section of ['dependencies', 'devDependencies', 'scripts']) {
+      for (const [key, value] of Object.entries(feature[section] || {})) {
+        const existing = (pkg[section] || {})[key]
+        const planned = plan.packageChanges[section][key]
+        if (existing === undefined && planned === undefined) {
+          plan.packageChanges[section][key] = value
+        } else if (existing !== undefined && existing !== value) {
+          const warning = `${section}.${key} 已是 ${existing}，保留現有值 (${feature.name} 需要 ${value})`
+          if (!plan.warnings.some(item => item.startsWith(`${section}.${key} `))) plan.warnings.push(warning)
+        }
+      }
+    }
+
+    // 3. 環境變數範例
+    const newEnv = Object.entries(feature.env || {})
+      .filter(([key]) => !envKeys.has(key))
+      .map(([key, value]) => `${key}=${processTemplateString(String(value), data)}`)
+    if (newEnv.length > 0) {
+      plan.envLines.push(`\n# ${feature.name}`, ...newEnv)
+      Object.keys(feature.env).forEach(key => envKeys.add(key))
+    }
+
+    // 4. 伺服器接線
+    if (!feature.wiring) continue
+    if (!serverFile) {
+      plan.warnings.push(`找不到伺服器入口檔，請手動接線 ${feature.name}`)
+      continue
+    }
+    if (pkg.type === 'module') {
+      plan.warnings.push(`${serverFile} 使用 ES Module，請手動接線 ${feature.name}`)
+      continue
+    }
+    if (serverContent.includes(`${FEATURE_MARKER} ${feature.name}`)) {
+      plan.skipped.push(`${serverFile} 已接線 ${feature.name}`)
+      continue
+    }
+
+    for (const item of feature.wiring.imports || []) {
+      const line = `const ${item.name} = require('${toRequirePath(serverFile, item.path)}');`
+      if (!serverContent.includes(line)) {
+        plan.wiring.imports.push(line)
+      }
+    }
+    plan.wiring.blocks.push([
+      `${FEATURE_MARKER} ${feature.name}`,
+      ...(feature.wiring.setup || []).map(line => processTemplateString(line, data))
+    ].join('\n'))
+  }
+
+  plan.serverFile = serverFile
+  return plan
+}
+
+// 將 require 與設定區塊插入伺服器檔案
+function wireServer (content, imports, blocks) {
+  const lines = content.split('\n')
+
+  if (imports.length > 0) {
+    let lastRequire = -1
+    lines.forEach((line, index) => {
+      if (/^(const|let|var)\s.*require\(|^require\(/.test(line)) lastRequire = index
+    })
+    lines.splice(lastRequire + 1, 0, ...imports)
+  }
+
+  if (blocks.length > 0) {
+    // 插在 404 處理或 app.listen 之前，確保路由在萬用路由前註冊
+    const anchor = lines.findIndex(line => /^app\.use\(['"]\*['"]/.test(line) || /^\/\/.*404/.test(line))
+    const listen = lines.findIndex(line => /^(app|server)\.listen\(/.test(line))
+    const index = anchor !== -1 ? anchor : listen
+    if (index === -1) return null
+
+    lines.splice(index, 0, ...blocks.flatMap(block => [block, '']))
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * 將附加元件合併到專案
+ * 已存在且內容相同的部分會略過；檔案衝突時拒絕，除非 force
+ *
+ * @param {string} projectPath - 專案目錄
+ * @param {Array} featureNames - 附加元件名稱
+ * @param {Object} options - { templateName, templateData, force }
+ */
+async function applyFeatures (projectPath, featureNames, options = {}) {
+  const features = resolveFeatures(featureNames)
+  if (options.templateName) {
+    assertCompatible(options.templateName, features)
+  }
+
+  const data = buildFeatureData(projectPath, options.templateData)
+  const plan = planFeatures(projectPath, features, data)
+
+  if (plan.conflicts.length > 0 && !options.force) {
+    throw new MursfotoError(ERROR_CODES.FEATURE_INVALID, `附加元件與現有檔案衝突 (使用 --force 覆蓋):\n  ${plan.conflicts.join('\n  ')}`, {
+      conflicts: plan.conflicts
+    })
+  }
+
+  for (const file of plan.files) {
+    await vfs.outputFile(path.join(projectPath, file.target), file.content)
+  }
+
+  const packagePath = path.join(projectPath, 'package.json')
+  const pkg = await vfs.readJson(packagePath)
+  for (const [section, values] of Object.entries(plan.packageChanges)) {
+    if (Object.keys(values).length > 0) {
+      pkg[section] = { ...(pkg[section] || {}), ...values }
+    }
+  }
+  await vfs.writeJson(packagePath, pkg, { spaces: 2 })
+
+  if (plan.envLines.length > 0) {
+    await vfs.appendFile(path.join(projectPath, '.env.example'), `${plan.envLines.join('\n')}\n`)
+  }
+
+  let wiredFile = null
+  if (plan.serverFile && (plan.wiring.imports.length > 0 || plan.wiring.blocks.length > 0)) {
+    const serverPath = path.join(projectPath, plan.serverFile)
+    const wired = wireServer(await vfs.readFile(serverPath, 'utf8'), plan.wiring.imports, plan.wiring.blocks)
+    if (wired === null) {
+      plan.warnings.push(`無法在 ${plan.serverFile} 找到插入位置，請手動加入:\n${plan.wiring.imports.concat(plan.wiring.blocks).join('\n')}`)
+    } else {
+      await vfs.writeFile(serverPath, wired)
+      wiredFile = plan.serverFile
+    }
+  }
+
+  return {
+    features: features.map(feature => feature.name),
+    files: plan.files.map(file => file.target),
+    packageChanges: plan.packageChanges,
+    serverFile: wiredFile,
+    skipped: plan.skipped,
+    warnings: plan.warnings
+  }
+}
+
+module.exports = {
+  FEATURE_MARKER,
+  listFeatures,
+  getFeature,
+  parseFeatureList,
+  resolveFeatures,
+  assertCompatible,
+  applyFeatures
+}
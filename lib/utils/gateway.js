@@ -127,7 +127,11 @@ async function registerServiceToGateway(projectName, projectConfig = {}) {
     healthCheck: projectConfig.healthCheck || '/health'
   }
 
-  return await defaultGateway.registerService(serviceConfig)
+  const gateway = projectConfig.gatewayUrl && projectConfig.gatewayUrl !== defaultGateway.baseUrl
+    ? new GatewayManager({ baseUrl: projectConfig.gatewayUrl })
+    : defaultGateway
+
+  return await gateway.registerService(serviceConfig)
 }
 
 module.exports = {
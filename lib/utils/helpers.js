@@ -1,7 +1,7 @@
-const fs = require('fs-extra')
 const path = require('path')
 const chalk = require('chalk')
 const logger = require('./logger')
+const { vfs } = require('./vfs')
 
 /**
  * 驗證項目名稱
@@ -20,10 +20,10 @@ function validateProjectName (name) {
  */
 async function ensureDirectoryExists (dirPath, force = false) {
   try {
-    if (fs.existsSync(dirPath)) {
+    if (vfs.existsSync(dirPath)) {
       if (force) {
-        await fs.remove(dirPath)
-        await fs.ensureDir(dirPath)
+        await vfs.remove(dirPath)
+        await vfs.ensureDir(dirPath)
         return true
       } else {
         // 如果目錄已存在且不強制覆蓋，直接返回成功
@@ -31,7 +31,7 @@ async function ensureDirectoryExists (dirPath, force = false) {
       }
     }
 
-    await fs.ensureDir(dirPath)
+    await vfs.ensureDir(dirPath)
     return true
   } catch (error) {
     throw error
@@ -43,18 +43,18 @@ async function ensureDirectoryExists (dirPath, force = false) {
  */
 async function copyFileWithTemplate (sourcePath, targetPath, templateData) {
   try {
-    const content = await fs.readFile(sourcePath, 'utf8')
+    const content = await vfs.readFile(sourcePath, 'utf8')
     const processedContent = processTemplateString(content, templateData)
 
     // 確保目標目錄存在
-    await fs.ensureDir(path.dirname(targetPath))
+    await vfs.ensureDir(path.dirname(targetPath))
 
     // 寫入處理後的內容
-    await fs.writeFile(targetPath, processedContent, 'utf8')
+    await vfs.writeFile(targetPath, processedContent, 'utf8')
 
     // 複製文件權限
-    const stats = await fs.stat(sourcePath)
-    await fs.chmod(targetPath, stats.mode)
+    const stats = await vfs.stat(sourcePath)
+    await vfs.chmod(targetPath, stats.mode)
 
     return true
   } catch (error) {
@@ -91,6 +91,10 @@ function processTemplateString (content, data) {
     return str.toLowerCase()
   })
 
+  Handlebars.registerHelper('eq', function (a, b) {
+    return a === b
+  })
+
   try {
     const template = Handlebars.compile(content)
     return template(data)
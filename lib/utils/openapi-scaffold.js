@@ -0,0 +1,853 @@
+const { operationIdOf, operationsOf } = require('./openapi')
+const { protectedRegion } = require('./protected-regions')
+
+/**
+ * 由 OpenAPI 文件產生 Express 專案骨架 (規格優先)
+ * 路由、express-validator 驗證規則、模型與 supertest 測試完全由規格決定；
+ * 控制器內容、額外的中間件與模型方法寫在受保護區塊中，重新產生時保留
+ */
+
+const DATABASES = ['mongoose', 'mysql', 'none']
+
+const HEADER = '// 由 OpenAPI 規格產生：重新產生時會覆寫受保護區塊 (@mursfoto-protected) 以外的內容'
+
+// 模型不產生的欄位 (由資料庫或 timestamps 維護)
+const MANAGED_FIELDS = ['id', '_id', 'createdAt', 'updatedAt']
+
+// 字串格式對應的驗證規則
+const FORMAT_RULES = {
+  email: 'isEmail()',
+  uuid: 'isUUID()',
+  'date-time': 'isISO8601()',
+  date: 'isISO8601()',
+  uri: 'isURL()',
+  url: 'isURL()',
+  ipv4: 'isIP(4)',
+  ipv6: 'isIP(6)'
+}
+
+const FORMAT_SAMPLES = {
+  email: 'test@example.com',
+  uuid: '123e4567-e89b-42d3-a456-426614174000',
+  'date-time': '2024-01-01T00:00:00.000Z',
+  date: '2024-01-01',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  ipv4: '127.0.0.1',
+  ipv6: '::1'
+}
+
+// 控制器的預設內容
+function stubBody (operationId) {
+  return `res.status(501).json({ error: '尚未實作', operationId: '${operationId}' });`
+}
+
+/**
+ * 受保護區塊是否仍是產生時的預設內容 (空白或控制器的 501 回應)
+ * 重新產生時，已移除的操作若仍是預設內容就直接捨棄
+ */
+function isDefaultRegion (id, body) {
+  return !body.trim() || body.trim() === stubBody(id)
+}
+
+// ----- 規格解析 -----
+
+function resolveRef (document, schema, seen = new Set()) {
+  if (!schema || typeof schema.$ref !== 'string') return schema
+  if (seen.has(schema.$ref) || !schema.$ref.startsWith('#/')) return {}
+  const target = schema.$ref.slice(2).split('/')
+    .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => node?.[key], document)
+  return resolveRef(document, target, new Set([...seen, schema.$ref])) || {}
+}
+
+// 解析 $ref 並合併 allOf；oneOf / anyOf 取第一個選項
+function normalize (document, schema) {
+  const resolved = resolveRef(document, schema)
+  if (!resolved) return null
+  if (resolved.allOf) {
+    const parts = resolved.allOf.map(part => normalize(document, part) || {})
+    const { allOf, ...rest } = resolved
+    return parts.reduce((merged, part) => ({
+      ...part,
+      ...merged,
+      properties: { ...merged.properties, ...part.properties },
+      required: [...(merged.required || []), ...(part.required || [])]
+    }), { type: 'object', ...rest })
+  }
+  const option = resolved.oneOf?.[0] || resolved.anyOf?.[0]
+  return option ? { ...normalize(document, option), ...resolved, oneOf: undefined, anyOf: undefined } : resolved
+}
+
+// 3.1 的 type 可以是陣列 (例如 ['string', 'null'])
+function typeOf (schema) {
+  if (!schema) return null
+  const type = [].concat(schema.type || []).find(item => item !== 'null')
+  if (type) return type
+  if (schema.properties) return 'object'
+  if (schema.items) return 'array'
+  if (schema.enum?.length) return typeof schema.enum[0] === 'number' ? 'number' : typeof schema.enum[0]
+  return null
+}
+
+// #/components/schemas/User → User
+function refName (schema) {
+  const match = typeof schema?.$ref === 'string' && schema.$ref.match(/^#\/components\/schemas\/([^/]+)$/)
+  return match ? match[1] : null
+}
+
+function identifier (text) {
+  const words = String(text).split(/[^A-Za-z0-9_$]+/).filter(Boolean)
+  const name = words.map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))).join('')
+  return /^[A-Za-z_$]/.test(name) ? name : `_${name}`
+}
+
+// 標籤或結構名稱轉檔名：UserProfile → user-profile
+function fileName (text) {
+  return String(text).replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'default'
+}
+
+function tableName (name) {
+  const snake = fileName(name).replace(/-/g, '_')
+  if (snake.endsWith('s')) return snake
+  return snake.endsWith('y') ? `${snake.slice(0, -1)}ies` : `${snake}s`
+}
+
+// 輸出 JS 字面值 (單引號字串、未加引號的合法鍵名)
+function literal (value) {
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`
+  if (Array.isArray(value)) return `[${value.map(literal).join(', ')}]`
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined)
+    if (entries.length === 0) return '{}'
+    return `{ ${entries.map(([key, item]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : literal(key)}: ${literal(item)}`).join(', ')} }`
+  }
+  return String(value)
+}
+
+// 排序時靜態路徑排在參數路徑之前：/users/me 要在 /users/:id 之前註冊
+function routeOrder (a, b) {
+  const key = operation => operation.expressPath.split('/').map(segment => (segment.startsWith(':') ? '\uffff' : segment)).join('/')
+  return key(a).localeCompare(key(b))
+}
+
+/**
+ * 整理規格中的操作：參數 (操作層級覆寫路徑層級)、JSON 請求內容與回應狀態碼
+ */
+function collectOperations (document, warnings) {
+  const used = new Set()
+  const operations = []
+
+  for (const { method, path: openapiPath, operation, parameters } of operationsOf(document).values()) {
+    const base = identifier(operation.operationId || operationIdOf(method, openapiPath))
+    let id = base
+    for (let index = 2; used.has(id); index++) id = `${base}${index}`
+    used.add(id)
+
+    const byKey = new Map()
+    for (const parameter of parameters.map(item => resolveRef(document, item))) {
+      if (!parameter?.name || parameter.in === 'cookie') continue
+      byKey.set(`${parameter.in}:${parameter.name}`, {
+        name: parameter.in === 'path' ? parameter.name.replace(/\W/g, '_') : parameter.name,
+        in: parameter.in,
+        required: parameter.in === 'path' || Boolean(parameter.required),
+        schema: normalize(document, parameter.schema) || {}
+      })
+    }
+
+    let body = null
+    const requestBody = resolveRef(document, operation.requestBody)
+    if (requestBody?.content) {
+      const media = requestBody.content['application/json']
+      if (media) {
+        body = { required: Boolean(requestBody.required), schema: normalize(document, media.schema) || {} }
+      } else {
+        warnings.push(`${method.toUpperCase()} ${openapiPath} 的請求內容不是 application/json，未產生驗證規則`)
+      }
+    }
+
+    const expressPath = openapiPath.replace(/\{([^}]+)\}/g, (match, name) => `:${name.replace(/\W/g, '_')}`)
+    operations.push({
+      id,
+      method,
+      path: openapiPath,
+      expressPath,
+      tag: operation.tags?.[0] || openapiPath.split('/').find(segment => segment && !segment.startsWith('{')) || 'default',
+      summary: operation.summary,
+      deprecated: Boolean(operation.deprecated),
+      parameters: [...byKey.values()],
+      body,
+      statuses: Object.keys(operation.responses || {}).filter(status => /^\d{3}$/.test(status)).map(Number)
+    })
+  }
+
+  return operations
+}
+
+// servers[0].url 的路徑作為掛載前綴：https://api.example.com/v1 → /v1
+function basePathOf (document, warnings) {
+  const url = document.servers?.[0]?.url
+  if (!url) return ''
+  if (url.includes('{')) {
+    warnings.push(`servers 網址含有變數，未使用其路徑作為前綴: ${url}`)
+    return ''
+  }
+  return new URL(url, 'http://localhost').pathname.replace(/\/+$/, '')
+}
+
+// ----- 驗證規則 -----
+
+function validatorChain (location, field, schema, required) {
+  // 可為 null 的欄位 (type 含 'null' 或 3.0 的 nullable)：選填時 null 視同未提供，必填時只檢查存在
+  const nullable = [].concat(schema.type || []).includes('null') || schema.nullable === true
+  if (nullable && required) return `${location}(${literal(field)}).exists()`
+
+  const rules = []
+  if (location !== 'param') rules.push(required ? 'exists()' : nullable ? "optional({ values: 'null' })" : 'optional()')
+
+  const range = (min, max) => literal({ min, max }).replace(/^\{\}$/, '')
+  switch (typeOf(schema)) {
+    case 'integer':
+      rules.push(`isInt(${range(schema.minimum, schema.maximum)})`, 'toInt()')
+      break
+    case 'number':
+      rules.push(`isFloat(${range(schema.minimum, schema.maximum)})`, 'toFloat()')
+      break
+    case 'boolean':
+      rules.push('isBoolean()', 'toBoolean()')
+      break
+    case 'array':
+      rules.push(`isArray(${range(schema.minItems, schema.maxItems)})`)
+      break
+    case 'object':
+      rules.push('isObject()')
+      break
+    case 'string':
+      rules.push(FORMAT_RULES[schema.format] || 'isString()')
+      if (schema.minLength !== undefined || schema.maxLength !== undefined) rules.push(`isLength(${range(schema.minLength, schema.maxLength)})`)
+      if (schema.pattern) rules.push(`matches(${literal(schema.pattern)})`)
+      break
+  }
+  if (schema.enum?.length) rules.push(`isIn(${literal(schema.enum)})`)
+
+  return `${location}(${literal(field)}).${rules.join('.')}`
+}
+
+// 請求內容的欄位 (含巢狀物件與物件陣列，最多三層)；父層選填時子欄位也視為選填
+function bodyChains (document, schema, prefix = '', parentRequired = true, depth = 0) {
+  const chains = []
+  const required = new Set(schema.required || [])
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const field = prefix ? `${prefix}.${name}` : name
+    const fieldSchema = normalize(document, property) || {}
+    const isRequired = parentRequired && required.has(name)
+    if (fieldSchema.readOnly) continue
+    chains.push(validatorChain('body', field, fieldSchema, isRequired))
+
+    if (depth >= 2) continue
+    if (typeOf(fieldSchema) === 'object') {
+      chains.push(...bodyChains(document, fieldSchema, field, isRequired, depth + 1))
+    } else if (typeOf(fieldSchema) === 'array') {
+      const items = normalize(document, fieldSchema.items)
+      if (typeOf(items) === 'object') chains.push(...bodyChains(document, items, `${field}.*`, true, depth + 1))
+    }
+  }
+  return chains
+}
+
+const LOCATIONS = { path: 'param', query: 'query', header: 'header' }
+
+function operationChains (document, operation) {
+  const chains = operation.parameters.map(parameter => validatorChain(LOCATIONS[parameter.in], parameter.name, parameter.schema, parameter.required))
+  if (operation.body && typeOf(operation.body.schema) === 'object') {
+    chains.push(...bodyChains(document, operation.body.schema, '', true))
+  }
+  return chains
+}
+
+// ----- 範例值 (測試用) -----
+
+function sampleOf (document, schema, depth = 0) {
+  schema = normalize(document, schema)
+  if (!schema) return 'test'
+  if (schema.example !== undefined) return schema.example
+  if (schema.examples?.length) return schema.examples[0]
+  if (schema.default !== undefined) return schema.default
+  if (schema.const !== undefined) return schema.const
+  if (schema.enum?.length) return schema.enum[0]
+
+  switch (typeOf(schema)) {
+    case 'integer':
+    case 'number':
+      return typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum + 1 : schema.minimum ?? 1
+    case 'boolean':
+      return true
+    case 'array':
+      return depth > 2 ? [] : Array.from({ length: Math.max(schema.minItems || 0, 1) }, () => sampleOf(document, schema.items, depth + 1))
+    case 'object':
+      return depth > 2
+        ? {}
+        : Object.fromEntries(Object.entries(schema.properties || {})
+          .filter(([, property]) => !resolveRef(document, property)?.readOnly)
+          .map(([name, property]) => [name, sampleOf(document, property, depth + 1)]))
+    default:
+      if (FORMAT_SAMPLES[schema.format]) return FORMAT_SAMPLES[schema.format]
+      return 'test'.padEnd(schema.minLength || 0, 'x').slice(0, schema.maxLength ?? undefined)
+  }
+}
+
+// ----- 檔案 -----
+
+function docComment (operation, lines = []) {
+  const title = `${operation.method.toUpperCase()} ${operation.path}${operation.summary ? ` - ${operation.summary.split('\n')[0]}` : ''}`
+  return ['/**', ` * ${title}`, ...lines.map(line => ` * ${line}`), ...(operation.deprecated ? [' * @deprecated'] : []), ' */']
+}
+
+function renderApp (tags, basePath) {
+  const prefix = basePath ? `${literal(basePath)}, ` : ''
+  return [
+    HEADER,
+    "const express = require('express');",
+    "const cors = require('cors');",
+    "const helmet = require('helmet');",
+    "const rateLimit = require('express-rate-limit');",
+    protectedRegion('imports', ''),
+    '',
+    'const app = express();',
+    '',
+    'app.use(helmet());',
+    'app.use(cors());',
+    'app.use(express.json());',
+    'app.use(rateLimit({ windowMs: 15 * 60 * 1000, max: 100 }));',
+    protectedRegion('middleware', ''),
+    '',
+    ...tags.map(tag => `app.use(${prefix}require('./routes/${fileName(tag)}'));`),
+    protectedRegion('routes', ''),
+    '',
+    "app.use((req, res) => res.status(404).json({ error: '找不到資源' }));",
+    '',
+    '// eslint-disable-next-line no-unused-vars',
+    'app.use((err, req, res, next) => {',
+    '  console.error(err);',
+    "  res.status(err.status || 500).json({ error: err.status ? err.message : '伺服器內部錯誤' });",
+    '});',
+    '',
+    'module.exports = app;',
+    ''
+  ].join('\n')
+}
+
+function renderServer (database) {
+  const lines = [
+    HEADER,
+    "require('dotenv').config();",
+    ...(database === 'mongoose' ? ["const mongoose = require('mongoose');"] : []),
+    "const app = require('./app');",
+    '',
+    'const PORT = process.env.PORT || 3000;',
+    ''
+  ]
+  const listen = ['app.listen(PORT, () => {', '  console.log(`🚀 伺服器運行於 http://localhost:${PORT}`);', '});']
+
+  if (database === 'mongoose') {
+    lines.push(
+      'mongoose.connect(process.env.MONGODB_URI)',
+      '  .then(() => {',
+      ...listen.map(line => `    ${line}`),
+      '  })',
+      '  .catch((error) => {',
+      "    console.error('資料庫連線失敗:', error.message);",
+      '    process.exit(1);',
+      '  });'
+    )
+  } else {
+    lines.push(...listen)
+  }
+  return `${lines.join('\n')}\n`
+}
+
+function renderValidate () {
+  return [
+    HEADER,
+    "const { validationResult } = require('express-validator');",
+    '',
+    '// 驗證失敗時回傳 400 與錯誤清單',
+    'module.exports = function validate(req, res, next) {',
+    '  const result = validationResult(req);',
+    '  if (result.isEmpty()) return next();',
+    "  res.status(400).json({ error: '請求驗證失敗', details: result.array() });",
+    '};',
+    ''
+  ].join('\n')
+}
+
+function renderValidators (operations, chains) {
+  const used = ['body', 'header', 'param', 'query'].filter(name => operations.some(operation => chains.get(operation.id).some(chain => chain.startsWith(`${name}(`))))
+  return [
+    HEADER,
+    `const { ${used.join(', ')} } = require('express-validator');`,
+    '',
+    'module.exports = {',
+    operations.filter(operation => chains.get(operation.id).length > 0).map(operation => [
+      `  ${operation.id}: [`,
+      chains.get(operation.id).map(chain => `    ${chain}`).join(',\n'),
+      '  ]'
+    ].join('\n')).join(',\n'),
+    '};',
+    ''
+  ].join('\n')
+}
+
+function renderRoutes (tag, operations, chains) {
+  const name = fileName(tag)
+  const hasValidators = operations.some(operation => chains.get(operation.id).length > 0)
+  const routes = operations.map(operation => {
+    const handlers = chains.get(operation.id).length > 0
+      ? [`validators.${operation.id}`, 'validate', `controller.${operation.id}`]
+      : [`controller.${operation.id}`]
+    // 只有規格有 summary 時才加註解，openapi generate 會把註解第一行當作 summary
+    return [...(operation.summary ? docComment(operation) : []), `router.${operation.method}(${literal(operation.expressPath)}, ${handlers.join(', ')});`].join('\n')
+  })
+
+  return [
+    HEADER,
+    "const express = require('express');",
+    ...(hasValidators ? ["const validate = require('../middleware/validate');", `const validators = require('../validators/${name}');`] : []),
+    `const controller = require('../controllers/${name}');`,
+    protectedRegion('imports', ''),
+    '',
+    'const router = express.Router();',
+    '',
+    '// 作用於此檔案所有路由的中間件 (例如驗證身分)',
+    protectedRegion('middleware', ''),
+    '',
+    routes.join('\n\n'),
+    '',
+    'module.exports = router;',
+    ''
+  ].join('\n')
+}
+
+function renderController (operations) {
+  const handlers = operations.map(operation => [
+    ...docComment(operation, [`回應: ${operation.statuses.join(', ') || '(未列出)'}`]),
+    `async function ${operation.id}(req, res, next) {`,
+    '  try {',
+    protectedRegion(operation.id, stubBody(operation.id), { indent: '    ' }),
+    '  } catch (error) {',
+    '    next(error);',
+    '  }',
+    '}'
+  ].join('\n'))
+
+  return [
+    HEADER,
+    protectedRegion('imports', ''),
+    '',
+    handlers.join('\n\n'),
+    '',
+    'module.exports = {',
+    operations.map(operation => `  ${operation.id}`).join(',\n'),
+    '};',
+    ''
+  ].join('\n')
+}
+
+function renderTests (document, operations, basePath) {
+  const blocks = operations.map(operation => {
+    const url = basePath + operation.path.replace(/\{([^}]+)\}/g, (match, name) => {
+      const parameter = operation.parameters.find(item => item.in === 'path' && item.name === name.replace(/\W/g, '_'))
+      return encodeURIComponent(String(sampleOf(document, parameter?.schema)))
+    })
+    const sample = location => Object.fromEntries(operation.parameters
+      .filter(parameter => parameter.in === location && parameter.required)
+      .map(parameter => [parameter.name, sampleOf(document, parameter.schema)]))
+    const query = sample('query')
+    const headers = sample('header')
+    const body = operation.body ? sampleOf(document, operation.body.schema) : null
+
+    const call = [
+      '    const response = await request(app)',
+      `      .${operation.method}(${literal(url)})`,
+      ...(Object.keys(query).length ? [`      .query(${literal(query)})`] : []),
+      ...(Object.keys(headers).length ? [`      .set(${literal(headers)})`] : []),
+      ...(body !== null ? [`      .send(${literal(body)})`] : [])
+    ]
+    call[call.length - 1] += ';'
+
+    const expected = [...new Set([...operation.statuses, 501])].sort((a, b) => a - b)
+    const tests = [
+      "  test('回應規格中列出的狀態碼 (尚未實作時為 501)', async () => {",
+      ...call,
+      `    expect(${literal(expected)}).toContain(response.status);`,
+      '  });'
+    ]
+
+    const schema = operation.body && typeOf(operation.body.schema) === 'object' ? operation.body.schema : {}
+    const requiredFields = (schema.required || []).filter(name => schema.properties?.[name] && !normalize(document, schema.properties[name])?.readOnly)
+    if (requiredFields.length > 0) {
+      tests.push(
+        '',
+        "  test('缺少必填欄位時回傳 400', async () => {",
+        `    const response = await request(app).${operation.method}(${literal(url)}).send({});`,
+        '    expect(response.status).toBe(400);',
+        '  });'
+      )
+    }
+
+    return [`describe(${literal(`${operation.method.toUpperCase()} ${operation.path}`)}, () => {`, ...tests, '});'].join('\n')
+  })
+
+  return [
+    HEADER,
+    "const request = require('supertest');",
+    "const app = require('../app');",
+    '',
+    blocks.join('\n\n'),
+    '',
+    '// 自訂測試',
+    protectedRegion('tests', ''),
+    ''
+  ].join('\n')
+}
+
+// ----- 模型 -----
+
+// components.schemas 中的物件結構；只被其他結構以 allOf 擴充的基底 (例如 NewPet) 不產生模型
+function modelSchemas (document) {
+  const schemas = document.components?.schemas || {}
+  const bases = new Set(Object.values(schemas).flatMap(schema => (schema?.allOf || []).map(refName).filter(Boolean)))
+  return Object.entries(schemas)
+    .filter(([name]) => !bases.has(name))
+    .map(([name, schema]) => ({ name: identifier(name), source: name, schema: normalize(document, schema) }))
+    .filter(({ schema }) => typeOf(schema) === 'object' && Object.keys(schema.properties || {}).length > 0)
+}
+
+function isModelRef (document, schema) {
+  return Boolean(refName(schema)) && typeOf(normalize(document, schema)) === 'object'
+}
+
+function mongooseType (document, schema) {
+  if (isModelRef(document, schema)) return 'mongoose.Schema.Types.ObjectId'
+  const resolved = normalize(document, schema) || {}
+  switch (typeOf(resolved)) {
+    case 'string':
+      return ['date', 'date-time'].includes(resolved.format) ? 'Date' : 'String'
+    case 'integer':
+    case 'number':
+      return 'Number'
+    case 'boolean':
+      return 'Boolean'
+    case 'array':
+      return isModelRef(document, resolved.items)
+        ? `[{ type: mongoose.Schema.Types.ObjectId, ref: ${literal(identifier(refName(resolved.items)))} }]`
+        : `[${mongooseType(document, resolved.items)}]`
+    default:
+      return 'mongoose.Schema.Types.Mixed'
+  }
+}
+
+function mongooseField (document, schema, required) {
+  const resolved = normalize(document, schema) || {}
+  const options = [`type: ${mongooseType(document, schema)}`]
+  if (isModelRef(document, schema)) options.push(`ref: ${literal(identifier(refName(schema)))}`)
+  if (required) options.push('required: true')
+  if (resolved.enum?.length) options.push(`enum: ${literal(resolved.enum)}`)
+  if (resolved.default !== undefined) options.push(`default: ${literal(resolved.default)}`)
+  if (typeOf(resolved) === 'string') {
+    if (resolved.minLength !== undefined) options.push(`minlength: ${resolved.minLength}`)
+    if (resolved.maxLength !== undefined) options.push(`maxlength: ${resolved.maxLength}`)
+    if (resolved.format === 'email') options.push('lowercase: true', 'trim: true')
+  }
+  if (['integer', 'number'].includes(typeOf(resolved))) {
+    if (resolved.minimum !== undefined) options.push(`min: ${resolved.minimum}`)
+    if (resolved.maximum !== undefined) options.push(`max: ${resolved.maximum}`)
+  }
+  return `{ ${options.join(', ')} }`
+}
+
+function renderMongooseModel (document, { name, schema }) {
+  const required = new Set(schema.required || [])
+  const fields = Object.entries(schema.properties)
+    .filter(([field]) => !MANAGED_FIELDS.includes(field))
+    .map(([field, property]) => `  ${/^[A-Za-z_$][\w$]*$/.test(field) ? field : literal(field)}: ${mongooseField(document, property, required.has(field))}`)
+
+  return [
+    HEADER,
+    "const mongoose = require('mongoose');",
+    '',
+    `const ${name}Schema = new mongoose.Schema({`,
+    fields.join(',\n'),
+    '}, { timestamps: true });',
+    '',
+    '// 索引、虛擬欄位與方法',
+    protectedRegion('schema', ''),
+    '',
+    `module.exports = mongoose.model(${literal(name)}, ${name}Schema);`,
+    ''
+  ].join('\n')
+}
+
+function sqlColumn (document, field, schema, required) {
+  const resolved = normalize(document, schema) || {}
+  let type
+  if (isModelRef(document, schema)) {
+    type = 'INT'
+  } else {
+    switch (typeOf(resolved)) {
+      case 'string':
+        if (resolved.enum?.length) type = `ENUM(${resolved.enum.map(value => `'${String(value).replace(/'/g, "''")}'`).join(', ')})`
+        else if (resolved.format === 'date-time') type = 'DATETIME'
+        else if (resolved.format === 'date') type = 'DATE'
+        else type = resolved.maxLength > 65535 ? 'TEXT' : `VARCHAR(${resolved.maxLength || 255})`
+        break
+      case 'integer':
+        type = resolved.format === 'int64' ? 'BIGINT' : 'INT'
+        break
+      case 'number':
+        type = 'DOUBLE'
+        break
+      case 'boolean':
+        type = 'TINYINT(1)'
+        break
+      default:
+        type = 'JSON'
+    }
+  }
+
+  const parts = [`\`${field}\``, type]
+  if (required) parts.push('NOT NULL')
+  if (resolved.default !== undefined && ['string', 'number', 'boolean'].includes(typeof resolved.default)) {
+    parts.push(`DEFAULT ${typeof resolved.default === 'string' ? `'${resolved.default.replace(/'/g, "''")}'` : Number(resolved.default)}`)
+  }
+  return { sql: parts.join(' '), json: type === 'JSON' }
+}
+
+function mysqlColumns (document, schema) {
+  const required = new Set(schema.required || [])
+  return Object.entries(schema.properties)
+    .filter(([field]) => !MANAGED_FIELDS.includes(field))
+    .map(([field, property]) => ({ field, ...sqlColumn(document, field, property, required.has(field)) }))
+}
+
+function renderSchemaSql (document, models) {
+  const tables = models.map(model => [
+    `CREATE TABLE IF NOT EXISTS \`${tableName(model.source)}\` (`,
+    [
+      '  `id` INT AUTO_INCREMENT PRIMARY KEY',
+      ...mysqlColumns(document, model.schema).map(column => `  ${column.sql}`),
+      '  `createdAt` DATETIME DEFAULT CURRENT_TIMESTAMP',
+      '  `updatedAt` DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+    ].join(',\n'),
+    ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;'
+  ].join('\n'))
+
+  return [
+    '-- 由 OpenAPI 規格產生：重新產生時會覆寫受保護區塊 (@mursfoto-protected) 以外的內容',
+    '',
+    tables.join('\n\n'),
+    '',
+    '-- 索引、外鍵與其他資料表',
+    protectedRegion('custom', '', { comment: '--' }),
+    ''
+  ].join('\n')
+}
+
+function renderPool () {
+  return [
+    HEADER,
+    "const mysql = require('mysql2/promise');",
+    '',
+    'module.exports = mysql.createPool({',
+    "  host: process.env.DB_HOST || 'localhost',",
+    '  port: Number(process.env.DB_PORT) || 3306,',
+    '  user: process.env.DB_USER,',
+    '  password: process.env.DB_PASSWORD,',
+    '  database: process.env.DB_NAME,',
+    '  waitForConnections: true,',
+    '  connectionLimit: 10',
+    '});',
+    ''
+  ].join('\n')
+}
+
+// 各模型共用的資料表存取 (以 ?? 與 ? 參數化資料表名稱與值)
+function renderRepository () {
+  return [
+    HEADER,
+    "const pool = require('./pool');",
+    '',
+    'module.exports = function createRepository(table, { columns, json = [] }) {',
+    '  // 只寫入規格中的欄位，JSON 欄位先序列化',
+    '  function pick(data) {',
+    '    return Object.fromEntries(columns',
+    '      .filter((column) => data[column] !== undefined)',
+    '      .map((column) => [column, json.includes(column) ? JSON.stringify(data[column]) : data[column]]));',
+    '  }',
+    '',
+    '  async function findById(id) {',
+    "    const [rows] = await pool.query('SELECT * FROM ?? WHERE id = ?', [table, id]);",
+    '    return rows[0] || null;',
+    '  }',
+    '',
+    '  return {',
+    '    findById,',
+    '',
+    '    async findAll({ limit = 50, offset = 0 } = {}) {',
+    "      const [rows] = await pool.query('SELECT * FROM ?? ORDER BY id LIMIT ? OFFSET ?', [table, Number(limit), Number(offset)]);",
+    '      return rows;',
+    '    },',
+    '',
+    '    async create(data) {',
+    "      const [result] = await pool.query('INSERT INTO ?? SET ?', [table, pick(data)]);",
+    '      return findById(result.insertId);',
+    '    },',
+    '',
+    '    async update(id, data) {',
+    '      const fields = pick(data);',
+    '      if (Object.keys(fields).length === 0) return findById(id);',
+    "      const [result] = await pool.query('UPDATE ?? SET ? WHERE id = ?', [table, fields, id]);",
+    '      return result.affectedRows > 0 ? findById(id) : null;',
+    '    },',
+    '',
+    '    async remove(id) {',
+    "      const [result] = await pool.query('DELETE FROM ?? WHERE id = ?', [table, id]);",
+    '      return result.affectedRows > 0;',
+    '    }',
+    '  };',
+    '};',
+    ''
+  ].join('\n')
+}
+
+function renderMysqlModel (document, { name, source, schema }) {
+  const columns = mysqlColumns(document, schema)
+  return [
+    HEADER,
+    "const createRepository = require('../db/repository');",
+    '',
+    `const ${name} = createRepository(${literal(tableName(source))}, {`,
+    `  columns: ${literal(columns.map(column => column.field))},`,
+    `  json: ${literal(columns.filter(column => column.json).map(column => column.field))}`,
+    '});',
+    '',
+    '// 自訂查詢方法',
+    protectedRegion('methods', ''),
+    '',
+    `module.exports = ${name};`,
+    ''
+  ].join('\n')
+}
+
+// ----- 專案設定 -----
+
+function renderPackage (document, database) {
+  const dependencies = {
+    cors: '^2.8.5',
+    dotenv: '^16.3.1',
+    express: '^4.18.2',
+    'express-rate-limit': '^7.1.5',
+    'express-validator': '^7.0.1',
+    helmet: '^7.1.0'
+  }
+  if (database === 'mongoose') dependencies.mongoose = '^8.0.3'
+  if (database === 'mysql') dependencies.mysql2 = '^3.6.5'
+
+  const pkg = {
+    name: fileName(document.info?.title || 'api'),
+    version: document.info?.version || '1.0.0',
+    description: document.info?.description?.split('\n')[0] || '由 OpenAPI 規格產生的 Express API',
+    main: 'server.js',
+    scripts: {
+      start: 'node server.js',
+      dev: 'nodemon server.js',
+      test: 'jest'
+    },
+    dependencies: Object.fromEntries(Object.entries(dependencies).sort()),
+    devDependencies: {
+      jest: '^29.7.0',
+      nodemon: '^3.0.1',
+      supertest: '^6.3.3'
+    },
+    jest: {
+      testEnvironment: 'node'
+    }
+  }
+  return `${JSON.stringify(pkg, null, 2)}\n`
+}
+
+function renderEnv (database) {
+  const lines = ['PORT=3000', 'NODE_ENV=development']
+  if (database === 'mongoose') lines.push('MONGODB_URI=mongodb://localhost:27017/app')
+  if (database === 'mysql') lines.push('DB_HOST=localhost', 'DB_PORT=3306', 'DB_USER=app', 'DB_PASSWORD=', 'DB_NAME=app')
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * 由 OpenAPI 文件產生 Express 專案
+ * 每個標籤 (沒有標籤時為路徑第一段) 產生一組 routes / validators / controllers / tests；
+ * components.schemas 中的物件結構依 database 產生 Mongoose 模型或 MySQL 資料表與存取模組
+ *
+ * @param {Object} document - OpenAPI 3.x 文件 (JSON)
+ * @param {Object} options - { database: 'mongoose' | 'mysql' | 'none' }
+ * @returns {{ files, tests, operations: number, models: number, warnings: string[] }}
+ */
+function scaffoldFromSpec (document, { database = 'mongoose' } = {}) {
+  if (!DATABASES.includes(database)) {
+    throw new Error(`不支援的資料庫: ${database} (可用: ${DATABASES.join(', ')})`)
+  }
+
+  const warnings = []
+  const operations = collectOperations(document, warnings)
+  const basePath = basePathOf(document, warnings)
+  const chains = new Map(operations.map(operation => [operation.id, operationChains(document, operation)]))
+
+  const byTag = new Map()
+  for (const operation of operations) {
+    const tag = fileName(operation.tag)
+    if (!byTag.has(tag)) byTag.set(tag, { tag: operation.tag, operations: [] })
+    byTag.get(tag).operations.push(operation)
+  }
+  const groups = [...byTag.values()].sort((a, b) => fileName(a.tag).localeCompare(fileName(b.tag)))
+
+  const files = {
+    'app.js': renderApp(groups.map(group => group.tag), basePath),
+    'server.js': renderServer(database),
+    'package.json': renderPackage(document, database),
+    '.env.example': renderEnv(database),
+    'middleware/validate.js': renderValidate()
+  }
+  const tests = {}
+
+  for (const { tag, operations: tagOperations } of groups) {
+    const name = fileName(tag)
+    const sorted = [...tagOperations].sort(routeOrder)
+    files[`routes/${name}.js`] = renderRoutes(tag, sorted, chains)
+    files[`controllers/${name}.js`] = renderController(tagOperations)
+    if (sorted.some(operation => chains.get(operation.id).length > 0)) {
+      files[`validators/${name}.js`] = renderValidators(tagOperations, chains)
+    }
+    tests[`tests/${name}.test.js`] = renderTests(document, tagOperations, basePath)
+  }
+
+  const models = database === 'none' ? [] : modelSchemas(document)
+  for (const model of models) {
+    files[`models/${model.name}.js`] = database === 'mongoose' ? renderMongooseModel(document, model) : renderMysqlModel(document, model)
+  }
+  if (database === 'mysql') {
+    files['db/pool.js'] = renderPool()
+    files['db/repository.js'] = renderRepository()
+    files['db/schema.sql'] = renderSchemaSql(document, models)
+  }
+
+  return { files, tests, operations: operations.length, models: models.length, warnings }
+}
+
+module.exports = {
+  DATABASES,
+  isDefaultRegion,
+  fileName,
+  literal,
+  sampleOf,
+  scaffoldFromSpec
+}
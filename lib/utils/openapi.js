@@ -0,0 +1,653 @@
+const fs = require('fs-extra')
+const path = require('path')
+const { parseSource, walk } = require('./code-quality')
+
+/**
+ * OpenAPI 3.1 文件
+ * 由路由清單產生路徑與操作：參數與請求內容取自驗證規則，以及處理函式 (含同檔案的中間件) 讀取的
+ * req.body / req.query / req.headers；回應結構取自 res.status(...).json({...}) 的物件字面值。
+ * diffSpecs 比較兩個版本的文件並標示破壞性變更
+ */
+
+const OPENAPI_VERSION = '3.1.0'
+// router.all 展開成的方法
+const ALL_METHODS = ['get', 'post', 'put', 'patch', 'delete']
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head']
+const BODY_METHODS = ['post', 'put', 'patch']
+const REQUEST_SOURCES = ['body', 'query', 'params', 'headers']
+// 不列為參數的一般標頭
+const COMMON_HEADERS = new Set(['user-agent', 'content-type', 'content-length', 'accept', 'host', 'origin', 'referer', 'x-forwarded-for', 'x-real-ip'])
+
+const STATUS_DESCRIPTIONS = {
+  200: '成功',
+  201: '已建立',
+  202: '已接受',
+  204: '沒有內容',
+  400: '請求格式錯誤',
+  401: '未授權',
+  403: '禁止存取',
+  404: '找不到資源',
+  409: '資源衝突',
+  422: '驗證失敗',
+  429: '請求過於頻繁',
+  500: '伺服器錯誤',
+  502: '上游服務錯誤',
+  503: '服務無法使用',
+  default: '其他回應'
+}
+
+// 驗證規則對應的 JSON Schema，依序比對 (integer 在 number 之前)
+const RULE_SCHEMAS = [
+  [/^(isEmail|email)$/, { type: 'string', format: 'email' }],
+  [/^(isURL|uri|url)$/, { type: 'string', format: 'uri' }],
+  [/^(isUUID|uuid|guid)$/, { type: 'string', format: 'uuid' }],
+  [/^(isISO8601|isDate|date|iso)$/, { type: 'string', format: 'date-time' }],
+  [/^(isInt|integer|toInt)$/, { type: 'integer' }],
+  [/^(isNumeric|isFloat|isDecimal|number|toFloat)$/, { type: 'number' }],
+  [/^(isBoolean|boolean|toBoolean)$/, { type: 'boolean' }],
+  [/^(isArray|array)$/, { type: 'array' }],
+  [/^(isObject|object)$/, { type: 'object' }],
+  [/^(isString|string|isLength|isAlpha|isAlphanumeric|notEmpty)$/, { type: 'string' }]
+]
+
+function schemaFromRules (rules = []) {
+  const match = RULE_SCHEMAS.find(([pattern]) => rules.some(rule => pattern.test(rule)))
+  return match ? { ...match[1] } : { type: 'string' }
+}
+
+function propertyName (node) {
+  if (!node) return null
+  if (node.type === 'Identifier') return node.name
+  if (node.type === 'StringLiteral') return node.value
+  return null
+}
+
+function isCall (node, name) {
+  return node?.type === 'CallExpression' && node.callee.type === 'MemberExpression' && propertyName(node.callee.property) === name
+}
+
+/**
+ * 由 JS 運算式推測 JSON Schema；locals 為函式內的區域變數，用來追蹤 res.json(result) 之類的回應
+ */
+function schemaOf (node, locals = new Map(), seen = new Set()) {
+  if (!node) return {}
+  switch (node.type) {
+    case 'StringLiteral':
+      return { type: 'string', examples: [node.value] }
+    case 'TemplateLiteral':
+      return { type: 'string' }
+    case 'NumericLiteral':
+      return { type: Number.isInteger(node.value) ? 'integer' : 'number', examples: [node.value] }
+    case 'BooleanLiteral':
+      return { type: 'boolean' }
+    case 'NullLiteral':
+      return { type: 'null' }
+    case 'ArrayExpression': {
+      const first = node.elements.find(element => element && element.type !== 'SpreadElement')
+      return { type: 'array', items: schemaOf(first, locals, seen) }
+    }
+    case 'ObjectExpression': {
+      const properties = {}
+      for (const property of node.properties) {
+        if (property.type !== 'ObjectProperty' || property.computed) continue
+        const key = propertyName(property.key)
+        if (key) properties[key] = schemaOf(property.value, locals, seen)
+      }
+      return { type: 'object', properties }
+    }
+    case 'Identifier':
+      if (!locals.has(node.name) || seen.has(node.name)) return {}
+      return schemaOf(locals.get(node.name), locals, new Set([...seen, node.name]))
+    case 'NewExpression':
+      return node.callee.name === 'Date' ? { type: 'string', format: 'date-time' } : {}
+    case 'AwaitExpression':
+      return {}
+    case 'UnaryExpression':
+      if (node.operator === '!') return { type: 'boolean' }
+      if (node.operator === 'typeof') return { type: 'string' }
+      return node.operator === '-' || node.operator === '+' ? { type: 'number' } : {}
+    case 'BinaryExpression':
+      if (/^(==|===|!=|!==|<|>|<=|>=|in|instanceof)$/.test(node.operator)) return { type: 'boolean' }
+      if (node.operator === '+' && [node.left, node.right].some(side => schemaOf(side, locals, seen).type === 'string')) return { type: 'string' }
+      return { type: 'number' }
+    case 'LogicalExpression': {
+      const left = schemaOf(node.left, locals, seen)
+      return left.type ? left : schemaOf(node.right, locals, seen)
+    }
+    case 'ConditionalExpression': {
+      const consequent = schemaOf(node.consequent, locals, seen)
+      return consequent.type ? consequent : schemaOf(node.alternate, locals, seen)
+    }
+    case 'MemberExpression':
+      return propertyName(node.property) === 'length' ? { type: 'integer' } : {}
+    case 'CallExpression':
+      return callSchema(node)
+    default:
+      return {}
+  }
+}
+
+// 常見函式呼叫的回傳型別
+function callSchema (node) {
+  const callee = node.callee
+  const name = callee.type === 'Identifier' ? callee.name : propertyName(callee.property)
+  const object = callee.type === 'MemberExpression' && callee.object.type === 'Identifier' ? callee.object.name : null
+
+  if (name === 'toISOString') return { type: 'string', format: 'date-time' }
+  if (object === 'Date' && name === 'now') return { type: 'integer' }
+  if (object === 'Math') return { type: 'number' }
+  if (object === 'Object' && name === 'keys') return { type: 'array', items: { type: 'string' } }
+  if (['String', 'toString', 'toFixed', 'join', 'trim', 'toUpperCase', 'toLowerCase', 'stringify'].includes(name)) return { type: 'string' }
+  if (['Number', 'parseFloat'].includes(name)) return { type: 'number' }
+  if (name === 'parseInt') return { type: 'integer' }
+  if (name === 'Boolean' || name === 'includes') return { type: 'boolean' }
+  if (['map', 'filter', 'slice'].includes(name) && object !== 'Object') return { type: 'array', items: {} }
+  return {}
+}
+
+// 合併同一狀態碼的多個回應：物件合併屬性，否則保留先出現的
+function mergeSchemas (a, b) {
+  if (a.type === 'object' && b.type === 'object') {
+    return { type: 'object', properties: { ...b.properties, ...a.properties } }
+  }
+  return a.type ? a : b
+}
+
+/**
+ * 分析處理函式：讀取的請求欄位、必填檢查與回應
+ * @returns {{ fields: { body, query, headers }, required: Set, bodyUsed, responses: Map<status, { schema, json }> }}
+ */
+function inferHandler (fn) {
+  const reqName = fn.params[0]?.type === 'Identifier' ? fn.params[0].name : 'req'
+  const resName = fn.params[1]?.type === 'Identifier' ? fn.params[1].name : 'res'
+  const result = {
+    fields: { body: new Map(), query: new Map(), headers: new Map() },
+    required: new Set(),
+    bodyUsed: false,
+    responses: new Map()
+  }
+  const locals = new Map()
+  // typeof name === 'string'、Array.isArray(permissions) 推測的欄位型別
+  const typeHints = new Map()
+
+  const sourceOf = node => node?.type === 'MemberExpression' && node.object.type === 'Identifier' && node.object.name === reqName &&
+    REQUEST_SOURCES.includes(propertyName(node.property)) ? propertyName(node.property) : null
+
+  // 變數名稱或 req.body.name 的欄位名稱
+  const fieldName = node => {
+    if (node?.type === 'Identifier') return node.name
+    if (node?.type === 'MemberExpression' && sourceOf(node.object)) return propertyName(node.property)
+    return null
+  }
+
+  const addField = (source, name, schema = {}, hasDefault = false) => {
+    if (source === 'params' || !name) return
+    if (source === 'body') result.bodyUsed = true
+    const fields = result.fields[source]
+    if (!fields.has(name)) fields.set(name, { schema, hasDefault })
+  }
+
+  const addResponse = (status, payload, json) => {
+    const schema = payload ? schemaOf(payload, locals) : null
+    const existing = result.responses.get(status)
+    if (!existing) {
+      result.responses.set(status, { schema, json })
+    } else if (schema && existing.schema) {
+      existing.schema = mergeSchemas(existing.schema, schema)
+    }
+  }
+
+  // res.status(400).json(...) / res.sendStatus(404) 之中的狀態碼
+  const responseStatus = node => {
+    const target = node.callee.object
+    if (target.type === 'Identifier' && target.name === resName) return 200
+    if (isCall(target, 'status') && target.callee.object.type === 'Identifier' && target.callee.object.name === resName) {
+      const code = target.arguments[0]
+      return code?.type === 'NumericLiteral' ? code.value : 'default'
+    }
+    return null
+  }
+
+  walk(fn.body, node => {
+    if (node.type === 'VariableDeclarator') {
+      if (node.id.type === 'Identifier' && node.init) locals.set(node.id.name, node.init)
+      const source = sourceOf(node.init)
+      if (source && node.id.type === 'ObjectPattern') {
+        for (const property of node.id.properties) {
+          if (property.type !== 'ObjectProperty') continue
+          const hasDefault = property.value.type === 'AssignmentPattern'
+          addField(source, propertyName(property.key), hasDefault ? schemaOf(property.value.right) : {}, hasDefault)
+        }
+      }
+    }
+
+    if (node.type === 'MemberExpression') {
+      const source = sourceOf(node.object)
+      if (source) addField(source, propertyName(node.property))
+      else if (sourceOf(node) === 'body') result.bodyUsed = true
+    }
+
+    if (node.type === 'BinaryExpression' && node.left.type === 'UnaryExpression' && node.left.operator === 'typeof' &&
+      node.right.type === 'StringLiteral' && ['string', 'number', 'boolean', 'object'].includes(node.right.value)) {
+      const name = fieldName(node.left.argument)
+      if (name) typeHints.set(name, { type: node.right.value })
+    }
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && node.callee.object.name === 'Array' &&
+      propertyName(node.callee.property) === 'isArray') {
+      const name = fieldName(node.arguments[0])
+      if (name) typeHints.set(name, { type: 'array', items: {} })
+    }
+
+    // req.get('X-Api-Key') / req.header('X-Api-Key')
+    if ((isCall(node, 'get') || isCall(node, 'header')) && node.callee.object.type === 'Identifier' &&
+      node.callee.object.name === reqName && node.arguments[0]?.type === 'StringLiteral') {
+      addField('headers', node.arguments[0].value)
+    }
+
+    // if (!name) return res.status(400).json(...) 表示 name 為必填
+    if (node.type === 'IfStatement') {
+      let rejects = false
+      walk(node.consequent, child => {
+        if (isCall(child, 'status') && [400, 422].includes(child.arguments[0]?.value)) rejects = true
+      })
+      if (rejects) {
+        walk(node.test, child => {
+          if (child.type === 'UnaryExpression' && child.operator === '!') {
+            const argument = child.argument
+            if (argument.type === 'Identifier') result.required.add(argument.name)
+            if (argument.type === 'MemberExpression' && sourceOf(argument.object)) result.required.add(propertyName(argument.property))
+          }
+        })
+      }
+    }
+
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+      const method = propertyName(node.callee.property)
+      if (method === 'json' || method === 'send') {
+        const status = responseStatus(node)
+        if (status !== null) addResponse(status, node.arguments[0], method === 'json' || node.arguments[0]?.type === 'ObjectExpression')
+      }
+      if (method === 'end') {
+        const status = responseStatus(node)
+        if (status !== null) addResponse(status, null, false)
+      }
+      if (method === 'sendStatus' && node.callee.object.type === 'Identifier' && node.callee.object.name === resName &&
+        node.arguments[0]?.type === 'NumericLiteral') {
+        addResponse(node.arguments[0].value, null, false)
+      }
+    }
+  })
+
+  for (const fields of Object.values(result.fields)) {
+    for (const [name, field] of fields) {
+      if (!field.schema.type && typeHints.has(name)) field.schema = typeHints.get(name)
+    }
+  }
+  return result
+}
+
+// 解析過的路由檔案：AST、函式位置與具名函式 (中間件)
+function loadSource (root, file, cache) {
+  if (cache.has(file)) return cache.get(file)
+  const entry = { byRange: new Map(), byName: new Map() }
+  try {
+    const ast = parseSource(fs.readFileSync(path.join(root, file), 'utf8'), file)
+    walk(ast, node => {
+      if (/Function/.test(node.type) && node.body) entry.byRange.set(`${node.start}:${node.end}`, node)
+      if (node.type === 'FunctionDeclaration' && node.id) entry.byName.set(node.id.name, node)
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && /Function/.test(node.init?.type)) {
+        entry.byName.set(node.id.name, node.init)
+      }
+    })
+  } catch (error) {
+    // 無法解析的檔案只產生路徑與參數
+  }
+  cache.set(file, entry)
+  return entry
+}
+
+// Express 路徑轉 OpenAPI 路徑：/users/:id(\d+) → /users/{id}，萬用字元 * → {wildcard}；無法表示時回傳 null
+function toOpenAPIPath (routePath) {
+  if (routePath.includes('{')) return null
+  const converted = routePath
+    .replace(/:([A-Za-z_$][\w$]*)(\([^)]*\))?\??/g, '{$1}')
+    .replace(/\*/, '{wildcard}')
+  return /[()^$|\\[\]+?*]/.test(converted) ? null : converted
+}
+
+function operationIdOf (method, openapiPath) {
+  const words = openapiPath.split('/').filter(Boolean).map(segment => {
+    const param = segment.match(/^\{(.+)\}$/)
+    const text = (param ? `by-${param[1]}` : segment).replace(/[^A-Za-z0-9]+(.)?/g, (match, char) => char ? char.toUpperCase() : '')
+    return text.charAt(0).toUpperCase() + text.slice(1)
+  })
+  return method + (words.join('') || 'Root')
+}
+
+// 路由檔案的標籤與未掛載子路由假設的前綴：routes/auth.js → auth，routes/users/index.js → users
+function fileTag (file) {
+  const base = path.posix.basename(file, path.posix.extname(file))
+  return base === 'index' ? path.posix.basename(path.posix.dirname(file)) : base
+}
+
+/**
+ * 由路由清單產生 OpenAPI 3.1 文件
+ * 沒有掛載到應用程式的子路由假設掛載在 /<檔名> 底下 (例如 routes/auth.js → /auth)，並列在 warnings
+ * @param {string} root - 專案根目錄
+ * @param {Object} inventory - buildRouteInventory 的結果
+ * @param {Object} options - { title, version, description, server }
+ * @returns {{ document, warnings: string[] }}
+ */
+function buildOpenAPI (root, inventory, options = {}) {
+  const document = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: options.title || path.basename(root),
+      version: options.version || '1.0.0',
+      ...(options.description && { description: options.description })
+    },
+    ...(options.server && { servers: [{ url: options.server }] }),
+    paths: {}
+  }
+  const warnings = []
+  const sources = new Map()
+  const operationIds = new Set()
+  const assumed = new Set()
+
+  for (const route of inventory.routes) {
+    let routePath = route.path
+    if (!route.mounted) {
+      const prefix = `/${fileTag(route.file)}`
+      routePath = `${prefix}${route.path === '/' ? '' : route.path}`
+      if (!assumed.has(route.file)) {
+        assumed.add(route.file)
+        warnings.push(`${route.file} 沒有掛載到應用程式，假設掛載在 ${prefix}`)
+      }
+    }
+
+    const openapiPath = toOpenAPIPath(routePath)
+    if (!openapiPath) {
+      warnings.push(`略過無法以 OpenAPI 表示的路徑: ${route.method} ${route.path} (${route.file}:${route.line})`)
+      continue
+    }
+
+    const source = loadSource(root, route.file, sources)
+    const handler = route.handlerRange ? source.byRange.get(route.handlerRange.join(':')) : null
+    const shapes = handler ? inferHandler(handler) : null
+    // 同檔案中具名的中間件 (例如 requireAdmin) 讀取的標頭與錯誤回應
+    const guards = route.middleware.map(name => source.byName.get(name)).filter(Boolean).map(inferHandler)
+
+    const methods = route.method === 'ALL' ? ALL_METHODS : [route.method.toLowerCase()]
+    for (const method of methods) {
+      if (!OPERATION_METHODS.includes(method)) continue
+      const operation = buildOperation(route, method, openapiPath, shapes, guards)
+
+      let operationId = operationIdOf(method, openapiPath)
+      for (let index = 2; operationIds.has(operationId); index++) operationId = `${operationIdOf(method, openapiPath)}${index}`
+      operationIds.add(operationId)
+
+      const pathItem = document.paths[openapiPath] || (document.paths[openapiPath] = {})
+      if (pathItem[method]) {
+        warnings.push(`${method.toUpperCase()} ${openapiPath} 重複定義，使用 ${pathItem[method]['x-source']} 的版本`)
+        continue
+      }
+      pathItem[method] = { operationId, ...operation }
+    }
+  }
+
+  document.paths = Object.fromEntries(Object.entries(document.paths).sort(([a], [b]) => a.localeCompare(b)))
+  return { document, warnings }
+}
+
+function buildOperation (route, method, openapiPath, shapes, guards) {
+  const parameters = []
+  const addParameter = (name, location, schema, required) => {
+    if (parameters.some(item => item.in === location && item.name.toLowerCase() === name.toLowerCase())) return
+    parameters.push({ name, in: location, required: location === 'path' || required, schema })
+  }
+
+  // 路徑參數
+  for (const param of openapiPath.matchAll(/\{([^}]+)\}/g)) {
+    const name = param[1]
+    const validator = route.validators.find(item => item.field === name && (item.in === 'path' || item.in === 'any'))
+    const schema = validator ? schemaFromRules(validator.rules) : { type: name === 'wildcard' ? 'string' : /id$/i.test(name) && /\\d/.test(route.path) ? 'integer' : 'string' }
+    addParameter(name, 'path', schema, true)
+  }
+
+  const hasBody = BODY_METHODS.includes(method)
+  const bodyProperties = {}
+  const bodyRequired = []
+
+  for (const validator of route.validators) {
+    const location = validator.in === 'any' ? (hasBody ? 'body' : 'query') : validator.in
+    if (location === 'body') {
+      bodyProperties[validator.field] = schemaFromRules(validator.rules)
+      if (validator.required) bodyRequired.push(validator.field)
+    } else if (location !== 'path') {
+      addParameter(validator.field, location, schemaFromRules(validator.rules), validator.required)
+    }
+  }
+
+  for (const shape of [shapes, ...guards].filter(Boolean)) {
+    for (const [name, field] of shape.fields.query) {
+      addParameter(name, 'query', field.schema.type ? field.schema : { type: 'string' }, shape.required.has(name) && !field.hasDefault)
+    }
+    for (const [name] of shape.fields.headers) {
+      if (!COMMON_HEADERS.has(name.toLowerCase())) addParameter(name, 'header', { type: 'string' }, false)
+    }
+  }
+
+  if (shapes && hasBody) {
+    for (const [name, field] of shapes.fields.body) {
+      if (!bodyProperties[name]) bodyProperties[name] = field.schema.type ? field.schema : {}
+      if (shapes.required.has(name) && !field.hasDefault && !bodyRequired.includes(name)) bodyRequired.push(name)
+    }
+  }
+
+  const operation = {
+    tags: [fileTag(route.file)],
+    ...(route.summary && { summary: route.summary }),
+    ...(parameters.length > 0 && { parameters })
+  }
+
+  if (hasBody && (Object.keys(bodyProperties).length > 0 || shapes?.bodyUsed)) {
+    const schema = { type: 'object', properties: bodyProperties, ...(bodyRequired.length > 0 && { required: bodyRequired }) }
+    operation.requestBody = { required: bodyRequired.length > 0, content: { 'application/json': { schema } } }
+  }
+
+  operation.responses = buildResponses(route, shapes, guards)
+  operation['x-source'] = `${route.file}:${route.line}`
+  if (route.middleware.length > 0) operation['x-middleware'] = route.middleware
+  return operation
+}
+
+function buildResponses (route, shapes, guards) {
+  const responses = {}
+  const add = (status, response) => {
+    const key = String(status)
+    if (responses[key]) return
+    const entry = { description: STATUS_DESCRIPTIONS[status] || `HTTP ${status}` }
+    if (response.schema) {
+      entry.content = { [response.json ? 'application/json' : 'text/plain']: { schema: response.json ? response.schema : { type: 'string' } } }
+    }
+    responses[key] = entry
+  }
+
+  for (const [status, response] of shapes?.responses || []) add(status, response)
+  // 中間件只取錯誤回應
+  for (const guard of guards) {
+    for (const [status, response] of guard.responses) {
+      if (status !== 'default' && status >= 400) add(status, response)
+    }
+  }
+  if (route.validators.some(item => item.required)) add(400, { schema: null })
+  if (Object.keys(responses).filter(key => /^2/.test(key)).length === 0 && !responses.default) {
+    add(200, { schema: null })
+  }
+
+  return Object.fromEntries(Object.entries(responses).sort(([a], [b]) => a.localeCompare(b)))
+}
+
+// ---- 版本比較 ----
+
+function schemaType (schema) {
+  if (!schema || schema.type === undefined) return null
+  return [].concat(schema.type).sort().join('|')
+}
+
+function operationsOf (document) {
+  const operations = new Map()
+  for (const [openapiPath, item] of Object.entries(document.paths || {})) {
+    for (const method of OPERATION_METHODS) {
+      if (!item[method]) continue
+      // 路徑參數改名不算新路徑：/users/{id} 與 /users/{userId} 視為相同
+      const key = `${method.toUpperCase()} ${openapiPath.replace(/\{[^}]+\}/g, '{}')}`
+      operations.set(key, { method, path: openapiPath, operation: item[method], parameters: [...(item.parameters || []), ...(item[method].parameters || [])] })
+    }
+  }
+  return operations
+}
+
+function jsonSchemaOf (content) {
+  if (!content) return null
+  const media = content['application/json'] || Object.values(content)[0]
+  return media?.schema || null
+}
+
+/**
+ * 比較兩個 OpenAPI 文件
+ * 破壞性變更：移除操作、新增必填參數或欄位、參數變成必填、型別改變、移除成功回應或回應欄位
+ * @returns {Array<{ breaking, code, method, path, message }>}
+ */
+function diffSpecs (before, after) {
+  const changes = []
+  const oldOperations = operationsOf(before)
+  const newOperations = operationsOf(after)
+
+  for (const [key, previous] of oldOperations) {
+    const current = newOperations.get(key)
+    const record = (breaking, code, message) => changes.push({ breaking, code, method: previous.method.toUpperCase(), path: current ? current.path : previous.path, message })
+
+    if (!current) {
+      record(true, 'operation-removed', '移除了操作')
+      continue
+    }
+    if (!previous.operation.deprecated && current.operation.deprecated) record(false, 'operation-deprecated', '標示為已淘汰')
+
+    compareParameters(previous.parameters, current.parameters, record)
+    compareRequestBody(previous.operation.requestBody, current.operation.requestBody, record)
+    compareResponses(previous.operation.responses || {}, current.operation.responses || {}, record)
+  }
+
+  for (const [key, current] of newOperations) {
+    if (!oldOperations.has(key)) {
+      changes.push({ breaking: false, code: 'operation-added', method: current.method.toUpperCase(), path: current.path, message: '新增了操作' })
+    }
+  }
+
+  return changes.sort((a, b) => Number(b.breaking) - Number(a.breaking))
+}
+
+function compareParameters (previous, current, record) {
+  const keyOf = param => `${param.in}:${param.in === 'header' ? param.name.toLowerCase() : param.name}`
+  const oldParams = new Map(previous.filter(param => param.in !== 'path').map(param => [keyOf(param), param]))
+  const newParams = new Map(current.filter(param => param.in !== 'path').map(param => [keyOf(param), param]))
+
+  for (const [key, param] of newParams) {
+    const old = oldParams.get(key)
+    if (!old) {
+      record(Boolean(param.required), param.required ? 'required-parameter-added' : 'parameter-added', `新增${param.required ? '必填' : '選填'}的 ${param.in} 參數 ${param.name}`)
+      continue
+    }
+    if (param.required && !old.required) record(true, 'parameter-became-required', `${param.in} 參數 ${param.name} 改為必填`)
+    if (!param.required && old.required) record(false, 'parameter-became-optional', `${param.in} 參數 ${param.name} 改為選填`)
+    const [oldType, newType] = [schemaType(old.schema), schemaType(param.schema)]
+    if (oldType && newType && oldType !== newType) record(true, 'parameter-type-changed', `${param.in} 參數 ${param.name} 的型別由 ${oldType} 改為 ${newType}`)
+  }
+  for (const [key, param] of oldParams) {
+    if (!newParams.has(key)) record(false, 'parameter-removed', `移除了 ${param.in} 參數 ${param.name}`)
+  }
+
+  // 路徑參數的型別
+  const oldPath = previous.filter(param => param.in === 'path')
+  const newPath = current.filter(param => param.in === 'path')
+  oldPath.forEach((param, index) => {
+    const [oldType, newType] = [schemaType(param.schema), schemaType(newPath[index]?.schema)]
+    if (oldType && newType && oldType !== newType) record(true, 'parameter-type-changed', `path 參數 ${newPath[index].name} 的型別由 ${oldType} 改為 ${newType}`)
+  })
+}
+
+function compareRequestBody (previous, current, record) {
+  if (!current) {
+    if (previous) record(false, 'request-body-removed', '移除了請求內容')
+    return
+  }
+  if (!previous) {
+    record(Boolean(current.required), current.required ? 'required-request-body-added' : 'request-body-added', `新增${current.required ? '必填的' : '選填的'}請求內容`)
+    return
+  }
+  if (current.required && !previous.required) record(true, 'request-body-became-required', '請求內容改為必填')
+  compareSchemas(jsonSchemaOf(previous.content), jsonSchemaOf(current.content), 'request', '請求', record)
+}
+
+function compareResponses (previous, current, record) {
+  for (const [status, response] of Object.entries(previous)) {
+    if (!current[status]) {
+      const success = /^2/.test(status)
+      record(success, success ? 'success-response-removed' : 'response-removed', `移除了 ${status} 回應`)
+      continue
+    }
+    compareSchemas(jsonSchemaOf(response.content), jsonSchemaOf(current[status].content), 'response', `${status} 回應`, record)
+  }
+  for (const status of Object.keys(current)) {
+    if (!previous[status]) record(false, 'response-added', `新增 ${status} 回應`)
+  }
+}
+
+// 比較請求或回應的結構：請求新增必填欄位、回應移除欄位與型別改變為破壞性變更
+function compareSchemas (before, after, direction, label, record, prefix = '') {
+  if (!before || !after) return
+  const [oldType, newType] = [schemaType(before), schemaType(after)]
+  if (oldType && newType && oldType !== newType) {
+    record(true, `${direction}-type-changed`, `${label}${prefix ? `欄位 ${prefix}` : ''}的型別由 ${oldType} 改為 ${newType}`)
+    return
+  }
+
+  if (before.type === 'array' || after.type === 'array') {
+    compareSchemas(before.items, after.items, direction, label, record, `${prefix}[]`)
+    return
+  }
+
+  const oldProperties = before.properties || {}
+  const newProperties = after.properties || {}
+  const oldRequired = new Set(before.required || [])
+  const newRequired = new Set(after.required || [])
+
+  for (const [name, schema] of Object.entries(newProperties)) {
+    const field = prefix ? `${prefix}.${name}` : name
+    if (!oldProperties[name]) {
+      const breaking = direction === 'request' && newRequired.has(name)
+      record(breaking, `${direction}-property-added`, `${label}新增${direction === 'request' ? (breaking ? '必填' : '選填') : ''}欄位 ${field}`)
+      continue
+    }
+    if (direction === 'request' && newRequired.has(name) && !oldRequired.has(name)) {
+      record(true, 'request-property-became-required', `${label}欄位 ${field} 改為必填`)
+    }
+    compareSchemas(oldProperties[name], schema, direction, label, record, field)
+  }
+  for (const name of Object.keys(oldProperties)) {
+    if (newProperties[name]) continue
+    const field = prefix ? `${prefix}.${name}` : name
+    record(direction === 'response', `${direction}-property-removed`, `${label}移除了欄位 ${field}`)
+  }
+}
+
+module.exports = {
+  OPENAPI_VERSION,
+  toOpenAPIPath,
+  operationIdOf,
+  operationsOf,
+  inferHandler,
+  buildOpenAPI,
+  diffSpecs
+}
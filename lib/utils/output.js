@@ -0,0 +1,119 @@
+const util = require('util')
+const chalk = require('chalk')
+const ora = require('ora')
+const { ERROR_CODES, MursfotoError, getExitCode, toErrorPayload } = require('./errors')
+
+// JSON 輸出格式版本，欄位有不相容變更時才遞增
+const SCHEMA_VERSION = 1
+
+// 全域輸出模式，由 --json / --ci 設定
+const mode = {
+  json: false,
+  ci: false
+}
+
+/**
+ * 設定輸出模式
+ * --json 隱含 --ci；JSON 模式下所有文字輸出改寫到 stderr，stdout 只保留 JSON 結果
+ */
+function configureOutput ({ json = false, ci = false } = {}) {
+  mode.json = Boolean(json)
+  mode.ci = Boolean(json || ci)
+
+  if (mode.json) {
+    chalk.level = 0
+    const toStderr = (...args) => process.stderr.write(`${util.format(...args)}\n`)
+    console.log = toStderr
+    console.info = toStderr
+    console.warn = toStderr
+  }
+
+  return { ...mode }
+}
+
+function isJsonMode () {
+  return mode.json
+}
+
+function isCIMode () {
+  return mode.ci
+}
+
+/**
+ * 是否可以詢問使用者 (非 CI 且為互動終端)
+ */
+function isInteractive () {
+  return !mode.ci && Boolean(process.stdin.isTTY)
+}
+
+/**
+ * 建立 spinner，CI 模式下不顯示動畫
+ */
+function createSpinner (text) {
+  const options = { text }
+  if (mode.ci) options.isEnabled = false
+  return ora(options)
+}
+
+/**
+ * 詢問使用者；CI 模式下不猜測預設值，直接以 E_MISSING_INPUT 失敗
+ * @param {Array} questions - inquirer 問題
+ * @param {Object} options - { hint } 提示如何以參數提供
+ */
+async function prompt (questions, options = {}) {
+  if (mode.ci) {
+    const names = questions.map(question => question.name)
+    const hint = options.hint ? `（${options.hint}）` : ''
+    throw new MursfotoError(ERROR_CODES.MISSING_INPUT, `非互動模式缺少必要輸入: ${names.join(', ')}${hint}`, { inputs: names })
+  }
+
+  const inquirer = require('inquirer')
+  return inquirer.prompt(questions)
+}
+
+/**
+ * 輸出命令結果 (只在 JSON 模式下輸出)
+ */
+function emitResult (command, result, extra = {}) {
+  if (!mode.json) return
+
+  process.stdout.write(`${JSON.stringify({
+    schemaVersion: SCHEMA_VERSION,
+    ok: true,
+    command,
+    result: result === undefined ? null : result,
+    ...extra
+  }, null, 2)}\n`)
+}
+
+/**
+ * 輸出命令錯誤並回傳結束碼
+ * @param {string} label - 文字模式下的錯誤前綴
+ */
+function emitError (command, error, label) {
+  if (mode.json) {
+    process.stdout.write(`${JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      ok: false,
+      command,
+      error: toErrorPayload(error)
+    }, null, 2)}\n`)
+  } else {
+    const code = mode.ci ? chalk.gray(` [${toErrorPayload(error).code}]`) : ''
+    console.error(chalk.red(`❌ ${label || '命令執行失敗'}:`), `${error.message}${code}`)
+  }
+
+  return getExitCode(error)
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  configureOutput,
+  isJsonMode,
+  isCIMode,
+  isInteractive,
+  createSpinner,
+  prompt,
+  emitResult,
+  emitError
+}
@@ -0,0 +1,107 @@
+const path = require('path')
+const { version: cliVersion } = require('../../package.json')
+const { vfs } = require('./vfs')
+
+// 專案根目錄中記錄來源模板的檔案
+const METADATA_FILE = '.mursfoto.json'
+
+// 上次套用的模板原始輸出，升級時作為三方合併的共同祖先
+const BASELINE_DIR = path.join('.mursfoto', 'baseline')
+
+// 不屬於模板輸出的目錄
+const IGNORED_DIRS = ['node_modules', '.git', '.mursfoto']
+
+/**
+ * 列出目錄中的檔案 (相對路徑，以 / 分隔)
+ */
+function listProjectFiles (rootDir) {
+  const files = []
+
+  const walk = (dir, relativeDir) => {
+    for (const entry of vfs.readdirSync(dir, { withFileTypes: true })) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+      if (entry.isDirectory()) {
+        if (!relativeDir && IGNORED_DIRS.includes(entry.name)) continue
+        walk(path.join(dir, entry.name), relativePath)
+      } else if (relativePath !== METADATA_FILE) {
+        files.push(relativePath)
+      }
+    }
+  }
+
+  if (vfs.existsSync(rootDir)) walk(rootDir, '')
+  return files.sort()
+}
+
+/**
+ * 建立專案中繼資料
+ * @param {Object} options - { templateName, version, templateData, answers, features }
+ */
+function createProjectMetadata ({ templateName, version, templateData, answers = {}, features = [] }) {
+  // 答案另外記錄，data 只保留 create 自動產生的變數
+  const data = { ...templateData }
+  Object.keys(answers).forEach(key => delete data[key])
+
+  const now = new Date().toISOString()
+  return {
+    template: templateName,
+    version,
+    cliVersion,
+    createdAt: now,
+    updatedAt: now,
+    answers,
+    features,
+    data
+  }
+}
+
+/**
+ * 讀取專案中繼資料，沒有時回傳 null
+ */
+function readProjectMetadata (projectPath) {
+  const metadataPath = path.join(projectPath, METADATA_FILE)
+  if (!vfs.existsSync(metadataPath)) {
+    return null
+  }
+
+  try {
+    return vfs.readJsonSync(metadataPath)
+  } catch (error) {
+    throw new Error(`無法解析 ${METADATA_FILE}: ${error.message}`)
+  }
+}
+
+async function writeProjectMetadata (projectPath, metadata) {
+  await vfs.writeJson(path.join(projectPath, METADATA_FILE), metadata, { spaces: 2 })
+}
+
+function getBaselineDir (projectPath) {
+  return path.join(projectPath, BASELINE_DIR)
+}
+
+/**
+ * 將模板輸出保存為基準版本 (取代既有基準)
+ * @param {string} sourceDir - 模板輸出所在目錄
+ */
+async function saveBaseline (projectPath, sourceDir) {
+  const baselineDir = getBaselineDir(projectPath)
+  const files = listProjectFiles(sourceDir)
+
+  await vfs.remove(baselineDir)
+  for (const file of files) {
+    await vfs.copy(path.join(sourceDir, file), path.join(baselineDir, file))
+  }
+
+  return files
+}
+
+module.exports = {
+  METADATA_FILE,
+  BASELINE_DIR,
+  listProjectFiles,
+  createProjectMetadata,
+  readProjectMetadata,
+  writeProjectMetadata,
+  getBaselineDir,
+  saveBaseline
+}
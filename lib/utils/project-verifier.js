@@ -0,0 +1,197 @@
+const { spawn } = require('child_process')
+const fs = require('fs-extra')
+const http = require('http')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+
+/**
+ * 驗證產生的專案：安裝依賴、啟動伺服器並執行專案自己的 Jest 測試
+ * 每個步驟都有時間上限，子程序只由此模組啟動與結束
+ */
+
+const INSTALL_TIMEOUT = 5 * 60 * 1000
+const BOOT_TIMEOUT = 20 * 1000
+const TEST_TIMEOUT = 3 * 60 * 1000
+// 保留的輸出長度 (取結尾，錯誤通常在最後)
+const MAX_OUTPUT = 20000
+
+function tail (text, length = MAX_OUTPUT) {
+  return text.length > length ? text.slice(-length) : text
+}
+
+/**
+ * 執行命令並收集輸出，逾時結束子程序
+ * @returns {Promise<{ code, output, timedOut }>} 無法啟動時 code 為 null
+ */
+function runProcess (command, args, { cwd, env, timeout }) {
+  return new Promise(resolve => {
+    let output = ''
+    let timedOut = false
+    const child = spawn(command, args, {
+      cwd,
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // Windows 的 npm 是 .cmd，需要透過 shell 執行
+      shell: process.platform === 'win32'
+    })
+    const collect = chunk => { output = tail(output + chunk) }
+    child.stdout.on('data', collect)
+    child.stderr.on('data', collect)
+
+    const timer = setTimeout(() => {
+      timedOut = true
+      child.kill()
+    }, timeout)
+    child.on('error', error => {
+      clearTimeout(timer)
+      resolve({ code: null, output: error.message, timedOut })
+    })
+    child.on('close', code => {
+      clearTimeout(timer)
+      resolve({ code, output, timedOut })
+    })
+  })
+}
+
+/**
+ * 執行 npm install
+ * @returns {Promise<{ ok, output }>}
+ */
+async function installDependencies (dir, { timeout = INSTALL_TIMEOUT } = {}) {
+  const { code, output, timedOut } = await runProcess('npm', ['install', '--no-audit', '--no-fund'], { cwd: dir, timeout })
+  return { ok: code === 0, output: timedOut ? `npm install 超過 ${timeout / 1000} 秒未完成\n${output}` : output }
+}
+
+// 取得目前可用的連接埠
+function freePort () {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.unref()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+function request (url) {
+  return new Promise(resolve => {
+    const req = http.get(url, res => {
+      res.resume()
+      resolve(res.statusCode)
+    })
+    req.on('error', () => resolve(null))
+    req.setTimeout(2000, () => req.destroy())
+  })
+}
+
+/**
+ * 以隨機連接埠 (PORT 環境變數) 啟動伺服器，等待健康檢查路徑回應後結束
+ * 回應狀態碼小於 500 視為啟動成功；程序提前結束或逾時視為失敗
+ * @param {Object} options - { entry: 進入點, healthPath, timeout }
+ * @returns {Promise<{ ok, status, output }>}
+ */
+async function bootServer (dir, { entry = 'server.js', healthPath = '/health', timeout = BOOT_TIMEOUT } = {}) {
+  const port = await freePort()
+  let output = ''
+  let exitCode
+  const child = spawn(process.execPath, [entry], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), NODE_ENV: 'test' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+  const collect = chunk => { output = tail(output + chunk) }
+  child.stdout.on('data', collect)
+  child.stderr.on('data', collect)
+  const exited = new Promise(resolve => {
+    child.on('error', error => {
+      output += error.message
+      exitCode = null
+      resolve()
+    })
+    child.on('close', code => {
+      exitCode = code
+      resolve()
+    })
+  })
+
+  const deadline = Date.now() + timeout
+  let status = null
+  try {
+    while (status === null && exitCode === undefined && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 300))
+      if (exitCode === undefined) status = await request(`http://127.0.0.1:${port}${healthPath}`)
+    }
+  } finally {
+    if (exitCode === undefined) child.kill()
+    await exited
+  }
+
+  if (status !== null) return { ok: status < 500, status, output }
+  const reason = exitCode !== undefined && Date.now() < deadline
+    ? `伺服器在回應前結束 (結束碼 ${exitCode})`
+    : `伺服器超過 ${timeout / 1000} 秒沒有回應 ${healthPath}`
+  return { ok: false, status: null, output: `${reason}\n${output}` }
+}
+
+/**
+ * 整理 Jest --json 的結果
+ * @returns {Array<{ file, status: 'passed' | 'failed', passed, failed, failures }>} failures 為失敗測試的名稱與訊息
+ */
+function summarizeJestResults (results, dir) {
+  return (results.testResults || []).map(suite => {
+    const assertions = suite.assertionResults || []
+    const failures = assertions
+      .filter(assertion => assertion.status === 'failed')
+      .map(assertion => ({ name: assertion.fullName, message: assertion.failureMessages.join('\n') }))
+    // 測試檔案本身無法載入時沒有個別測試結果，訊息在 suite.message
+    if (suite.status === 'failed' && failures.length === 0) {
+      failures.push({ name: '(載入測試檔案)', message: suite.message || '' })
+    }
+    return {
+      file: path.relative(dir, suite.name).split(path.sep).join('/'),
+      status: suite.status === 'passed' ? 'passed' : 'failed',
+      passed: assertions.filter(assertion => assertion.status === 'passed').length,
+      failed: assertions.filter(assertion => assertion.status === 'failed').length,
+      failures
+    }
+  }).sort((a, b) => a.file.localeCompare(b.file))
+}
+
+/**
+ * 以專案安裝的 Jest 執行測試
+ * @returns {Promise<{ ok, files, output }>} files 為 summarizeJestResults 的結果；Jest 無法執行時 files 為空
+ */
+async function runTests (dir, { timeout = TEST_TIMEOUT } = {}) {
+  const jest = path.join(dir, 'node_modules', 'jest', 'bin', 'jest.js')
+  if (!fs.existsSync(jest)) {
+    return { ok: false, files: [], output: '找不到 jest，請確認 devDependencies 已安裝' }
+  }
+
+  const outputFile = path.join(os.tmpdir(), `mursfoto-jest-${process.pid}-${Date.now()}.json`)
+  try {
+    const { output, timedOut } = await runProcess(process.execPath, [jest, '--ci', '--json', `--outputFile=${outputFile}`, '--forceExit'], {
+      cwd: dir,
+      env: { NODE_ENV: 'test' },
+      timeout
+    })
+    if (timedOut || !fs.existsSync(outputFile)) {
+      return { ok: false, files: [], output: timedOut ? `測試超過 ${timeout / 1000} 秒未完成\n${output}` : output }
+    }
+
+    const results = fs.readJsonSync(outputFile)
+    const files = summarizeJestResults(results, dir)
+    return { ok: results.success && files.length > 0, files, output }
+  } finally {
+    fs.removeSync(outputFile)
+  }
+}
+
+module.exports = {
+  installDependencies,
+  bootServer,
+  summarizeJestResults,
+  runTests
+}
@@ -0,0 +1,223 @@
+const fs = require('fs-extra')
+const path = require('path')
+const Handlebars = require('handlebars')
+const { getGlobalConfigDir } = require('./config')
+
+/**
+ * AI 提示註冊表
+ * 提示是 Handlebars 模板的 Markdown 檔，開頭可用 front matter 標示 version、description、variables
+ * 檔名格式為 <name>[@<variant>][.<model>].md：variant 供覆寫與 A/B 測試，model 為特定模型專用的版本
+ * partials/ 目錄中的檔案可在提示中以 {{> 名稱}} 引用
+ */
+
+const BUILTIN_PROMPTS_DIR = path.join(__dirname, '../prompts')
+const DEFAULT_VARIANT = 'default'
+const FILE_PATTERN = /^([\w-]+)(?:@([\w-]+))?(?:\.([\w-]+))?\.md$/
+
+// 來源優先順序 (低 → 高)
+const SOURCES = ['builtin', 'user', 'project']
+
+function getUserPromptsDir () {
+  return path.join(getGlobalConfigDir(), 'prompts')
+}
+
+function getProjectPromptsDir (cwd = process.cwd()) {
+  return path.join(cwd, '.ai-rules', 'prompts')
+}
+
+function getSourceDirs (cwd) {
+  return {
+    builtin: BUILTIN_PROMPTS_DIR,
+    user: getUserPromptsDir(),
+    project: getProjectPromptsDir(cwd)
+  }
+}
+
+/**
+ * 解析提示檔：front matter (key: value，variables 以逗號分隔) 與模板內容
+ */
+function parsePromptFile (content) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(content)
+  if (!match) return { meta: {}, body: content }
+
+  const meta = {}
+  for (const line of match[1].split(/\r?\n/)) {
+    const index = line.indexOf(':')
+    if (index <= 0) continue
+    meta[line.slice(0, index).trim()] = line.slice(index + 1).trim()
+  }
+  if (meta.variables !== undefined) {
+    meta.variables = meta.variables.split(',').map(name => name.trim()).filter(Boolean)
+  }
+
+  return { meta, body: content.slice(match[0].length) }
+}
+
+/**
+ * 組成提示檔名
+ */
+function getPromptFileName (name, variant = DEFAULT_VARIANT, model = null) {
+  return `${name}${variant !== DEFAULT_VARIANT ? `@${variant}` : ''}${model ? `.${model}` : ''}.md`
+}
+
+function scanDirectory (dir, source) {
+  if (!fs.existsSync(dir)) return []
+
+  return fs.readdirSync(dir)
+    .map(fileName => ({ fileName, match: FILE_PATTERN.exec(fileName) }))
+    .filter(({ match }) => match)
+    .map(({ fileName, match }) => {
+      const filePath = path.join(dir, fileName)
+      const { meta } = parsePromptFile(fs.readFileSync(filePath, 'utf8'))
+      return {
+        name: match[1],
+        variant: match[2] || DEFAULT_VARIANT,
+        model: match[3] || null,
+        version: meta.version || '0.0.0',
+        description: meta.description || '',
+        variables: meta.variables || [],
+        source,
+        path: filePath
+      }
+    })
+}
+
+/**
+ * 探索所有提示檔 (內建、~/.mursfoto/prompts、專案 .ai-rules/prompts)
+ * @returns {Array} 依來源優先順序由低到高排列
+ */
+function discoverPrompts ({ cwd } = {}) {
+  const dirs = getSourceDirs(cwd)
+  return SOURCES.flatMap(source => scanDirectory(dirs[source], source))
+}
+
+// 比較語意化版本，a 較新時為正數
+function compareVersions (a, b) {
+  const partsA = a.split('.').map(Number)
+  const partsB = b.split('.').map(Number)
+  for (let index = 0; index < 3; index++) {
+    const diff = (partsA[index] || 0) - (partsB[index] || 0)
+    if (diff !== 0) return diff
+  }
+  return 0
+}
+
+/**
+ * 列出提示：每個名稱生效的檔案、所有變體與模型版本，以及比內建版本舊的覆寫
+ */
+function listPrompts ({ cwd } = {}) {
+  const groups = new Map()
+
+  for (const entry of discoverPrompts({ cwd })) {
+    const group = groups.get(entry.name) || { name: entry.name, files: new Map() }
+    // 相同變體與模型時，較高優先順序的來源覆寫較低者
+    const key = `${entry.variant}.${entry.model || ''}`
+    const overridden = group.files.get(key)
+    const builtin = overridden?.source === 'builtin' ? overridden : null
+    group.files.set(key, {
+      ...entry,
+      overrides: overridden ? overridden.source : null,
+      builtinVersion: overridden?.builtinVersion || builtin?.version || null
+    })
+    groups.set(entry.name, group)
+  }
+
+  return Array.from(groups.values()).map(group => {
+    const files = Array.from(group.files.values())
+    const active = files.find(file => file.variant === DEFAULT_VARIANT && !file.model) || files[0]
+    return {
+      name: group.name,
+      version: active.version,
+      description: active.description,
+      source: active.source,
+      variants: [...new Set(files.map(file => file.variant))],
+      models: [...new Set(files.filter(file => file.model).map(file => file.model))],
+      outdated: files
+        .filter(file => file.builtinVersion && compareVersions(file.builtinVersion, file.version) > 0)
+        .map(file => ({ file: path.basename(file.path), version: file.version, builtinVersion: file.builtinVersion })),
+      files: files.map(({ builtinVersion, ...file }) => file)
+    }
+  })
+}
+
+/**
+ * 依設定選擇變體 (ai.prompts)：字串為固定變體，陣列為 A/B 測試，每次隨機選一個
+ */
+function selectVariant (name, prompts = {}) {
+  const setting = prompts[name]
+  if (Array.isArray(setting) && setting.length > 0) {
+    return setting[Math.floor(Math.random() * setting.length)]
+  }
+  return typeof setting === 'string' ? setting : DEFAULT_VARIANT
+}
+
+/**
+ * 找出提示檔：優先使用指定模型專用的版本，再依來源優先順序
+ * @param {Object} options - { variant, model, cwd }
+ */
+function resolvePrompt (name, options = {}) {
+  const variant = options.variant || DEFAULT_VARIANT
+  const candidates = discoverPrompts({ cwd: options.cwd })
+    .filter(entry => entry.name === name && entry.variant === variant)
+
+  const entry = candidates.filter(candidate => options.model && candidate.model === options.model).pop() ||
+    candidates.filter(candidate => !candidate.model).pop()
+
+  if (!entry) {
+    const label = variant === DEFAULT_VARIANT ? name : `${name}@${variant}`
+    throw new Error(`找不到提示: ${label}`)
+  }
+  return entry
+}
+
+// 建立獨立的 Handlebars 環境並載入 partials (高優先順序來源覆寫低者)
+function createEnvironment (cwd) {
+  const handlebars = Handlebars.create()
+  handlebars.registerHelper('eq', (a, b) => a === b)
+
+  const dirs = getSourceDirs(cwd)
+  for (const source of SOURCES) {
+    const partialsDir = path.join(dirs[source], 'partials')
+    if (!fs.existsSync(partialsDir)) continue
+    for (const fileName of fs.readdirSync(partialsDir).filter(file => file.endsWith('.md'))) {
+      const { body } = parsePromptFile(fs.readFileSync(path.join(partialsDir, fileName), 'utf8'))
+      handlebars.registerPartial(fileName.slice(0, -3), body.trim())
+    }
+  }
+
+  return handlebars
+}
+
+/**
+ * 產生提示文字
+ * @param {string} name - 提示名稱
+ * @param {Object} variables - 模板變數
+ * @param {Object} options - { variant, model, cwd, prompts: ai.prompts 設定 }
+ * @returns {{ text, prompt, id }} id 為 名稱@變體:版本，寫入用量帳本以比較 A/B 結果
+ */
+function renderPrompt (name, variables = {}, options = {}) {
+  const variant = options.variant || selectVariant(name, options.prompts)
+  const prompt = resolvePrompt(name, { ...options, variant })
+  const { body } = parsePromptFile(fs.readFileSync(prompt.path, 'utf8'))
+  const template = createEnvironment(options.cwd).compile(body, { noEscape: true })
+
+  return {
+    text: template(variables).trim(),
+    prompt,
+    id: `${name}@${variant}:${prompt.version}`
+  }
+}
+
+module.exports = {
+  BUILTIN_PROMPTS_DIR,
+  DEFAULT_VARIANT,
+  getUserPromptsDir,
+  getProjectPromptsDir,
+  getPromptFileName,
+  parsePromptFile,
+  discoverPrompts,
+  listPrompts,
+  selectVariant,
+  resolvePrompt,
+  renderPrompt
+}
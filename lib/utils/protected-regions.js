@@ -0,0 +1,126 @@
+const crypto = require('crypto')
+
+/**
+ * 受保護區塊
+ * 產生的程式碼以 begin / end 標記包住留給使用者撰寫的區塊；重新產生時保留區塊內容，其餘部分以新版取代
+ *
+ *   // @mursfoto-protected begin getUser
+ *   res.json(await User.findById(req.params.id))
+ *   // @mursfoto-protected end getUser
+ */
+
+const MARKER_PATTERN = /^(\s*)(\/\/|--)\s*@mursfoto-protected (begin|end) (\S+)\s*$/
+// 已沒有對應位置、附在檔案結尾的區塊
+const ORPHAN_PREFIX = 'orphaned-'
+
+/**
+ * 產生受保護區塊 (含標記)
+ * @param {string} id - 檔案內唯一的區塊名稱
+ * @param {string} body - 預設內容，每行會加上縮排
+ * @param {Object} options - { indent, comment: '//' 或 '--' (SQL) }
+ */
+function protectedRegion (id, body, { indent = '', comment = '//' } = {}) {
+  const lines = body ? body.split('\n').map(line => (line ? indent + line : line)) : []
+  return [
+    `${indent}${comment} @mursfoto-protected begin ${id}`,
+    ...lines,
+    `${indent}${comment} @mursfoto-protected end ${id}`
+  ].join('\n')
+}
+
+/**
+ * 取出檔案中的受保護區塊
+ * 標記不成對、巢狀或名稱重複時拋出錯誤 (含行號)
+ * @returns {Map<string, string>} 區塊名稱 → 內容 (不含標記)
+ */
+function parseRegions (content) {
+  const regions = new Map()
+  const lines = content.split('\n')
+  let open = null
+
+  lines.forEach((line, index) => {
+    const match = line.match(MARKER_PATTERN)
+    if (!match) return
+    const [, , , kind, id] = match
+
+    if (kind === 'begin') {
+      if (open) throw new Error(`第 ${index + 1} 行: 區塊 ${open.id} 尚未結束就開始 ${id}`)
+      if (regions.has(id)) throw new Error(`第 ${index + 1} 行: 區塊名稱重複: ${id}`)
+      open = { id, start: index + 1 }
+    } else {
+      if (!open || open.id !== id) throw new Error(`第 ${index + 1} 行: 沒有對應開始標記的 ${id} 結束標記`)
+      regions.set(id, lines.slice(open.start, index).join('\n'))
+      open = null
+    }
+  })
+
+  if (open) throw new Error(`第 ${open.start} 行: 區塊 ${open.id} 沒有結束標記`)
+  return regions
+}
+
+// 移除受保護區塊的內容，只留下標記
+function stripRegions (content) {
+  const lines = []
+  let inside = false
+  for (const line of content.split('\n')) {
+    const match = line.match(MARKER_PATTERN)
+    if (match) inside = match[3] === 'begin'
+    if (match || !inside) lines.push(line)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * 受保護區塊以外內容的雜湊
+ * 用來判斷產生的檔案是否在區塊外被修改過
+ */
+function skeletonHash (content) {
+  return crypto.createHash('sha256').update(stripRegions(content)).digest('hex')
+}
+
+/**
+ * 將既有的區塊內容填入新產生的檔案
+ * 新版已沒有的區塊會註解後附在檔案結尾，避免遺失手寫的程式碼；空白或仍是預設內容的區塊直接捨棄
+ *
+ * @param {string} generated - 新產生的內容
+ * @param {Map<string, string>} regions - parseRegions 的結果
+ * @param {Object} options - { comment, isDefault(id, body): 區塊是否仍是產生時的預設內容 }
+ * @returns {Object} { content, preserved: 保留的區塊, orphaned: 已沒有對應位置的區塊 }
+ */
+function fillRegions (generated, regions, { comment = '//', isDefault = () => false } = {}) {
+  const preserved = []
+  const lines = []
+  let skipping = false
+
+  for (const line of generated.split('\n')) {
+    const match = line.match(MARKER_PATTERN)
+    if (match && match[3] === 'begin' && regions.has(match[4])) {
+      lines.push(line, ...(regions.get(match[4]) ? regions.get(match[4]).split('\n') : []))
+      preserved.push(match[4])
+      skipping = true
+      continue
+    }
+    if (match && match[3] === 'end') skipping = false
+    if (!skipping) lines.push(line)
+  }
+
+  // 附在結尾的區塊本身也是受保護區塊 (內容已註解)，之後重新產生仍會保留，直到使用者刪除
+  const orphaned = [...regions.keys()].filter(id => !preserved.includes(id) && regions.get(id).trim() && !isDefault(id, regions.get(id)))
+  for (const id of orphaned) {
+    const orphan = id.startsWith(ORPHAN_PREFIX)
+    const body = orphan ? regions.get(id) : regions.get(id).split('\n').map(line => `${comment} ${line}`).join('\n')
+    if (lines[lines.length - 1] === '') lines.pop()
+    lines.push('', `${comment} 以下區塊在重新產生時已沒有對應的位置，請手動移到適當位置後刪除`)
+    lines.push(protectedRegion(orphan ? id : ORPHAN_PREFIX + id, body, { comment }), '')
+  }
+
+  return { content: lines.join('\n'), preserved, orphaned }
+}
+
+module.exports = {
+  protectedRegion,
+  parseRegions,
+  stripRegions,
+  skeletonHash,
+  fillRegions
+}
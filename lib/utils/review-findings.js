@@ -0,0 +1,226 @@
+const fs = require('fs-extra')
+const path = require('path')
+
+/**
+ * AI 程式碼審查的結構化結果
+ * 解析 AI 回應的 JSON、定位建議修改、匯出 SARIF，並依嚴重程度判斷是否未通過
+ */
+
+// 由高到低
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info']
+
+// AI 偶爾會用 SARIF / ESLint 的等級名稱
+const SEVERITY_ALIASES = {
+  blocker: 'critical',
+  error: 'high',
+  major: 'high',
+  warning: 'medium',
+  minor: 'low',
+  note: 'low',
+  suggestion: 'info'
+}
+
+const SARIF_LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+  info: 'note'
+}
+
+function normalizeSeverity (value) {
+  const severity = String(value || '').toLowerCase()
+  if (SEVERITIES.includes(severity)) return severity
+  return SEVERITY_ALIASES[severity] || 'info'
+}
+
+/**
+ * severity 是否達到 threshold (含)
+ */
+function isAtLeast (severity, threshold) {
+  return SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(threshold)
+}
+
+function toLine (value, fallback) {
+  const line = Number.parseInt(value, 10)
+  return Number.isInteger(line) && line > 0 ? line : fallback
+}
+
+// 取出回應中的 JSON：優先使用 ```json 區塊，否則取第一個 { 或 [ 到最後一個 } 或 ]
+function extractJson (text) {
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n```/)
+  if (fenced) return fenced[1]
+
+  const start = text.search(/[{[]/)
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'))
+  return start >= 0 && end > start ? text.slice(start, end + 1) : text
+}
+
+/**
+ * 解析 AI 審查回應
+ * @param {string} text - AI 回應，應為 { summary, findings: [...] } 或 findings 陣列
+ * @param {Object} options - { file: 回應未標示檔案時使用的預設檔案 }
+ * @returns {{ summary, findings: Array<{ ruleId, severity, file, startLine, endLine, message, patch }> }}
+ */
+function parseFindings (text, options = {}) {
+  let data
+  try {
+    data = JSON.parse(extractJson(text))
+  } catch (error) {
+    throw new Error('AI 回應不是有效的審查結果 JSON')
+  }
+
+  const items = Array.isArray(data) ? data : data?.findings
+  if (!Array.isArray(items)) {
+    throw new Error('AI 回應缺少 findings 陣列')
+  }
+
+  const findings = items
+    .filter(item => item && typeof item.message === 'string' && item.message.trim())
+    .map(item => {
+      const startLine = toLine(item.startLine ?? item.line, 1)
+      const finding = {
+        ruleId: String(item.ruleId || item.rule || 'general'),
+        severity: normalizeSeverity(item.severity),
+        file: String(item.file || options.file || '').replace(/\\/g, '/').replace(/^\.\//, ''),
+        startLine,
+        endLine: Math.max(toLine(item.endLine, startLine), startLine),
+        message: item.message.trim()
+      }
+      const patch = item.patch
+      if (patch && typeof patch.original === 'string' && typeof patch.replacement === 'string' && patch.original.trim()) {
+        finding.patch = { original: patch.original, replacement: patch.replacement }
+      }
+      return finding
+    })
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+
+  return { summary: typeof data.summary === 'string' ? data.summary : '', findings }
+}
+
+/**
+ * 各嚴重程度的數量
+ */
+function countBySeverity (findings) {
+  return Object.fromEntries(SEVERITIES.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]))
+}
+
+function splitLines (text) {
+  return text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n')
+}
+
+/**
+ * 在檔案內容中找出建議修改的原始程式碼，有多處相同時取最接近 nearLine 的位置
+ * 比對時忽略行尾空白
+ * @returns {{ startLine, endLine } | null}
+ */
+function locatePatch (content, patch, nearLine = 1) {
+  const lines = splitLines(content).map(line => line.trimEnd())
+  const original = splitLines(patch.original).map(line => line.trimEnd())
+
+  let best = null
+  for (let index = 0; index + original.length <= lines.length; index++) {
+    if (!original.every((line, offset) => lines[index + offset] === line)) continue
+    if (!best || Math.abs(index + 1 - nearLine) < Math.abs(best.startLine - nearLine)) {
+      best = { startLine: index + 1, endLine: index + original.length }
+    }
+  }
+  return best
+}
+
+/**
+ * 套用建議修改，找不到原始程式碼時回傳 null
+ */
+function applyPatch (content, patch, nearLine) {
+  const region = locatePatch(content, patch, nearLine)
+  if (!region) return null
+
+  const eol = content.includes('\r\n') ? '\r\n' : '\n'
+  const lines = content.split(/\r?\n/)
+  const replacement = patch.replacement === '' ? [] : splitLines(patch.replacement)
+  lines.splice(region.startLine - 1, region.endLine - region.startLine + 1, ...replacement)
+  return lines.join(eol)
+}
+
+/**
+ * 依目前的檔案內容標記建議修改的實際位置；檔案不存在或原始程式碼已變更時 patch.applicable 為 false
+ */
+function resolvePatches (findings, root = process.cwd()) {
+  for (const finding of findings) {
+    if (!finding.patch) continue
+    const filePath = path.resolve(root, finding.file)
+    const region = fs.existsSync(filePath)
+      ? locatePatch(fs.readFileSync(filePath, 'utf8'), finding.patch, finding.startLine)
+      : null
+    Object.assign(finding.patch, region ? { applicable: true, ...region } : { applicable: false })
+  }
+  return findings
+}
+
+/**
+ * 匯出 SARIF 2.1.0，可上傳到 GitHub code scanning
+ * @param {Object} review - { findings }
+ * @param {Object} tool - { name, version, informationUri }
+ */
+function toSarif (review, tool = {}) {
+  const ruleIds = [...new Set(review.findings.map(finding => finding.ruleId))]
+
+  const results = review.findings.map(finding => {
+    const artifactLocation = { uri: finding.file }
+    const result = {
+      ruleId: finding.ruleId,
+      ruleIndex: ruleIds.indexOf(finding.ruleId),
+      level: SARIF_LEVELS[finding.severity],
+      message: { text: finding.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation,
+          region: { startLine: finding.startLine, endLine: finding.endLine }
+        }
+      }],
+      properties: { severity: finding.severity }
+    }
+
+    if (finding.patch?.applicable) {
+      result.fixes = [{
+        description: { text: '建議修改' },
+        artifactChanges: [{
+          artifactLocation,
+          replacements: [{
+            deletedRegion: { startLine: finding.patch.startLine, endLine: finding.patch.endLine + 1, startColumn: 1, endColumn: 1 },
+            insertedContent: { text: finding.patch.replacement ? `${finding.patch.replacement.replace(/\n$/, '')}\n` : '' }
+          }]
+        }]
+      }]
+    }
+    return result
+  })
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: tool.name || 'mursfoto-ai-review',
+          ...(tool.version && { version: tool.version }),
+          ...(tool.informationUri && { informationUri: tool.informationUri }),
+          rules: ruleIds.map(id => ({ id, shortDescription: { text: id } }))
+        }
+      },
+      results
+    }]
+  }
+}
+
+module.exports = {
+  extractJson,
+  SEVERITIES,
+  isAtLeast,
+  parseFindings,
+  countBySeverity,
+  locatePatch,
+  applyPatch,
+  resolvePatches,
+  toSarif
+}
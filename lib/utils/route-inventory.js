@@ -0,0 +1,447 @@
+const fs = require('fs-extra')
+const path = require('path')
+const { parseSource, walk } = require('./code-quality')
+
+/**
+ * Express 路由清單
+ * 以 AST 解析 app.get/post/...、router.*、router.route() 鏈、app.use 掛載的子路由與 require('./routes')(app)，
+ * 組合出完整路徑、路徑參數、中間件鏈與 express-validator / celebrate 驗證規則；
+ * 測試產生、ai api 分析與 OpenAPI 產生共用同一份清單
+ */
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all']
+const SOURCE_EXTENSIONS = ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx']
+const RESOLVE_SUFFIXES = ['', '.js', '.cjs', '.mjs', '.ts', '/index.js', '/index.ts']
+
+// express-validator 的欄位位置；check 不限位置
+const VALIDATOR_LOCATIONS = {
+  body: 'body',
+  check: 'any',
+  param: 'path',
+  query: 'query',
+  header: 'header',
+  cookie: 'cookie'
+}
+const CELEBRATE_LOCATIONS = { body: 'body', params: 'path', query: 'query', headers: 'header', cookies: 'cookie' }
+// 只調整訊息或流程的方法，不算驗證規則
+const IGNORED_RULES = new Set(['withMessage', 'bail', 'trim', 'escape'])
+
+function isRequire (node) {
+  return node?.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+    node.arguments[0]?.type === 'StringLiteral'
+}
+
+function isMember (node, object, property) {
+  return node?.type === 'MemberExpression' && !node.computed && node.property.name === property &&
+    (object === undefined || (node.object.type === 'Identifier' && node.object.name === object))
+}
+
+function propertyName (node) {
+  if (!node) return null
+  if (node.type === 'Identifier') return node.name
+  if (node.type === 'StringLiteral') return node.value
+  if (node.type === 'MemberExpression') return propertyName(node.property)
+  return null
+}
+
+// express() / require('express')() 建立應用程式，express.Router() / Router() 建立子路由
+function routerKind (init) {
+  if (init?.type !== 'CallExpression') return null
+  const callee = init.callee
+  if ((callee.type === 'Identifier' && callee.name === 'express') || (isRequire(callee) && callee.arguments[0].value === 'express')) {
+    return 'app'
+  }
+  if ((callee.type === 'Identifier' && callee.name === 'Router') || isMember(callee, undefined, 'Router')) {
+    return 'router'
+  }
+  return null
+}
+
+/**
+ * 由路徑取出參數，例如 /users/:id/:tab? → id (必填)、tab (選填)
+ */
+function pathParams (routePath) {
+  return [...routePath.matchAll(/:([A-Za-z_$][\w$]*)(?:\([^)]*\))?(\?)?/g)]
+    .map(match => ({ name: match[1], in: 'path', required: !match[2] }))
+}
+
+function joinPaths (prefix, routePath) {
+  const joined = `${prefix.replace(/\/+$/, '')}/${routePath.replace(/^\/+/, '')}`
+  return joined.length > 1 ? joined.replace(/\/+$/, '') : '/'
+}
+
+// 中間件是否作用於此路徑 (app.use('/api', auth) 只作用於 /api 底下)
+function appliesTo (middlewarePath, routePath) {
+  return !middlewarePath || middlewarePath === '/' || routePath === middlewarePath || routePath.startsWith(`${middlewarePath}/`)
+}
+
+// 鏈式呼叫的方法名稱與最內層的呼叫，例如 body('email').isEmail().optional() → { root: body('email'), methods: [isEmail, optional] }
+function unwrapChain (node) {
+  const methods = []
+  let current = node
+  while (current?.type === 'CallExpression' && current.callee.type === 'MemberExpression' && current.callee.object.type === 'CallExpression') {
+    methods.unshift(current.callee.property.name)
+    current = current.callee.object
+  }
+  return { root: current, methods }
+}
+
+// Joi 規則鏈，例如 Joi.string().email().required() → [string, email, required]
+function chainRules (node) {
+  const { root, methods } = unwrapChain(node)
+  const first = root?.type === 'CallExpression' && root.callee.type === 'MemberExpression' ? [root.callee.property.name] : []
+  return [...first, ...methods]
+}
+
+/**
+ * 分析單一檔案：路由物件、匯入、匯出與依序出現的路由 / 掛載呼叫
+ */
+function analyzeFile (file, code) {
+  const info = {
+    file,
+    routers: new Map(),
+    imports: new Map(),
+    constants: new Map(),
+    functions: new Map(),
+    exported: null,
+    exportedParam: null,
+    calls: []
+  }
+
+  let ast
+  try {
+    ast = parseSource(code, file)
+  } catch (error) {
+    return info
+  }
+
+  const source = node => code.slice(node.start, node.end)
+
+  // 第一輪：宣告、匯入與匯出
+  walk(ast, node => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      const kind = routerKind(node.init)
+      if (kind) info.routers.set(node.id.name, { kind, line: node.loc.start.line })
+      if (isRequire(node.init)) info.imports.set(node.id.name, node.init.arguments[0].value)
+      if (node.init?.type === 'StringLiteral') info.constants.set(node.id.name, node.init.value)
+      if (node.init?.type === 'TemplateLiteral' && node.init.expressions.length === 0) {
+        info.constants.set(node.id.name, node.init.quasis[0].value.cooked)
+      }
+      if (/Function/.test(node.init?.type)) info.functions.set(node.id.name, node.init)
+    }
+    if (node.type === 'FunctionDeclaration' && node.id) info.functions.set(node.id.name, node)
+
+    if (node.type === 'ImportDeclaration') {
+      const specifier = node.specifiers.find(item => item.type === 'ImportDefaultSpecifier')
+      if (specifier) info.imports.set(specifier.local.name, node.source.value)
+    }
+
+    const exported = node.type === 'AssignmentExpression' && isMember(node.left, 'module', 'exports')
+      ? node.right
+      : node.type === 'ExportDefaultDeclaration' ? node.declaration : null
+    if (exported?.type === 'Identifier') {
+      info.exported = exported.name
+    } else if (exported && /Function/.test(exported.type) && exported.params[0]?.type === 'Identifier') {
+      // module.exports = (app) => { app.get(...) }
+      info.exportedParam = exported.params[0].name
+      info.routers.set(exported.params[0].name, { kind: 'param', line: exported.loc.start.line })
+    }
+  })
+
+  const resolvePath = node => {
+    if (!node) return null
+    if (node.type === 'StringLiteral') return node.value
+    if (node.type === 'Identifier' && info.constants.has(node.name)) return info.constants.get(node.name)
+    // `${API}/users` 之類只用到常數的樣板字串
+    if (node.type === 'TemplateLiteral' && node.expressions.every(item => item.type === 'Identifier' && info.constants.has(item.name))) {
+      return node.quasis.map((quasi, index) => quasi.value.cooked + (node.expressions[index] ? info.constants.get(node.expressions[index].name) : '')).join('')
+    }
+    if (node.type === 'RegExpLiteral') return `/${node.pattern}/`
+    if (node.type === 'TemplateLiteral' || node.type === 'Identifier' || node.type === 'BinaryExpression') {
+      return `{${source(node)}}`
+    }
+    return null
+  }
+
+  const describe = node => {
+    if (node.type === 'Identifier' || node.type === 'MemberExpression') return source(node)
+    if (node.type === 'CallExpression') return `${describe(node.callee)}()`
+    if (/Function/.test(node.type)) return '(inline)'
+    return source(node)
+  }
+
+  // 處理函式在原始碼中的範圍：行內函式、同檔案宣告的函式或 asyncHandler(async (req, res) => {}) 包裝
+  const handlerRange = node => {
+    if (/Function/.test(node.type)) return [node.start, node.end]
+    if (node.type === 'Identifier' && info.functions.has(node.name)) {
+      const fn = info.functions.get(node.name)
+      return [fn.start, fn.end]
+    }
+    if (node.type === 'CallExpression' && node.arguments.length > 0) return handlerRange(node.arguments[node.arguments.length - 1])
+    return null
+  }
+
+  // 路由前的註解第一行，例如 /** POST /auth/tokens - 生成新的 API Token */ → 生成新的 API Token
+  const summaryOf = statement => {
+    const comment = statement?.type === 'ExpressionStatement' ? statement.leadingComments?.[statement.leadingComments.length - 1] : null
+    if (!comment) return null
+    const line = comment.value.split('\n').map(text => text.replace(/^\s*\*?\s?/, '').trim()).find(Boolean)
+    return line ? line.replace(/^[A-Z]+\s+\/\S*\s+-\s*/, '') : null
+  }
+
+  // 驗證規則：express-validator 鏈與 celebrate({ body: Joi.object({...}) })
+  const validatorsOf = node => {
+    const { root, methods } = unwrapChain(node)
+    const name = root?.type === 'CallExpression' && root.callee.type === 'Identifier' ? root.callee.name : null
+
+    if (Object.hasOwn(VALIDATOR_LOCATIONS, name) && root.arguments[0]?.type === 'StringLiteral') {
+      const rules = methods.filter(rule => !IGNORED_RULES.has(rule))
+      return [{ field: root.arguments[0].value, in: VALIDATOR_LOCATIONS[name], rules, required: !rules.includes('optional') }]
+    }
+
+    if (name === 'celebrate' && root.arguments[0]?.type === 'ObjectExpression') {
+      return root.arguments[0].properties.flatMap(segment => {
+        const location = CELEBRATE_LOCATIONS[String(propertyName(segment.key)).toLowerCase()]
+        let schema = null
+        walk(segment.value, child => {
+          if (schema) return false
+          if (child.type === 'ObjectExpression') {
+            schema = child
+            return false
+          }
+        })
+        if (!location || !schema) return []
+        return schema.properties.map(property => {
+          const rules = chainRules(property.value)
+          return { field: propertyName(property.key), in: location, rules, required: rules.includes('required') }
+        })
+      })
+    }
+    return null
+  }
+
+  // 路由處理函式前的參數：中間件名稱與驗證規則 (陣列會展開)
+  const handlersOf = args => {
+    const middleware = []
+    const validators = []
+    for (const arg of args.flatMap(item => item.type === 'ArrayExpression' ? item.elements : [item])) {
+      const rules = validatorsOf(arg)
+      if (rules) {
+        validators.push(...rules)
+      } else {
+        middleware.push(describe(arg))
+      }
+    }
+    return { middleware, validators }
+  }
+
+  // 掛載目標：匯入的子路由、同檔案的子路由或 require('./routes/x')
+  const targetOf = arg => {
+    if (arg.type === 'Identifier' && info.imports.has(arg.name)) return { spec: info.imports.get(arg.name) }
+    if (arg.type === 'Identifier' && info.routers.has(arg.name)) return { router: arg.name }
+    if (isRequire(arg)) return { spec: arg.arguments[0].value }
+    return null
+  }
+
+  // 第二輪：依序記錄路由與掛載
+  walk(ast, (node, ancestors) => {
+    if (node.type !== 'CallExpression') return
+    const callee = node.callee
+    const statement = ancestors[ancestors.length - 1]
+
+    // require('./routes')(app) 或 routes(app)：把路由物件傳給匯出的函式
+    const injected = isRequire(callee) ? callee.arguments[0].value
+      : callee.type === 'Identifier' && info.imports.has(callee.name) ? info.imports.get(callee.name) : null
+    if (injected && node.arguments[0]?.type === 'Identifier' && info.routers.has(node.arguments[0].name)) {
+      info.calls.push({ type: 'inject', router: node.arguments[0].name, spec: injected, line: node.loc.start.line, start: node.start })
+      return
+    }
+
+    if (callee.type !== 'MemberExpression' || callee.computed) return
+    const method = callee.property.name
+
+    // router.route('/path').get(...).post(...)
+    if (METHODS.includes(method) && callee.object.type === 'CallExpression') {
+      let base = callee.object
+      while (base.type === 'CallExpression' && base.callee.type === 'MemberExpression' && METHODS.includes(base.callee.property.name)) {
+        base = base.callee.object
+      }
+      if (base.type === 'CallExpression' && isMember(base.callee, undefined, 'route') && base.callee.object.type === 'Identifier' &&
+        info.routers.has(base.callee.object.name) && node.arguments.length > 0) {
+        const handler = node.arguments[node.arguments.length - 1]
+        info.calls.push({
+          type: 'route',
+          router: base.callee.object.name,
+          method: method.toUpperCase(),
+          path: resolvePath(base.arguments[0]) || '/',
+          handler: describe(handler),
+          handlerRange: handlerRange(handler),
+          summary: summaryOf(statement),
+          ...handlersOf(node.arguments.slice(0, -1)),
+          line: callee.property.loc.start.line,
+          start: callee.property.start
+        })
+      }
+      return
+    }
+
+    if (callee.object.type !== 'Identifier' || !info.routers.has(callee.object.name)) return
+    const router = callee.object.name
+
+    // app.get('env') 之類的設定讀取只有一個參數，不是路由
+    if (METHODS.includes(method) && node.arguments.length >= 2) {
+      const routePath = resolvePath(node.arguments[0])
+      if (routePath === null) return
+      const handler = node.arguments[node.arguments.length - 1]
+      info.calls.push({
+        type: 'route',
+        router,
+        method: method.toUpperCase(),
+        path: routePath,
+        handler: describe(handler),
+        handlerRange: handlerRange(handler),
+        summary: summaryOf(statement),
+        ...handlersOf(node.arguments.slice(1, -1)),
+        line: node.loc.start.line,
+        start: node.start
+      })
+    }
+
+    if (method === 'use' && node.arguments.length > 0) {
+      // app.use(middleware) 的第一個參數不是路徑
+      const first = node.arguments[0]
+      const mountPath = first.type === 'Identifier' && !info.constants.has(first.name) ? null : resolvePath(first)
+      const args = mountPath === null ? node.arguments : node.arguments.slice(1)
+      const targets = []
+      const rest = []
+      for (const arg of args) {
+        const target = targetOf(arg)
+        if (target) targets.push(target)
+        else rest.push(arg)
+      }
+      info.calls.push({ type: 'use', router, path: mountPath || '', targets, ...handlersOf(rest), line: node.loc.start.line, start: node.start })
+    }
+  })
+
+  // 鏈式呼叫由外往內走訪，依原始碼位置排回註冊順序
+  info.calls.sort((a, b) => a.start - b.start)
+  return info
+}
+
+function resolveSpec (fromFile, spec, fileSet) {
+  if (!spec.startsWith('.')) return null
+  const base = path.posix.join(path.posix.dirname(fromFile), spec)
+  return RESOLVE_SUFFIXES.map(suffix => base + suffix).find(candidate => fileSet.has(candidate)) || null
+}
+
+/**
+ * 建立路由清單
+ * @param {string} root - 專案根目錄
+ * @param {string[]} files - 要分析的檔案 (相對於 root 的路徑)
+ * @returns {{ apps, mounts, routes }}
+ *   apps: [{ file, line, name, exported }]
+ *   mounts: [{ path, file, line, target }]
+ *   routes: [{ method, path, params, middleware, validators, handler, handlerRange, summary, file, line, mounted }]
+ *   handlerRange 為處理函式在檔案中的 [start, end] 位置 (找不到時為 null)，summary 為路由前註解的第一行
+ */
+function buildRouteInventory (root, files) {
+  const sources = files
+    .map(file => file.split(path.sep).join('/'))
+    .filter(file => SOURCE_EXTENSIONS.includes(path.extname(file)))
+  const fileSet = new Set(sources)
+  const infos = new Map()
+  for (const file of sources) {
+    const code = fs.readFileSync(path.join(root, file), 'utf8')
+    // 沒有提到 express / Router / app. 的檔案不可能有路由，略過解析
+    if (!/express|Router|\.(get|post|put|patch|delete|use|route)\(/.test(code)) continue
+    infos.set(file, analyzeFile(file, code))
+  }
+
+  const inventory = { apps: [], mounts: [], routes: [] }
+  const visited = new Set()
+
+  // 走訪路由物件的呼叫；inherited 為上層在掛載前已註冊的中間件 [{ name, path }]
+  const visit = (file, routerName, prefix, inherited, stack, mounted) => {
+    const info = infos.get(file)
+    const key = `${file}#${routerName}`
+    if (!info || !routerName || stack.includes(key)) return
+    visited.add(key)
+
+    const middleware = [...inherited]
+    for (const call of info.calls.filter(item => item.router === routerName)) {
+      if (call.type === 'route') {
+        const fullPath = joinPaths(prefix, call.path)
+        inventory.routes.push({
+          method: call.method,
+          path: fullPath,
+          params: pathParams(fullPath),
+          middleware: [...middleware.filter(item => appliesTo(item.path, fullPath)).map(item => item.name), ...call.middleware],
+          validators: call.validators,
+          handler: call.handler,
+          handlerRange: call.handlerRange,
+          summary: call.summary,
+          file,
+          line: call.line,
+          mounted
+        })
+        continue
+      }
+
+      const mountPath = call.type === 'use' ? joinPaths(prefix, call.path) : prefix
+      const scoped = call.type === 'use' ? call.middleware.map(name => ({ name, path: call.path ? mountPath : prefix })) : []
+
+      if (call.type === 'use' && call.targets.length === 0) {
+        middleware.push(...scoped)
+        continue
+      }
+
+      const targets = call.type === 'inject' ? [{ spec: call.spec, inject: true }] : call.targets
+      for (const target of targets) {
+        const targetFile = target.spec ? resolveSpec(file, target.spec, fileSet) : file
+        const targetInfo = infos.get(targetFile)
+        const targetRouter = target.router || (target.inject ? targetInfo?.exportedParam : targetInfo?.exported)
+        if (!targetRouter) continue
+
+        inventory.mounts.push({ path: mountPath === '' ? '/' : mountPath, file, line: call.line, target: targetFile })
+        visit(targetFile, targetRouter, mountPath === '/' ? '' : mountPath, [...middleware, ...scoped], [...stack, key], mounted)
+      }
+    }
+  }
+
+  for (const info of infos.values()) {
+    for (const [name, router] of info.routers) {
+      if (router.kind !== 'app') continue
+      inventory.apps.push({ file: info.file, line: router.line, name, exported: info.exported === name })
+      visit(info.file, name, '', [], [], true)
+    }
+  }
+
+  // 沒有被掛載的子路由仍列出，路徑為子路由內的相對路徑
+  for (const info of infos.values()) {
+    for (const name of info.routers.keys()) {
+      if (!visited.has(`${info.file}#${name}`)) visit(info.file, name, '', [], [], false)
+    }
+  }
+
+  return inventory
+}
+
+/**
+ * 單行描述路由，例如 POST /api/users (src/routes/users.js:12) 中間件: auth 驗證: body.email isEmail
+ */
+function formatRoute (route) {
+  const parts = [`${route.method} ${route.path} (${route.file}:${route.line})`]
+  if (route.middleware.length > 0) parts.push(`中間件: ${route.middleware.join(', ')}`)
+  if (route.validators.length > 0) {
+    parts.push(`驗證: ${route.validators.map(item => `${item.in}.${item.field}${item.rules.length > 0 ? ` ${item.rules.join('/')}` : ''}`).join(', ')}`)
+  }
+  if (!route.mounted) parts.push('(未掛載)')
+  return parts.join(' ')
+}
+
+module.exports = {
+  METHODS,
+  pathParams,
+  buildRouteInventory,
+  formatRoute
+}
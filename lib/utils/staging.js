@@ -0,0 +1,62 @@
+const path = require('path')
+const { vfs } = require('./vfs')
+
+// 暫存與備份目錄放在目標旁邊，確保在同一個檔案系統上可以原子地 rename
+function siblingPrefix (targetPath, kind) {
+  return path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${kind}-`)
+}
+
+/**
+ * 建立目標目錄的暫存目錄
+ * @returns {string} 暫存目錄路徑
+ */
+async function createStagingDir (targetPath) {
+  await vfs.ensureDir(path.dirname(targetPath))
+  return vfs.mkdtemp(siblingPrefix(targetPath, 'staging'))
+}
+
+/**
+ * 將暫存目錄移到目標位置
+ * 既有的目標目錄會先移到備份，移入失敗時還原，成功後才刪除備份
+ */
+async function commitStagingDir (stagingPath, targetPath) {
+  let backupPath = null
+
+  if (vfs.existsSync(targetPath)) {
+    // dry-run 中直接取代，差異會顯示在計畫中
+    if (vfs.dryRun) {
+      await vfs.remove(targetPath)
+    } else {
+      backupPath = `${siblingPrefix(targetPath, 'backup')}${Date.now()}`
+      await vfs.rename(targetPath, backupPath)
+    }
+  }
+
+  try {
+    await vfs.rename(stagingPath, targetPath)
+  } catch (error) {
+    if (backupPath) {
+      await vfs.rename(backupPath, targetPath)
+    }
+    throw error
+  }
+
+  if (backupPath) {
+    await vfs.remove(backupPath)
+  }
+}
+
+/**
+ * 放棄暫存目錄 (失敗時清理)
+ */
+async function discardStagingDir (stagingPath) {
+  if (stagingPath) {
+    await vfs.remove(stagingPath)
+  }
+}
+
+module.exports = {
+  createStagingDir,
+  commitStagingDir,
+  discardStagingDir
+}
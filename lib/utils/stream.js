@@ -0,0 +1,157 @@
+const { spawn } = require('child_process')
+
+/**
+ * 解析 Server-Sent Events 串流
+ * @param {AsyncIterable} stream - axios 的 Node Readable 或 fetch 的 ReadableStream
+ * @yields {{ event: string, data: string }}
+ */
+async function * readSSE (stream) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+  // 結尾的 \r 可能是被切開的 \r\n，留到下一個 chunk 再換成 \n
+  let pending = ''
+
+  const parse = (block) => {
+    let event = 'message'
+    const data = []
+    for (const line of block.split('\n')) {
+      if (line.startsWith(':')) continue
+      const index = line.indexOf(':')
+      const field = index === -1 ? line : line.slice(0, index)
+      const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '')
+      if (field === 'event') event = value
+      if (field === 'data') data.push(value)
+    }
+    return data.length > 0 ? { event, data: data.join('\n') } : null
+  }
+
+  for await (const chunk of stream) {
+    const text = pending + (typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }))
+    pending = text.endsWith('\r') ? '\r' : ''
+    buffer += text.slice(0, text.length - pending.length).replace(/\r\n?/g, '\n')
+
+    let index
+    while ((index = buffer.indexOf('\n\n')) !== -1) {
+      const message = parse(buffer.slice(0, index))
+      buffer = buffer.slice(index + 2)
+      if (message) yield message
+    }
+  }
+
+  const rest = parse((buffer + pending).trim())
+  if (rest) yield rest
+}
+
+/**
+ * 解析以換行分隔的 JSON 串流 (NDJSON，例如 Ollama)
+ * @param {AsyncIterable} stream - axios 的 Node Readable 或 fetch 的 ReadableStream
+ * @yields {Object}
+ */
+async function * readNDJSON (stream) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })
+
+    let index
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).trim()
+      buffer = buffer.slice(index + 1)
+      if (line) yield JSON.parse(line)
+    }
+  }
+
+  if (buffer.trim()) yield JSON.parse(buffer)
+}
+
+/**
+ * 取出 OpenAI 相容串流單一事件中的文字片段
+ * @returns {string} 沒有文字時為空字串
+ */
+function openAIDelta (data) {
+  const payload = JSON.parse(data)
+  if (payload.error) {
+    throw new Error(payload.error.message || JSON.stringify(payload.error))
+  }
+  return payload.choices?.[0]?.delta?.content || ''
+}
+
+/**
+ * 從 OpenAI 相容的串流取出文字片段 (OpenAI、LM Studio)
+ * @yields {string}
+ */
+async function * readOpenAIStream (stream) {
+  for await (const { data } of readSSE(stream)) {
+    if (data === '[DONE]') return
+    const text = openAIDelta(data)
+    if (text) yield text
+  }
+}
+
+/**
+ * 執行 shell 命令並逐段取得 stdout
+ * 非零結束碼時以 stderr 內容拋出錯誤；signal 中止時結束子程序
+ * @param {Object} options - { cwd, signal, input: 寫入 stdin 的內容 }
+ * @yields {string}
+ */
+async function * streamCommand (command, options = {}) {
+  const hasInput = options.input !== undefined
+  const child = spawn(command, { shell: true, cwd: options.cwd, stdio: [hasInput ? 'pipe' : 'ignore', 'pipe', 'pipe'] })
+  if (hasInput) {
+    // 命令不讀取 stdin 就結束時忽略 EPIPE
+    child.stdin.on('error', () => {})
+    child.stdin.end(options.input)
+  }
+  let stderr = ''
+  child.stderr.on('data', chunk => { stderr += chunk })
+
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject)
+    child.on('close', code => resolve(code))
+  })
+  // 呼叫端提前結束迭代時不會再等待結束碼
+  exited.catch(() => {})
+
+  const abort = () => child.kill()
+  options.signal?.addEventListener('abort', abort)
+
+  try {
+    child.stdout.setEncoding('utf8')
+    for await (const chunk of child.stdout) {
+      yield chunk
+    }
+
+    const code = await exited
+    if (options.signal?.aborted) {
+      throw new Error('已取消')
+    }
+    if (code !== 0) {
+      throw new Error(`Command failed: ${command}\n${stderr}`)
+    }
+  } finally {
+    options.signal?.removeEventListener('abort', abort)
+    // 呼叫端提前結束迭代時不留下子程序
+    if (child.exitCode === null) child.kill()
+  }
+}
+
+/**
+ * 收集串流的所有文字片段
+ */
+async function collectStream (chunks) {
+  let text = ''
+  for await (const chunk of chunks) {
+    text += chunk
+  }
+  return text
+}
+
+module.exports = {
+  readSSE,
+  readNDJSON,
+  openAIDelta,
+  readOpenAIStream,
+  streamCommand,
+  collectStream
+}
@@ -0,0 +1,229 @@
+const fs = require('fs-extra')
+const path = require('path')
+const { ERROR_CODES, MursfotoError } = require('./errors')
+
+// template.config.js prompts 支援的類型
+const PROMPT_TYPES = ['input', 'number', 'confirm', 'list']
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on']
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off']
+
+/**
+ * 解析 --var key=value 參數
+ * @param {Array} vars - ['port=8080', 'auth=true']
+ */
+function parseVarOptions (vars = []) {
+  const result = {}
+
+  for (const item of vars) {
+    const index = item.indexOf('=')
+    if (index <= 0) {
+      throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `--var 格式錯誤: ${item}（應為 key=value）`)
+    }
+    result[item.slice(0, index).trim()] = item.slice(index + 1)
+  }
+
+  return result
+}
+
+/**
+ * 讀取 --answers JSON 檔
+ */
+function loadAnswersFile (filePath) {
+  const resolved = path.resolve(filePath)
+  if (!fs.existsSync(resolved)) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `找不到答案檔: ${resolved}`)
+  }
+
+  try {
+    return fs.readJsonSync(resolved)
+  } catch (error) {
+    throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `無法解析答案檔 ${resolved}: ${error.message}`)
+  }
+}
+
+// list 類型的選項可以是字串或 { name, value }
+function getChoiceValues (prompt) {
+  return (prompt.choices || []).map(choice => (typeof choice === 'object' ? choice.value : choice))
+}
+
+/**
+ * 依 prompt 類型轉換並驗證答案
+ */
+function coerceAnswer (prompt, raw) {
+  const type = prompt.type || 'input'
+  let value = raw
+
+  switch (type) {
+    case 'number':
+      value = typeof raw === 'number' ? raw : Number(raw)
+      if (raw === '' || Number.isNaN(value)) {
+        throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `${prompt.name} 必須是數字，收到: ${raw}`)
+      }
+      break
+    case 'confirm':
+      if (typeof raw !== 'boolean') {
+        const normalized = String(raw).toLowerCase()
+        if (TRUE_VALUES.includes(normalized)) value = true
+        else if (FALSE_VALUES.includes(normalized)) value = false
+        else throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `${prompt.name} 必須是 true 或 false，收到: ${raw}`)
+      }
+      break
+    case 'list': {
+      const choices = getChoiceValues(prompt)
+      if (!choices.includes(raw)) {
+        throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `${prompt.name} 必須是 ${choices.join(', ')} 其中之一，收到: ${raw}`)
+      }
+      break
+    }
+    default:
+      value = String(raw)
+  }
+
+  if (typeof prompt.validate === 'function') {
+    const result = prompt.validate(value)
+    if (result !== true && result !== undefined) {
+      throw new MursfotoError(ERROR_CODES.INVALID_INPUT, `${prompt.name}: ${result || '驗證失敗'}`)
+    }
+  }
+
+  return value
+}
+
+/**
+ * 檢查 prompts 定義
+ */
+function validatePrompts (prompts, reservedNames = []) {
+  const errors = []
+
+  for (const prompt of prompts) {
+    if (!prompt.name) {
+      errors.push('每個 prompt 都需要 name')
+      continue
+    }
+    if (reservedNames.includes(prompt.name)) {
+      errors.push(`prompt ${prompt.name} 與內建變數衝突`)
+    }
+    if (prompt.type && !PROMPT_TYPES.includes(prompt.type)) {
+      errors.push(`prompt ${prompt.name} 的類型 ${prompt.type} 不支援（支援: ${PROMPT_TYPES.join(', ')}）`)
+    }
+    if (prompt.type === 'list' && getChoiceValues(prompt).length === 0) {
+      errors.push(`prompt ${prompt.name} 需要 choices`)
+    }
+  }
+
+  return errors
+}
+
+/**
+ * 解析模板答案
+ * 優先順序: --var > --answers > 互動輸入 > 預設值
+ *
+ * @param {Array} prompts - template.config.js 中的 prompts
+ * @param {Object} options - { vars, answers, prompt } prompt 為互動詢問函數，不提供則使用預設值
+ */
+async function resolveAnswers (prompts = [], options = {}) {
+  const provided = { ...(options.answers || {}), ...(options.vars || {}) }
+  const answers = {}
+  const pending = []
+
+  for (const prompt of prompts) {
+    if (typeof prompt.when === 'function' && !prompt.when(answers)) {
+      continue
+    }
+
+    if (Object.prototype.hasOwnProperty.call(provided, prompt.name)) {
+      answers[prompt.name] = coerceAnswer(prompt, provided[prompt.name])
+      continue
+    }
+
+    if (options.prompt) {
+      // 互動詢問需保持 prompts 順序，when 依賴前面的答案
+      const result = await options.prompt([toInquirerQuestion(prompt, answers)])
+      answers[prompt.name] = coerceAnswer(prompt, result[prompt.name])
+      continue
+    }
+
+    if (prompt.default === undefined) {
+      pending.push(prompt.name)
+      continue
+    }
+
+    answers[prompt.name] = typeof prompt.default === 'function' ? prompt.default(answers) : prompt.default
+  }
+
+  if (pending.length > 0) {
+    throw new MursfotoError(ERROR_CODES.MISSING_INPUT, `缺少模板變數: ${pending.join(', ')}（請使用 --var key=value 或 --answers 提供）`, {
+      inputs: pending
+    })
+  }
+
+  return answers
+}
+
+function toInquirerQuestion (prompt, answers) {
+  return {
+    type: prompt.type || 'input',
+    name: prompt.name,
+    message: prompt.message || prompt.name,
+    choices: prompt.choices,
+    default: typeof prompt.default === 'function' ? prompt.default(answers) : prompt.default,
+    validate: (input) => {
+      try {
+        coerceAnswer(prompt, input)
+        return true
+      } catch (error) {
+        return error.message
+      }
+    }
+  }
+}
+
+// 將 glob 轉為正規表示式 (支援 ** 與 *)
+function globToRegExp (pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/?/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\u0000/g, '.*')
+  return new RegExp(`^${escaped}$`)
+}
+
+// 條件可以是函數、答案名稱或 !答案名稱
+function evaluateCondition (condition, answers) {
+  if (typeof condition === 'function') return Boolean(condition(answers))
+  if (typeof condition === 'boolean') return condition
+  if (typeof condition === 'string') {
+    return condition.startsWith('!') ? !answers[condition.slice(1)] : Boolean(answers[condition])
+  }
+  return true
+}
+
+/**
+ * 建立檔案過濾器
+ * @param {Object} fileRules - { 'db/redis.js': 'redis', 'middleware/auth/**': answers => answers.auth }
+ * @returns {Function} (relativePath) => boolean
+ */
+function createFileFilter (fileRules = {}, answers = {}) {
+  const rules = Object.entries(fileRules).map(([pattern, condition]) => ({
+    matcher: globToRegExp(pattern.replace(/\\/g, '/')),
+    condition
+  }))
+
+  return (relativePath) => {
+    const normalized = relativePath.split(path.sep).join('/')
+    return rules
+      .filter(rule => rule.matcher.test(normalized))
+      .every(rule => evaluateCondition(rule.condition, answers))
+  }
+}
+
+module.exports = {
+  PROMPT_TYPES,
+  parseVarOptions,
+  loadAnswersFile,
+  coerceAnswer,
+  validatePrompts,
+  resolveAnswers,
+  createFileFilter
+}
@@ -0,0 +1,326 @@
+const fs = require('fs-extra')
+const path = require('path')
+const Handlebars = require('handlebars')
+const { getGlobalConfigDir } = require('./config')
+const { validatePrompts } = require('./template-prompts')
+
+const MANIFEST_FILE = 'template.json'
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '../templates')
+const TEMPLATE_TYPES = ['project', 'feature']
+const SUPPORTED_OPTIONS = ['install', 'git', 'gateway']
+
+// create 命令自動提供的模板變數
+const BUILTIN_VARIABLES = [
+  'projectName',
+  'projectNameKebab',
+  'projectNameCamel',
+  'projectNamePascal',
+  'description',
+  'author',
+  'year',
+  'timestamp',
+  'gatewayUrl',
+  'templateName'
+]
+
+// 插件提供的外部模板 (名稱 → 目錄)
+const externalTemplates = new Map()
+
+// 探索結果快取，外部模板變動時失效
+let cache = null
+
+/**
+ * 使用者模板目錄，放在這裡的模板目錄會被自動探索
+ */
+function getUserTemplatesDir () {
+  return path.join(getGlobalConfigDir(), 'templates')
+}
+
+/**
+ * 註冊外部模板目錄
+ */
+function registerTemplate (templateName, templateDir) {
+  if (!fs.existsSync(templateDir)) {
+    throw new Error(`模板目錄不存在: ${templateDir}`)
+  }
+  externalTemplates.set(templateName, templateDir)
+  cache = null
+}
+
+/**
+ * 讀取模板清單檔，沒有清單時回傳 null
+ */
+function loadManifest (templateDir) {
+  const manifestPath = path.join(templateDir, MANIFEST_FILE)
+  if (!fs.existsSync(manifestPath)) {
+    return null
+  }
+  return fs.readJsonSync(manifestPath)
+}
+
+// 將清單補齊預設值，沒有清單的目錄視為專案模板
+function normalizeManifest (name, manifest = {}) {
+  return {
+    name,
+    displayName: manifest.displayName || name,
+    description: manifest.description || '',
+    emoji: manifest.emoji || '📦',
+    type: manifest.type || 'project',
+    version: manifest.version || '0.0.0',
+    variables: manifest.variables || [],
+    options: manifest.options || SUPPORTED_OPTIONS,
+    features: manifest.features || [],
+    addons: manifest.addons || {},
+    port: manifest.port,
+    quickStart: manifest.quickStart
+  }
+}
+
+function scanDirectory (rootDir, source) {
+  if (!fs.existsSync(rootDir)) return []
+
+  return fs.readdirSync(rootDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => createEntry(entry.name, path.join(rootDir, entry.name), source))
+}
+
+function createEntry (name, templateDir, source) {
+  let manifest = null
+  let error = null
+
+  try {
+    manifest = loadManifest(templateDir)
+  } catch (err) {
+    error = `無法解析 ${MANIFEST_FILE}: ${err.message}`
+  }
+
+  return {
+    ...normalizeManifest(name, manifest || {}),
+    source,
+    path: templateDir,
+    hasManifest: Boolean(manifest),
+    error
+  }
+}
+
+/**
+ * 探索所有可用模板
+ * 優先順序: 插件 > 使用者模板目錄 (~/.mursfoto/templates) > 內建
+ */
+function discoverTemplates ({ refresh = false } = {}) {
+  if (cache && !refresh) return cache
+
+  const templates = new Map()
+  const sources = [
+    ...scanDirectory(BUILTIN_TEMPLATES_DIR, 'builtin'),
+    ...scanDirectory(getUserTemplatesDir(), 'user'),
+    ...Array.from(externalTemplates, ([name, dir]) => createEntry(name, dir, 'plugin'))
+  ]
+
+  for (const entry of sources) {
+    templates.set(entry.name, entry)
+  }
+
+  cache = Array.from(templates.values())
+  return cache
+}
+
+/**
+ * 列出模板
+ * @param {Object} filter - { type: 'project' | 'feature' }
+ */
+function listTemplates (filter = {}) {
+  return discoverTemplates().filter(template => !filter.type || template.type === filter.type)
+}
+
+function getTemplate (templateName) {
+  return discoverTemplates().find(template => template.name === templateName) || null
+}
+
+/**
+ * 解析模板目錄 (外部模板優先於內建模板)
+ */
+function resolveTemplateDir (templateName) {
+  const template = getTemplate(templateName)
+  return template ? template.path : path.join(BUILTIN_TEMPLATES_DIR, templateName)
+}
+
+// 收集模板檔案中使用的 Handlebars 變數
+function collectTemplateVariables (templateDir, errors) {
+  const variables = new Set()
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        walk(entryPath)
+        continue
+      }
+      if (dir === templateDir && (entry.name === MANIFEST_FILE || entry.name === 'template.config.js')) continue
+
+      const content = fs.readFileSync(entryPath, 'utf8')
+      if (!content.includes('{{')) continue
+
+      try {
+        const ast = Handlebars.parse(content)
+        collectFromAst(ast, variables)
+      } catch (error) {
+        errors.push(`${path.relative(templateDir, entryPath)}: Handlebars 語法錯誤 - ${error.message.split('\n')[0]}`)
+      }
+    }
+  }
+
+  walk(templateDir)
+  return variables
+}
+
+function collectFromAst (node, variables) {
+  if (!node || typeof node !== 'object') return
+
+  switch (node.type) {
+    case 'Program':
+      node.body.forEach(child => collectFromAst(child, variables))
+      break
+    case 'MustacheStatement':
+    case 'BlockStatement':
+    case 'SubExpression': {
+      const isHelper = node.params.length > 0 || Boolean(node.hash)
+      if (!isHelper) collectFromAst(node.path, variables)
+      node.params.forEach(param => collectFromAst(param, variables))
+      if (node.hash) node.hash.pairs.forEach(pair => collectFromAst(pair.value, variables))
+      // each / with 會切換上下文，區塊內的變數不屬於模板資料
+      if (!['each', 'with'].includes(node.path.original)) {
+        collectFromAst(node.program, variables)
+      }
+      collectFromAst(node.inverse, variables)
+      break
+    }
+    case 'PathExpression':
+      if (!node.data && node.parts.length > 0) {
+        variables.add(node.parts[0])
+      }
+      break
+  }
+}
+
+/**
+ * 驗證模板 (名稱或目錄路徑)
+ * @returns {Object} { valid, errors, warnings, template }
+ */
+function validateTemplate (nameOrPath) {
+  const errors = []
+  const warnings = []
+
+  let template = getTemplate(nameOrPath)
+  if (!template && fs.existsSync(nameOrPath)) {
+    const templateDir = path.resolve(nameOrPath)
+    template = createEntry(path.basename(templateDir), templateDir, 'local')
+  }
+
+  if (!template) {
+    return { valid: false, errors: [`未找到模板: ${nameOrPath}`], warnings, template: null }
+  }
+
+  let manifest = null
+  try {
+    manifest = loadManifest(template.path)
+  } catch (error) {
+    errors.push(`無法解析 ${MANIFEST_FILE}: ${error.message}`)
+  }
+
+  if (!manifest && errors.length === 0) {
+    errors.push(`缺少 ${MANIFEST_FILE} 模板清單`)
+  }
+
+  if (manifest) {
+    if (manifest.name !== path.basename(template.path) && template.source !== 'plugin') {
+      warnings.push(`清單名稱 ${manifest.name} 與目錄名稱 ${path.basename(template.path)} 不一致`)
+    }
+    if (!manifest.description) {
+      errors.push('缺少 description')
+    }
+    if (!TEMPLATE_TYPES.includes(manifest.type)) {
+      errors.push(`type 必須是 ${TEMPLATE_TYPES.join(' 或 ')}`)
+    }
+    if (manifest.variables && !Array.isArray(manifest.variables)) {
+      errors.push('variables 必須是陣列')
+    }
+    for (const variable of Array.isArray(manifest.variables) ? manifest.variables : []) {
+      if (!variable || !variable.name) {
+        errors.push('每個 variables 項目都需要 name')
+      }
+    }
+    for (const option of manifest.options || []) {
+      if (!SUPPORTED_OPTIONS.includes(option)) {
+        errors.push(`不支援的選項: ${option}（支援: ${SUPPORTED_OPTIONS.join(', ')}）`)
+      }
+    }
+    for (const feature of manifest.features || []) {
+      const featureTemplate = getTemplate(feature)
+      if (!featureTemplate) {
+        errors.push(`相容的附加元件不存在: ${feature}`)
+      } else if (featureTemplate.type !== 'feature') {
+        errors.push(`${feature} 不是附加元件模板`)
+      }
+    }
+  }
+
+  // 附加元件的來源檔案與相依元件必須存在
+  const knownAddons = new Set(discoverTemplates().flatMap(entry => Object.keys(entry.addons)))
+  for (const [addonName, addon] of Object.entries(template.addons)) {
+    for (const source of Object.keys(addon.files || {})) {
+      if (!fs.existsSync(path.join(template.path, source))) {
+        errors.push(`附加元件 ${addonName} 的檔案不存在: ${source}`)
+      }
+    }
+    for (const required of addon.requires || []) {
+      if (!knownAddons.has(required)) {
+        errors.push(`附加元件 ${addonName} 依賴未知的元件: ${required}`)
+      }
+    }
+  }
+
+  if (template.type === 'project' && !fs.existsSync(path.join(template.path, 'package.json'))) {
+    errors.push('專案模板缺少 package.json')
+  }
+
+  // template.config.js 中的 prompts 也是合法的模板變數
+  let prompts = []
+  const configPath = path.join(template.path, 'template.config.js')
+  if (fs.existsSync(configPath)) {
+    try {
+      delete require.cache[require.resolve(configPath)]
+      prompts = require(configPath).prompts || []
+      errors.push(...validatePrompts(prompts, BUILTIN_VARIABLES))
+    } catch (error) {
+      errors.push(`無法載入 template.config.js: ${error.message}`)
+    }
+  }
+
+  const declared = new Set([
+    ...BUILTIN_VARIABLES,
+    ...template.variables.map(variable => variable.name),
+    ...prompts.map(prompt => prompt.name)
+  ])
+  for (const variable of collectTemplateVariables(template.path, errors)) {
+    if (!declared.has(variable)) {
+      warnings.push(`模板使用了未宣告的變數: ${variable}`)
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings, template }
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  BUILTIN_VARIABLES,
+  SUPPORTED_OPTIONS,
+  getUserTemplatesDir,
+  registerTemplate,
+  loadManifest,
+  discoverTemplates,
+  listTemplates,
+  getTemplate,
+  resolveTemplateDir,
+  validateTemplate
+}
@@ -1,32 +1,49 @@
-const fs = require('fs-extra')
 const path = require('path')
 const chalk = require('chalk')
 const { copyFileWithTemplate } = require('./helpers')
+const { vfs } = require('./vfs')
+const { MANIFEST_FILE, getTemplate, resolveTemplateDir } = require('./template-registry')
+const { createFileFilter } = require('./template-prompts')
+const { applyFeatures } = require('./features')
 
 /**
  * 獲取模板配置
+ * 合併順序: 預設配置 < template.json 清單 < template.config.js
  */
 async function getTemplateConfig (templateName) {
-  const templatesDir = path.join(__dirname, '../templates')
-  const templateDir = path.join(templatesDir, templateName)
+  const templateDir = resolveTemplateDir(templateName)
 
-  if (!fs.existsSync(templateDir)) {
+  if (!vfs.existsSync(templateDir)) {
     return null
   }
 
+  const manifest = getTemplate(templateName)
+  const defaults = getDefaultTemplateConfig(templateName)
+  const config = manifest
+    ? {
+        ...defaults,
+        name: manifest.displayName,
+        description: manifest.description,
+        version: manifest.version,
+        port: manifest.port || defaults.port,
+        quickStart: manifest.quickStart || defaults.quickStart,
+        options: manifest.options,
+        features: manifest.features
+      }
+    : defaults
+
   const configPath = path.join(templateDir, 'template.config.js')
 
-  if (fs.existsSync(configPath)) {
+  if (vfs.existsSync(configPath)) {
     try {
       delete require.cache[require.resolve(configPath)]
-      return require(configPath)
+      return { ...config, ...require(configPath) }
     } catch (error) {
       console.warn(chalk.yellow(`警告: 無法載入模板配置 ${configPath}: ${error.message}`))
     }
   }
 
-  // 返回默認配置
-  return getDefaultTemplateConfig(templateName)
+  return config
 }
 
 /**
@@ -162,33 +179,34 @@ function getDefaultTemplateConfig (templateName) {
 
 /**
  * 處理項目模板
+ * @param {Object} options - { filter } filter(relativePath) 回傳 false 的檔案不會被複製
  */
-async function processTemplate (templateName, targetDir, templateData) {
-  const templatesDir = path.join(__dirname, '../templates')
-  const templateDir = path.join(templatesDir, templateName)
+async function processTemplate (templateName, targetDir, templateData, options = {}) {
+  const templateDir = resolveTemplateDir(templateName)
 
   // 如果模板目錄不存在，使用默認模板
-  if (!fs.existsSync(templateDir)) {
+  if (!vfs.existsSync(templateDir)) {
     await createDefaultTemplate(templateName, targetDir, templateData)
     return
   }
 
   // 複製模板文件
-  await copyTemplateFiles(templateDir, targetDir, templateData)
+  await copyTemplateFiles(templateDir, targetDir, templateData, options.filter)
 }
 
 /**
  * 複製模板文件
  */
-async function copyTemplateFiles (sourceDir, targetDir, templateData) {
-  const entries = await fs.readdir(sourceDir, { withFileTypes: true })
+async function copyTemplateFiles (sourceDir, targetDir, templateData, filter, relativeDir = '') {
+  const entries = await vfs.readdir(sourceDir, { withFileTypes: true })
 
   for (const entry of entries) {
     const sourcePath = path.join(sourceDir, entry.name)
+    const relativePath = path.join(relativeDir, entry.name)
     let targetPath = path.join(targetDir, entry.name)
 
-    // 跳過配置文件
-    if (entry.name === 'template.config.js') {
+    // 跳過配置文件與模板清單
+    if (!relativeDir && (entry.name === 'template.config.js' || entry.name === MANIFEST_FILE)) {
       continue
     }
 
@@ -199,14 +217,56 @@ async function copyTemplateFiles (sourceDir, targetDir, templateData) {
     }
 
     if (entry.isDirectory()) {
-      await fs.ensureDir(targetPath)
-      await copyTemplateFiles(sourcePath, targetPath, templateData)
-    } else {
+      await copyTemplateFiles(sourcePath, targetPath, templateData, filter, relativePath)
+    } else if (!filter || filter(relativePath)) {
       await copyFileWithTemplate(sourcePath, targetPath, templateData)
     }
   }
 }
 
+/**
+ * 執行模板的生成後鉤子
+ * 鉤子可以是 shell 命令字串或 async (context) => {} 函數，
+ * 函數鉤子應透過 context.fs 讀寫檔案，才能支援 --dry-run
+ */
+async function runTemplateHooks (templateConfig, hookName, context) {
+  const hooks = [].concat((templateConfig.hooks || {})[hookName] || [])
+
+  for (const hook of hooks) {
+    if (typeof hook === 'function') {
+      await hook(context)
+    } else if (typeof hook === 'string') {
+      vfs.exec(hook, { cwd: context.projectPath, stdio: 'pipe' })
+    } else {
+      throw new Error(`不支援的模板鉤子: ${hookName}`)
+    }
+  }
+
+  return hooks.length
+}
+
+/**
+ * 產生專案內容: 模板檔案 → post-generate 鉤子 → 附加元件
+ * create 與 upgrade 共用，確保相同的輸入得到相同的輸出
+ *
+ * @param {Object} options - { templateConfig, templateData, answers, features, context }
+ * @returns {Object|null} 附加元件的合併結果
+ */
+async function renderProject (templateName, targetDir, options = {}) {
+  const { templateConfig, templateData, answers = {}, features = [], context = {} } = options
+
+  await processTemplate(templateName, targetDir, templateData, {
+    filter: createFileFilter(templateConfig.files, answers)
+  })
+
+  if (templateConfig.hooks && templateConfig.hooks['post-generate']) {
+    await runTemplateHooks(templateConfig, 'post-generate', { ...context, projectPath: targetDir, answers, templateData, fs: vfs })
+  }
+
+  if (features.length === 0) return null
+  return applyFeatures(targetDir, features, { templateName, templateData })
+}
+
 /**
  * 處理文件名模板
  */
@@ -241,7 +301,7 @@ async function createDefaultTemplate (templateName, targetDir, templateData) {
     devDependencies: config.devDependencies
   }
 
-  await fs.writeFile(
+  await vfs.writeFile(
     path.join(targetDir, 'package.json'),
     JSON.stringify(packageJson, null, 2)
   )
@@ -256,32 +316,32 @@ async function createDefaultTemplate (templateName, targetDir, templateData) {
 async function createBasicFiles (templateName, targetDir, templateData, config) {
   // server.js
   const serverContent = generateServerContent(templateName, templateData, config)
-  await fs.writeFile(path.join(targetDir, 'server.js'), serverContent)
+  await vfs.writeFile(path.join(targetDir, 'server.js'), serverContent)
 
   // .env.example
   const envContent = generateEnvContent(templateData, config)
-  await fs.writeFile(path.join(targetDir, '.env.example'), envContent)
+  await vfs.writeFile(path.join(targetDir, '.env.example'), envContent)
 
   // README.md
   const readmeContent = generateReadmeContent(templateData, config)
-  await fs.writeFile(path.join(targetDir, 'README.md'), readmeContent)
+  await vfs.writeFile(path.join(targetDir, 'README.md'), readmeContent)
 
   // .gitignore
   const gitignoreContent = generateGitignoreContent()
-  await fs.writeFile(path.join(targetDir, '.gitignore'), gitignoreContent)
+  await vfs.writeFile(path.join(targetDir, '.gitignore'), gitignoreContent)
 
   // zeabur.json
   const zeaburContent = generateZeaburConfig(templateData, config)
-  await fs.writeFile(path.join(targetDir, 'zeabur.json'), zeaburContent)
+  await vfs.writeFile(path.join(targetDir, 'zeabur.json'), zeaburContent)
 
   // Dockerfile
   const dockerfileContent = generateDockerfileContent()
-  await fs.writeFile(path.join(targetDir, 'Dockerfile'), dockerfileContent)
+  await vfs.writeFile(path.join(targetDir, 'Dockerfile'), dockerfileContent)
 
   // 創建目錄結構
-  await fs.ensureDir(path.join(targetDir, 'routes'))
-  await fs.ensureDir(path.join(targetDir, 'middleware'))
-  await fs.ensureDir(path.join(targetDir, 'utils'))
+  await vfs.ensureDir(path.join(targetDir, 'routes'))
+  await vfs.ensureDir(path.join(targetDir, 'middleware'))
+  await vfs.ensureDir(path.join(targetDir, 'utils'))
 
   // 根據模板創建特定文件
   if (templateName === 'calculator') {
@@ -614,7 +674,7 @@ router.get('/calculate', (req, res) => {
 module.exports = router;
 `
 
-  await fs.writeFile(path.join(targetDir, 'routes', 'calculator.js'), calculatorRoute)
+  await vfs.writeFile(path.join(targetDir, 'routes', 'calculator.js'), calculatorRoute)
 }
 
 /**
@@ -631,7 +691,7 @@ async function createTestToolFiles (targetDir, templateData) {
     ]
   }
 
-  await fs.writeFile(
+  await vfs.writeFile(
     path.join(targetDir, 'jest.config.js'),
     `module.exports = ${JSON.stringify(jestConfig, null, 2)};`
   )
@@ -650,7 +710,7 @@ async function createTestToolFiles (targetDir, templateData) {
     }
   }
 
-  await fs.writeFile(
+  await vfs.writeFile(
     path.join(targetDir, '.eslintrc.json'),
     JSON.stringify(eslintConfig, null, 2)
   )
@@ -730,11 +790,13 @@ router.get('/data', (req, res) => {
 module.exports = router;
 `
 
-  await fs.writeFile(path.join(targetDir, 'routes', 'api.js'), apiRoute)
+  await vfs.writeFile(path.join(targetDir, 'routes', 'api.js'), apiRoute)
 }
 
 module.exports = {
   getTemplateConfig,
+  runTemplateHooks,
+  renderProject,
   getDefaultTemplateConfig,
   processTemplate,
   copyTemplateFiles,
@@ -0,0 +1,77 @@
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const chalk = require('chalk')
+const { execFileSync } = require('child_process')
+
+// 在暫存目錄中準備檔案後執行 fn，結束後清除
+function withTempFiles (files, fn) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mursfoto-merge-'))
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      fs.outputFileSync(path.join(tempDir, name), content)
+    }
+    return fn(tempDir)
+  } finally {
+    fs.removeSync(tempDir)
+  }
+}
+
+// 執行 git，非 0 結束碼時回傳 { status, stdout } 而不拋出
+function runGit (args, cwd) {
+  try {
+    return { status: 0, stdout: execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }) }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('合併模板需要 git，請先安裝 git')
+    }
+    return { status: error.status, stdout: error.stdout || '', stderr: error.stderr || '' }
+  }
+}
+
+/**
+ * 三方合併 (git merge-file)
+ * 雙方修改同一區塊時寫入衝突標記
+ *
+ * @param {string} ours - 目前專案中的內容
+ * @param {string} base - 上次套用的模板輸出
+ * @param {string} theirs - 新版模板輸出
+ * @returns {Object} { content, conflicts } conflicts 為衝突區塊數
+ */
+function mergeText (ours, base, theirs, labels = {}) {
+  return withTempFiles({ ours, base, theirs }, (tempDir) => {
+    const result = runGit([
+      'merge-file', '-p',
+      '-L', labels.ours || '目前專案',
+      '-L', labels.base || '原始模板',
+      '-L', labels.theirs || '新版模板',
+      'ours', 'base', 'theirs'
+    ], tempDir)
+
+    // 結束碼為衝突數，負值 (255) 表示錯誤
+    if (typeof result.status !== 'number' || result.status > 127) {
+      throw new Error(`合併失敗: ${(result.stderr || '').trim()}`)
+    }
+    return { content: result.stdout, conflicts: result.status }
+  })
+}
+
+/**
+ * 產生統一格式的差異預覽
+ * @param {string} file - 顯示用的檔案路徑
+ */
+function diffText (before, after, file) {
+  return withTempFiles({ [`current/${file}`]: before, [`upgraded/${file}`]: after }, (tempDir) => {
+    const { stdout } = runGit([
+      'diff', '--no-index', '--no-prefix',
+      chalk.supportsColor ? '--color=always' : '--color=never',
+      `current/${file}`, `upgraded/${file}`
+    ], tempDir)
+    return stdout
+  })
+}
+
+module.exports = {
+  mergeText,
+  diffText
+}
@@ -0,0 +1,411 @@
+const fs = require('fs-extra')
+const path = require('path')
+const chalk = require('chalk')
+const { execSync } = require('child_process')
+
+/**
+ * 虛擬檔案系統
+ * 一般模式直接寫入磁碟；dry-run 模式下所有寫入保存在記憶體中，
+ * 讀取時優先讀取記憶體中的內容，讓後續步驟看到前面步驟的結果，
+ * 命令只被記錄不會執行
+ */
+class VirtualFileSystem {
+  constructor (options = {}) {
+    this.dryRun = Boolean(options.dryRun)
+    this.reset()
+  }
+
+  setDryRun (enabled) {
+    this.dryRun = Boolean(enabled)
+    this.reset()
+  }
+
+  reset () {
+    this.files = new Map() // 絕對路徑 → 內容
+    this.dirs = new Set() // 建立的目錄
+    this.deleted = new Set() // 刪除的檔案或目錄
+    this.commands = [] // { command, cwd }
+  }
+
+  // ----- 路徑狀態 -----
+
+  isDeleted (filePath) {
+    for (const deleted of this.deleted) {
+      if (filePath === deleted || filePath.startsWith(deleted + path.sep)) return true
+    }
+    return false
+  }
+
+  // 記憶體中是否有此目錄下的內容
+  hasVirtualChildren (dirPath) {
+    const prefix = dirPath + path.sep
+    for (const filePath of this.files.keys()) {
+      if (filePath.startsWith(prefix)) return true
+    }
+    for (const dir of this.dirs) {
+      if (dir === dirPath || dir.startsWith(prefix)) return true
+    }
+    return false
+  }
+
+  existsSync (filePath) {
+    if (!this.dryRun) return fs.existsSync(filePath)
+
+    const resolved = path.resolve(filePath)
+    if (this.files.has(resolved) || this.hasVirtualChildren(resolved)) return true
+    if (this.isDeleted(resolved)) return false
+    return fs.existsSync(resolved)
+  }
+
+  async pathExists (filePath) {
+    return this.existsSync(filePath)
+  }
+
+  // ----- 讀取 -----
+
+  readFileSync (filePath, options) {
+    if (!this.dryRun) return fs.readFileSync(filePath, options)
+
+    const resolved = path.resolve(filePath)
+    if (this.files.has(resolved)) {
+      const content = this.files.get(resolved)
+      return options ? content.toString() : Buffer.from(content)
+    }
+    if (this.isDeleted(resolved)) {
+      const error = new Error(`ENOENT: no such file or directory, open '${resolved}'`)
+      error.code = 'ENOENT'
+      throw error
+    }
+    return fs.readFileSync(resolved, options)
+  }
+
+  async readFile (filePath, options) {
+    return this.readFileSync(filePath, options)
+  }
+
+  readJsonSync (filePath) {
+    return JSON.parse(this.readFileSync(filePath, 'utf8'))
+  }
+
+  async readJson (filePath) {
+    return this.readJsonSync(filePath)
+  }
+
+  readdirSync (dirPath, options = {}) {
+    if (!this.dryRun) return fs.readdirSync(dirPath, options)
+
+    const resolved = path.resolve(dirPath)
+    const entries = new Map()
+
+    if (!this.isDeleted(resolved) && fs.existsSync(resolved)) {
+      for (const entry of fs.readdirSync(resolved, { withFileTypes: true })) {
+        if (!this.isDeleted(path.join(resolved, entry.name))) {
+          entries.set(entry.name, entry.isDirectory())
+        }
+      }
+    }
+
+    const prefix = resolved + path.sep
+    const addVirtual = (filePath, isFile) => {
+      if (!filePath.startsWith(prefix)) return
+      const [name, ...rest] = filePath.slice(prefix.length).split(path.sep)
+      entries.set(name, rest.length > 0 || !isFile)
+    }
+    this.files.forEach((_, filePath) => addVirtual(filePath, true))
+    this.dirs.forEach(dir => addVirtual(dir, false))
+
+    const names = Array.from(entries.keys()).sort()
+    if (!options.withFileTypes) return names
+    return names.map(name => ({
+      name,
+      isDirectory: () => entries.get(name),
+      isFile: () => !entries.get(name)
+    }))
+  }
+
+  async readdir (dirPath, options) {
+    return this.readdirSync(dirPath, options)
+  }
+
+  statSync (filePath) {
+    return fs.statSync(filePath)
+  }
+
+  async stat (filePath) {
+    return fs.stat(filePath)
+  }
+
+  // ----- 寫入 -----
+
+  writeFileSync (filePath, content) {
+    if (!this.dryRun) return fs.writeFileSync(filePath, content)
+
+    const resolved = path.resolve(filePath)
+    this.files.set(resolved, Buffer.isBuffer(content) ? content : String(content))
+  }
+
+  async writeFile (filePath, content) {
+    if (!this.dryRun) return fs.writeFile(filePath, content)
+    this.writeFileSync(filePath, content)
+  }
+
+  async outputFile (filePath, content) {
+    if (!this.dryRun) return fs.outputFile(filePath, content)
+    this.writeFileSync(filePath, content)
+  }
+
+  async appendFile (filePath, content) {
+    if (!this.dryRun) return fs.appendFile(filePath, content)
+
+    const existing = this.existsSync(filePath) ? this.readFileSync(filePath, 'utf8') : ''
+    this.writeFileSync(filePath, existing + content)
+  }
+
+  async writeJson (filePath, data, options = {}) {
+    if (!this.dryRun) return fs.writeJson(filePath, data, options)
+    this.writeFileSync(filePath, `${JSON.stringify(data, null, options.spaces)}\n`)
+  }
+
+  async ensureDir (dirPath) {
+    if (!this.dryRun) return fs.ensureDir(dirPath)
+
+    const resolved = path.resolve(dirPath)
+    if (!this.existsSync(resolved)) this.dirs.add(resolved)
+  }
+
+  async mkdtemp (prefix) {
+    if (!this.dryRun) return fs.mkdtemp(prefix)
+
+    const dir = `${prefix}${Math.random().toString(36).slice(2, 8)}`
+    this.dirs.add(path.resolve(dir))
+    return dir
+  }
+
+  async chmod (filePath, mode) {
+    if (!this.dryRun) return fs.chmod(filePath, mode)
+  }
+
+  async remove (filePath) {
+    if (!this.dryRun) return fs.remove(filePath)
+
+    const resolved = path.resolve(filePath)
+    const prefix = resolved + path.sep
+    for (const key of Array.from(this.files.keys())) {
+      if (key === resolved || key.startsWith(prefix)) this.files.delete(key)
+    }
+    for (const dir of Array.from(this.dirs)) {
+      if (dir === resolved || dir.startsWith(prefix)) this.dirs.delete(dir)
+    }
+    if (fs.existsSync(resolved)) this.deleted.add(resolved)
+  }
+
+  async copy (source, target, options = {}) {
+    if (!this.dryRun) return fs.copy(source, target, options)
+
+    const resolvedSource = path.resolve(source)
+    if (options.filter && !options.filter(resolvedSource, target)) return
+    const isDirectory = this.hasVirtualChildren(resolvedSource) ||
+      (!this.files.has(resolvedSource) && fs.existsSync(resolvedSource) && fs.statSync(resolvedSource).isDirectory())
+
+    if (!isDirectory) {
+      this.writeFileSync(target, this.readFileSync(resolvedSource))
+      return
+    }
+    for (const entry of this.readdirSync(resolvedSource, { withFileTypes: true })) {
+      await this.copy(path.join(resolvedSource, entry.name), path.join(target, entry.name), options)
+    }
+  }
+
+  async rename (source, target) {
+    if (!this.dryRun) return fs.rename(source, target)
+
+    const resolvedSource = path.resolve(source)
+    const resolvedTarget = path.resolve(target)
+
+    // 磁碟上的內容需要先複製到記憶體
+    if (!this.isDeleted(resolvedSource) && fs.existsSync(resolvedSource)) {
+      await this.copy(resolvedSource, resolvedTarget)
+      await this.remove(resolvedSource)
+      return
+    }
+
+    const moveKey = key => resolvedTarget + key.slice(resolvedSource.length)
+    const prefix = resolvedSource + path.sep
+    for (const [key, content] of Array.from(this.files)) {
+      if (key === resolvedSource || key.startsWith(prefix)) {
+        this.files.delete(key)
+        this.files.set(moveKey(key), content)
+      }
+    }
+    for (const dir of Array.from(this.dirs)) {
+      if (dir === resolvedSource || dir.startsWith(prefix)) {
+        this.dirs.delete(dir)
+        this.dirs.add(moveKey(dir))
+      }
+    }
+  }
+
+  // ----- 命令 -----
+
+  /**
+   * 執行 shell 命令 (dry-run 時只記錄)
+   */
+  exec (command, options = {}) {
+    if (!this.dryRun) return execSync(command, options)
+
+    this.commands.push({ command, cwd: options.cwd })
+    return ''
+  }
+
+  /**
+   * 執行非 shell 的副作用 (例如 git、API 呼叫)，dry-run 時只記錄說明
+   */
+  async run (description, fn, options = {}) {
+    if (!this.dryRun) return fn()
+
+    this.commands.push({ command: description, cwd: options.cwd })
+    return null
+  }
+
+  // ----- 預覽 -----
+
+  hasChanges () {
+    return this.files.size > 0 || this.dirs.size > 0 || this.deleted.size > 0 || this.commands.length > 0
+  }
+
+  /**
+   * 取得計畫中的變更
+   * @returns {Object} { files: [{ path, action, before, after }], dirs, commands }
+   */
+  getPlan () {
+    const files = []
+
+    for (const [filePath, content] of this.files) {
+      const onDisk = fs.existsSync(filePath) && fs.statSync(filePath).isFile()
+      const before = onDisk ? fs.readFileSync(filePath) : null
+      if (before && Buffer.compare(before, Buffer.from(content)) === 0) continue
+
+      files.push({
+        path: filePath,
+        action: before ? 'modify' : 'create',
+        before: before ? before.toString() : '',
+        after: content.toString()
+      })
+    }
+
+    // 被刪除且沒有重新寫入的磁碟檔案
+    const walk = (target) => {
+      if (this.files.has(target)) return
+      const stat = fs.statSync(target)
+      if (stat.isDirectory()) {
+        fs.readdirSync(target).forEach(name => walk(path.join(target, name)))
+      } else {
+        files.push({ path: target, action: 'delete', before: fs.readFileSync(target, 'utf8'), after: '' })
+      }
+    }
+    this.deleted.forEach(target => fs.existsSync(target) && walk(target))
+
+    const dirs = Array.from(this.dirs).filter(dir => !this.hasVirtualFiles(dir))
+    return { files: files.sort((a, b) => (a.path < b.path ? -1 : 1)), dirs, commands: this.commands }
+  }
+
+  hasVirtualFiles (dirPath) {
+    const prefix = dirPath + path.sep
+    return Array.from(this.files.keys()).some(filePath => filePath.startsWith(prefix))
+  }
+
+  /**
+   * 顯示計畫中的檔案樹、差異與命令
+   */
+  printPlan (options = {}) {
+    const plan = this.getPlan()
+    const symbols = { create: chalk.green('+'), modify: chalk.yellow('~'), delete: chalk.red('-') }
+
+    console.log(chalk.cyan.bold('\n🔍 Dry run: 以下變更不會寫入磁碟\n'))
+
+    if (plan.files.length === 0 && plan.dirs.length === 0) {
+      console.log(chalk.gray('  沒有檔案變更'))
+    } else {
+      const root = commonDirectory(plan.files.map(file => file.path).concat(plan.dirs))
+      console.log(chalk.white(`📂 ${path.relative(process.cwd(), root) || '.'}`))
+      const entries = plan.files.map(file => ({
+        path: path.relative(root, file.path),
+        label: `${symbols[file.action]} ${path.basename(file.path)}${file.action === 'delete' ? '' : chalk.gray(` (${countLines(file.after)} 行)`)}`
+      }))
+      plan.dirs.forEach(dir => entries.push({ path: path.relative(root, dir), label: `${chalk.green('+')} ${path.basename(dir)}/` }))
+      printTree(entries)
+
+      const counts = ['create', 'modify', 'delete'].map(action => plan.files.filter(file => file.action === action).length)
+      console.log(chalk.gray(`\n  新增 ${counts[0]}，修改 ${counts[1]}，刪除 ${counts[2]}`))
+    }
+
+    // 只對既有檔案顯示差異，新檔案內容請參考上方清單
+    if (options.diff !== false) {
+      const { diffText } = require('./three-way-merge')
+      for (const file of plan.files.filter(item => item.action !== 'create')) {
+        console.log('')
+        console.log(diffText(file.before, file.after, path.relative(process.cwd(), file.path)).trimEnd())
+      }
+    }
+
+    if (plan.commands.length > 0) {
+      console.log(chalk.cyan.bold('\n⚙️  將執行的命令'))
+      plan.commands.forEach(({ command, cwd }) => {
+        const location = cwd ? chalk.gray(` (於 ${path.relative(process.cwd(), cwd) || '.'})`) : ''
+        console.log(`  $ ${command}${location}`)
+      })
+    }
+
+    return plan
+  }
+}
+
+function countLines (content) {
+  return content ? content.split('\n').length - (content.endsWith('\n') ? 1 : 0) : 0
+}
+
+// 多個路徑的共同父目錄
+function commonDirectory (paths) {
+  if (paths.length === 0) return process.cwd()
+
+  const split = paths.map(item => path.dirname(item).split(path.sep))
+  const common = []
+  for (let index = 0; split.every(parts => parts[index] !== undefined && parts[index] === split[0][index]); index++) {
+    common.push(split[0][index])
+  }
+  return common.join(path.sep) || path.sep
+}
+
+// 以樹狀結構輸出相對路徑
+function printTree (entries) {
+  const tree = {}
+  for (const entry of entries) {
+    const parts = entry.path.split(path.sep)
+    let node = tree
+    parts.slice(0, -1).forEach(part => {
+      node[part] = node[part] || { children: {} }
+      node = node[part].children
+    })
+    const leaf = parts[parts.length - 1]
+    node[leaf] = { ...(node[leaf] || { children: {} }), label: entry.label }
+  }
+
+  const walk = (node, prefix) => {
+    const names = Object.keys(node).sort()
+    names.forEach((name, index) => {
+      const last = index === names.length - 1
+      const item = node[name]
+      console.log(`${prefix}${last ? '└── ' : '├── '}${item.label || `${name}/`}`)
+      walk(item.children, `${prefix}${last ? '    ' : '│   '}`)
+    })
+  }
+  walk(tree, '')
+}
+
+// 全域共用實例，由 --dry-run 切換模式
+const vfs = new VirtualFileSystem()
+
+module.exports = {
+  VirtualFileSystem,
+  vfs
+}
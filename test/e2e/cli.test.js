@@ -1,5 +1,5 @@
 const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
-const { execSync, spawn } = require('child_process');
+const { execSync, spawn, spawnSync } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
 
@@ -60,6 +60,95 @@ describe('Mursfoto CLI E2E 測試', () => {
             expect(output).toContain('ai-unified');
             expect(output).toContain('deployment-unified');
         });
+
+        test('--json 時 stdout 只輸出結構化結果', () => {
+            const output = execSync('node bin/mursfoto.js doctor --json', {
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore'],
+                cwd: path.join(__dirname, '../..')
+            });
+            const result = JSON.parse(output);
+            expect(result.ok).toBe(true);
+            expect(result.command).toBe('doctor');
+            expect(result.result.checks.map(check => check.name)).toEqual(['Node.js', 'NPM', 'Git']);
+        });
+
+        test('--json 缺少必要輸入時回傳錯誤碼並以結束碼 2 結束', () => {
+            let error;
+            try {
+                execSync('node bin/mursfoto.js create --json', {
+                    encoding: 'utf8',
+                    stdio: ['ignore', 'pipe', 'ignore'],
+                    cwd: path.join(__dirname, '../..')
+                });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.status).toBe(2);
+            expect(JSON.parse(error.stdout).error.code).toBe('E_MISSING_INPUT');
+        });
+
+        test('--json 時 ai test-generate / performance 由參數取得原本互動選擇的值', () => {
+            const run = args => {
+                try {
+                    // PATH 只保留 node，測試生成使用的 gemini-pro 一定找不到，不會呼叫外部服務
+                    return { status: 0, stdout: execSync(`node bin/mursfoto.js --json ${args}`, {
+                        encoding: 'utf8',
+                        stdio: ['ignore', 'pipe', 'ignore'],
+                        cwd: path.join(__dirname, '../..'),
+                        env: { ...process.env, PATH: path.dirname(process.execPath) }
+                    }) };
+                } catch (e) {
+                    return e;
+                }
+            };
+
+            const generated = run('ai test-generate -f package.json --types unit,security');
+            expect(generated.status).toBe(0);
+            expect(JSON.parse(generated.stdout).result).toMatchObject({ file: 'package.json', types: ['unit', 'security'], savedTo: [] });
+
+            const invalid = run('ai test-generate -f package.json --types unit,fuzz');
+            expect(invalid.status).toBe(2);
+            expect(JSON.parse(invalid.stdout).error.code).toBe('E_INVALID_INPUT');
+
+            const missing = run('ai performance -u http://127.0.0.1:9');
+            expect(missing.status).toBe(2);
+            expect(JSON.parse(missing.stdout).error).toMatchObject({ code: 'E_MISSING_INPUT', details: { inputs: ['metrics'] } });
+            expect(JSON.parse(missing.stdout).error.message).toContain('--metrics');
+        });
+
+        test('--json 時 plugin add 的 npm 輸出不混入 stdout', () => {
+            // 以只會輸出訊息的 npm 取代真正的安裝，不連線 registry
+            const project = path.join(testDir, 'plugin-project');
+            const bin = path.join(testDir, 'fake-bin');
+            fs.outputJsonSync(path.join(project, 'package.json'), { name: 'plugin-project', version: '1.0.0' });
+            fs.outputFileSync(path.join(bin, 'npm'), '#!/bin/sh\necho "added 1 package in 1s"\n');
+            fs.chmodSync(path.join(bin, 'npm'), 0o755);
+
+            const result = spawnSync(process.execPath, [path.join(__dirname, '../../bin/mursfoto.js'), '--json', 'plugin', 'add', 'demo'], {
+                encoding: 'utf8',
+                cwd: project,
+                env: { ...process.env, PATH: `${bin}${path.delimiter}${path.dirname(process.execPath)}` }
+            });
+            expect(result.status).toBe(0);
+            expect(JSON.parse(result.stdout)).toMatchObject({ ok: true, command: 'plugin', result: 'mursfoto-plugin-demo' });
+            expect(result.stderr).toContain('added 1 package');
+        });
+
+        test('--dry-run 時 ai prompts edit 只列出將建立的提示檔', () => {
+            const home = path.join(testDir, 'prompts-home');
+            const output = execSync('node bin/mursfoto.js --json --dry-run ai prompts edit review', {
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore'],
+                cwd: path.join(__dirname, '../..'),
+                env: { ...process.env, MURSFOTO_HOME: home }
+            });
+            const target = path.join(home, 'prompts', 'review.md');
+            const result = JSON.parse(output);
+            expect(result.result).toMatchObject({ name: 'review', path: target, created: true });
+            expect(result.dryRun.files).toEqual([{ path: target, action: 'create' }]);
+            expect(fs.existsSync(home)).toBe(false);
+        });
     });
 
     describe('專案創建 E2E 測試', () => {
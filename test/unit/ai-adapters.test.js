@@ -0,0 +1,124 @@
+const { describe, test, expect, afterAll } = require('@jest/globals');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { adapters, normalizeRequest } = require('../../lib/services/ai-adapters');
+const AIModelRouter = require('../../lib/services/AIModelRouter');
+
+describe('AI 供應商轉接層', () => {
+    const request = normalizeRequest({
+        messages: [
+            { role: 'system', content: '使用繁體中文' },
+            { role: 'user', content: '台北天氣？' },
+            { role: 'assistant', content: '', toolCalls: [{ id: 't1', name: 'weather', arguments: { city: '台北' } }] },
+            { role: 'tool', toolCallId: 't1', content: '晴' }
+        ],
+        tools: [{ name: 'weather', description: '查詢天氣', parameters: { type: 'object' } }]
+    });
+
+    test('統一請求會把 system 訊息併入 system 欄位', () => {
+        expect(normalizeRequest('hi')).toEqual({ system: undefined, messages: [{ role: 'user', content: 'hi' }], tools: [] });
+        expect(request.system).toBe('使用繁體中文');
+        expect(request.messages.map(message => message.role)).toEqual(['user', 'assistant', 'tool']);
+        expect(() => normalizeRequest([])).toThrow('至少需要一則訊息');
+    });
+
+    test('各供應商請求格式都保留工具呼叫與工具結果', () => {
+        const claude = adapters.claude.toRequest(request);
+        expect(claude.system).toBe('使用繁體中文');
+        expect(claude.tools[0].input_schema).toEqual({ type: 'object' });
+        expect(claude.messages[1].content[0]).toEqual({ type: 'tool_use', id: 't1', name: 'weather', input: { city: '台北' } });
+        expect(claude.messages[2].content[0]).toMatchObject({ type: 'tool_result', tool_use_id: 't1' });
+
+        const openai = adapters.openai.toRequest(request);
+        expect(openai.messages[0]).toEqual({ role: 'system', content: '使用繁體中文' });
+        expect(openai.messages[2].tool_calls[0].function.arguments).toBe('{"city":"台北"}');
+        expect(openai.messages[3]).toEqual({ role: 'tool', tool_call_id: 't1', content: '晴' });
+
+        const gemini = adapters.gemini.toRequest(request);
+        expect(gemini.systemInstruction.parts[0].text).toBe('使用繁體中文');
+        expect(gemini.contents[1]).toEqual({ role: 'model', parts: [{ functionCall: { name: 'weather', args: { city: '台北' } } }] });
+        expect(gemini.contents[2].parts[0].functionResponse.name).toBe('weather');
+    });
+
+    test('各供應商回應轉為相同的統一格式', () => {
+        const expected = {
+            text: '好的',
+            toolCalls: [{ id: expect.any(String), name: 'weather', arguments: { city: '台北' } }],
+            finishReason: 'tool_calls',
+            usage: { inputTokens: 10, outputTokens: 5, totalTokens: 15 }
+        };
+
+        expect(adapters.claude.fromResponse({
+            content: [{ type: 'text', text: '好的' }, { type: 'tool_use', id: 't1', name: 'weather', input: { city: '台北' } }],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 10, output_tokens: 5 }
+        })).toMatchObject(expected);
+
+        expect(adapters.openai.fromResponse({
+            choices: [{
+                message: { content: '好的', tool_calls: [{ id: 't1', function: { name: 'weather', arguments: '{"city":"台北"}' } }] },
+                finish_reason: 'tool_calls'
+            }],
+            usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+        })).toMatchObject(expected);
+
+        expect(adapters.gemini.fromResponse({
+            candidates: [{
+                content: { parts: [{ text: '好的' }, { functionCall: { name: 'weather', args: { city: '台北' } } }] },
+                finishReason: 'STOP'
+            }],
+            usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 }
+        })).toMatchObject(expected);
+    });
+
+    describe('AIModelRouter', () => {
+        let server;
+        const budgetFile = path.join(os.tmpdir(), `mursfoto-budget-${process.pid}.json`);
+
+        afterAll(async () => {
+            fs.removeSync(budgetFile);
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('LM Studio 回應經由路由器轉為統一格式並更新統計', async () => {
+            let body;
+            server = http.createServer((req, res) => {
+                let data = '';
+                req.on('data', chunk => { data += chunk; });
+                req.on('end', () => {
+                    body = JSON.parse(data);
+                    res.setHeader('content-type', 'application/json');
+                    res.end(JSON.stringify({
+                        model: 'local-model',
+                        choices: [{ message: { content: '哈囉' }, finish_reason: 'stop' }],
+                        usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 }
+                    }));
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+            const router = new AIModelRouter({
+                defaultModel: 'lmstudio',
+                lmStudioEndpoint: `http://127.0.0.1:${server.address().port}`,
+                lmStudioModel: 'local-model',
+                budget: { filePath: budgetFile }
+            });
+            const response = await router.generate('hi', { systemPrompt: '簡短回答' });
+
+            expect(body.model).toBe('local-model');
+            expect(body.messages[0]).toEqual({ role: 'system', content: '簡短回答' });
+            expect(response).toMatchObject({
+                provider: 'lmstudio',
+                model: 'local-model',
+                text: '哈囉',
+                toolCalls: [],
+                finishReason: 'stop',
+                usage: { inputTokens: 3, outputTokens: 2, totalTokens: 5 }
+            });
+            expect(response.latency).toEqual(expect.any(Number));
+            expect(router.getStats()).toMatchObject({ totalRequests: 1, successfulRequests: 1, methodCounts: { lmstudio: 1 } });
+        });
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, test, expect, beforeEach, afterAll } = require('@jest/globals');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { AICache } = require('../../lib/utils/ai-cache');
+const AIModelRouter = require('../../lib/services/AIModelRouter');
+const { collectStream } = require('../../lib/utils/stream');
+
+describe('AI 回應快取', () => {
+    const dir = path.join(os.tmpdir(), `mursfoto-ai-cache-${process.pid}`);
+
+    beforeEach(() => {
+        fs.removeSync(dir);
+    });
+
+    afterAll(() => {
+        fs.removeSync(dir);
+    });
+
+    test('相同內容產生相同的鍵，過期項目不會被讀取', async () => {
+        const cache = new AICache({ dir, ttl: 1000 });
+        const key = cache.key({ model: 'm', messages: [{ role: 'user', content: 'hi' }], temperature: 0 });
+
+        expect(cache.key({ temperature: 0, messages: [{ content: 'hi', role: 'user' }], model: 'm' })).toBe(key);
+        expect(cache.key({ model: 'm', messages: [{ role: 'user', content: 'hi' }], temperature: 1 })).not.toBe(key);
+
+        cache.set(key, { text: 'hello' });
+        expect(cache.get(key)).toEqual({ text: 'hello' });
+
+        cache.set(key, { text: 'old' }, { ttl: 1 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(cache.get(key)).toBeUndefined();
+        expect(cache.stats().entries).toBe(0);
+    });
+
+    test('超過容量上限時淘汰最久未使用的項目', () => {
+        const cache = new AICache({ dir });
+        cache.set('a', 'x'.repeat(40));
+        // 容量只夠放兩個項目
+        cache.maxSize = fs.statSync(cache.entryPath('a')).size * 2 + 10;
+        cache.set('b', 'x'.repeat(40));
+
+        // 讓 a 成為最近使用的項目
+        fs.utimesSync(cache.entryPath('b'), new Date(1000), new Date(1000));
+        cache.get('a');
+        cache.set('c', 'x'.repeat(40));
+
+        expect(cache.get('a')).toBeDefined();
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.get('c')).toBeDefined();
+    });
+
+    test('路由器命中快取時不再發送請求，並分開統計', async () => {
+        let requests = 0;
+        const server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                requests++;
+                res.setHeader('content-type', 'application/json');
+                res.end(JSON.stringify({
+                    choices: [{ message: { content: '哈囉' }, finish_reason: 'stop' }],
+                    usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+                }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const router = new AIModelRouter({
+                defaultModel: 'lmstudio',
+                lmStudioEndpoint: `http://127.0.0.1:${server.address().port}`,
+                budget: { filePath: path.join(dir, 'budget.json') },
+                cache: new AICache({ dir })
+            });
+
+            const first = await router.generate('hi');
+            const second = await router.generate('hi');
+            expect(first.cached).toBeUndefined();
+            expect(second).toMatchObject({ text: '哈囉', cached: true });
+
+            // 串流與非串流請求共用快取
+            expect(await collectStream(router.stream('hi'))).toBe('哈囉');
+
+            await router.generate('hi', { cache: false });
+
+            expect(requests).toBe(2);
+            expect(router.getStats()).toMatchObject({ totalRequests: 2, cacheHits: 2, cacheMisses: 1 });
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
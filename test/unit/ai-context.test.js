@@ -0,0 +1,107 @@
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+    walkProject,
+    parseImports,
+    buildImportGraph,
+    rankFiles,
+    chunkLines,
+    buildContext
+} = require('../../lib/utils/ai-context');
+
+describe('AI 上下文打包', () => {
+    const root = path.join(os.tmpdir(), `mursfoto-context-${process.pid}`);
+    const write = (file, content) => fs.outputFileSync(path.join(root, file), content);
+
+    beforeAll(() => {
+        write('package.json', JSON.stringify({ name: 'demo', version: '1.0.0', scripts: { start: 'node src/server.js' }, author: 'x' }));
+        write('.gitignore', 'logs/\n*.secret.js\n/tmp.js\n!keep.secret.js\n');
+        write('src/.gitignore', 'generated/\n');
+        write('src/server.js', "const express = require('express')\nconst users = require('./routes/users')\nconst app = express()\napp.use('/api/users', users)\napp.get('/health', (req, res) => res.json({ ok: true }))\n");
+        write('src/routes/users.js', "const router = require('express').Router()\nconst { findUser } = require('../services/user-service')\nrouter.get('/:id', (req, res) => res.json(findUser(req.params.id)))\nmodule.exports = router\n");
+        write('src/services/user-service.js', "import db from '../db/index.js'\nexport { helper } from './helper'\nexport function findUser (id) { return db.find(id) }\n");
+        write('src/services/helper.js', 'module.exports = {}\n');
+        write('src/db/index.js', 'module.exports = { find: id => ({ id }) }\n');
+        write('src/big.js', Array.from({ length: 400 }, (_, index) => `const value${index} = ${index}`).join('\n'));
+        write('src/generated/out.js', 'ignored');
+        write('src/app.secret.js', 'ignored');
+        write('src/keep.secret.js', 'kept');
+        write('logs/app.js', 'ignored');
+        write('tmp.js', 'ignored');
+        write('nested/tmp.js', 'kept');
+        write('node_modules/x/index.js', 'ignored');
+        write('.mursfoto/baseline/src/server.js', "app.get('/health', (req, res) => res.json({ ok: false }))\n");
+        write('.mursfoto/plugins/demo/index.js', 'module.exports = {}\n');
+        write('image.png', 'binary');
+    });
+
+    afterAll(() => {
+        fs.removeSync(root);
+    });
+
+    test('走訪專案時遵循預設規則與各層 .gitignore', () => {
+        const files = walkProject(root).map(file => file.path).sort();
+        expect(files).toEqual([
+            'nested/tmp.js',
+            'package.json',
+            'src/big.js',
+            'src/db/index.js',
+            'src/keep.secret.js',
+            'src/routes/users.js',
+            'src/server.js',
+            'src/services/helper.js',
+            'src/services/user-service.js'
+        ]);
+    });
+
+    test('略過 .mursfoto 中的基準版本與本地插件', () => {
+        const files = walkProject(root).map(file => file.path);
+        expect(fs.existsSync(path.join(root, '.mursfoto/baseline/src/server.js'))).toBe(true);
+        expect(files.filter(file => file.startsWith('.mursfoto/'))).toEqual([]);
+        expect(files).toContain('src/server.js');
+    });
+
+    test('解析 require / import / export from 並依相依距離排序', () => {
+        expect(parseImports("import a from './a'\nimport './side'\nconst b = require('../b')\nexport * from './c'\nrequire('lodash')"))
+            .toEqual(['./a', './side', '../b', './c']);
+
+        const files = walkProject(root);
+        const graph = buildImportGraph(root, files);
+        expect([...graph.imports.get('src/services/user-service.js')]).toEqual(['src/db/index.js', 'src/services/helper.js']);
+
+        const ranked = rankFiles(files, graph, { seeds: ['src/routes/users.js'], now: Date.now() });
+        expect(ranked[0]).toMatchObject({ path: 'src/routes/users.js', distance: 0 });
+        expect(ranked.slice(1, 3).map(file => file.path).sort()).toEqual(['src/server.js', 'src/services/user-service.js']);
+        expect(ranked.find(file => file.path === 'src/db/index.js').distance).toBe(2);
+    });
+
+    test('依行切塊，不超過 token 上限', () => {
+        const chunks = chunkLines(Array.from({ length: 100 }, () => 'abc def').join('\n'), 50);
+        expect(chunks[0]).toMatchObject({ startLine: 1 });
+        expect(chunks.every(chunk => chunk.tokens <= 50)).toBe(true);
+        expect(chunks[chunks.length - 1].endLine).toBe(100);
+        expect(chunks[1].startLine).toBe(chunks[0].endLine + 1);
+    });
+
+    test('在預算內放入 package.json 摘要、路由對照與檔案，大檔案只放入開頭區塊', () => {
+        const context = buildContext({ root, dir: 'src', seeds: ['src/big.js'], budget: 1500 });
+
+        expect(context.tokens).toBeLessThanOrEqual(1500);
+        expect(context.files[0]).toMatchObject({ path: 'package.json', summary: true });
+        expect(context.text).toContain('"start": "node src/server.js"');
+        expect(context.text).not.toContain('"author"');
+        expect(context.routes).toBe(3);
+        expect(context.text).toContain('- GET /health (src/server.js:5)');
+        expect(context.text).toContain('- USE /api/users (src/server.js:4)');
+
+        const big = context.files.find(file => file.path === 'src/big.js');
+        expect(big).toMatchObject({ startLine: 1, totalLines: 400, partial: true });
+        expect(context.text).toContain(`## src/big.js (第 1-${big.endLine} 行，共 400 行)`);
+        expect(context.files.map(file => file.path)).not.toContain('nested/tmp.js');
+        expect(context.skipped.length).toBeGreaterThan(0);
+
+        expect(() => buildContext({ root, dir: 'missing', budget: 1000 })).toThrow('找不到目錄: missing');
+    });
+});
@@ -0,0 +1,158 @@
+const { describe, test, expect, afterAll } = require('@jest/globals');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const AICodeGenerator = require('../../lib/services/AICodeGenerator');
+const { parseRegions } = require('../../lib/utils/protected-regions');
+const { bootServer, summarizeJestResults } = require('../../lib/utils/project-verifier');
+
+function createGenerator(answer) {
+    const warn = console.warn;
+    console.warn = () => {};
+    const generator = new AICodeGenerator();
+    console.warn = warn;
+    const prompts = [];
+    generator.aiRouter = {
+        hasAvailableProvider: () => true,
+        generate: async prompt => {
+            prompts.push(prompt);
+            return { text: answer };
+        }
+    };
+    return { generator, prompts };
+}
+
+describe('ai generate 產生可執行的專案', () => {
+    test('依需求分析的實體填滿控制器、模型、設定與 CRUD 測試', async () => {
+        const analysis = {
+            entities: ['Blog Post', '作者', 'Health', 'Author'],
+            fields: { 'Blog Post': { title: 'string', views: 'integer?', 'bad-name': 'string', id: 'integer' }, Author: { email: 'email' } },
+            requirements: ['部落格 API']
+        };
+        const { generator } = createGenerator(`分析結果：\n\`\`\`json\n${JSON.stringify(analysis)}\n\`\`\``);
+
+        const result = await generator.generate('部落格', 'api', 'express', { projectName: 'blog-api' });
+        const { files, tests } = result.code;
+
+        expect(Object.keys(files).sort()).toEqual([
+            '.env.example', '.gitignore', 'README.md', 'app.js', 'config/index.js', 'controllers/authors.js', 'controllers/blog-posts.js',
+            'controllers/health.js', 'db/memory-store.js', 'middleware/auth.js', 'middleware/validate.js', 'models/Author.js', 'models/BlogPost.js',
+            'package.json', 'routes/authors.js', 'routes/blog-posts.js', 'routes/health.js', 'server.js', 'validators/authors.js', 'validators/blog-posts.js'
+        ]);
+        expect(Object.keys(tests).sort()).toEqual(['tests/authors.test.js', 'tests/blog-posts.test.js', 'tests/health.test.js']);
+        expect(result.qualityScore).toBe(100);
+        expect(JSON.parse(files['package.json']).name).toBe('blog-api');
+
+        // 沒有留下 501 預設內容
+        const controller = files['controllers/blog-posts.js'];
+        expect(controller).not.toContain('尚未實作');
+        expect(parseRegions(controller).get('getBlogPost')).toBe([
+            '    const record = BlogPost.findById(req.params.id);',
+            "    if (!record) return res.status(404).json({ error: '找不到 BlogPost' });",
+            '    res.json(record);'
+        ].join('\n'));
+        expect(files['models/BlogPost.js']).toContain("module.exports = createMemoryStore(['title', 'views']);");
+        expect(files['validators/blog-posts.js']).toContain("body('title').exists().isString()");
+        expect(files['validators/blog-posts.js']).toContain("body('views').optional().isInt().toInt()");
+        expect(files['app.js']).toContain("app.use('/api', auth);");
+        expect(files['README.md']).toContain('- `DELETE /api/blog-posts/{id}` 刪除 BlogPost');
+
+        const flow = parseRegions(tests['tests/blog-posts.test.js']).get('tests');
+        expect(flow).toContain(".post('/api/blog-posts').send({ title: 'test', views: 1 });");
+        expect(flow).toContain('expect((await request(app).get(url)).status).toBe(404);');
+    });
+
+    test('沒有可用的英文實體時使用 Item', async () => {
+        const { generator } = createGenerator('{"entities": ["使用者"]}');
+        const { code } = await generator.generate('使用者管理', 'api', 'express');
+
+        expect(code.files['models/Item.js']).toContain("createMemoryStore(['name'])");
+        expect(Object.keys(code.tests)).toEqual(['tests/health.test.js', 'tests/items.test.js']);
+    });
+
+    test('依測試失敗修正時不採用測試檔案、專案外路徑與無法解析的內容', async () => {
+        const answer = [
+            '### controllers/items.js',
+            '```js',
+            'module.exports = { listItems: (req, res) => res.json([]) };',
+            '```',
+            '',
+            '### `tests/items.test.js`',
+            '```js',
+            "test('略過', () => {});",
+            '```',
+            '',
+            '### ../outside.js',
+            '```js',
+            'module.exports = 1;',
+            '```',
+            '',
+            '### app.js',
+            '```js',
+            'const app = (;',
+            '```'
+        ].join('\n');
+        const { generator, prompts } = createGenerator(answer);
+
+        const result = await generator.repairFromFailures(
+            { 'controllers/items.js': 'module.exports = {};\n', 'app.js': 'module.exports = 1;\n' },
+            '## tests/items.test.js\n- GET /api/items 回傳 500'
+        );
+
+        expect(result.files).toEqual({ 'controllers/items.js': 'module.exports = { listItems: (req, res) => res.json([]) };\n' });
+        expect(result.rejected.map(item => `${item.file}: ${item.reason.split(':')[0]}`)).toEqual([
+            'tests/items.test.js: 不修改測試檔案',
+            '../outside.js: 路徑不在專案內',
+            'app.js: 無法解析'
+        ]);
+        expect(prompts[0]).toContain('- GET /api/items 回傳 500');
+        expect(prompts[0]).toContain('### controllers/items.js\n```js\nmodule.exports = {};\n```');
+    });
+});
+
+describe('驗證產生的專案', () => {
+    const root = path.join(os.tmpdir(), `mursfoto-verify-${process.pid}`);
+
+    afterAll(() => {
+        fs.removeSync(root);
+    });
+
+    test('啟動伺服器並等待健康檢查回應，提前結束時回傳輸出', async () => {
+        fs.outputFileSync(path.join(root, 'server.js'), [
+            "const http = require('http');",
+            "http.createServer((req, res) => { res.statusCode = req.url === '/health' ? 200 : 404; res.end(); }).listen(process.env.PORT);"
+        ].join('\n'));
+        fs.outputFileSync(path.join(root, 'broken.js'), "console.error('設定錯誤'); process.exit(3);");
+
+        expect(await bootServer(root)).toMatchObject({ ok: true, status: 200 });
+
+        const broken = await bootServer(root, { entry: 'broken.js' });
+        expect(broken.ok).toBe(false);
+        expect(broken.output).toContain('伺服器在回應前結束 (結束碼 3)');
+        expect(broken.output).toContain('設定錯誤');
+    });
+
+    test('整理每個測試檔案的結果', () => {
+        const dir = path.join(os.tmpdir(), 'project');
+        const files = summarizeJestResults({
+            testResults: [
+                {
+                    name: path.join(dir, 'tests', 'users.test.js'),
+                    status: 'failed',
+                    assertionResults: [
+                        { fullName: 'GET /users 回應 200', status: 'passed', failureMessages: [] },
+                        { fullName: 'POST /users 回應 201', status: 'failed', failureMessages: ['Expected: 201', 'Received: 500'] }
+                    ]
+                },
+                { name: path.join(dir, 'tests', 'broken.test.js'), status: 'failed', message: "Cannot find module '../app'", assertionResults: [] },
+                { name: path.join(dir, 'tests', 'health.test.js'), status: 'passed', assertionResults: [{ fullName: '健康檢查', status: 'passed', failureMessages: [] }] }
+            ]
+        }, dir);
+
+        expect(files).toEqual([
+            { file: 'tests/broken.test.js', status: 'failed', passed: 0, failed: 0, failures: [{ name: '(載入測試檔案)', message: "Cannot find module '../app'" }] },
+            { file: 'tests/health.test.js', status: 'passed', passed: 1, failed: 0, failures: [] },
+            { file: 'tests/users.test.js', status: 'failed', passed: 1, failed: 1, failures: [{ name: 'POST /users 回應 201', message: 'Expected: 201\nReceived: 500' }] }
+        ]);
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const AIModelRouter = require('../../lib/services/AIModelRouter');
+const { CircuitBreaker } = require('../../lib/services/ai-routing');
+
+describe('AI 路由策略', () => {
+    let server;
+    let baseURL;
+    let claudeResponse;
+    const budgetFile = path.join(os.tmpdir(), `mursfoto-routing-${process.pid}.json`);
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                res.setHeader('content-type', 'application/json');
+                if (req.url === '/v1/messages') {
+                    res.writeHead(claudeResponse.status, claudeResponse.headers);
+                    res.end(JSON.stringify({ error: { message: 'unavailable' } }));
+                    return;
+                }
+                res.end(JSON.stringify({
+                    choices: [{ message: { content: 'local' }, finish_reason: 'stop' }],
+                    usage: { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 }
+                }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseURL = `http://127.0.0.1:${server.address().port}`;
+        process.env.MURSFOTO_TEST_ROUTING_KEY = 'test';
+    });
+
+    afterAll(async () => {
+        delete process.env.MURSFOTO_TEST_ROUTING_KEY;
+        fs.removeSync(budgetFile);
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const createRouter = (options = {}) => {
+        fs.removeSync(budgetFile);
+        const router = new AIModelRouter({
+            lmStudioEndpoint: baseURL,
+            budget: { filePath: budgetFile },
+            ...options
+        });
+        router.models.claude.baseURL = baseURL;
+        router.models.claude.envKey = 'MURSFOTO_TEST_ROUTING_KEY';
+        router.models.gemini.envKey = 'MURSFOTO_TEST_MISSING_KEY';
+        return router;
+    };
+
+    test('依任務策略依序嘗試，跳過未設定與失敗的模型', async () => {
+        claudeResponse = { status: 500 };
+        const router = createRouter();
+
+        const response = await router.generate('審查', { task: 'review' });
+
+        expect(response.provider).toBe('lmstudio');
+        const [decision] = router.getStats().decisions;
+        expect(decision).toMatchObject({ task: 'review', reason: 'policy', chain: ['claude', 'gemini', 'lmstudio'], selected: 'lmstudio' });
+        expect(decision.attempts.map(attempt => [attempt.provider, Boolean(attempt.ok)])).toEqual([
+            ['claude', false],
+            ['gemini', false],
+            ['lmstudio', true]
+        ]);
+        expect(decision.attempts[1].skipped).toContain('API 密鑰');
+    });
+
+    test('429 立即開啟斷路器並遵守 Retry-After，之後的請求直接跳過', async () => {
+        claudeResponse = { status: 429, headers: { 'retry-after': '120' } };
+        const router = createRouter({ policies: { default: ['claude', 'lmstudio'] } });
+
+        await router.generate('hi');
+        const breaker = router.getStats().breakers.claude;
+        expect(breaker.state).toBe('open');
+        expect(Date.parse(breaker.openUntil) - Date.now()).toBeGreaterThan(110000);
+
+        await router.generate('hi');
+        expect(router.getStats().decisions[0].attempts[0]).toEqual({ provider: 'claude', skipped: '斷路器開啟' });
+    });
+
+    test('斷路器在連續失敗後開啟，冷卻時間每次加倍', () => {
+        const breaker = new CircuitBreaker({ threshold: 2, cooldown: 1000 });
+        const error = new Error('timeout');
+
+        breaker.recordFailure(error, 0);
+        expect(breaker.canRequest(0)).toBe(true);
+        breaker.recordFailure(error, 0);
+        expect(breaker.canRequest(999)).toBe(false);
+
+        // 冷卻後 half-open 試一次，失敗時以兩倍時間重新開啟
+        expect(breaker.canRequest(1000)).toBe(true);
+        breaker.recordFailure(error, 1000);
+        expect(breaker.openUntil).toBe(3000);
+
+        breaker.recordSuccess();
+        expect(breaker.toJSON()).toMatchObject({ state: 'closed', failures: 0 });
+    });
+
+    test('超過每日預算後改用本地模型', async () => {
+        claudeResponse = { status: 500 };
+        const router = createRouter({ budget: { filePath: budgetFile, dailyTokens: 25 } });
+
+        await router.sendToLMStudio('hi');
+        expect(router.getStats().budget).toMatchObject({ tokens: 30, exceeded: true });
+        expect(router.resolveRoute({ task: 'review' })).toEqual({ task: 'review', chain: ['lmstudio'], reason: 'budget' });
+
+        // 明確指定模型時不受預算影響
+        expect(router.resolveRoute({ model: 'claude' }).chain).toEqual(['claude']);
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, test, expect, beforeEach, afterAll } = require('@jest/globals');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { UsageLedger, calculateCost, parseSince, setUsageContext } = require('../../lib/utils/ai-usage');
+const AIModelRouter = require('../../lib/services/AIModelRouter');
+
+describe('AI 用量帳本', () => {
+    const dir = path.join(os.tmpdir(), `mursfoto-usage-${process.pid}`);
+    const filePath = path.join(dir, 'ai-usage.jsonl');
+
+    beforeEach(() => {
+        fs.removeSync(dir);
+        setUsageContext({ command: 'ai review', project: 'demo' });
+    });
+
+    afterAll(() => {
+        fs.removeSync(dir);
+        setUsageContext({ command: null, project: null });
+    });
+
+    test('依價格表計算費用，模型價格優先於供應商價格', () => {
+        const usage = { provider: 'claude', model: 'claude-haiku', inputTokens: 1e6, outputTokens: 1e6 };
+        expect(calculateCost(usage)).toBe(18);
+        expect(calculateCost(usage, { 'claude-haiku': { input: 1, output: 2 } })).toBe(3);
+        expect(calculateCost({ ...usage, provider: 'unknown' })).toBe(0);
+    });
+
+    test('解析 --since 的相對時間與日期', () => {
+        const now = Date.parse('2024-01-08T00:00:00Z');
+        expect(parseSince('7d', now).toISOString()).toBe('2024-01-01T00:00:00.000Z');
+        expect(parseSince('12h', now).toISOString()).toBe('2024-01-07T12:00:00.000Z');
+        expect(parseSince('2024-01-02').toISOString()).toBe('2024-01-02T00:00:00.000Z');
+        expect(() => parseSince('bogus')).toThrow('無法解析時間範圍');
+    });
+
+    test('記錄命令與專案並依欄位彙總，略過範圍外與損毀的紀錄', () => {
+        const ledger = new UsageLedger({ filePath });
+        ledger.record({ provider: 'claude', model: 'claude-3', inputTokens: 100, outputTokens: 50 });
+        setUsageContext({ project: 'other' });
+        ledger.record({ provider: 'lmstudio', model: 'local', inputTokens: 10, outputTokens: 5 });
+        fs.appendFileSync(filePath, 'not json\n');
+        fs.appendFileSync(filePath, `${JSON.stringify({ time: '2000-01-01T00:00:00Z', model: 'old', inputTokens: 1 })}\n`);
+
+        expect(ledger.read()[0]).toMatchObject({ command: 'ai review', project: 'demo', cost: 0.00105 });
+
+        const byProject = ledger.summarize({ since: parseSince('7d'), by: 'project' });
+        expect(byProject.groups.map(group => group.key)).toEqual(['demo', 'other']);
+        expect(byProject.total).toEqual({ requests: 2, inputTokens: 110, outputTokens: 55, cost: 0.00105 });
+        expect(() => ledger.summarize({ by: 'color' })).toThrow('不支援的分組');
+    });
+
+    test('路由器的請求與串流都寫入帳本，快取命中不重複記錄', async () => {
+        const server = http.createServer((req, res) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => {
+                const body = JSON.parse(data);
+                if (body.stream) {
+                    res.setHeader('content-type', 'text/event-stream');
+                    res.write(`data: ${JSON.stringify({ model: 'local-model', choices: [{ delta: { content: '哈囉' } }] })}\n\n`);
+                    res.write(`data: ${JSON.stringify({ model: 'local-model', choices: [], usage: { prompt_tokens: 4, completion_tokens: 2 } })}\n\n`);
+                    res.end('data: [DONE]\n\n');
+                    return;
+                }
+                res.setHeader('content-type', 'application/json');
+                res.end(JSON.stringify({
+                    model: 'local-model',
+                    choices: [{ message: { content: '哈囉' }, finish_reason: 'stop' }],
+                    usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 }
+                }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const cache = new Map();
+            const router = new AIModelRouter({
+                defaultModel: 'lmstudio',
+                lmStudioEndpoint: `http://127.0.0.1:${server.address().port}`,
+                budget: { filePath: path.join(dir, 'ai-budget.json') },
+                cache: { key: payload => JSON.stringify(payload), get: key => cache.get(key), set: (key, value) => cache.set(key, value) },
+                ledger: new UsageLedger({ filePath, pricing: { lmstudio: { input: 1, output: 1 } } })
+            });
+
+            await router.generate('hi');
+            await router.generate('hi');
+            let text = '';
+            for await (const chunk of router.stream('hi', { cache: false })) {
+                text += chunk;
+            }
+
+            expect(text).toBe('哈囉');
+            expect(router.ledger.read()).toEqual([
+                expect.objectContaining({ provider: 'lmstudio', model: 'local-model', inputTokens: 3, outputTokens: 2, cost: 0.000005 }),
+                expect.objectContaining({ provider: 'lmstudio', model: 'local-model', inputTokens: 4, outputTokens: 2, command: 'ai review' })
+            ]);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, test, expect, beforeEach, afterAll } = require('@jest/globals');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { CodeIndex, tokenize, createHashEmbedder, resolveEmbedder } = require('../../lib/utils/code-index');
+const AIModelRouter = require('../../lib/services/AIModelRouter');
+
+describe('語意程式碼索引', () => {
+    const dir = path.join(os.tmpdir(), `mursfoto-index-${process.pid}`);
+    const root = path.join(dir, 'project');
+    const filePath = path.join(dir, 'index.json');
+    const write = (file, content) => fs.outputFileSync(path.join(root, file), content);
+
+    // 記錄實際送去嵌入的片段，確認只處理變動的檔案
+    const createCountingEmbedder = (id = 'hash:512') => {
+        const hash = createHashEmbedder();
+        const embedder = {
+            id,
+            embedded: [],
+            async embed(texts) {
+                embedder.embedded.push(...texts.map(text => text.split('\n')[0]));
+                return hash.embed(texts);
+            }
+        };
+        return embedder;
+    };
+
+    beforeEach(() => {
+        fs.removeSync(dir);
+        write('src/auth.js', 'function verifyToken (token) {\n  return jwt.verify(token, secret)\n}');
+        write('src/db.js', 'const pool = mysql.createPool(config)\nfunction query (sql) { return pool.query(sql) }\n');
+        write('README.md', '# 專案\n登入流程會驗證 JWT 權杖');
+    });
+
+    afterAll(() => {
+        fs.removeSync(dir);
+    });
+
+    test('hash 向量拆開 camelCase 與中文詞並正規化', async () => {
+        expect(tokenize('verifyToken user_id 驗證權杖')).toEqual(['verify', 'token', 'verifytoken', 'user', 'id', '驗證', '證權', '權杖']);
+
+        const [a, b] = await createHashEmbedder().embed(['verifyToken', 'verifyToken']);
+        expect(a).toEqual(b);
+        expect(a.reduce((sum, value) => sum + value * value, 0)).toBeCloseTo(1);
+    });
+
+    test('依內容雜湊增量更新，嵌入方式改變時重建', async () => {
+        const embedder = createCountingEmbedder();
+        const index = new CodeIndex({ root, filePath, embedder });
+
+        expect(await index.update()).toMatchObject({ added: 3, updated: 0, removed: 0, unchanged: 0, chunks: 3 });
+
+        embedder.embedded.length = 0;
+        write('src/db.js', 'const pool = mysql.createPool(config)\n');
+        fs.removeSync(path.join(root, 'README.md'));
+        const reloaded = new CodeIndex({ root, filePath, embedder });
+        expect(await reloaded.update()).toMatchObject({ added: 0, updated: 1, removed: 1, unchanged: 1 });
+        expect(embedder.embedded).toEqual(['src/db.js']);
+
+        const other = createCountingEmbedder('ollama:nomic-embed-text');
+        expect(await new CodeIndex({ root, filePath, embedder: other }).update()).toMatchObject({ added: 2, unchanged: 0 });
+        expect(new CodeIndex({ root, filePath }).stats()).toMatchObject({ embedder: 'ollama:nomic-embed-text', files: 2 });
+    });
+
+    test('檢索回傳最相關的片段與行號', async () => {
+        const index = new CodeIndex({ root, filePath, embedder: createHashEmbedder() });
+        await index.update();
+
+        const [top] = await index.search('where do we verify the jwt token?', { limit: 2 });
+        expect(top).toMatchObject({ path: 'src/auth.js', startLine: 1, endLine: 3 });
+        expect(top.text).toContain('jwt.verify');
+
+        const [chinese] = await index.search('驗證權杖');
+        expect(chinese.path).toBe('README.md');
+    });
+
+    test('auto 先嘗試設定的本地供應商再依序嘗試其他供應商，都不可用時安靜地改用 hash', async () => {
+        const server = http.createServer((req, res) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => {
+                const body = JSON.parse(data);
+                res.setHeader('content-type', 'application/json');
+                res.end(JSON.stringify(req.url === '/v1/embeddings'
+                    ? { data: body.input.map((text, index) => ({ index, embedding: [0, 2] })) }
+                    : { embeddings: body.input.map(() => [3, 4]) }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const unreachable = 'http://127.0.0.1:1';
+            const router = new AIModelRouter({
+                lmStudioEndpoint: unreachable,
+                localProviders: {
+                    ollama: { baseURL: `http://127.0.0.1:${server.address().port}`, embeddingModel: 'nomic-embed-text' },
+                    'openai-compatible': { baseURL: unreachable }
+                },
+                budget: { filePath: path.join(dir, 'budget.json') }
+            });
+
+            const embedder = await resolveEmbedder(router, 'auto');
+            expect(embedder.id).toBe('ollama:nomic-embed-text');
+            expect(await embedder.embed(['a'])).toEqual([[0.6, 0.8]]);
+
+            // ai.defaultModel 指定的本地供應商優先
+            const local = `http://127.0.0.1:${server.address().port}`;
+            const preferred = new AIModelRouter({
+                defaultModel: 'openai-compatible',
+                lmStudioEndpoint: unreachable,
+                localProviders: {
+                    ollama: { baseURL: local, embeddingModel: 'nomic-embed-text' },
+                    'openai-compatible': { baseURL: local, embeddingModel: 'bge-m3' }
+                },
+                budget: { filePath: path.join(dir, 'budget.json') }
+            });
+            const configured = await resolveEmbedder(preferred, 'auto');
+            expect(configured.id).toBe('openai-compatible:bge-m3');
+            expect(await configured.embed(['a'])).toEqual([[0, 1]]);
+
+            const offline = new AIModelRouter({
+                lmStudioEndpoint: unreachable,
+                localProviders: { ollama: { baseURL: unreachable }, 'openai-compatible': { baseURL: unreachable } },
+                budget: { filePath: path.join(dir, 'budget.json') }
+            });
+            const error = console.error;
+            const logged = [];
+            console.error = (...args) => logged.push(args);
+            try {
+                expect((await resolveEmbedder(offline, 'auto')).id).toBe('hash:512');
+            } finally {
+                console.error = error;
+            }
+            expect(logged).toEqual([]);
+            expect((await resolveEmbedder(offline, 'hash:512')).id).toBe('hash:512');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,137 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+    parseSources,
+    checkSyntax,
+    checkSecurity,
+    checkPerformance,
+    checkMaintainability
+} = require('../../lib/utils/code-quality');
+const AICodeGenerator = require('../../lib/services/AICodeGenerator');
+
+const summarize = issues => issues.map(issue => `${issue.ruleId} ${issue.severity} ${issue.file}:${issue.startLine}`);
+
+describe('程式碼靜態品質檢查', () => {
+    test('語法錯誤標示檔案與行號，支援 JSX 與 JSON', () => {
+        const sources = parseSources({
+            'ok.jsx': 'import React from "react"\nexport default () => <div>hi</div>\n',
+            'broken.js': 'const a = 1\nfunction (\n',
+            'package.json': '{\n  "name": "demo",\n}',
+            'README.md': '# 不檢查'
+        });
+
+        expect(sources.map(source => source.file)).toEqual(['ok.jsx', 'broken.js', 'package.json']);
+        const result = checkSyntax(sources);
+        expect(summarize(result.issues)).toEqual(['syntax/parse-error critical broken.js:2', 'syntax/parse-error critical package.json:3']);
+        expect(result.score).toBe(20);
+    });
+
+    test('安全性：eval、SQL 字串組合、寫死的金鑰、缺少 helmet 與速率限制', () => {
+        const code = [
+            "const express = require('express')",
+            'const app = express()',
+            "const JWT_SECRET = process.env.JWT_SECRET || 'super-secret-value'",
+            "const config = { apiKey: 'a8f5f167f44f4964e6c998dee827110c' }",
+            "const dbPassword = 'your_password_here'",
+            'function run (input) { return eval(input) }',
+            "setTimeout('tick()', 100)",
+            "app.get('/users/:id', (req, res) => db.query('SELECT * FROM users WHERE id = ' + req.params.id))",
+            "app.get('/posts', (req, res) => db.query(`DELETE FROM posts WHERE author = ${req.query.author}`))",
+            'const safe = sql`SELECT * FROM users WHERE id = ${id}`',
+            "const label = 'Selected ' + count + ' items from list'"
+        ].join('\n');
+
+        const result = checkSecurity(parseSources({ 'server.js': code }));
+        expect(summarize(result.issues)).toEqual([
+            'security/hardcoded-secret medium server.js:3',
+            'security/hardcoded-secret high server.js:4',
+            'security/no-eval high server.js:6',
+            'security/no-eval high server.js:7',
+            'security/sql-injection high server.js:8',
+            'security/sql-injection high server.js:9',
+            'security/missing-helmet medium server.js:2',
+            'security/missing-rate-limit medium server.js:2'
+        ]);
+        expect(result.score).toBe(0);
+
+        const secured = "const express = require('express')\nconst helmet = require('helmet')\nconst rateLimit = require('express-rate-limit')\nconst app = express()\napp.use(helmet())\napp.use(rateLimit({ max: 100 }))\n";
+        expect(checkSecurity(parseSources({ 'app.js': secured }))).toEqual({ score: 100, issues: [] });
+    });
+
+    test('效能：請求處理中的同步 I/O 與迴圈中逐一 await', () => {
+        const code = [
+            "app.get('/', (req, res) => res.send(fs.readFileSync('index.html')))",
+            "const config = fs.readFileSync('config.json')",
+            'async function load (ids) {',
+            '  for (const id of ids) await fetch(id)',
+            '  await Promise.all(ids.map(async id => await fetch(id)))',
+            '}',
+            'const copy = JSON.parse(JSON.stringify(config))'
+        ].join('\n');
+
+        const result = checkPerformance(parseSources({ 'app.js': code }));
+        expect(summarize(result.issues)).toEqual([
+            'performance/sync-io-in-handler medium app.js:1',
+            'performance/await-in-loop low app.js:4',
+            'performance/json-clone low app.js:7'
+        ]);
+        expect(result.score).toBe(86);
+    });
+
+    test('可維護性：循環複雜度、函式長度與重複程式碼', () => {
+        const branches = Array.from({ length: 11 }, (_, index) => `  if (value === ${index}) return ${index}`).join('\n');
+        const long = Array.from({ length: 55 }, (_, index) => `  total += ${index}`).join('\n');
+        const block = ['const user = await User.findById(id)', 'if (!user) throw new Error(404)', 'user.name = name', 'user.email = email', 'user.updatedAt = Date.now()', 'await user.save()'];
+
+        const sources = parseSources({
+            'a.js': `function classify (value) {\n${branches}\n  return value && value.kind\n}\n\nconst sum = () => {\n  let total = 0\n${long}\n  return total\n}\n`,
+            'b.js': `async function update (id, name, email) {\n  ${block.join('\n  ')}\n  return user\n}\n`,
+            'c.js': `// 另一個檔案\nasync function edit (id, name, email) {\n  ${block.join('\n  ')}\n}\n`
+        });
+
+        const result = checkMaintainability(sources);
+        expect(result.issues.map(issue => issue.message)).toEqual([
+            'classify 的循環複雜度為 13 (上限 10)，請拆分邏輯',
+            'sum 有 59 行 (上限 50)，請拆成較小的函式',
+            '6 行程式碼與 b.js:2 重複，可抽成共用函式'
+        ]);
+        expect(summarize(result.issues)).toEqual([
+            'maintainability/complexity medium a.js:1',
+            'maintainability/function-length low a.js:16',
+            'maintainability/duplication low c.js:3'
+        ]);
+        expect(result.issues[2].endLine).toBe(8);
+        expect(result.metrics).toMatchObject({ functions: 4, maxComplexity: 13, longFunctions: 1, duplicatedLines: 6 });
+    });
+
+    test('品質分數過低時請 AI 修正，只保留分數提高的結果', async () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        const generator = new AICodeGenerator();
+        const fixed = "const express = require('express')\nconst helmet = require('helmet')\nconst rateLimit = require('express-rate-limit')\nconst app = express()\napp.use(helmet())\napp.use(rateLimit({ max: 100 }))\nmodule.exports = app\n";
+        const prompts = [];
+
+        generator.aiRouter = {
+            hasAvailableProvider: () => true,
+            generate: async prompt => {
+                prompts.push(prompt);
+                return { text: `修正如下：\n\`\`\`js\n${fixed}\`\`\`` };
+            }
+        };
+        generator.analyzeRequirements = async () => ({ entities: [] });
+        generator.generateSpecificCode = async () => ({
+            files: { 'server.js': "const express = require('express')\nconst app = express()\napp.get('/', (req, res) => res.send(eval(req.query.code)))\nmodule.exports = app\n" },
+            tests: {}
+        });
+
+        const result = await generator.generate('建立一個 API', 'api', 'express', { minQualityScore: 95 });
+        console.warn = warn;
+
+        expect(prompts).toHaveLength(1);
+        expect(prompts[0]).toContain('- 第 3 行 [security/no-eval] 避免使用 eval，可能執行任意程式碼');
+        expect(prompts[0]).toContain('- 第 2 行 [security/missing-helmet]');
+        expect(result.code.files['server.js']).toBe(fixed.trim());
+        expect(result.repairs).toEqual([{ round: 1, before: 91, after: 100, files: ['server.js'], kept: true }]);
+        expect(result.qualityScore).toBe(100);
+        expect(result.suggestions).toEqual([]);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs-extra');
+const path = require('path');
+const {
+    loadConfig,
+    validateConfig,
+    setConfigValue,
+    unsetConfigValue,
+    coerceValue
+} = require('../../lib/utils/config');
+
+describe('分層配置載入器', () => {
+    let testDir;
+    let originalHome;
+
+    beforeEach(() => {
+        testDir = path.join(__dirname, '../temp', `config-${Date.now()}`);
+        fs.ensureDirSync(path.join(testDir, 'project', 'nested'));
+        originalHome = process.env.MURSFOTO_HOME;
+        process.env.MURSFOTO_HOME = path.join(testDir, 'home');
+    });
+
+    afterEach(() => {
+        if (originalHome === undefined) {
+            delete process.env.MURSFOTO_HOME;
+        } else {
+            process.env.MURSFOTO_HOME = originalHome;
+        }
+        fs.removeSync(testDir);
+    });
+
+    test('應該依優先順序合併各配置層', () => {
+        const projectDir = path.join(testDir, 'project');
+        fs.outputJsonSync(path.join(testDir, 'home', 'config.json'), { template: 'n8n', ai: { defaultModel: 'gemini' } });
+        fs.outputJsonSync(path.join(projectDir, '.mursfotorc'), { template: 'minimal' });
+        fs.outputJsonSync(path.join(projectDir, '.mursfotorc.production'), { gatewayUrl: 'https://prod.example.com' });
+
+        const config = loadConfig({
+            cwd: path.join(projectDir, 'nested'),
+            env: { NODE_ENV: 'production', MURSFOTO_AI_TIMEOUT: '5000' },
+            overrides: { 'gui.port': 4000 }
+        });
+
+        expect(config.template).toBe('minimal');
+        expect(config.ai.defaultModel).toBe('gemini');
+        expect(config.ai.timeout).toBe(5000);
+        expect(config.gatewayUrl).toBe('https://prod.example.com');
+        expect(config.gui.port).toBe(4000);
+        expect(config.create.install).toBe(true);
+    });
+
+    test('應該拒絕不符合結構定義的配置', () => {
+        const { valid, errors, warnings } = validateConfig({
+            ai: { defaultModel: 'unknown' },
+            gatewayUrl: 'not-a-url',
+            custom: true
+        });
+
+        expect(valid).toBe(false);
+        expect(errors).toHaveLength(2);
+        expect(warnings).toContain('未知的配置項: custom');
+    });
+
+    test('應該轉換字串值並寫入專案配置檔', async () => {
+        const projectDir = path.join(testDir, 'project');
+        expect(coerceValue('create.git', 'false')).toBe(false);
+
+        const filePath = await setConfigValue('gui.port', '8080', { cwd: projectDir });
+        expect(filePath).toBe(path.join(projectDir, '.mursfotorc'));
+        expect(fs.readJsonSync(filePath)).toEqual({ gui: { port: 8080 } });
+
+        await expect(setConfigValue('gui.port', 'abc', { cwd: projectDir })).rejects.toThrow('gui.port');
+    });
+
+    test('專案使用 mursfoto.config.js 時拒絕寫入 .mursfotorc', async () => {
+        const projectDir = path.join(testDir, 'project');
+        const jsConfig = path.join(projectDir, 'mursfoto.config.js');
+        fs.outputFileSync(jsConfig, "module.exports = { ai: { defaultModel: 'claude' } };\n");
+
+        for (const cwd of [projectDir, path.join(projectDir, 'nested')]) {
+            await expect(setConfigValue('ai.defaultModel', 'gemini', { cwd })).rejects.toThrow(`專案配置為 ${jsConfig}，無法自動寫入`);
+            await expect(unsetConfigValue('ai.defaultModel', { cwd })).rejects.toThrow('請直接編輯該檔案');
+        }
+        expect(fs.existsSync(path.join(projectDir, '.mursfotorc'))).toBe(false);
+        expect(fs.existsSync(path.join(projectDir, 'nested', '.mursfotorc'))).toBe(false);
+        expect(loadConfig({ cwd: projectDir, env: {} }).ai.defaultModel).toBe('claude');
+
+        const filePath = await setConfigValue('ai.defaultModel', 'gemini', { cwd: projectDir, global: true });
+        expect(filePath).toBe(path.join(testDir, 'home', 'config.json'));
+    });
+});
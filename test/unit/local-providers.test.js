@@ -0,0 +1,115 @@
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createLocalProvider } = require('../../lib/services/local-providers');
+const AIModelRouter = require('../../lib/services/AIModelRouter');
+
+describe('本地模型供應商', () => {
+    let server;
+    let baseURL;
+    const requests = [];
+    const budgetFile = path.join(os.tmpdir(), `mursfoto-local-${process.pid}.json`);
+
+    beforeAll(async () => {
+        // 同時模擬 Ollama 原生 API 與 OpenAI 相容 API
+        server = http.createServer((req, res) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => {
+                const body = data ? JSON.parse(data) : null;
+                requests.push({ url: req.url, body, authorization: req.headers.authorization });
+                res.setHeader('content-type', 'application/json');
+
+                switch (req.url) {
+                    case '/api/tags':
+                        return res.end(JSON.stringify({ models: [{ name: 'llama3.1:8b', size: 4 }] }));
+                    case '/api/embed':
+                        return res.end(JSON.stringify({ embeddings: body.input.map((text, index) => [index, text.length]) }));
+                    case '/api/chat':
+                        if (body.stream) {
+                            res.write(`${JSON.stringify({ model: body.model, message: { content: '你' }, done: false })}\n`);
+                            res.write(JSON.stringify({ model: body.model, message: { content: '好' }, done: false }));
+                            return res.end(`\n${JSON.stringify({ model: body.model, message: { content: '' }, done: true, prompt_eval_count: 7, eval_count: 2 })}\n`);
+                        }
+                        return res.end(JSON.stringify({
+                            model: body.model,
+                            message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'weather', arguments: { city: '台北' } } }] },
+                            done_reason: 'stop',
+                            prompt_eval_count: 12,
+                            eval_count: 3
+                        }));
+                    case '/v1/models':
+                        return res.end(JSON.stringify({ data: [] }));
+                    case '/v1/embeddings':
+                        return res.end(JSON.stringify({ data: [{ index: 1, embedding: [2] }, { index: 0, embedding: [1] }] }));
+                    default:
+                        res.statusCode = 404;
+                        return res.end('{}');
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseURL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        fs.removeSync(budgetFile);
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('Ollama 探索模型、對話 (含工具呼叫) 與向量嵌入', async () => {
+        const ollama = createLocalProvider('ollama', { baseURL: `${baseURL}/`, model: 'llama3.1:8b', embeddingModel: 'nomic-embed-text' });
+
+        expect(await ollama.listModels()).toEqual([{ id: 'llama3.1:8b', size: 4 }]);
+        expect(await ollama.healthCheck()).toBe(true);
+
+        const response = await ollama.chat({ system: '簡短回答', messages: [{ role: 'user', content: '天氣？' }], maxTokens: 100 });
+        expect(response).toMatchObject({
+            provider: 'ollama',
+            model: 'llama3.1:8b',
+            toolCalls: [{ name: 'weather', arguments: { city: '台北' } }],
+            finishReason: 'tool_calls',
+            usage: { inputTokens: 12, outputTokens: 3, totalTokens: 15 }
+        });
+        expect(requests.at(-1).body).toMatchObject({
+            stream: false,
+            messages: [{ role: 'system', content: '簡短回答' }, { role: 'user', content: '天氣？' }],
+            options: { num_predict: 100 }
+        });
+
+        expect(await ollama.embed(['ab', 'cde'])).toEqual([[0, 2], [1, 3]]);
+        expect(requests.at(-1).body.model).toBe('nomic-embed-text');
+    });
+
+    test('OpenAI 相容伺服器帶上 API 密鑰並依 index 排序嵌入結果，沒有模型時視為不健康', async () => {
+        const provider = createLocalProvider('openai-compatible', { baseURL, apiKey: 'secret' });
+
+        expect(await provider.embed(['a', 'b'])).toEqual([[1], [2]]);
+        expect(requests.at(-1).authorization).toBe('Bearer secret');
+        expect(await provider.healthCheck()).toBe(false);
+        await expect(createLocalProvider('ollama', { baseURL: 'http://127.0.0.1:1' }).listModels()).rejects.toThrow('ollama 服務未運行');
+    });
+
+    test('路由器透過本地供應商串流 NDJSON 並記錄伺服器回報的用量', async () => {
+        const router = new AIModelRouter({
+            defaultModel: 'ollama',
+            localProviders: { ollama: { baseURL, model: 'llama3.1:8b' } },
+            budget: { filePath: budgetFile }
+        });
+
+        let text = '';
+        for await (const chunk of router.stream('hi')) {
+            text += chunk;
+        }
+
+        expect(text).toBe('你好');
+        expect(router.getStats().decisions[0]).toMatchObject({ selected: 'ollama' });
+        expect(router.budget.toJSON().tokens).toBe(9);
+        expect(await router.embed(['hi'])).toEqual([[0, 2]]);
+        expect(await router.discoverLocalModels()).toMatchObject({
+            ollama: { healthy: true, models: [{ id: 'llama3.1:8b' }] }
+        });
+    });
+});
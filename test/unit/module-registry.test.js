@@ -0,0 +1,72 @@
+const { describe, test, expect } = require('@jest/globals');
+const { ModuleRegistry } = require('../../lib/modules/ModuleRegistry');
+const BaseModule = require('../../lib/modules/BaseModule');
+const GitHubModule = require('../../lib/modules/GitHubModule');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+function createTrackedModule(events, { dependencies = [], unhealthy = false } = {}) {
+    return class extends BaseModule {
+        static dependencies = dependencies;
+
+        async onInitialize() {
+            events.push(`init:${this.name}:${Object.keys(this.deps).join(',')}`);
+        }
+
+        async onDispose() {
+            events.push(`dispose:${this.name}`);
+        }
+
+        async onHealthCheck() {
+            if (unhealthy) throw new Error('連線中斷');
+            return { checked: true };
+        }
+    };
+}
+
+describe('模組註冊中心', () => {
+    test('應該依依賴順序初始化並注入依賴，關閉時反向釋放', async () => {
+        const events = [];
+        const registry = new ModuleRegistry();
+
+        registry.register('api', createTrackedModule(events, { dependencies: ['db', 'cache'] }), { logger: silentLogger });
+        registry.register('cache', createTrackedModule(events, { dependencies: ['db'] }), { logger: silentLogger });
+        registry.register('db', createTrackedModule(events), { logger: silentLogger });
+
+        expect(registry.resolveOrder()).toEqual(['db', 'cache', 'api']);
+
+        const api = await registry.get('api');
+        expect(api.deps.db).toBe(registry.modules.get('db'));
+        expect(events).toEqual(['init:db:', 'init:cache:db', 'init:api:db,cache']);
+
+        await registry.shutdown();
+        expect(events.slice(3)).toEqual(['dispose:api', 'dispose:cache', 'dispose:db']);
+        expect(api.initialized).toBe(false);
+    });
+
+    test('應該偵測循環依賴與未註冊的依賴', () => {
+        const registry = new ModuleRegistry();
+        registry.register('a', BaseModule, { dependencies: ['b'], logger: silentLogger });
+        registry.register('b', BaseModule, { dependencies: ['a'], logger: silentLogger });
+        registry.register('c', BaseModule, { dependencies: ['missing'], logger: silentLogger });
+
+        expect(() => registry.resolveOrder(['a'])).toThrow('模組依賴循環: a -> b -> a');
+        expect(() => registry.resolveOrder(['c'])).toThrow('模組 c 依賴未註冊的模組 missing');
+    });
+
+    test('應該彙總各模組健康狀態', async () => {
+        const events = [];
+        const registry = new ModuleRegistry();
+        registry.register('ok', createTrackedModule(events), { logger: silentLogger });
+        registry.register('broken', createTrackedModule(events, { unhealthy: true }), { logger: silentLogger });
+        registry.register('github', GitHubModule, { logger: silentLogger });
+
+        await registry.initializeAll();
+        const health = await registry.healthCheck();
+
+        expect(health.healthy).toBe(false);
+        expect(health.modules.ok).toEqual({ healthy: true, status: 'ok', checked: true });
+        expect(health.modules.broken).toEqual({ healthy: false, status: 'error', error: '連線中斷' });
+        expect(registry.modules.get('github').name).toBe('github');
+    });
+});
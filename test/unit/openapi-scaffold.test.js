@@ -0,0 +1,203 @@
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { protectedRegion, parseRegions, skeletonHash, fillRegions } = require('../../lib/utils/protected-regions');
+const { scaffoldFromSpec, isDefaultRegion } = require('../../lib/utils/openapi-scaffold');
+const { planScaffold } = require('../../lib/commands/openapi');
+
+const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Pet Store', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com/v1' }],
+    paths: {
+        '/pets': {
+            get: {
+                tags: ['pets'],
+                operationId: 'listPets',
+                summary: '列出寵物',
+                parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } }],
+                responses: { 200: { description: '成功' } }
+            },
+            post: {
+                tags: ['pets'],
+                operationId: 'createPet',
+                requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+                responses: { 201: { description: '已建立' } }
+            }
+        },
+        '/pets/{petId}': {
+            parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+            get: { tags: ['pets'], operationId: 'getPet', responses: { 200: { description: '成功' }, 404: { description: '找不到' } } }
+        },
+        '/pets/mine': {
+            get: { tags: ['pets'], operationId: 'myPets', responses: { 200: { description: '成功' } } }
+        }
+    },
+    components: {
+        schemas: {
+            Pet: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    id: { type: 'integer', readOnly: true },
+                    name: { type: 'string', maxLength: 50 },
+                    email: { type: 'string', format: 'email' },
+                    status: { type: 'string', enum: ['available', 'sold'], default: 'available' },
+                    owner: { $ref: '#/components/schemas/Owner' }
+                }
+            },
+            Owner: { type: 'object', properties: { name: { type: 'string' } } }
+        }
+    }
+};
+
+describe('受保護區塊', () => {
+    test('重新產生時保留區塊內容，沒有對應位置的區塊移到檔案結尾', () => {
+        const previous = [
+            'function a() {',
+            protectedRegion('a', 'return 1;', { indent: '  ' }),
+            '}',
+            protectedRegion('b', 'legacy();'),
+            protectedRegion('c', 'stub();')
+        ].join('\n');
+        const edited = previous.replace('return 1;', 'return 42;');
+        const regions = parseRegions(edited);
+
+        expect(regions.get('a')).toBe('  return 42;');
+        expect(skeletonHash(edited)).toBe(skeletonHash(previous));
+        expect(skeletonHash(edited.replace('function a', 'function z'))).not.toBe(skeletonHash(previous));
+
+        const generated = ['function a(x) {', protectedRegion('a', 'return 1;', { indent: '  ' }), '}', ''].join('\n');
+        const filled = fillRegions(generated, regions, { isDefault: (id, body) => body === 'stub();' });
+        expect(filled.preserved).toEqual(['a']);
+        expect(filled.orphaned).toEqual(['b']);
+        expect(filled.content).toBe([
+            'function a(x) {',
+            '  // @mursfoto-protected begin a',
+            '  return 42;',
+            '  // @mursfoto-protected end a',
+            '}',
+            '',
+            '// 以下區塊在重新產生時已沒有對應的位置，請手動移到適當位置後刪除',
+            '// @mursfoto-protected begin orphaned-b',
+            '// legacy();',
+            '// @mursfoto-protected end orphaned-b',
+            ''
+        ].join('\n'));
+
+        // 附在結尾的區塊之後重新產生仍保留
+        expect(fillRegions(generated, parseRegions(filled.content)).content).toBe(filled.content);
+        expect(() => parseRegions('// @mursfoto-protected begin a\n// @mursfoto-protected end b')).toThrow('第 2 行');
+    });
+});
+
+describe('由 OpenAPI 規格產生 Express 專案', () => {
+    test('產生路由、驗證規則、控制器、模型與測試', () => {
+        const { files, tests, operations, models, warnings } = scaffoldFromSpec(spec, { database: 'mongoose' });
+
+        expect(operations).toBe(4);
+        expect(models).toBe(2);
+        expect(warnings).toEqual([]);
+        expect(Object.keys(files).sort()).toEqual([
+            '.env.example', 'app.js', 'controllers/pets.js', 'middleware/validate.js', 'models/Owner.js', 'models/Pet.js',
+            'package.json', 'routes/pets.js', 'server.js', 'validators/pets.js'
+        ]);
+        expect(files['app.js']).toContain("app.use('/v1', require('./routes/pets'));");
+
+        // 靜態路徑在參數路徑之前註冊
+        const routes = files['routes/pets.js'].split('\n').filter(line => line.startsWith('router.'));
+        expect(routes).toEqual([
+            "router.get('/pets', validators.listPets, validate, controller.listPets);",
+            "router.post('/pets', validators.createPet, validate, controller.createPet);",
+            "router.get('/pets/mine', controller.myPets);",
+            "router.get('/pets/:petId', validators.getPet, validate, controller.getPet);"
+        ]);
+        expect(files['validators/pets.js']).toContain([
+            '  createPet: [',
+            "    body('name').exists().isString().isLength({ max: 50 }),",
+            "    body('email').optional().isEmail(),",
+            "    body('status').optional().isString().isIn(['available', 'sold']),",
+            "    body('owner').optional().isObject(),",
+            "    body('owner.name').optional().isString()",
+            '  ]'
+        ].join('\n'));
+        expect(files['validators/pets.js']).toContain("query('limit').optional().isInt({ min: 1, max: 100 }).toInt()");
+        expect(files['controllers/pets.js']).toContain([
+            'async function getPet(req, res, next) {',
+            '  try {',
+            '    // @mursfoto-protected begin getPet',
+            "    res.status(501).json({ error: '尚未實作', operationId: 'getPet' });",
+            '    // @mursfoto-protected end getPet'
+        ].join('\n'));
+        expect(isDefaultRegion('getPet', parseRegions(files['controllers/pets.js']).get('getPet'))).toBe(true);
+        expect(files['models/Pet.js']).toContain("owner: { type: mongoose.Schema.Types.ObjectId, ref: 'Owner' }");
+        expect(files['models/Pet.js']).not.toContain('  id:');
+
+        const code = tests['tests/pets.test.js'];
+        expect(code).toContain(".send({ name: 'test', email: 'test@example.com', status: 'available', owner: { name: 'test' } });");
+        expect(code).toContain('expect([200, 404, 501]).toContain(response.status);');
+        expect(code.match(/缺少必填欄位時回傳 400/g)).toHaveLength(1);
+
+        const mysql = scaffoldFromSpec(spec, { database: 'mysql' }).files;
+        expect(mysql['db/schema.sql']).toContain("`status` ENUM('available', 'sold') DEFAULT 'available'");
+        expect(mysql['models/Pet.js']).toContain("columns: ['name', 'email', 'status', 'owner'],");
+        expect(JSON.parse(mysql['package.json']).dependencies).toHaveProperty('mysql2');
+        expect(() => scaffoldFromSpec(spec, { database: 'sqlite' })).toThrow('不支援的資料庫');
+    });
+
+    describe('重新產生', () => {
+        let projectDir;
+
+        beforeEach(() => {
+            projectDir = path.join(os.tmpdir(), `mursfoto-scaffold-${process.pid}-${Date.now()}`);
+        });
+
+        afterEach(() => {
+            fs.removeSync(projectDir);
+        });
+
+        test('只更新沒有在受保護區塊外修改過的檔案，並保留手寫的處理函式', () => {
+            const first = scaffoldFromSpec(spec, { database: 'none' });
+            const generated = { ...first.files, ...first.tests };
+            expect(planScaffold(projectDir, generated, null).every(change => change.action === 'add')).toBe(true);
+
+            for (const [file, content] of Object.entries(generated)) {
+                fs.outputFileSync(path.join(projectDir, file), content);
+            }
+            const manifest = { files: Object.fromEntries(Object.entries(generated).map(([file, content]) => [file, skeletonHash(content)])) };
+
+            // 實作 getPet、在區塊外修改 server.js、刪除 .env.example，再從規格移除 myPets 並加入新的標籤
+            const controller = path.join(projectDir, 'controllers/pets.js');
+            fs.writeFileSync(controller, fs.readFileSync(controller, 'utf8').replace("res.status(501).json({ error: '尚未實作', operationId: 'getPet' });", 'res.json(await findPet(req.params.petId));'));
+            fs.appendFileSync(path.join(projectDir, 'server.js'), '// 手動修改\n');
+            fs.removeSync(path.join(projectDir, '.env.example'));
+            fs.outputFileSync(path.join(projectDir, 'README.md'), '# 寵物商店\n');
+
+            const next = JSON.parse(JSON.stringify(spec));
+            delete next.paths['/pets/mine'];
+            next.paths['/stores'] = { get: { operationId: 'listStores', responses: { 200: { description: '成功' } } } };
+            const regenerated = scaffoldFromSpec(next, { database: 'none' });
+
+            const changes = planScaffold(projectDir, { ...regenerated.files, ...regenerated.tests, 'README.md': '# Pet Store\n' }, manifest);
+            const byFile = Object.fromEntries(changes.map(change => [change.file, change]));
+
+            expect(Object.keys(byFile)).toEqual([
+                '.env.example', 'README.md', 'app.js', 'controllers/pets.js', 'controllers/stores.js', 'routes/pets.js',
+                'routes/stores.js', 'server.js', 'tests/pets.test.js', 'tests/stores.test.js'
+            ]);
+            expect(byFile['.env.example'].action).toBe('keep-deleted');
+            expect(byFile['README.md'].action).toBe('keep-existing');
+            expect(byFile['server.js'].action).toBe('keep-modified');
+            expect(byFile['controllers/stores.js'].action).toBe('add');
+
+            const updated = byFile['controllers/pets.js'];
+            expect(updated.action).toBe('update');
+            expect(updated.orphaned).toEqual([]);
+            expect(updated.content).toContain('res.json(await findPet(req.params.petId));');
+            expect(updated.content).not.toContain('myPets');
+
+            expect(planScaffold(projectDir, regenerated.files, manifest, { force: true }).find(change => change.file === 'server.js').action).toBe('update');
+        });
+    });
+});
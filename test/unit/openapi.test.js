@@ -0,0 +1,216 @@
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { buildRouteInventory } = require('../../lib/utils/route-inventory');
+const { toOpenAPIPath, buildOpenAPI, diffSpecs } = require('../../lib/utils/openapi');
+const { saveBaseline } = require('../../lib/utils/project-metadata');
+const { openapiCommand } = require('../../lib/commands/openapi');
+
+describe('OpenAPI 文件', () => {
+    const root = path.join(os.tmpdir(), `mursfoto-openapi-${process.pid}`);
+    const files = {
+        'src/app.js': [
+            "const express = require('express')",
+            "const users = require('./routes/users')",
+            'const app = express()',
+            "app.use('/api/users', users)",
+            "app.get('/health', (req, res) => res.json({ status: 'ok', uptime: process.uptime(), time: new Date().toISOString() }))",
+            'module.exports = app'
+        ].join('\n'),
+        'src/routes/users.js': [
+            "const router = require('express').Router()",
+            "const { body, query } = require('express-validator')",
+            'const limiter = rateLimit()',
+            'router.use(limiter)',
+            '',
+            'function requireAdmin (req, res, next) {',
+            "  if (req.headers['x-admin-key'] !== process.env.ADMIN_KEY) {",
+            "    return res.status(401).json({ error: '需要管理員密鑰', code: 'ADMIN_KEY_REQUIRED' })",
+            '  }',
+            '  next()',
+            '}',
+            '',
+            '/**',
+            ' * GET /api/users - 列出使用者',
+            ' */',
+            "router.get('/', query('active').optional().isBoolean(), async (req, res) => {",
+            '  const { page = 1, limit = 20 } = req.query',
+            '  const users = await User.find()',
+            '  res.json({ success: true, users: users.map(format), page })',
+            '})',
+            '',
+            "router.post('/', requireAdmin, body('email').isEmail(), async (req, res) => {",
+            '  const { name, roles, email } = req.body',
+            "  if (!name || typeof name !== 'string') {",
+            "    return res.status(400).json({ error: '名稱是必需的' })",
+            '  }',
+            '  if (roles && !Array.isArray(roles)) {',
+            "    return res.status(400).json({ error: '角色必須是陣列' })",
+            '  }',
+            '  const user = { id: 1, name, email }',
+            '  res.status(201).json({ success: true, user })',
+            '})',
+            '',
+            "router.delete('/:id(\\\\d+)', requireAdmin, (req, res) => res.sendStatus(204))",
+            'module.exports = router'
+        ].join('\n'),
+        'src/routes/files.js': [
+            "const router = require('express').Router()",
+            "router.all('/raw/*', proxy)",
+            "router.get(/^\\/legacy/, legacy)",
+            'module.exports = router'
+        ].join('\n')
+    };
+
+    beforeAll(() => {
+        for (const [file, code] of Object.entries(files)) {
+            fs.outputFileSync(path.join(root, file), code);
+        }
+    });
+
+    afterAll(() => {
+        fs.removeSync(root);
+    });
+
+    test('轉換 Express 路徑', () => {
+        expect(toOpenAPIPath('/users/:id(\\d+)/posts/:tab?')).toBe('/users/{id}/posts/{tab}');
+        expect(toOpenAPIPath('/files/*')).toBe('/files/{wildcard}');
+        expect(toOpenAPIPath('/^\\/legacy/')).toBeNull();
+        expect(toOpenAPIPath('/{prefix}/users')).toBeNull();
+    });
+
+    test('由路由、驗證規則與處理函式推測參數、請求內容與回應', () => {
+        const inventory = buildRouteInventory(root, Object.keys(files));
+        const { document, warnings } = buildOpenAPI(root, inventory, { title: 'demo', version: '2.0.0', server: 'https://api.example.com' });
+
+        expect(document).toMatchObject({ openapi: '3.1.0', info: { title: 'demo', version: '2.0.0' }, servers: [{ url: 'https://api.example.com' }] });
+        expect(Object.keys(document.paths)).toEqual(['/api/users', '/api/users/{id}', '/files/raw/{wildcard}', '/health']);
+        expect(warnings).toEqual([
+            'src/routes/files.js 沒有掛載到應用程式，假設掛載在 /files',
+            '略過無法以 OpenAPI 表示的路徑: GET /^\\/legacy (src/routes/files.js:3)'
+        ]);
+
+        const health = document.paths['/health'].get;
+        expect(health).toMatchObject({ operationId: 'getHealth', tags: ['app'], 'x-source': 'src/app.js:5' });
+        expect(health.responses['200'].content['application/json'].schema.properties).toEqual({
+            status: { type: 'string', examples: ['ok'] },
+            uptime: {},
+            time: { type: 'string', format: 'date-time' }
+        });
+
+        const list = document.paths['/api/users'].get;
+        expect(list).toMatchObject({ operationId: 'getApiUsers', summary: '列出使用者', tags: ['users'], 'x-middleware': ['limiter'] });
+        expect(list.parameters).toEqual([
+            { name: 'active', in: 'query', required: false, schema: { type: 'boolean' } },
+            { name: 'page', in: 'query', required: false, schema: { type: 'integer', examples: [1] } },
+            { name: 'limit', in: 'query', required: false, schema: { type: 'integer', examples: [20] } }
+        ]);
+        expect(list.responses['200'].content['application/json'].schema.properties).toMatchObject({
+            success: { type: 'boolean' },
+            users: { type: 'array' },
+            page: {}
+        });
+
+        const create = document.paths['/api/users'].post;
+        expect(create.parameters).toEqual([{ name: 'x-admin-key', in: 'header', required: false, schema: { type: 'string' } }]);
+        expect(create.requestBody).toEqual({
+            required: true,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: { email: { type: 'string', format: 'email' }, name: { type: 'string' }, roles: { type: 'array', items: {} } },
+                        required: ['email', 'name']
+                    }
+                }
+            }
+        });
+        expect(Object.keys(create.responses)).toEqual(['201', '400', '401']);
+        expect(create.responses['201'].content['application/json'].schema.properties.user).toEqual({
+            type: 'object',
+            properties: { id: { type: 'integer', examples: [1] }, name: {}, email: {} }
+        });
+        expect(create.responses['401'].content['application/json'].schema.properties.code).toEqual({ type: 'string', examples: ['ADMIN_KEY_REQUIRED'] });
+
+        const remove = document.paths['/api/users/{id}'].delete;
+        expect(remove.parameters[0]).toEqual({ name: 'id', in: 'path', required: true, schema: { type: 'integer' } });
+        expect(remove.responses).toEqual({ 204: { description: '沒有內容' }, 401: expect.any(Object) });
+
+        expect(Object.keys(document.paths['/files/raw/{wildcard}'])).toEqual(['get', 'post', 'put', 'patch', 'delete']);
+        expect(document.paths['/files/raw/{wildcard}'].get.operationId).toBe('getFilesRawByWildcard');
+    });
+
+    test('比較兩個版本並標示破壞性變更', () => {
+        const operation = (parameters, properties, required, responseProperties) => ({
+            parameters,
+            requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties, required } } } },
+            responses: { 201: { description: '已建立', content: { 'application/json': { schema: { type: 'object', properties: responseProperties } } } } }
+        });
+        const before = {
+            paths: {
+                '/users/{id}': { post: operation([{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }, { name: 'dryRun', in: 'query', required: false, schema: { type: 'boolean' } }], { name: { type: 'string' } }, ['name'], { id: { type: 'integer' }, name: { type: 'string' } }) },
+                '/health': { get: { responses: { 200: { description: '成功' } } } }
+            }
+        };
+        const after = {
+            paths: {
+                '/users/{userId}': { post: operation([{ name: 'userId', in: 'path', required: true, schema: { type: 'string' } }, { name: 'dryRun', in: 'query', required: true, schema: { type: 'boolean' } }, { name: 'X-Trace', in: 'header', required: false, schema: { type: 'string' } }], { name: { type: 'string' }, email: { type: 'string' }, age: { type: 'integer' } }, ['name', 'email'], { id: { type: 'string' }, createdAt: { type: 'string' } }) },
+                '/status': { get: { responses: { 200: { description: '成功' } } } }
+            }
+        };
+
+        const summary = diffSpecs(before, after).map(change => `${change.breaking ? '!' : '-'} ${change.method} ${change.path} ${change.code}`);
+        expect(summary).toEqual([
+            '! POST /users/{userId} parameter-became-required',
+            '! POST /users/{userId} parameter-type-changed',
+            '! POST /users/{userId} request-property-added',
+            '! POST /users/{userId} response-type-changed',
+            '! POST /users/{userId} response-property-removed',
+            '! GET /health operation-removed',
+            '- POST /users/{userId} parameter-added',
+            '- POST /users/{userId} request-property-added',
+            '- POST /users/{userId} response-property-added',
+            '- GET /status operation-added'
+        ]);
+        expect(diffSpecs(before, before)).toEqual([]);
+    });
+});
+
+describe('openapi generate', () => {
+    const root = path.join(os.tmpdir(), `mursfoto-openapi-project-${process.pid}`);
+
+    afterAll(() => {
+        fs.removeSync(root);
+    });
+
+    test('文件反映使用者修改後的路由，不使用 .mursfoto 中的基準版本', async () => {
+        // 與 create 相同：模板輸出保存為基準版本後，使用者再修改路由
+        fs.outputFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'demo', version: '1.0.0' }));
+        fs.outputFileSync(path.join(root, 'server.js'), [
+            "const app = require('express')()",
+            "app.get('/', (req, res) => res.json({ message: 'hello' }))",
+            'app.listen(3000)'
+        ].join('\n'));
+        await saveBaseline(root, root);
+        fs.outputFileSync(path.join(root, 'server.js'), [
+            "const app = require('express')()",
+            "app.get('/api/status', (req, res) => res.json({ ok: true }))",
+            'app.listen(3000)'
+        ].join('\n'));
+
+        const log = console.log;
+        console.log = () => {};
+        let result;
+        try {
+            result = await openapiCommand('generate', [], { directory: root, ai: false });
+        } finally {
+            console.log = log;
+        }
+
+        const document = fs.readJsonSync(path.join(root, 'openapi.json'));
+        expect(Object.keys(document.paths)).toEqual(['/api/status']);
+        expect(document.paths['/api/status'].get['x-source']).toBe('server.js:2');
+        expect(result.warnings).toEqual([]);
+    });
+});
@@ -0,0 +1,37 @@
+const { describe, test, expect, afterEach } = require('@jest/globals');
+const { ERROR_CODES, MursfotoError, getExitCode, toErrorPayload } = require('../../lib/utils/errors');
+const { configureOutput, isInteractive, prompt } = require('../../lib/utils/output');
+const { resolveAnswers } = require('../../lib/utils/template-prompts');
+
+describe('CI 模式與錯誤碼', () => {
+    afterEach(() => {
+        configureOutput({});
+    });
+
+    test('錯誤轉成穩定的錯誤碼與結束碼', () => {
+        const missing = new MursfotoError(ERROR_CODES.MISSING_INPUT, '缺少名稱', { inputs: ['name'] });
+        expect(toErrorPayload(missing)).toEqual({ code: 'E_MISSING_INPUT', message: '缺少名稱', details: { inputs: ['name'] } });
+        expect(getExitCode(missing)).toBe(2);
+
+        const systemError = Object.assign(new Error('找不到檔案'), { code: 'ENOENT' });
+        expect(toErrorPayload(systemError)).toEqual({ code: 'E_COMMAND_FAILED', message: '找不到檔案', details: { cause: 'ENOENT' } });
+        expect(getExitCode(systemError)).toBe(1);
+    });
+
+    test('CI 模式下不詢問，直接回報缺少的輸入', async () => {
+        configureOutput({ ci: true });
+
+        expect(isInteractive()).toBe(false);
+        await expect(prompt([{ type: 'input', name: 'file' }], { hint: '使用 -f 指定檔案' })).rejects.toMatchObject({
+            code: 'E_MISSING_INPUT',
+            details: { inputs: ['file'] }
+        });
+    });
+
+    test('缺少沒有預設值的模板變數時回傳 E_MISSING_INPUT', async () => {
+        await expect(resolveAnswers([{ name: 'dbName', type: 'input' }], { vars: {} })).rejects.toMatchObject({
+            code: 'E_MISSING_INPUT',
+            details: { inputs: ['dbName'] }
+        });
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs-extra');
+const path = require('path');
+const { Command } = require('commander');
+const { ModuleRegistry } = require('../../lib/modules/ModuleRegistry');
+const { PluginManager } = require('../../lib/modules/PluginManager');
+const { resolveTemplateDir } = require('../../lib/utils/template-registry');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+function writePlugin(dir, source) {
+    fs.outputFileSync(path.join(dir, 'index.js'), source);
+}
+
+describe('插件管理器', () => {
+    let testDir;
+    let originalHome;
+
+    beforeEach(() => {
+        testDir = path.join(__dirname, '../temp', `plugins-${Date.now()}`);
+        fs.ensureDirSync(testDir);
+        originalHome = process.env.MURSFOTO_HOME;
+        process.env.MURSFOTO_HOME = path.join(testDir, 'home');
+    });
+
+    afterEach(() => {
+        if (originalHome === undefined) {
+            delete process.env.MURSFOTO_HOME;
+        } else {
+            process.env.MURSFOTO_HOME = originalHome;
+        }
+        fs.removeSync(testDir);
+    });
+
+    test('應該載入本地與 npm 插件並註冊命令、模板與鉤子', async () => {
+        const localDir = path.join(testDir, '.mursfoto', 'plugins', 'greeter');
+        writePlugin(localDir, `
+            module.exports = ({ config }) => ({
+                name: 'greeter',
+                templates: { 'greeter-app': './template' },
+                commands: [{
+                    name: 'greet <who>',
+                    description: '打招呼',
+                    action: (who, options, command, context) => { context.config.greeted = who; }
+                }],
+                hooks: { 'post-create': (context) => ({ created: context.projectName }) }
+            });
+        `);
+        fs.outputJsonSync(path.join(localDir, 'template', 'package.json'), { name: '{{projectName}}' });
+
+        const npmDir = path.join(testDir, 'node_modules', '@acme', 'mursfoto-plugin-lint');
+        writePlugin(npmDir, `module.exports = { hooks: { 'pre-create': () => { throw new Error('blocked'); } } };`);
+        fs.outputJsonSync(path.join(npmDir, 'package.json'), { name: '@acme/mursfoto-plugin-lint', version: '1.2.0' });
+
+        const registry = new ModuleRegistry();
+        const manager = new PluginManager({ registry, cwd: testDir, logger: silentLogger });
+        const plugins = manager.load();
+
+        expect(plugins.map(plugin => plugin.pluginName).sort()).toEqual(['greeter', 'lint']);
+        expect(registry.getRegistered()).toEqual(expect.arrayContaining(['plugin:greeter', 'plugin:lint']));
+        expect(resolveTemplateDir('greeter-app')).toBe(path.join(localDir, 'template'));
+
+        const config = {};
+        const program = new Command().exitOverride();
+        manager.registerCommands(program, { config });
+        await program.parseAsync(['node', 'mursfoto', 'greet', 'world']);
+        expect(config.greeted).toBe('world');
+
+        const results = await manager.runHook('post-create', { projectName: 'demo' });
+        expect(results).toEqual([{ plugin: 'plugin:greeter', result: { created: 'demo' } }]);
+        await expect(manager.runHook('pre-create', {})).rejects.toThrow('blocked');
+    });
+
+    test('插件載入失敗時應記錄錯誤而不中斷', () => {
+        writePlugin(path.join(testDir, '.mursfoto', 'plugins', 'broken'), `module.exports = { commands: [{ name: 'oops' }] };`);
+
+        const manager = new PluginManager({ registry: new ModuleRegistry(), cwd: testDir, logger: silentLogger });
+
+        expect(manager.load()).toEqual([]);
+        expect(manager.errors).toEqual([{ plugin: 'broken', error: '每個命令都需要 name 與 action' }]);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs-extra');
+const path = require('path');
+const {
+    getUserPromptsDir,
+    getProjectPromptsDir,
+    listPrompts,
+    resolvePrompt,
+    renderPrompt,
+    selectVariant
+} = require('../../lib/utils/prompt-registry');
+
+describe('AI 提示註冊表', () => {
+    let testDir;
+    let projectDir;
+    let originalHome;
+
+    const writePrompt = (dir, fileName, content) => {
+        fs.outputFileSync(path.join(dir, fileName), content);
+    };
+
+    beforeEach(() => {
+        testDir = path.join(__dirname, '../temp', `prompts-${Date.now()}`);
+        projectDir = path.join(testDir, 'project');
+        originalHome = process.env.MURSFOTO_HOME;
+        process.env.MURSFOTO_HOME = testDir;
+    });
+
+    afterEach(() => {
+        if (originalHome === undefined) {
+            delete process.env.MURSFOTO_HOME;
+        } else {
+            process.env.MURSFOTO_HOME = originalHome;
+        }
+        fs.removeSync(testDir);
+    });
+
+    test('內建提示以變數與 partial 產生與原本相同的文字', () => {
+        const prompts = listPrompts({ cwd: projectDir }).map(prompt => prompt.name);
+        expect(prompts).toEqual(expect.arrayContaining(['review', 'api', 'deploy', 'optimize', 'doc', 'test', 'e2e', 'ask']));
+
+        const deploy = renderPrompt('deploy', { platform: 'docker' }, { cwd: projectDir });
+        expect(deploy.text).toMatch(/^為 mursfoto 專案生成 Docker 配置：\n1\. Dockerfile 內容/);
+        expect(deploy.id).toBe('deploy@default:1.0.0');
+        expect(renderPrompt('deploy', { platform: 'aws' }, { cwd: projectDir }).text).toBe('為 mursfoto 專案在 aws 平台的部署提供指導');
+
+        const ask = renderPrompt('ask', { question: '如何部署 <gateway>?' }, { cwd: projectDir }).text;
+        expect(ask).toMatch(/^如何部署 <gateway>\?\n\n請注意這是關於 mursfoto 專案的問題/);
+    });
+
+    test('專案覆寫優先於使用者覆寫，舊於內建版本的覆寫會被標示', () => {
+        writePrompt(getUserPromptsDir(), 'review.md', '---\nversion: 0.9.0\n---\n使用者審查');
+        expect(renderPrompt('review', {}, { cwd: projectDir }).text).toBe('使用者審查');
+
+        writePrompt(getProjectPromptsDir(projectDir), 'review.md', '---\nversion: 2.0.0\n---\n專案審查 {{context}}');
+        expect(renderPrompt('review', { context: 'API' }, { cwd: projectDir }).text).toBe('專案審查 API');
+
+        const review = listPrompts({ cwd: projectDir }).find(prompt => prompt.name === 'review');
+        expect(review).toMatchObject({ source: 'project', version: '2.0.0' });
+        expect(review.files[0]).toMatchObject({ source: 'project', overrides: 'user' });
+        // 專案版本較新；被覆寫的使用者版本仍記錄內建版本
+        expect(review.outdated).toEqual([]);
+
+        fs.removeSync(getProjectPromptsDir(projectDir));
+        const userReview = listPrompts({ cwd: projectDir }).find(prompt => prompt.name === 'review');
+        expect(userReview.outdated).toEqual([{ file: 'review.md', version: '0.9.0', builtinVersion: '2.0.0' }]);
+    });
+
+    test('模型專用版本、自訂 partial 與 A/B 變體', () => {
+        const dir = getProjectPromptsDir(projectDir);
+        writePrompt(dir, 'summary.md', '---\nversion: 1.0.0\nvariables: text\n---\n摘要：{{text}}\n{{> mursfoto-context}}');
+        writePrompt(dir, 'summary.ollama.md', '---\nversion: 1.0.0\n---\n請用三句話摘要：{{text}}');
+        writePrompt(dir, 'summary@short.md', '---\nversion: 1.1.0\n---\n一句話摘要：{{text}}');
+        writePrompt(path.join(dir, 'partials'), 'mursfoto-context.md', '自訂背景');
+
+        expect(renderPrompt('summary', { text: 'A' }, { cwd: projectDir }).text).toBe('摘要：A\n自訂背景');
+        expect(renderPrompt('summary', { text: 'A' }, { cwd: projectDir, model: 'ollama' }).text).toBe('請用三句話摘要：A');
+        expect(renderPrompt('summary', { text: 'A' }, { cwd: projectDir, model: 'claude' }).prompt.model).toBeNull();
+
+        const pinned = renderPrompt('summary', { text: 'A' }, { cwd: projectDir, prompts: { summary: 'short' } });
+        expect(pinned).toMatchObject({ text: '一句話摘要：A', id: 'summary@short:1.1.0' });
+
+        const seen = new Set();
+        for (let index = 0; index < 50; index++) {
+            seen.add(selectVariant('summary', { summary: ['default', 'short'] }));
+        }
+        expect([...seen].sort()).toEqual(['default', 'short']);
+        expect(selectVariant('review', {})).toBe('default');
+
+        expect(listPrompts({ cwd: projectDir }).find(prompt => prompt.name === 'summary')).toMatchObject({
+            variants: ['default', 'short'],
+            models: ['ollama']
+        });
+        expect(() => resolvePrompt('summary', { cwd: projectDir, variant: 'long' })).toThrow('找不到提示: summary@long');
+    });
+});
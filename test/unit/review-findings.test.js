@@ -0,0 +1,110 @@
+const { describe, test, expect, afterAll } = require('@jest/globals');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+    isAtLeast,
+    parseFindings,
+    countBySeverity,
+    locatePatch,
+    applyPatch,
+    resolvePatches,
+    toSarif
+} = require('../../lib/utils/review-findings');
+
+describe('AI 審查結果', () => {
+    const root = path.join(os.tmpdir(), `mursfoto-review-${process.pid}`);
+    const source = "const mysql = require('mysql')\n\nfunction findUser (id) {\n  return pool.query('SELECT * FROM users WHERE id = ' + id)\n}\n";
+
+    afterAll(() => {
+        fs.removeSync(root);
+    });
+
+    test('解析回應中的 JSON，正規化嚴重程度並由嚴重到輕微排序', () => {
+        const text = [
+            '以下是審查結果：',
+            '```json',
+            JSON.stringify({
+                summary: '有 SQL 注入風險',
+                findings: [
+                    { ruleId: 'style/unused', severity: 'warning', line: 1, message: 'mysql 未使用' },
+                    { severity: 'HIGH', file: './src/db.js', startLine: 4, endLine: 2, message: '請改用參數化查詢', patch: { original: 'x', replacement: 'y' } },
+                    { severity: 'low', message: '' }
+                ]
+            }),
+            '```'
+        ].join('\n');
+
+        const review = parseFindings(text, { file: 'src/app.js' });
+        expect(review.summary).toBe('有 SQL 注入風險');
+        expect(review.findings).toEqual([
+            { ruleId: 'general', severity: 'high', file: 'src/db.js', startLine: 4, endLine: 4, message: '請改用參數化查詢', patch: { original: 'x', replacement: 'y' } },
+            { ruleId: 'style/unused', severity: 'medium', file: 'src/app.js', startLine: 1, endLine: 1, message: 'mysql 未使用' }
+        ]);
+        expect(countBySeverity(review.findings)).toEqual({ critical: 0, high: 1, medium: 1, low: 0, info: 0 });
+
+        expect(parseFindings('[]').findings).toEqual([]);
+        expect(() => parseFindings('看起來沒有問題')).toThrow('AI 回應不是有效的審查結果 JSON');
+        expect(() => parseFindings('{"issues": []}')).toThrow('AI 回應缺少 findings 陣列');
+    });
+
+    test('依門檻判斷嚴重程度', () => {
+        expect(isAtLeast('critical', 'high')).toBe(true);
+        expect(isAtLeast('high', 'high')).toBe(true);
+        expect(isAtLeast('medium', 'high')).toBe(false);
+    });
+
+    test('找出最接近的原始程式碼並套用修改，保留換行格式', () => {
+        const content = 'a()\nb()\na()\nc()\n';
+        expect(locatePatch(content, { original: 'a()' }, 3)).toEqual({ startLine: 3, endLine: 3 });
+        expect(locatePatch(content, { original: 'b()  \na()' }, 1)).toEqual({ startLine: 2, endLine: 3 });
+        expect(locatePatch(content, { original: 'd()' })).toBeNull();
+
+        expect(applyPatch(content, { original: 'a()', replacement: 'x()\ny()' }, 4)).toBe('a()\nb()\nx()\ny()\nc()\n');
+        expect(applyPatch(content, { original: 'b()\n', replacement: '' }, 2)).toBe('a()\na()\nc()\n');
+        expect(applyPatch('a()\r\nb()\r\n', { original: 'b()', replacement: 'z()' })).toBe('a()\r\nz()\r\n');
+        expect(applyPatch(content, { original: 'd()', replacement: '' })).toBeNull();
+    });
+
+    test('標記可套用的修改並匯出 SARIF', () => {
+        fs.outputFileSync(path.join(root, 'src/db.js'), source);
+        const findings = resolvePatches([
+            {
+                ruleId: 'security/sql-injection',
+                severity: 'high',
+                file: 'src/db.js',
+                startLine: 3,
+                endLine: 3,
+                message: '請改用參數化查詢',
+                patch: { original: "  return pool.query('SELECT * FROM users WHERE id = ' + id)", replacement: "  return pool.query('SELECT * FROM users WHERE id = ?', [id])" }
+            },
+            { ruleId: 'bug/stale', severity: 'low', file: 'src/db.js', startLine: 9, endLine: 9, message: '已變更', patch: { original: 'gone()', replacement: '' } },
+            { ruleId: 'security/sql-injection', severity: 'info', file: 'src/missing.js', startLine: 1, endLine: 1, message: '檔案不存在', patch: { original: 'x', replacement: 'y' } }
+        ], root);
+
+        expect(findings.map(finding => finding.patch.applicable)).toEqual([true, false, false]);
+        expect(findings[0].patch).toMatchObject({ startLine: 4, endLine: 4 });
+
+        const sarif = toSarif({ findings }, { name: 'mursfoto-ai-review', version: '1.0.0' });
+        const { driver } = sarif.runs[0].tool;
+        expect(sarif.version).toBe('2.1.0');
+        expect(driver).toMatchObject({ name: 'mursfoto-ai-review', version: '1.0.0' });
+        expect(driver.rules.map(rule => rule.id)).toEqual(['security/sql-injection', 'bug/stale']);
+
+        const [first, second, third] = sarif.runs[0].results;
+        expect(first).toMatchObject({
+            ruleId: 'security/sql-injection',
+            ruleIndex: 0,
+            level: 'error',
+            message: { text: '請改用參數化查詢' },
+            locations: [{ physicalLocation: { artifactLocation: { uri: 'src/db.js' }, region: { startLine: 3, endLine: 3 } } }]
+        });
+        expect(first.fixes[0].artifactChanges[0].replacements[0]).toEqual({
+            deletedRegion: { startLine: 4, endLine: 5, startColumn: 1, endColumn: 1 },
+            insertedContent: { text: "  return pool.query('SELECT * FROM users WHERE id = ?', [id])\n" }
+        });
+        expect(second).toMatchObject({ ruleIndex: 1, level: 'note' });
+        expect(second.fixes).toBeUndefined();
+        expect(third).toMatchObject({ ruleIndex: 0, level: 'note' });
+    });
+});
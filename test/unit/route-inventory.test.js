@@ -0,0 +1,131 @@
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { pathParams, buildRouteInventory, formatRoute } = require('../../lib/utils/route-inventory');
+const SmartTestAutomation = require('../../lib/services/SmartTestAutomation');
+
+describe('Express 路由清單', () => {
+    const root = path.join(os.tmpdir(), `mursfoto-routes-${process.pid}`);
+    const files = {
+        'src/app.js': [
+            "const express = require('express')",
+            "const { body } = require('express-validator')",
+            "const { celebrate, Joi, Segments } = require('celebrate')",
+            "const users = require('./routes/users')",
+            "const auth = require('./middleware/auth')",
+            "const API = '/api/v1'",
+            'const app = express()',
+            'app.use(express.json())',
+            "app.get('env')",
+            "app.get('/health', (req, res) => res.json({ ok: true }))",
+            'app.use(`${API}/users`, auth.required, users)',
+            "require('./routes/posts')(app)",
+            "app.post('/login', [body('email').isEmail().withMessage('格式錯誤'), body('password').isLength({ min: 8 })], login)",
+            "app.put('/items/:id', celebrate({ [Segments.BODY]: Joi.object().keys({ name: Joi.string().required() }), params: { id: Joi.number().integer() } }), update)",
+            'module.exports = app'
+        ].join('\n'),
+        'src/routes/users.js': [
+            "const router = require('express').Router()",
+            "const { param } = require('express-validator')",
+            "const controller = require('../controllers/users')",
+            "router.get('/', controller.list)",
+            "router.route('/:id')",
+            "  .get(param('id').isInt(), controller.show)",
+            '  .delete(controller.remove)',
+            'module.exports = router'
+        ].join('\n'),
+        'src/routes/posts.js': [
+            'module.exports = (app) => {',
+            "  const router = require('express').Router()",
+            "  router.get('/:slug/comments/:page?', (req, res) => res.json([]))",
+            "  app.use('/posts', rateLimit(), router)",
+            '}'
+        ].join('\n'),
+        'src/orphan.js': "const { Router } = require('express')\nconst r = Router()\nr.patch('/x', h)\nmodule.exports = r\n",
+        'src/services/user.js': 'function findUser (id) { return { id } }\nmodule.exports = { findUser }\n',
+        'src/constants.js': 'const LIMIT = 10\n',
+        'test/user.test.js': "const { findUser } = require('../src/services/user')\nmodule.exports = {}\n"
+    };
+
+    beforeAll(() => {
+        for (const [file, code] of Object.entries(files)) {
+            fs.outputFileSync(path.join(root, file), code);
+        }
+    });
+
+    afterAll(() => {
+        fs.removeSync(root);
+    });
+
+    test('解析路徑參數', () => {
+        expect(pathParams('/users/:id(\\d+)/posts/:tab?')).toEqual([
+            { name: 'id', in: 'path', required: true },
+            { name: 'tab', in: 'path', required: false }
+        ]);
+    });
+
+    test('組合掛載的子路由、中間件鏈與驗證規則', () => {
+        const inventory = buildRouteInventory(root, Object.keys(files));
+
+        expect(inventory.apps).toEqual([{ file: 'src/app.js', line: 7, name: 'app', exported: true }]);
+        expect(inventory.mounts).toEqual([
+            { path: '/api/v1/users', file: 'src/app.js', line: 11, target: 'src/routes/users.js' },
+            { path: '/', file: 'src/app.js', line: 12, target: 'src/routes/posts.js' },
+            { path: '/posts', file: 'src/routes/posts.js', line: 4, target: 'src/routes/posts.js' }
+        ]);
+        expect(inventory.routes.map(route => `${route.method} ${route.path} ${route.file}:${route.line}`)).toEqual([
+            'GET /health src/app.js:10',
+            'GET /api/v1/users src/routes/users.js:4',
+            'GET /api/v1/users/:id src/routes/users.js:6',
+            'DELETE /api/v1/users/:id src/routes/users.js:7',
+            'GET /posts/:slug/comments/:page? src/routes/posts.js:3',
+            'POST /login src/app.js:13',
+            'PUT /items/:id src/app.js:14',
+            'PATCH /x src/orphan.js:3'
+        ]);
+
+        const [health, list, show, , comments, login, update, orphan] = inventory.routes;
+        expect(health).toMatchObject({ middleware: ['express.json()'], handler: '(inline)', mounted: true });
+        expect(list).toMatchObject({ middleware: ['express.json()', 'auth.required'], handler: 'controller.list' });
+        expect(show.validators).toEqual([{ field: 'id', in: 'path', rules: ['isInt'], required: true }]);
+        expect(comments.middleware).toEqual(['express.json()', 'rateLimit()']);
+        expect(comments.params).toEqual([
+            { name: 'slug', in: 'path', required: true },
+            { name: 'page', in: 'path', required: false }
+        ]);
+        expect(login.validators).toEqual([
+            { field: 'email', in: 'body', rules: ['isEmail'], required: true },
+            { field: 'password', in: 'body', rules: ['isLength'], required: true }
+        ]);
+        expect(update.validators).toEqual([
+            { field: 'name', in: 'body', rules: ['string', 'required'], required: true },
+            { field: 'id', in: 'path', rules: ['number', 'integer'], required: false }
+        ]);
+        expect(orphan).toMatchObject({ path: '/x', middleware: [], mounted: false });
+
+        expect(formatRoute(login)).toBe('POST /login (src/app.js:13) 中間件: express.json() 驗證: body.email isEmail, body.password isLength');
+        expect(formatRoute(orphan)).toBe('PATCH /x (src/orphan.js:3) (未掛載)');
+    });
+
+    test('測試產生使用實際路由與可測試的模組', async () => {
+        const automation = new SmartTestAutomation();
+        const analysis = await automation.analyzeProject(root);
+
+        expect(analysis.apiEndpoints).toHaveLength(8);
+        expect(analysis.testableComponents).toEqual(['src/services/user']);
+
+        const tests = await automation.generateTestCode(automation.generateDefaultTestStrategy(analysis, {}), root, analysis);
+        expect(tests.unit['tests/unit/basicfunctionality.test.js']).toContain("require('../../src/services/user')");
+
+        const code = tests.integration['tests/integration/api.test.js'];
+        expect(code).toContain("const app = require('../../src/app');");
+        expect(code).toContain("describe('GET /api/v1/users/:id', () => {");
+        expect(code).toContain(".get('/api/v1/users/1');");
+        expect(code).toContain('.send({"email":"test@example.com","password":"test1234"});');
+        expect(code).toContain("describe('PUT /items/:id', () => {");
+        expect(code.match(/應回傳 400 或 422/g)).toHaveLength(2);
+        expect(code).not.toContain('/api/items');
+        expect(code).not.toContain("'PATCH /x'");
+    });
+});
@@ -0,0 +1,39 @@
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs-extra');
+const path = require('path');
+const { createStagingDir, commitStagingDir, discardStagingDir } = require('../../lib/utils/staging');
+
+describe('暫存目錄交易', () => {
+    let testDir;
+    let targetPath;
+
+    beforeEach(() => {
+        testDir = path.join(__dirname, '../temp', `staging-${Date.now()}`);
+        targetPath = path.join(testDir, 'app');
+        fs.outputFileSync(path.join(targetPath, 'mine.txt'), 'original');
+    });
+
+    afterEach(() => {
+        fs.removeSync(testDir);
+    });
+
+    test('成功時以暫存內容取代既有目錄，且不留下暫存或備份', async () => {
+        const stagingPath = await createStagingDir(targetPath);
+        fs.outputFileSync(path.join(stagingPath, 'server.js'), 'new');
+
+        await commitStagingDir(stagingPath, targetPath);
+
+        expect(fs.readdirSync(targetPath)).toEqual(['server.js']);
+        expect(fs.readdirSync(testDir)).toEqual(['app']);
+    });
+
+    test('移入失敗時還原原有目錄', async () => {
+        const stagingPath = await createStagingDir(targetPath);
+        await discardStagingDir(stagingPath);
+
+        await expect(commitStagingDir(stagingPath, targetPath)).rejects.toThrow();
+
+        expect(fs.readFileSync(path.join(targetPath, 'mine.txt'), 'utf8')).toBe('original');
+        expect(fs.readdirSync(testDir)).toEqual(['app']);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const http = require('http');
+const { readSSE, collectStream } = require('../../lib/utils/stream');
+const AIModelRouter = require('../../lib/services/AIModelRouter');
+const LMStudioService = require('../../lib/services/LMStudioService');
+
+const sse = (data, event) => `${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`;
+
+describe('串流回應', () => {
+    let server;
+    let baseURL;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/v1/models') {
+                res.end(JSON.stringify({ data: [{ id: 'local' }] }));
+                return;
+            }
+
+            res.writeHead(200, { 'content-type': 'text/event-stream' });
+            if (req.url === '/v1/messages') {
+                res.write(sse({ type: 'message_start' }, 'message_start'));
+                res.write(sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: '你好' } }, 'content_block_delta'));
+                res.write(sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: '，世界' } }, 'content_block_delta'));
+                res.end(sse({ type: 'message_stop' }, 'message_stop'));
+                return;
+            }
+
+            // LM Studio：送出第一個片段後保持連線，直到客戶端取消
+            res.write(sse({ choices: [{ delta: { content: 'first' } }] }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseURL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('解析跨區塊、CRLF 與多行 data 的 SSE 事件', async () => {
+        async function * chunks() {
+            yield 'event: delta\r\ndata: {"a":';
+            yield '1}\r\n\r\n: 註解\ndata: 第一行\ndata: 第二行\n\n';
+            yield Buffer.from('data: [DONE]');
+        }
+
+        const events = [];
+        for await (const event of readSSE(chunks())) {
+            events.push(event);
+        }
+
+        expect(events).toEqual([
+            { event: 'delta', data: '{"a":1}' },
+            { event: 'message', data: '第一行\n第二行' },
+            { event: 'message', data: '[DONE]' }
+        ]);
+    });
+
+    test('\\r\\n 被切在兩個區塊之間時只算一個換行', async () => {
+        async function * chunks() {
+            yield 'data: a\r';
+            yield '\ndata: b\r';
+            yield '\n\r\n';
+            yield 'data: c\r';
+        }
+
+        const events = [];
+        for await (const event of readSSE(chunks())) {
+            events.push(event);
+        }
+
+        expect(events).toEqual([
+            { event: 'message', data: 'a\nb' },
+            { event: 'message', data: 'c' }
+        ]);
+    });
+
+    test('Claude 串流逐一產生文字片段', async () => {
+        const router = new AIModelRouter();
+        router.models.claude.baseURL = baseURL;
+        process.env.MURSFOTO_TEST_CLAUDE_KEY = 'test';
+        router.models.claude.envKey = 'MURSFOTO_TEST_CLAUDE_KEY';
+
+        try {
+            const tokens = [];
+            for await (const token of router.stream([{ role: 'user', content: 'hi' }], { model: 'claude' })) {
+                tokens.push(token);
+            }
+            expect(tokens).toEqual(['你好', '，世界']);
+        } finally {
+            delete process.env.MURSFOTO_TEST_CLAUDE_KEY;
+        }
+    });
+
+    test('LM Studio 串流可以透過 signal 取消', async () => {
+        const service = new LMStudioService({ apiEndpoint: baseURL });
+        const controller = new AbortController();
+
+        const tokens = [];
+        const consume = collectStream((async function * () {
+            for await (const token of service.stream('hi', { signal: controller.signal })) {
+                tokens.push(token);
+                controller.abort();
+                yield token;
+            }
+        })());
+
+        await expect(consume).rejects.toThrow('LM Studio 串流已取消');
+        expect(tokens).toEqual(['first']);
+        expect(service.getStats().failedRequests).toBe(1);
+    });
+});
@@ -0,0 +1,155 @@
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs-extra');
+const path = require('path');
+const {
+    discoverTemplates,
+    listTemplates,
+    getTemplate,
+    validateTemplate
+} = require('../../lib/utils/template-registry');
+const { resolveAnswers, parseVarOptions, createFileFilter } = require('../../lib/utils/template-prompts');
+const { resolveFeatures, applyFeatures, FEATURE_MARKER } = require('../../lib/utils/features');
+
+describe('模板註冊表', () => {
+    let testDir;
+    let originalHome;
+
+    beforeEach(() => {
+        testDir = path.join(__dirname, '../temp', `templates-${Date.now()}`);
+        originalHome = process.env.MURSFOTO_HOME;
+        process.env.MURSFOTO_HOME = testDir;
+    });
+
+    afterEach(() => {
+        if (originalHome === undefined) {
+            delete process.env.MURSFOTO_HOME;
+        } else {
+            process.env.MURSFOTO_HOME = originalHome;
+        }
+        fs.removeSync(testDir);
+        discoverTemplates({ refresh: true });
+    });
+
+    test('應該從磁碟探索內建模板並依類型分組', () => {
+        const projects = listTemplates({ type: 'project' }).map(template => template.name);
+        const features = listTemplates({ type: 'feature' }).map(template => template.name);
+
+        expect(projects).toEqual(expect.arrayContaining(['minimal', 'enterprise-production', 'n8n']));
+        expect(features).toEqual(expect.arrayContaining(['api-gateway', 'database-mysql', 'advanced-features']));
+        expect(projects).not.toContain('calculator');
+
+        for (const template of discoverTemplates()) {
+            expect(validateTemplate(template.name).errors).toEqual([]);
+        }
+    });
+
+    test('使用者模板目錄中的模板應該被探索並驗證', () => {
+        const templateDir = path.join(testDir, 'templates', 'worker');
+        fs.outputJsonSync(path.join(templateDir, 'template.json'), {
+            name: 'worker',
+            description: '背景工作服務',
+            type: 'project',
+            features: ['unknown-feature']
+        });
+        fs.outputFileSync(path.join(templateDir, 'package.json'), '{ "name": "{{projectName}}", "queue": "{{queueName}}" }');
+
+        discoverTemplates({ refresh: true });
+        expect(getTemplate('worker')).toMatchObject({ source: 'user', type: 'project' });
+
+        const result = validateTemplate('worker');
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual(['相容的附加元件不存在: unknown-feature']);
+        expect(result.warnings).toEqual(['模板使用了未宣告的變數: queueName']);
+    });
+});
+
+describe('模板變數與條件檔案', () => {
+    const prompts = [
+        { name: 'port', type: 'number', default: 3000 },
+        { name: 'auth', type: 'confirm', default: false },
+        { name: 'database', type: 'list', choices: ['none', 'mysql'], default: 'none' },
+        { name: 'dbName', type: 'input', when: answers => answers.database === 'mysql' }
+    ];
+
+    test('應該依 --var > --answers > 預設值 的順序解析並轉換型別', async () => {
+        const answers = await resolveAnswers(prompts, {
+            answers: { port: 4000, database: 'mysql', dbName: 'shop' },
+            vars: parseVarOptions(['port=8080', 'auth=yes'])
+        });
+
+        expect(answers).toEqual({ port: 8080, auth: true, database: 'mysql', dbName: 'shop' });
+        await expect(resolveAnswers(prompts, { vars: { database: 'postgres' } })).rejects.toThrow('database 必須是 none, mysql');
+        await expect(resolveAnswers(prompts, { vars: { database: 'mysql' } })).rejects.toThrow('缺少模板變數: dbName');
+    });
+
+    test('應該依答案決定要產生的檔案', () => {
+        const filter = createFileFilter({
+            'middleware/auth.js': 'auth',
+            'db/**': answers => answers.database !== 'none',
+            'docs/*.md': '!auth'
+        }, { auth: false, database: 'mysql' });
+
+        expect(filter('server.js')).toBe(true);
+        expect(filter('middleware/auth.js')).toBe(false);
+        expect(filter('db/mysql/pool.js')).toBe(true);
+        expect(filter('docs/public.md')).toBe(true);
+    });
+});
+
+describe('附加元件', () => {
+    let projectDir;
+
+    beforeEach(() => {
+        projectDir = path.join(__dirname, '../temp', `features-${Date.now()}`);
+        fs.outputJsonSync(path.join(projectDir, 'package.json'), {
+            name: 'shop',
+            main: 'server.js',
+            dependencies: { express: '^4.18.2', winston: '^3.0.0' }
+        });
+        fs.outputFileSync(path.join(projectDir, 'server.js'), [
+            "const express = require('express');",
+            'const app = express();',
+            '',
+            'app.listen(3000);',
+            ''
+        ].join('\n'));
+    });
+
+    afterEach(() => {
+        fs.removeSync(projectDir);
+    });
+
+    test('應該展開依賴並排在前面', () => {
+        expect(resolveFeatures(['auth']).map(feature => feature.name)).toEqual(['logger', 'mysql', 'auth']);
+        expect(() => resolveFeatures(['unknown'])).toThrow('附加元件不存在: unknown');
+    });
+
+    test('應該合併檔案、依賴與接線，且重複套用不會改變專案', async () => {
+        const result = await applyFeatures(projectDir, ['mysql'], { templateName: 'minimal' });
+
+        expect(result.features).toEqual(['logger', 'mysql']);
+        expect(fs.existsSync(path.join(projectDir, 'src/services/DatabaseService.js'))).toBe(true);
+
+        const pkg = fs.readJsonSync(path.join(projectDir, 'package.json'));
+        expect(pkg.dependencies.mysql2).toBeDefined();
+        expect(pkg.dependencies.winston).toBe('^3.0.0');
+        expect(result.warnings).toEqual([expect.stringContaining('dependencies.winston')]);
+
+        const server = fs.readFileSync(path.join(projectDir, 'server.js'), 'utf8');
+        expect(server).toContain("const db = require('./src/services/DatabaseService');");
+        expect(server.indexOf(`${FEATURE_MARKER} mysql`)).toBeLessThan(server.indexOf('app.listen'));
+
+        await applyFeatures(projectDir, ['mysql']);
+        expect(fs.readFileSync(path.join(projectDir, 'server.js'), 'utf8')).toBe(server);
+    });
+
+    test('現有檔案內容不同時應該拒絕，除非使用 force', async () => {
+        fs.outputFileSync(path.join(projectDir, 'src/utils/logger.js'), 'module.exports = console;');
+
+        await expect(applyFeatures(projectDir, ['logger'])).rejects.toThrow('src/utils/logger.js 已存在且內容不同');
+        expect(fs.readFileSync(path.join(projectDir, 'src/utils/logger.js'), 'utf8')).toBe('module.exports = console;');
+
+        await applyFeatures(projectDir, ['logger'], { force: true });
+        expect(fs.readFileSync(path.join(projectDir, 'src/utils/logger.js'), 'utf8')).toContain('winston');
+    });
+});
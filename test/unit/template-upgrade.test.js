@@ -0,0 +1,68 @@
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs-extra');
+const path = require('path');
+const { planUpgrade } = require('../../lib/commands/upgrade');
+const { saveBaseline, listProjectFiles } = require('../../lib/utils/project-metadata');
+
+describe('模板升級', () => {
+    let testDir;
+    let projectDir;
+    let renderDir;
+
+    const write = (dir, files) => {
+        for (const [file, content] of Object.entries(files)) {
+            fs.outputFileSync(path.join(dir, file), content);
+        }
+    };
+
+    beforeEach(async () => {
+        testDir = path.join(__dirname, '../temp', `upgrade-${Date.now()}`);
+        projectDir = path.join(testDir, 'project');
+        renderDir = path.join(testDir, 'render');
+
+        // 舊版模板輸出
+        write(projectDir, {
+            'server.js': 'const a = 1;\nconst b = 2;\nconst c = 3;\n',
+            'README.md': '# app\n',
+            'old.js': 'legacy\n',
+            'custom.js': 'user file\n'
+        });
+        await saveBaseline(projectDir, projectDir);
+        fs.removeSync(path.join(projectDir, '.mursfoto/baseline/custom.js'));
+
+        // 使用者修改
+        write(projectDir, {
+            'server.js': 'const a = 10;\nconst b = 2;\nconst c = 3;\n',
+            'README.md': '# My App\n'
+        });
+
+        // 新版模板輸出
+        write(renderDir, {
+            'server.js': 'const a = 1;\nconst b = 2;\nconst c = 30;\n',
+            'README.md': '# app service\n',
+            'errors.js': 'module.exports = {};\n'
+        });
+    });
+
+    afterEach(() => {
+        fs.removeSync(testDir);
+    });
+
+    test('基準只包含模板輸出，不含 node_modules 與 .mursfoto', () => {
+        fs.outputFileSync(path.join(projectDir, 'node_modules/x/index.js'), '');
+        expect(listProjectFiles(projectDir)).toEqual(['README.md', 'custom.js', 'old.js', 'server.js']);
+    });
+
+    test('應該合併不衝突的修改、標記衝突並保留使用者檔案', () => {
+        const changes = planUpgrade(projectDir, renderDir);
+        const byFile = Object.fromEntries(changes.map(change => [change.file, change]));
+
+        expect(Object.keys(byFile).sort()).toEqual(['README.md', 'errors.js', 'old.js', 'server.js']);
+        expect(byFile['server.js'].action).toBe('merge');
+        expect(byFile['server.js'].content).toBe('const a = 10;\nconst b = 2;\nconst c = 30;\n');
+        expect(byFile['README.md'].action).toBe('conflict');
+        expect(byFile['README.md'].content).toContain('<<<<<<< 目前專案\n# My App\n=======\n# app service\n>>>>>>> 新版模板');
+        expect(byFile['errors.js'].action).toBe('add');
+        expect(byFile['old.js'].action).toBe('delete');
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs-extra');
+const path = require('path');
+const { VirtualFileSystem } = require('../../lib/utils/vfs');
+
+describe('虛擬檔案系統 (dry-run)', () => {
+    let testDir;
+    let vfs;
+
+    beforeEach(() => {
+        testDir = path.join(__dirname, '../temp', `vfs-${Date.now()}`);
+        fs.outputFileSync(path.join(testDir, 'server.js'), 'const a = 1;\n');
+        fs.outputFileSync(path.join(testDir, 'old/legacy.js'), 'legacy\n');
+        vfs = new VirtualFileSystem({ dryRun: true });
+    });
+
+    afterEach(() => {
+        fs.removeSync(testDir);
+    });
+
+    test('寫入只保存在記憶體中，後續讀取能看到變更', async () => {
+        await vfs.outputFile(path.join(testDir, 'src/app.js'), 'module.exports = {};\n');
+        await vfs.writeJson(path.join(testDir, 'package.json'), { name: 'app' }, { spaces: 2 });
+        await vfs.appendFile(path.join(testDir, 'server.js'), 'const b = 2;\n');
+        await vfs.remove(path.join(testDir, 'old'));
+
+        expect(fs.existsSync(path.join(testDir, 'src'))).toBe(false);
+        expect(fs.readFileSync(path.join(testDir, 'server.js'), 'utf8')).toBe('const a = 1;\n');
+        expect(fs.existsSync(path.join(testDir, 'old/legacy.js'))).toBe(true);
+
+        expect(vfs.readJsonSync(path.join(testDir, 'package.json'))).toEqual({ name: 'app' });
+        expect(vfs.readFileSync(path.join(testDir, 'server.js'), 'utf8')).toBe('const a = 1;\nconst b = 2;\n');
+        expect(vfs.existsSync(path.join(testDir, 'old'))).toBe(false);
+        expect(vfs.readdirSync(testDir)).toEqual(['package.json', 'server.js', 'src']);
+    });
+
+    test('計畫應該列出新增、修改、刪除的檔案與命令', async () => {
+        await vfs.writeFile(path.join(testDir, 'server.js'), 'const a = 2;\n');
+        await vfs.outputFile(path.join(testDir, 'README.md'), '# app\n');
+        await vfs.remove(path.join(testDir, 'old'));
+        vfs.exec('npm install', { cwd: testDir });
+        await vfs.run('git init', () => { throw new Error('不應該執行'); });
+
+        const plan = vfs.getPlan();
+        expect(plan.files.map(file => [path.relative(testDir, file.path), file.action])).toEqual([
+            ['README.md', 'create'],
+            ['old/legacy.js', 'delete'],
+            ['server.js', 'modify']
+        ]);
+        expect(plan.commands).toEqual([{ command: 'npm install', cwd: testDir }, { command: 'git init', cwd: undefined }]);
+    });
+});